@@ -6,15 +6,78 @@ import moment from 'moment'
 
 import * as Channels from './model/channels'
 import * as contact from './contact'
+import * as metrics from './metrics'
 import * as utils from './utils'
-import {AlertModel} from './model/alerts'
+import {AlertModel, AlertSilenceModel} from './model/alerts'
 import {ContactGroupModel} from './model/contactGroups'
 import {EventModel} from './model/events'
+import {METRIC_TYPE_HOUR, METRIC_TYPE_MINUTE} from './model/metrics'
 import {UserModel} from './model/users'
 import {config} from './config'
 
 config.alerts = config.get('alerts')
-const {ChannelModel} = Channels
+const {ChannelModel, metricAlertConditions} = Channels
+
+const DEFAULT_WINDOW_MINUTES = 15
+// Minute metrics expire after an hour, longer windows use the hour metrics of
+// the hours before the current one
+const MAX_MINUTE_METRICS_WINDOW = 30
+// Traffic spikes are relative to the traffic over this many hours before
+const SPIKE_BASELINE_HOURS = 24
+
+const isMetricCondition = alert =>
+  metricAlertConditions.includes(alert.condition)
+
+/*
+ * Checks that a metrics alert has the thresholds its condition needs,
+ * returning the reason when it doesn't
+ */
+export function validateAlert(alert) {
+  // thresholds may be sent as strings, which are cast when the channel is saved
+  const isAbove = (value, min) =>
+    value != null && value !== '' && Number(value) > min
+
+  if (alert.condition === 'response-time') {
+    if (!isAbove(alert.responseTimeThreshold, 0)) {
+      return 'Alerts with the response-time condition must have a responseTimeThreshold above 0'
+    }
+  } else if (alert.condition === 'traffic-drop') {
+    if (!isAbove(alert.minRequests, 0)) {
+      return 'Alerts with the traffic-drop condition must have a minRequests above 0'
+    }
+  } else if (alert.condition === 'traffic-spike') {
+    if (alert.maxRequests != null) {
+      if (!isAbove(alert.maxRequests, -1)) {
+        return 'The maxRequests of a traffic-spike alert cannot be below 0'
+      }
+    } else if (!isAbove(alert.spikeFactor, 1)) {
+      return 'Alerts with the traffic-spike condition must have a maxRequests or a spikeFactor above 1'
+    }
+  }
+}
+
+/*
+ * The status alerts are logged with, which tells alerts for the same
+ * condition with different thresholds apart
+ */
+function getAlertStatus(alert) {
+  switch (alert.condition) {
+    case 'auto-retry-max-attempted':
+      return '500'
+    case 'response-time':
+      return `${alert.responseTimeStatistic || 'average'} > ${
+        alert.responseTimeThreshold
+      }ms`
+    case 'traffic-drop':
+      return `requests < ${alert.minRequests}`
+    case 'traffic-spike':
+      return alert.maxRequests != null
+        ? `requests > ${alert.maxRequests}`
+        : `requests > ${alert.spikeFactor}x`
+    default:
+      return alert.status
+  }
+}
 
 const trxURL = trx =>
   `${config.alerts.consoleURL}/#!/transactions/${trx.transactionID}`
@@ -132,8 +195,70 @@ Please note that they will not be retried any further by the OpenHIM automatical
   }
 })
 
+function describeMeasurement(measurement, channel, alert) {
+  const window = `the last ${measurement.windowMinutes} minutes`
+  if (alert.condition === 'response-time') {
+    return `The ${measurement.statistic} response time of channel ${channel.name} was ${measurement.responseTime} ms over ${window}, above the threshold of ${alert.responseTimeThreshold} ms`
+  } else if (alert.condition === 'traffic-drop') {
+    return `Channel ${channel.name} received ${measurement.requests} requests in ${window}, fewer than the expected minimum of ${alert.minRequests}`
+  } else if (measurement.baseline != null) {
+    const baseline = +measurement.baseline.toFixed(2)
+    return `Channel ${channel.name} received ${measurement.requests} requests in ${window}, more than ${alert.spikeFactor} times the usual ${baseline}`
+  }
+  return `Channel ${channel.name} received ${measurement.requests} requests in ${window}, more than the maximum of ${alert.maxRequests}`
+}
+
+const metricsTemplate = (measurements, channel, alert) => {
+  const description = describeMeasurement(measurements[0], channel, alert)
+
+  return {
+    plain() {
+      return `\
+OpenHIM Channel Alert - ${config.alerts.himInstance}
+
+${description}.
+\
+`
+    },
+    html() {
+      return `\
+<html>
+    <head></head>
+    <body>
+      <h1>OpenHIM Channel Alert - ${config.alerts.himInstance}</h1>
+      <div>
+        <p>${description}.</p>
+      </div>
+    </body>
+</html>\
+`
+    },
+    sms() {
+      return `Alert - ${description} on the OpenHIM running on ${config.alerts.himInstance}`
+    }
+  }
+}
+
 const getAllChannels = callback => ChannelModel.find({}).exec(callback)
 
+const getActiveSilences = (now = new Date()) =>
+  AlertSilenceModel.find({
+    startDate: {$lte: now},
+    endDate: {$gt: now}
+  }).lean()
+
+/*
+ * Whether a silence covers the channel's alert, a silence without a channel
+ * or condition covering every channel or condition
+ */
+const isSilenced = (silences, channel, alert) =>
+  silences.some(
+    silence =>
+      (silence.channelID == null || silence.channelID.equals(channel._id)) &&
+      (silence.condition == null ||
+        silence.condition === (alert.condition || 'status'))
+  )
+
 const findGroup = (groupID, callback) =>
   ContactGroupModel.findOne({_id: groupID}, callback)
 
@@ -166,18 +291,24 @@ const countTotalTransactionsForChannel = (channel, dateFrom, callback) =>
     callback
   )
 
-function findOneAlert(channel, alert, dateFrom, user, alertStatus, callback) {
-  const criteria = {
-    timestamp: {$gte: dateFrom},
-    channelID: channel._id,
-    condition: alert.condition,
-    status:
-      alert.condition === 'auto-retry-max-attempted' ? '500' : alert.status,
-    alertStatus
-  }
-  if (user) {
-    criteria.user = user
-  }
+function findOneAlert(
+  channel,
+  alert,
+  dateFrom,
+  recipient,
+  alertStatus,
+  callback
+) {
+  const criteria = Object.assign(
+    {
+      timestamp: {$gte: dateFrom},
+      channelID: channel._id,
+      condition: alert.condition,
+      status: getAlertStatus(alert),
+      alertStatus
+    },
+    recipient
+  )
   return AlertModel.findOne(criteria).exec(callback)
 }
 
@@ -272,11 +403,166 @@ const findTransactionsMaxRetried = (channel, alert, dateFrom, callback) =>
       )
     })
 
+/*
+ * The period an alert's metrics are totalled over, up to the last complete
+ * minute. Longer windows total the hour metrics of the hours before the
+ * current one and the minute metrics of the current hour, so they span at
+ * least the window's minutes.
+ */
+function getMetricsWindow(alert, now = new Date()) {
+  const windowMinutes = alert.windowMinutes || DEFAULT_WINDOW_MINUTES
+  const endDate = moment(now).startOf('minute')
+  if (windowMinutes <= MAX_MINUTE_METRICS_WINDOW) {
+    const startDate = endDate.clone().subtract(windowMinutes, 'minutes')
+    return {
+      startDate: startDate.toDate(),
+      endDate: endDate.toDate(),
+      windowMinutes,
+      periods: [
+        {
+          type: METRIC_TYPE_MINUTE,
+          startDate: startDate.toDate(),
+          endDate: endDate.toDate()
+        }
+      ]
+    }
+  }
+
+  const hourStart = moment(now).startOf('hour')
+  const currentHourMinutes = endDate.diff(hourStart, 'minutes')
+  const hours = Math.ceil((windowMinutes - currentHourMinutes) / 60)
+  const startDate = hourStart.clone().subtract(hours, 'hours')
+  const periods = [
+    {
+      type: METRIC_TYPE_HOUR,
+      startDate: startDate.toDate(),
+      endDate: hourStart.toDate()
+    }
+  ]
+  if (currentHourMinutes > 0) {
+    periods.push({
+      type: METRIC_TYPE_MINUTE,
+      startDate: hourStart.toDate(),
+      endDate: endDate.toDate()
+    })
+  }
+  return {
+    startDate: startDate.toDate(),
+    endDate: endDate.toDate(),
+    windowMinutes: hours * 60 + currentHourMinutes,
+    periods
+  }
+}
+
+/*
+ * The requests a channel usually receives in a window, from the hour metrics
+ * of the day before the window. It isn't rounded so that channels with little
+ * traffic still have a usual amount to spike from.
+ */
+async function getTrafficBaseline(channel, window) {
+  const endDate = moment(window.startDate).startOf('hour')
+  const total = await metrics.totalChannelMetrics(channel._id, [
+    {
+      type: METRIC_TYPE_HOUR,
+      startDate: endDate
+        .clone()
+        .subtract(SPIKE_BASELINE_HOURS, 'hours')
+        .toDate(),
+      endDate: endDate.toDate()
+    }
+  ])
+  return (total.requests / (SPIKE_BASELINE_HOURS * 60)) * window.windowMinutes
+}
+
+/*
+ * Resolves with the measurement of the channel's metrics that breached the
+ * alert's threshold, or null when they didn't
+ */
+async function measureMetricsCondition(channel, alert, window) {
+  const total = await metrics.totalChannelMetrics(channel._id, window.periods)
+  const measurement = {
+    windowMinutes: window.windowMinutes,
+    requests: total.requests
+  }
+
+  if (alert.condition === 'response-time') {
+    if (alert.responseTimeThreshold == null) {
+      throw new Error(
+        `The response-time alert of channel ${channel.name} has no responseTimeThreshold`
+      )
+    }
+    if (total.requests === 0) {
+      return null
+    }
+
+    measurement.statistic = alert.responseTimeStatistic || 'average'
+    measurement.responseTime =
+      measurement.statistic === 'average'
+        ? Math.round(total.responseTime / total.requests)
+        : total[`${measurement.statistic}ResponseTime`]
+    return measurement.responseTime > alert.responseTimeThreshold
+      ? measurement
+      : null
+  } else if (alert.condition === 'traffic-drop') {
+    if (alert.minRequests == null) {
+      throw new Error(
+        `The traffic-drop alert of channel ${channel.name} has no minRequests`
+      )
+    }
+    return total.requests < alert.minRequests ? measurement : null
+  }
+
+  if (alert.maxRequests == null && alert.spikeFactor == null) {
+    throw new Error(
+      `The traffic-spike alert of channel ${channel.name} has neither maxRequests nor spikeFactor`
+    )
+  }
+  if (alert.maxRequests != null) {
+    return total.requests > alert.maxRequests ? measurement : null
+  }
+  // a channel without any traffic before has no usual amount to spike from
+  measurement.baseline = await getTrafficBaseline(channel, window)
+  return measurement.baseline > 0 &&
+    total.requests > alert.spikeFactor * measurement.baseline
+    ? measurement
+    : null
+}
+
+/*
+ * Evaluates an alert condition on the channel's metrics. The alert is only
+ * sent once per window while the condition lasts.
+ */
+function findMetricsMatchingCondition(channel, alert, callback) {
+  const window = getMetricsWindow(alert)
+  measureMetricsCondition(channel, alert, window)
+    .then(measurement => {
+      if (measurement == null) {
+        return callback(null, [])
+      }
+      return findOneAlert(
+        channel,
+        alert,
+        window.startDate,
+        null,
+        'Completed',
+        (err, sentAlert) => {
+          if (err) {
+            return callback(err)
+          }
+          return callback(null, sentAlert != null ? [] : [measurement])
+        }
+      )
+    })
+    .catch(err => callback(err))
+}
+
 function findTransactionsMatchingCondition(channel, alert, dateFrom, callback) {
   if (!alert.condition || alert.condition === 'status') {
     return findTransactionsMatchingStatus(channel, alert, dateFrom, callback)
   } else if (alert.condition === 'auto-retry-max-attempted') {
     return findTransactionsMaxRetried(channel, alert, dateFrom, callback)
+  } else if (isMetricCondition(alert)) {
+    return findMetricsMatchingCondition(channel, alert, callback)
   }
   return callback(new Error(`Unsupported condition '${alert.condition}'`))
 }
@@ -306,7 +592,7 @@ function userAlreadyReceivedAlert(channel, alert, user, callback) {
     channel,
     alert,
     dateFrom,
-    user.user,
+    getRecipient(user),
     'Completed',
     (err, userAlert) => callback(err != null ? err : null, !!userAlert)
   )
@@ -317,7 +603,12 @@ function userAlreadyReceivedAlert(channel, alert, user, callback) {
 // Fetch earlier transactions if a user is setup with maxAlerts.
 // If the user has no maxAlerts limit, then the transactions object is returned as is.
 function getTransactionsForAlert(channel, alert, user, transactions, callback) {
-  if (!user.maxAlerts || user.maxAlerts === 'no max') {
+  // metrics alerts are about the metrics of the window, not transactions
+  if (
+    !user.maxAlerts ||
+    user.maxAlerts === 'no max' ||
+    isMetricCondition(alert)
+  ) {
     return callback(null, transactions)
   }
   const dateFrom = calcDateFromForUser(user)
@@ -330,8 +621,35 @@ function getTransactionsForAlert(channel, alert, user, transactions, callback) {
   return findTransactionsMatchingCondition(channel, alert, dateFrom, callback)
 }
 
+// Group contacts aren't users, everything needed to contact them is in the group
+const findAlertUser = (user, callback) =>
+  user.isGroupContact
+    ? callback(null, {})
+    : UserModel.findOne({email: user.user}, callback)
+
+/*
+ * The contacts of a group as alert recipients. A contact is identified by its
+ * address (or its method when it has none, e.g. the default syslog server)
+ * along with its group so that each contact is throttled on its own.
+ */
+const getGroupContacts = group =>
+  Array.from(group.contacts || []).map(groupContact => ({
+    user: groupContact.address || groupContact.method,
+    group: group.group,
+    method: groupContact.method,
+    address: groupContact.address,
+    maxAlerts: groupContact.maxAlerts,
+    isGroupContact: true
+  }))
+
+// The fields of the alert log that identify who an alert was sent to
+const getRecipient = user =>
+  user.isGroupContact
+    ? {user: user.user, method: user.method, group: user.group}
+    : {user: user.user}
+
 const sendAlert = (channel, alert, user, transactions, contactHandler, done) =>
-  UserModel.findOne({email: user.user}, (err, dbUser) => {
+  findAlertUser(user, (err, dbUser) => {
     if (err) {
       return done(err)
     }
@@ -363,6 +681,8 @@ const sendAlert = (channel, alert, user, transactions, contactHandler, done) =>
           let template = statusTemplate(transactionsForAlert, channel, alert)
           if (alert.condition === 'auto-retry-max-attempted') {
             template = maxRetriesTemplate(transactionsForAlert, channel, alert)
+          } else if (isMetricCondition(alert)) {
+            template = metricsTemplate(transactionsForAlert, channel, alert)
           }
 
           if (user.method === 'email') {
@@ -370,14 +690,15 @@ const sendAlert = (channel, alert, user, transactions, contactHandler, done) =>
             const htmlMsg = template.html()
             return contactHandler(
               'email',
-              user.user,
+              user.address || user.user,
               'OpenHIM Alert',
               plainMsg,
               htmlMsg,
               done
             )
           } else if (user.method === 'sms') {
-            if (!dbUser.msisdn) {
+            const msisdn = user.address || dbUser.msisdn
+            if (!msisdn) {
               return done(
                 `Cannot send alert: MSISDN not specified for user '${user.user}'`
               )
@@ -386,12 +707,36 @@ const sendAlert = (channel, alert, user, transactions, contactHandler, done) =>
             const smsMsg = template.sms()
             return contactHandler(
               'sms',
-              dbUser.msisdn,
+              msisdn,
               'OpenHIM Alert',
               smsMsg,
               null,
               done
             )
+          } else if (user.method === 'syslog') {
+            return contactHandler(
+              'syslog',
+              user.address,
+              'OpenHIM Alert',
+              template.plain(),
+              null,
+              done
+            )
+          } else if (user.method === 'webhook' || user.method === 'chat') {
+            if (!user.address) {
+              return done(
+                `Cannot send alert: ${user.method} URL not specified for '${user.user}'`
+              )
+            }
+
+            return contactHandler(
+              user.method,
+              user.address,
+              'OpenHIM Alert',
+              template.plain(),
+              null,
+              done
+            )
           }
           return done(
             `Unknown method '${user.method}' specified for user '${user.user}'`
@@ -416,15 +761,15 @@ function afterSendAlert(
   }
 
   if (!skipSave) {
-    alert = new AlertModel({
-      user: user.user,
-      method: user.method,
-      channelID: channel._id,
-      condition: alert.condition,
-      status:
-        alert.condition === 'auto-retry-max-attempted' ? '500' : alert.status,
-      alertStatus: err ? 'Failed' : 'Completed'
-    })
+    alert = new AlertModel(
+      Object.assign(getRecipient(user), {
+        method: user.method,
+        channelID: channel._id,
+        condition: alert.condition,
+        status: getAlertStatus(alert),
+        alertStatus: err ? 'Failed' : 'Completed'
+      })
+    )
 
     return alert.save(err => {
       if (err) {
@@ -455,7 +800,10 @@ function sendAlerts(channel, alert, transactions, contactHandler, done) {
             return resolve()
           }
 
-          const groupUserPromises = Array.from(result.users).map(user => {
+          const recipients = Array.from(result.users).concat(
+            getGroupContacts(result)
+          )
+          const groupUserPromises = recipients.map(user => {
             return new Promise(resolve => {
               sendAlert(
                 channel,
@@ -528,15 +876,29 @@ function alertingTask(job, contactHandler, done) {
       : new Date()
 
   const _taskStart = new Date()
-  return getAllChannels((err, results) => {
+  return getAllChannels(async (err, results) => {
     if (err) {
       return done(err)
     }
+
+    let silences
+    try {
+      silences = await getActiveSilences()
+    } catch (err) {
+      return done(err)
+    }
+
     const promises = []
 
     for (const channel of Array.from(results)) {
       if (Channels.isChannelEnabled(channel)) {
         for (const alert of Array.from(channel.alerts)) {
+          if (isSilenced(silences, channel, alert)) {
+            logger.debug(
+              `Alert condition ${alert.condition} of channel ${channel.name} is silenced`
+            )
+            continue
+          }
           ;(function (channel, alert) {
             const deferred = new Promise(resolve => {
               const _findStart = new Date()
@@ -595,5 +957,7 @@ export function setupAgenda(agenda) {
 if (process.env.NODE_ENV === 'test') {
   exports.findTransactionsMatchingStatus = findTransactionsMatchingStatus
   exports.findTransactionsMaxRetried = findTransactionsMaxRetried
+  exports.findMetricsMatchingCondition = findMetricsMatchingCondition
+  exports.getMetricsWindow = getMetricsWindow
   exports.alertingTask = alertingTask
 }
@@ -0,0 +1,202 @@
+'use strict'
+
+import logger from 'winston'
+
+import * as authorisation from './authorisation'
+import * as utils from '../utils'
+import {AlertModelAPI, AlertSilenceModelAPI} from '../model/alerts'
+
+const DEFAULT_ALERTS_LIMIT = 100
+
+/**
+ * Retrieves the alerts sent over the last alerts.historyDays days, newest first
+ */
+export async function getAlerts(ctx) {
+  // Must be admin
+  if (!authorisation.inGroup('admin', ctx.authenticated)) {
+    utils.logAndSetResponse(
+      ctx,
+      403,
+      `User ${ctx.authenticated.email} is not an admin, API access to getAlerts denied.`,
+      'info'
+    )
+    return
+  }
+
+  try {
+    const {channelID, condition, user, alertStatus, acknowledged} =
+      ctx.request.query
+    const filterLimit =
+      parseInt(ctx.request.query.filterLimit, 10) || DEFAULT_ALERTS_LIMIT
+    const filterPage = parseInt(ctx.request.query.filterPage, 10) || 0
+
+    const filters = {}
+    if (channelID) {
+      filters.channelID = channelID
+    }
+    if (condition) {
+      filters.condition = condition
+    }
+    if (user) {
+      filters.user = user
+    }
+    if (alertStatus) {
+      filters.alertStatus = alertStatus
+    }
+    if (acknowledged != null) {
+      filters.acknowledgedAt = {$exists: acknowledged === 'true'}
+    }
+
+    ctx.body = await AlertModelAPI.find(filters)
+      .sort({timestamp: -1})
+      .skip(filterPage * filterLimit)
+      .limit(filterLimit)
+      .exec()
+  } catch (err) {
+    utils.logAndSetResponse(
+      ctx,
+      500,
+      `Could not fetch alerts via the API: ${err}`,
+      'error'
+    )
+  }
+}
+
+export async function acknowledgeAlert(ctx, alertId) {
+  // Must be admin
+  if (!authorisation.inGroup('admin', ctx.authenticated)) {
+    utils.logAndSetResponse(
+      ctx,
+      403,
+      `User ${ctx.authenticated.email} is not an admin, API access to acknowledgeAlert denied.`,
+      'info'
+    )
+    return
+  }
+
+  alertId = unescape(alertId)
+
+  try {
+    const result = await AlertModelAPI.findByIdAndUpdate(alertId, {
+      acknowledgedBy: ctx.authenticated.email,
+      acknowledgedAt: new Date()
+    }).exec()
+    if (result === null) {
+      ctx.body = `Alert with id '${alertId}' could not be found.`
+      ctx.status = 404
+      return
+    }
+    ctx.body = 'Successfully acknowledged alert.'
+    logger.info(
+      `User ${ctx.authenticated.email} acknowledged alert with id ${alertId}`
+    )
+  } catch (err) {
+    utils.logAndSetResponse(
+      ctx,
+      500,
+      `Could not acknowledge alert by id ${alertId} via the API: ${err}`,
+      'error'
+    )
+  }
+}
+
+export async function addAlertSilence(ctx) {
+  // Must be admin
+  if (!authorisation.inGroup('admin', ctx.authenticated)) {
+    utils.logAndSetResponse(
+      ctx,
+      403,
+      `User ${ctx.authenticated.email} is not an admin, API access to addAlertSilence denied.`,
+      'info'
+    )
+    return
+  }
+
+  const silenceData = Object.assign({}, ctx.request.body, {
+    createdBy: ctx.authenticated.email
+  })
+
+  try {
+    const silence = new AlertSilenceModelAPI(silenceData)
+    await silence.save()
+
+    utils.logAndSetResponse(
+      ctx,
+      201,
+      `Alerts silenced until ${silence.endDate.toISOString()}`,
+      'info'
+    )
+  } catch (err) {
+    utils.logAndSetResponse(
+      ctx,
+      400,
+      `Could not add an alert silence via the API: ${err}`,
+      'error'
+    )
+  }
+}
+
+/**
+ * Retrieves the alert silences, only those in effect now when active is true
+ */
+export async function getAlertSilences(ctx) {
+  // Must be admin
+  if (!authorisation.inGroup('admin', ctx.authenticated)) {
+    utils.logAndSetResponse(
+      ctx,
+      403,
+      `User ${ctx.authenticated.email} is not an admin, API access to getAlertSilences denied.`,
+      'info'
+    )
+    return
+  }
+
+  try {
+    const filters = {}
+    if (ctx.request.query.active === 'true') {
+      const now = new Date()
+      filters.startDate = {$lte: now}
+      filters.endDate = {$gt: now}
+    }
+
+    ctx.body = await AlertSilenceModelAPI.find(filters)
+      .sort({startDate: -1})
+      .exec()
+  } catch (err) {
+    utils.logAndSetResponse(
+      ctx,
+      500,
+      `Could not fetch alert silences via the API: ${err}`,
+      'error'
+    )
+  }
+}
+
+export async function removeAlertSilence(ctx, silenceId) {
+  // Must be admin
+  if (!authorisation.inGroup('admin', ctx.authenticated)) {
+    utils.logAndSetResponse(
+      ctx,
+      403,
+      `User ${ctx.authenticated.email} is not an admin, API access to removeAlertSilence denied.`,
+      'info'
+    )
+    return
+  }
+
+  silenceId = unescape(silenceId)
+  try {
+    await AlertSilenceModelAPI.findByIdAndRemove(silenceId).exec()
+    ctx.body = `Successfully removed alert silence with ID '${silenceId}'`
+    logger.info(
+      `User ${ctx.authenticated.email} removed alert silence with id ${silenceId}`
+    )
+  } catch (err) {
+    utils.logAndSetResponse(
+      ctx,
+      500,
+      `Could not remove alert silence by id ${silenceId} via the API: ${err}`,
+      'error'
+    )
+  }
+}
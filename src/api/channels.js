@@ -4,11 +4,18 @@ import logger from 'winston'
 import axios from 'axios'
 
 import * as Channels from '../model/channels'
+import * as alerts from '../alerts'
 import * as authorisation from './authorisation'
+import * as circuitBreaker from '../circuitBreaker'
+import * as contentMatching from '../contentMatching'
 import * as polling from '../polling'
+import * as rateLimiting from '../rateLimiting'
+import * as responseCache from '../responseCache'
+import * as routeConditions from '../routeConditions'
 import * as routerMiddleware from '../middleware/router'
 import * as server from '../server'
 import * as tcpAdapter from '../tcpAdapter'
+import * as transforms from '../transforms'
 import * as utils from '../utils'
 import {TransactionModelAPI} from '../model/transactions'
 import {config} from '../config'
@@ -100,6 +107,88 @@ export function validateMethod(channel) {
   }
 }
 
+/*
+ * Checks the channel's header, query parameter and content match rules,
+ * returning the reason when one is invalid
+ */
+export function validateMatchRules(channel) {
+  const rules = [
+    ...(channel.matchHeaders || []),
+    ...(channel.matchQueryParams || [])
+  ]
+
+  for (const rule of rules) {
+    if (utils.isNullOrWhitespace(rule.name)) {
+      return 'Channel match rules must have a name'
+    }
+    if (rule.regex && rule.value != null) {
+      try {
+        utils.compileRegex(rule.value)
+      } catch (err) {
+        return `Channel match rule for '${rule.name}' has an invalid regex: ${err.message}`
+      }
+    }
+  }
+
+  for (const rule of channel.matchContentRules || []) {
+    const reason = contentMatching.validateRule(rule)
+    if (reason != null) {
+      return reason
+    }
+  }
+}
+
+/*
+ * Checks the conditions of the channel's routes, returning the reason when
+ * one is invalid
+ */
+export function validateRouteConditions(channel) {
+  for (const route of channel.routes || []) {
+    const condition = route.condition
+    if (
+      condition == null ||
+      (condition.type == null && condition.expression == null)
+    ) {
+      continue
+    }
+    const reason = routeConditions.validateCondition(condition)
+    if (reason != null) {
+      return `Route ${route.name}: ${reason}`
+    }
+  }
+}
+
+/*
+ * Checks the request and response transforms of the channel and its routes,
+ * returning the reason when one is invalid
+ */
+export function validateTransforms(channel) {
+  const channelTransforms = [
+    ...(channel.transforms || []),
+    ...(channel.routes || []).flatMap(route => route.transforms || [])
+  ]
+
+  for (const transform of channelTransforms) {
+    const reason = transforms.validateTransform(transform)
+    if (reason != null) {
+      return reason
+    }
+  }
+}
+
+/*
+ * Checks the thresholds of the channel's metrics alerts, returning the reason
+ * when one is invalid
+ */
+export function validateAlerts(channel) {
+  for (const alert of channel.alerts || []) {
+    const reason = alerts.validateAlert(alert)
+    if (reason != null) {
+      return reason
+    }
+  }
+}
+
 export function isTimeoutValid(channel) {
   if (channel.timeout == null) {
     return true
@@ -173,6 +262,38 @@ export async function addChannel(ctx) {
       return
     }
 
+    const matchRuleValidation = validateMatchRules(channel)
+
+    if (matchRuleValidation != null) {
+      ctx.body = matchRuleValidation
+      ctx.status = 400
+      return
+    }
+
+    const routeConditionValidation = validateRouteConditions(channelData)
+
+    if (routeConditionValidation != null) {
+      ctx.body = routeConditionValidation
+      ctx.status = 400
+      return
+    }
+
+    const transformValidation = validateTransforms(channelData)
+
+    if (transformValidation != null) {
+      ctx.body = transformValidation
+      ctx.status = 400
+      return
+    }
+
+    const alertValidation = validateAlerts(channelData)
+
+    if (alertValidation != null) {
+      ctx.body = alertValidation
+      ctx.status = 400
+      return
+    }
+
     if (!isTimeoutValid(channel)) {
       ctx.body = TIMEOUT_SECONDS_MESSAGE
       ctx.status = 400
@@ -185,7 +306,9 @@ export async function addChannel(ctx) {
       ctx.status = 400
       return
     }
-    if (numPrimaries > 1) {
+    if (
+      routerMiddleware.numberOfUnconditionalPrimaryRoutes(channel.routes) > 1
+    ) {
       ctx.body = 'Channel cannot have a multiple primary routes'
       ctx.status = 400
       return
@@ -306,6 +429,120 @@ export async function getChannelAudits(ctx, channelId) {
   }
 }
 
+/*
+ * Retrieves the circuit breaker state of the channel's routes
+ */
+export async function getChannelCircuitBreakers(ctx, channelId) {
+  if (!authorisation.inGroup('admin', ctx.authenticated)) {
+    utils.logAndSetResponse(
+      ctx,
+      403,
+      `User ${ctx.authenticated.email} is not an admin, API access to getChannelCircuitBreakers denied.`,
+      'info'
+    )
+    return
+  }
+
+  const id = unescape(channelId)
+
+  try {
+    const channel = await ChannelModel.findById(id).exec()
+    if (channel === null) {
+      ctx.body = `We could not find a channel with Id:'${id}'.`
+      ctx.status = 404
+      return
+    }
+
+    ctx.body = await circuitBreaker.getChannelBreakers(channel)
+  } catch (err) {
+    utils.logAndSetResponse(
+      ctx,
+      500,
+      `Could not fetch circuit breakers for channel ${id} via the API: ${err}`,
+      'error'
+    )
+  }
+}
+
+/*
+ * Retrieves the channel's rate limits and their current usage
+ */
+export async function getChannelRateLimits(ctx, channelId) {
+  if (!authorisation.inGroup('admin', ctx.authenticated)) {
+    utils.logAndSetResponse(
+      ctx,
+      403,
+      `User ${ctx.authenticated.email} is not an admin, API access to getChannelRateLimits denied.`,
+      'info'
+    )
+    return
+  }
+
+  const id = unescape(channelId)
+
+  try {
+    const channel = await ChannelModel.findById(id).lean().exec()
+    if (channel === null) {
+      ctx.body = `We could not find a channel with Id:'${id}'.`
+      ctx.status = 404
+      return
+    }
+
+    ctx.body = {
+      rateLimit: channel.rateLimit,
+      usage: await rateLimiting.getUsage('channel', channel.rateLimit, {
+        channelID: channel._id
+      })
+    }
+  } catch (err) {
+    utils.logAndSetResponse(
+      ctx,
+      500,
+      `Could not fetch rate limits for channel ${id} via the API: ${err}`,
+      'error'
+    )
+  }
+}
+
+/*
+ * Removes the channel's cached responses so that the next requests are routed
+ */
+export async function purgeChannelCache(ctx, channelId) {
+  if (!authorisation.inGroup('admin', ctx.authenticated)) {
+    utils.logAndSetResponse(
+      ctx,
+      403,
+      `User ${ctx.authenticated.email} is not an admin, API access to purgeChannelCache denied.`,
+      'info'
+    )
+    return
+  }
+
+  const id = unescape(channelId)
+
+  try {
+    const channel = await ChannelModel.findById(id).lean().exec()
+    if (channel === null) {
+      ctx.body = `We could not find a channel with Id:'${id}'.`
+      ctx.status = 404
+      return
+    }
+
+    const purged = await responseCache.purgeChannel(channel._id)
+    logger.info(
+      `User ${ctx.authenticated.email} purged ${purged} cached responses of channel ${channel.name}`
+    )
+    ctx.body = {purged}
+  } catch (err) {
+    utils.logAndSetResponse(
+      ctx,
+      500,
+      `Could not purge the response cache of channel ${id} via the API: ${err}`,
+      'error'
+    )
+  }
+}
+
 function processPostUpdateTriggers(channel) {
   if (channel.type) {
     if (
@@ -407,6 +644,38 @@ export async function updateChannel(ctx, channelId) {
     return
   }
 
+  const matchRuleValidation = validateMatchRules(channelData)
+
+  if (matchRuleValidation != null) {
+    ctx.body = matchRuleValidation
+    ctx.status = 400
+    return
+  }
+
+  const routeConditionValidation = validateRouteConditions(channelData)
+
+  if (routeConditionValidation != null) {
+    ctx.body = routeConditionValidation
+    ctx.status = 400
+    return
+  }
+
+  const transformValidation = validateTransforms(channelData)
+
+  if (transformValidation != null) {
+    ctx.body = transformValidation
+    ctx.status = 400
+    return
+  }
+
+  const alertValidation = validateAlerts(channelData)
+
+  if (alertValidation != null) {
+    ctx.body = alertValidation
+    ctx.status = 400
+    return
+  }
+
   // Ignore _id if it exists, user cannot change the internal id
   if (typeof channelData._id !== 'undefined') {
     delete channelData._id
@@ -437,7 +706,10 @@ export async function updateChannel(ctx, channelId) {
       ctx.status = 400
       return
     }
-    if (numPrimaries > 1) {
+    if (
+      routerMiddleware.numberOfUnconditionalPrimaryRoutes(channelData.routes) >
+      1
+    ) {
       ctx.body = 'Channel cannot have a multiple primary routes'
       ctx.status = 400
       return
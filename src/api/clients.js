@@ -3,6 +3,7 @@
 import logger from 'winston'
 
 import * as authorisation from './authorisation'
+import * as rateLimiting from '../rateLimiting'
 import * as utils from '../utils'
 import {ChannelModelAPI} from '../model/channels'
 import {ClientModelAPI} from '../model/clients'
@@ -142,6 +143,50 @@ export async function getClient(ctx, clientId, property) {
   }
 }
 
+/*
+ * Retrieves the client's rate limits and their current usage
+ */
+export async function getClientRateLimits(ctx, clientId) {
+  if (!authorisation.inGroup('admin', ctx.authenticated)) {
+    utils.logAndSetResponse(
+      ctx,
+      403,
+      `User ${ctx.authenticated.email} is not an admin, API access to getClientRateLimits denied.`,
+      'info'
+    )
+    return
+  }
+
+  clientId = unescape(clientId)
+
+  try {
+    const client = await ClientModelAPI.findById(clientId).lean().exec()
+    if (client === null) {
+      utils.logAndSetResponse(
+        ctx,
+        404,
+        `Client with id ${clientId} could not be found.`,
+        'info'
+      )
+      return
+    }
+
+    ctx.body = {
+      rateLimit: client.rateLimit,
+      usage: await rateLimiting.getUsage('client', client.rateLimit, {
+        clientID: client._id
+      })
+    }
+  } catch (err) {
+    utils.logAndSetResponse(
+      ctx,
+      500,
+      `Could not fetch rate limits for client ${clientId} via the API: ${err}`,
+      'error'
+    )
+  }
+}
+
 export async function findClientByDomain(ctx, clientDomain) {
   // Test if the user is authorised
   if (!authorisation.inGroup('admin', ctx.authenticated)) {
@@ -1,9 +1,20 @@
 'use strict'
 
+import logger from 'winston'
+import {PassThrough} from 'stream'
+
 import * as authorisation from './authorisation'
+import * as eventStream from '../eventStream'
 import * as utils from '../utils'
 import {EventModelAPI} from '../model/events'
 
+// Comments are sent on idle streams so that proxies don't close them
+const HEARTBEAT_INTERVAL_MS = 15000
+
+// Events buffered for a client that doesn't read them fast enough, the client
+// is disconnected once this many bytes are waiting to be sent
+const MAX_BUFFERED_BYTES = 1024 * 1024
+
 export async function getLatestEvents(ctx, receivedTime) {
   if (!authorisation.inGroup('admin', ctx.authenticated)) {
     utils.logAndSetResponse(
@@ -30,3 +41,89 @@ export async function getLatestEvents(ctx, receivedTime) {
     )
   }
 }
+
+/*
+ * Streams transaction events as Server-Sent Events as soon as they are saved,
+ * in the same format as getLatestEvents. Only the events of the channels the
+ * user can view are sent, which can be narrowed down with a comma separated
+ * list of channel ids in the channels query parameter.
+ */
+export async function streamEvents(ctx) {
+  let channelIDs
+  try {
+    const channels = await authorisation.getUserViewableChannels(
+      ctx.authenticated
+    )
+    channelIDs = channels.map(channel => channel._id.toString())
+  } catch (err) {
+    utils.logAndSetResponse(
+      ctx,
+      500,
+      `Could not stream events via the API: ${err}`,
+      'error'
+    )
+    return
+  }
+
+  if (ctx.query.channels) {
+    const requestedIDs = ctx.query.channels.split(',').map(id => id.trim())
+    const forbiddenIDs = requestedIDs.filter(id => !channelIDs.includes(id))
+    if (forbiddenIDs.length > 0) {
+      utils.logAndSetResponse(
+        ctx,
+        403,
+        `User ${
+          ctx.authenticated.email
+        } is not allowed to view the events of channels ${forbiddenIDs.join(
+          ', '
+        )}`,
+        'info'
+      )
+      return
+    }
+    channelIDs = requestedIDs
+  }
+
+  const stream = new PassThrough({highWaterMark: MAX_BUFFERED_BYTES})
+  let closed = false
+  const close = () => {
+    if (closed) {
+      return
+    }
+    closed = true
+    clearInterval(heartbeat)
+    unsubscribe()
+    stream.end()
+  }
+  const send = data => {
+    if (closed || stream.write(data)) {
+      return
+    }
+    logger.warn(
+      `Closing the event stream of ${ctx.authenticated.email} as more than ${MAX_BUFFERED_BYTES} bytes of events are waiting to be sent`
+    )
+    close()
+    ctx.res.destroy()
+  }
+
+  const unsubscribe = eventStream.subscribe(channelIDs, events =>
+    send(`data: ${JSON.stringify({events})}\n\n`)
+  )
+  const heartbeat = setInterval(
+    () => send(': heartbeat\n\n'),
+    HEARTBEAT_INTERVAL_MS
+  )
+  ctx.req.on('close', close)
+
+  // the stream stays open until the client disconnects
+  ctx.req.setTimeout(0)
+  ctx.set({
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  })
+  ctx.type = 'text/event-stream'
+  ctx.status = 200
+  ctx.body = stream
+  send(': connected\n\n')
+}
@@ -6,6 +6,7 @@ import mongoose from 'mongoose'
 import {register} from 'prom-client'
 
 import * as authorisation from './authorisation'
+import * as concurrencyLimiter from '../concurrencyLimiter'
 import * as metrics from '../metrics'
 
 // all in one getMetrics generator function for metrics API
@@ -34,17 +35,72 @@ export async function getMetrics(ctx, groupChannels, timeSeries, channelID) {
     return
   }
 
+  const dimensionError = validateDimensionQuery(query)
+  if (dimensionError) {
+    ctx.status = 400
+    ctx.body = dimensionError
+    return
+  }
+
   const filters = {
     startDate: new Date(query.startDate),
     endDate: new Date(query.endDate),
     timeSeries,
-    channels: channelIDs
+    channels: channelIDs,
+    groupBy: query.groupBy
+  }
+  if (query.clients) {
+    filters.clients = splitList(query.clients).map(id =>
+      mongoose.Types.ObjectId(id)
+    )
+  }
+  if (query.routes) {
+    filters.routes = splitList(query.routes)
   }
 
   const results = await metrics.calculateMetrics(filters, groupChannels)
   ctx.body = results.map(convertMetric)
 }
 
+const splitList = value => value.split(',').map(item => item.trim())
+
+/*
+ * Returns a message describing why the client and route query parameters
+ * can't be used, or undefined when they are valid. Metrics are kept per client
+ * or per route, so only one of them can be used at a time.
+ */
+function validateDimensionQuery(query) {
+  if (query.groupBy && !['client', 'route'].includes(query.groupBy)) {
+    return `Metrics can only be grouped by client or route, not ${query.groupBy}`
+  }
+  const clientDimension = query.groupBy === 'client' || query.clients
+  const routeDimension = query.groupBy === 'route' || query.routes
+  if (clientDimension && routeDimension) {
+    return 'Metrics can be filtered and grouped by client or by route, not both'
+  }
+  if (
+    query.clients &&
+    !splitList(query.clients).every(id => mongoose.Types.ObjectId.isValid(id))
+  ) {
+    return `Invalid client ids ${query.clients}`
+  }
+}
+
+/*
+ * Returns the in-flight and queued requests of the concurrency limited
+ * channels the user can view, as seen by the worker serving the request
+ */
+export async function getQueueMetrics(ctx) {
+  const channels = await authorisation.getUserViewableChannels(
+    ctx.authenticated
+  )
+  const channelIDs = channels.map(c => c._id.toString())
+
+  ctx.body = concurrencyLimiter
+    .getQueueStats()
+    .filter(stats => channelIDs.includes(stats.channelID.toString()))
+}
+
 /**
  * Convert metrics to the format expected to be returned by the API to prevent
  * breakage.
@@ -56,14 +112,21 @@ function convertMetric(metric) {
     avgResp: calculateAverage(metric.responseTime, metric.requests),
     minResp: metric.minResponseTime,
     maxResp: metric.maxResponseTime,
+    p50Resp: metric.p50ResponseTime,
+    p95Resp: metric.p95ResponseTime,
+    p99Resp: metric.p99ResponseTime,
     failed: metric.failed,
     successful: metric.successful,
     processing: metric.processing,
     completed: metric.completed,
     completedWErrors: metric.completedWithErrors,
+    rateLimited: metric.rateLimited,
     timestamp: metric.startTime,
     _id: {
       channelID: metric.channelID,
+      clientID: metric.clientID,
+      route: metric.route,
+      routeType: metric.routeType,
       minute: timestamp.minute(),
       hour: timestamp.hour(),
       day: timestamp.day(),
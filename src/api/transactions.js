@@ -7,6 +7,7 @@ import * as authorisation from './authorisation'
 import * as autoRetryUtils from '../autoRetry'
 import * as events from '../middleware/events'
 import * as utils from '../utils'
+import * as webhooks from '../webhooks'
 import {ChannelModelAPI} from '../model/channels'
 import {TransactionModelAPI} from '../model/transactions'
 import {TaskModelAPI} from '../model/tasks'
@@ -731,6 +732,7 @@ export async function updateTransaction(ctx, transactionId) {
   const updates = ctx.request.body
 
   try {
+    let autoRetryExhausted = false
     if (hasError(updates)) {
       const transaction = await TransactionModelAPI.findById(
         transactionId
@@ -741,6 +743,8 @@ export async function updateTransaction(ctx, transactionId) {
       if (!autoRetryUtils.reachedMaxAttempts(transaction, channel)) {
         updates.autoRetry = true
         await autoRetryUtils.queueForRetry(transaction)
+      } else {
+        autoRetryExhausted = true
       }
     }
 
@@ -774,6 +778,16 @@ export async function updateTransaction(ctx, transactionId) {
     )
 
     await generateEvents(updates, updatedTransaction.channelID)
+
+    // transactions of asynchronous mediators reach their final status here
+    // rather than when they are routed
+    if (transactionToUpdate.status !== updatedTransaction.status) {
+      webhooks
+        .notifyTransaction(updatedTransaction, autoRetryExhausted)
+        .catch(err => {
+          logger.error('Sending transaction webhooks failed', err)
+        })
+    }
   } catch (e) {
     utils.logAndSetResponse(
       ctx,
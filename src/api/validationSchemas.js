@@ -0,0 +1,230 @@
+'use strict'
+
+import logger from 'winston'
+
+import * as authorisation from './authorisation'
+import * as requestValidation from '../requestValidation'
+import * as utils from '../utils'
+import {ChannelModelAPI} from '../model/channels'
+import {ValidationSchemaModelAPI} from '../model/validationSchemas'
+
+/*
+ * Returns a message describing why the schema can't be used for validation,
+ * or undefined when it compiles
+ */
+export function validateSchemaDocument(validationSchema) {
+  if (validationSchema.type == null || validationSchema.schema == null) {
+    return
+  }
+
+  try {
+    requestValidation.compileSchema(
+      validationSchema.type,
+      validationSchema.schema
+    )
+  } catch (err) {
+    return `Schema ${validationSchema.name} is not a valid ${validationSchema.type} schema: ${err.message}`
+  }
+}
+
+export async function addValidationSchema(ctx) {
+  // Must be admin
+  if (!authorisation.inGroup('admin', ctx.authenticated)) {
+    utils.logAndSetResponse(
+      ctx,
+      403,
+      `User ${ctx.authenticated.email} is not an admin, API access to addValidationSchema denied.`,
+      'info'
+    )
+    return
+  }
+
+  const validationSchemaData = ctx.request.body
+
+  const schemaError = validateSchemaDocument(validationSchemaData)
+  if (schemaError) {
+    ctx.body = schemaError
+    ctx.status = 400
+    return
+  }
+
+  try {
+    const validationSchema = new ValidationSchemaModelAPI(validationSchemaData)
+    await validationSchema.save()
+
+    utils.logAndSetResponse(
+      ctx,
+      201,
+      'Validation schema successfully created',
+      'info'
+    )
+  } catch (err) {
+    utils.logAndSetResponse(
+      ctx,
+      400,
+      `Could not add a validation schema via the API: ${err}`,
+      'error'
+    )
+  }
+}
+
+export async function getValidationSchema(ctx, validationSchemaId) {
+  // Must be admin
+  if (!authorisation.inGroup('admin', ctx.authenticated)) {
+    utils.logAndSetResponse(
+      ctx,
+      403,
+      `User ${ctx.authenticated.email} is not an admin, API access to getValidationSchema denied.`,
+      'info'
+    )
+    return
+  }
+
+  validationSchemaId = unescape(validationSchemaId)
+
+  try {
+    const result = await ValidationSchemaModelAPI.findById(
+      validationSchemaId
+    ).exec()
+
+    if (result === null) {
+      ctx.body = `Validation schema with id '${validationSchemaId}' could not be found.`
+      ctx.status = 404
+    } else {
+      ctx.body = result
+    }
+  } catch (err) {
+    utils.logAndSetResponse(
+      ctx,
+      500,
+      `Could not find validation schema by id '${validationSchemaId}' via the API: ${err}`,
+      'error'
+    )
+  }
+}
+
+export async function updateValidationSchema(ctx, validationSchemaId) {
+  // Must be admin
+  if (!authorisation.inGroup('admin', ctx.authenticated)) {
+    utils.logAndSetResponse(
+      ctx,
+      403,
+      `User ${ctx.authenticated.email} is not an admin, API access to updateValidationSchema denied.`,
+      'info'
+    )
+    return
+  }
+
+  validationSchemaId = unescape(validationSchemaId)
+  const validationSchemaData = ctx.request.body
+
+  // Ignore _id if it exists, a user shouldnt be able to update the internal id
+  if (validationSchemaData._id) {
+    delete validationSchemaData._id
+  }
+
+  try {
+    const existing = await ValidationSchemaModelAPI.findById(
+      validationSchemaId
+    ).exec()
+    if (existing === null) {
+      ctx.body = `Validation schema with id '${validationSchemaId}' could not be found.`
+      ctx.status = 404
+      return
+    }
+
+    const schemaError = validateSchemaDocument({
+      name: existing.name,
+      type: existing.type,
+      schema: existing.schema,
+      ...validationSchemaData
+    })
+    if (schemaError) {
+      ctx.body = schemaError
+      ctx.status = 400
+      return
+    }
+
+    // a new update time makes the workers compile the schema again
+    validationSchemaData.updated = new Date()
+    await ValidationSchemaModelAPI.findByIdAndUpdate(
+      validationSchemaId,
+      validationSchemaData,
+      {runValidators: true}
+    ).exec()
+    ctx.body = 'Successfully updated validation schema.'
+    logger.info(
+      `User ${ctx.authenticated.email} updated validation schema with id ${validationSchemaId}`
+    )
+  } catch (err) {
+    utils.logAndSetResponse(
+      ctx,
+      500,
+      `Could not update validation schema by id ${validationSchemaId} via the API: ${err}`,
+      'error'
+    )
+  }
+}
+
+export async function removeValidationSchema(ctx, validationSchemaId) {
+  // Must be admin
+  if (!authorisation.inGroup('admin', ctx.authenticated)) {
+    utils.logAndSetResponse(
+      ctx,
+      403,
+      `User ${ctx.authenticated.email} is not an admin, API access to removeValidationSchema denied.`,
+      'info'
+    )
+    return
+  }
+
+  validationSchemaId = unescape(validationSchemaId)
+  try {
+    const linkedChannels = await ChannelModelAPI.find({
+      'requestValidation.schemaID': validationSchemaId
+    }).exec()
+    if (linkedChannels.length > 0) {
+      ctx.status = 409
+      ctx.body = linkedChannels
+    } else {
+      await ValidationSchemaModelAPI.findByIdAndRemove(
+        validationSchemaId
+      ).exec()
+      ctx.body = `Successfully removed validation schema with ID '${validationSchemaId}'`
+      logger.info(
+        `User ${ctx.authenticated.email} removed validation schema with id ${validationSchemaId}`
+      )
+    }
+  } catch (err) {
+    utils.logAndSetResponse(
+      ctx,
+      500,
+      `Could not remove validation schema by id ${validationSchemaId} via the API: ${err}`,
+      'error'
+    )
+  }
+}
+
+export async function getValidationSchemas(ctx) {
+  // Must be admin
+  if (!authorisation.inGroup('admin', ctx.authenticated)) {
+    utils.logAndSetResponse(
+      ctx,
+      403,
+      `User ${ctx.authenticated.email} is not an admin, API access to getValidationSchemas denied.`,
+      'info'
+    )
+    return
+  }
+
+  try {
+    ctx.body = await ValidationSchemaModelAPI.find().exec()
+  } catch (err) {
+    utils.logAndSetResponse(
+      ctx,
+      500,
+      `Could not fetch all validation schemas via the API: ${err}`,
+      'error'
+    )
+  }
+}
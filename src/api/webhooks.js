@@ -0,0 +1,252 @@
+'use strict'
+
+import logger from 'winston'
+
+import * as authorisation from './authorisation'
+import * as utils from '../utils'
+import {WebhookDeliveryModelAPI, WebhookModelAPI} from '../model/webhooks'
+
+// The secret is write only, it is never returned by the API
+const WEBHOOK_PROJECTION = {secret: 0}
+
+const DEFAULT_DELIVERIES_LIMIT = 100
+
+/*
+ * Returns a message describing why the webhook's URL can't be used, or
+ * undefined when it is valid
+ */
+export function validateWebhookUrl(url) {
+  if (url == null) {
+    return
+  }
+
+  let parsed
+  try {
+    parsed = new URL(url)
+  } catch (err) {
+    return `Webhook URL ${url} is not a valid URL`
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return `Webhook URL ${url} must be a http or https URL`
+  }
+}
+
+export async function addWebhook(ctx) {
+  // Must be admin
+  if (!authorisation.inGroup('admin', ctx.authenticated)) {
+    utils.logAndSetResponse(
+      ctx,
+      403,
+      `User ${ctx.authenticated.email} is not an admin, API access to addWebhook denied.`,
+      'info'
+    )
+    return
+  }
+
+  const webhookData = ctx.request.body
+
+  const urlError = validateWebhookUrl(webhookData.url)
+  if (urlError) {
+    ctx.body = urlError
+    ctx.status = 400
+    return
+  }
+
+  try {
+    const webhook = new WebhookModelAPI(webhookData)
+    await webhook.save()
+
+    utils.logAndSetResponse(ctx, 201, 'Webhook successfully created', 'info')
+  } catch (err) {
+    utils.logAndSetResponse(
+      ctx,
+      400,
+      `Could not add a webhook via the API: ${err}`,
+      'error'
+    )
+  }
+}
+
+export async function getWebhook(ctx, webhookId) {
+  // Must be admin
+  if (!authorisation.inGroup('admin', ctx.authenticated)) {
+    utils.logAndSetResponse(
+      ctx,
+      403,
+      `User ${ctx.authenticated.email} is not an admin, API access to getWebhook denied.`,
+      'info'
+    )
+    return
+  }
+
+  webhookId = unescape(webhookId)
+
+  try {
+    const result = await WebhookModelAPI.findById(
+      webhookId,
+      WEBHOOK_PROJECTION
+    ).exec()
+
+    if (result === null) {
+      ctx.body = `Webhook with id '${webhookId}' could not be found.`
+      ctx.status = 404
+    } else {
+      ctx.body = result
+    }
+  } catch (err) {
+    utils.logAndSetResponse(
+      ctx,
+      500,
+      `Could not find webhook by id '${webhookId}' via the API: ${err}`,
+      'error'
+    )
+  }
+}
+
+export async function updateWebhook(ctx, webhookId) {
+  // Must be admin
+  if (!authorisation.inGroup('admin', ctx.authenticated)) {
+    utils.logAndSetResponse(
+      ctx,
+      403,
+      `User ${ctx.authenticated.email} is not an admin, API access to updateWebhook denied.`,
+      'info'
+    )
+    return
+  }
+
+  webhookId = unescape(webhookId)
+  const webhookData = ctx.request.body
+
+  // Ignore _id if it exists, a user shouldnt be able to update the internal id
+  if (webhookData._id) {
+    delete webhookData._id
+  }
+
+  const urlError = validateWebhookUrl(webhookData.url)
+  if (urlError) {
+    ctx.body = urlError
+    ctx.status = 400
+    return
+  }
+
+  try {
+    const result = await WebhookModelAPI.findByIdAndUpdate(
+      webhookId,
+      webhookData,
+      {runValidators: true}
+    ).exec()
+    if (result === null) {
+      ctx.body = `Webhook with id '${webhookId}' could not be found.`
+      ctx.status = 404
+      return
+    }
+    ctx.body = 'Successfully updated webhook.'
+    logger.info(
+      `User ${ctx.authenticated.email} updated webhook with id ${webhookId}`
+    )
+  } catch (err) {
+    utils.logAndSetResponse(
+      ctx,
+      500,
+      `Could not update webhook by id ${webhookId} via the API: ${err}`,
+      'error'
+    )
+  }
+}
+
+export async function removeWebhook(ctx, webhookId) {
+  // Must be admin
+  if (!authorisation.inGroup('admin', ctx.authenticated)) {
+    utils.logAndSetResponse(
+      ctx,
+      403,
+      `User ${ctx.authenticated.email} is not an admin, API access to removeWebhook denied.`,
+      'info'
+    )
+    return
+  }
+
+  webhookId = unescape(webhookId)
+  try {
+    await WebhookModelAPI.findByIdAndRemove(webhookId).exec()
+    ctx.body = `Successfully removed webhook with ID '${webhookId}'`
+    logger.info(
+      `User ${ctx.authenticated.email} removed webhook with id ${webhookId}`
+    )
+  } catch (err) {
+    utils.logAndSetResponse(
+      ctx,
+      500,
+      `Could not remove webhook by id ${webhookId} via the API: ${err}`,
+      'error'
+    )
+  }
+}
+
+export async function getWebhooks(ctx) {
+  // Must be admin
+  if (!authorisation.inGroup('admin', ctx.authenticated)) {
+    utils.logAndSetResponse(
+      ctx,
+      403,
+      `User ${ctx.authenticated.email} is not an admin, API access to getWebhooks denied.`,
+      'info'
+    )
+    return
+  }
+
+  try {
+    ctx.body = await WebhookModelAPI.find({}, WEBHOOK_PROJECTION).exec()
+  } catch (err) {
+    utils.logAndSetResponse(
+      ctx,
+      500,
+      `Could not fetch all webhooks via the API: ${err}`,
+      'error'
+    )
+  }
+}
+
+/**
+ * Retrieves the delivery log of a webhook, newest first
+ */
+export async function getWebhookDeliveries(ctx, webhookId) {
+  // Must be admin
+  if (!authorisation.inGroup('admin', ctx.authenticated)) {
+    utils.logAndSetResponse(
+      ctx,
+      403,
+      `User ${ctx.authenticated.email} is not an admin, API access to getWebhookDeliveries denied.`,
+      'info'
+    )
+    return
+  }
+
+  webhookId = unescape(webhookId)
+
+  try {
+    const {status} = ctx.request.query
+    const filterLimit =
+      parseInt(ctx.request.query.filterLimit, 10) || DEFAULT_DELIVERIES_LIMIT
+    const filterPage = parseInt(ctx.request.query.filterPage, 10) || 0
+
+    const filters = {webhookID: webhookId}
+    if (status) {
+      filters.status = status
+    }
+
+    ctx.body = await WebhookDeliveryModelAPI.find(filters)
+      .sort({created: -1})
+      .skip(filterPage * filterLimit)
+      .limit(filterLimit)
+      .exec()
+  } catch (err) {
+    utils.logAndSetResponse(
+      ctx,
+      500,
+      `Could not fetch the deliveries of webhook ${webhookId} via the API: ${err}`,
+      'error'
+    )
+  }
+}
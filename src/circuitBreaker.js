@@ -0,0 +1,288 @@
+'use strict'
+
+import logger from 'winston'
+
+import * as events from './middleware/events'
+import * as upstreamPool from './upstreamPool'
+import {
+  CircuitBreakerModel,
+  circuitBreakerStates
+} from './model/circuitBreakers'
+import {config} from './config'
+
+config.caching = config.get('caching')
+
+export const CIRCUIT_OPEN_ERROR_CODE = 'ECIRCUITOPEN'
+
+const DEFAULT_SETTINGS = Object.freeze({
+  failureThreshold: 5,
+  resetTimeoutMillis: 30000,
+  failFastStatus: 503
+})
+
+// Local copy of the shared breaker state, refreshed from mongo at the caching interval
+const localStates = {}
+
+export function isEnabled(route) {
+  return Boolean(route.circuitBreaker && route.circuitBreaker.enabled)
+}
+
+export function getSettings(route) {
+  const settings = route.circuitBreaker || {}
+  const valueOrDefault = key =>
+    settings[key] != null ? settings[key] : DEFAULT_SETTINGS[key]
+
+  return {
+    failureThreshold: valueOrDefault('failureThreshold'),
+    resetTimeoutMillis: valueOrDefault('resetTimeoutMillis'),
+    failFastStatus: valueOrDefault('failFastStatus'),
+    failFastBody:
+      settings.failFastBody ||
+      `Route ${route.name} is unavailable, the circuit breaker is open`
+  }
+}
+
+// Breakers are shared by all routes that point to the same upstream
+export function getBreakerKey(route) {
+  if (route.type === 'kafka') {
+    return `kafka:${route.kafkaTopic}`
+  }
+  if (upstreamPool.hasUpstreams(route)) {
+    // a pool only counts as failing once none of its upstreams respond
+    return route.upstreams.map(u => `${u.host}:${u.port}`).join(',')
+  }
+  return `${route.host}:${route.port}`
+}
+
+/*
+ * The upstream a breaker belongs to, stored along with its state: the host and
+ * port of a route, every upstream of a pool or the topic of a kafka route
+ */
+function getBreakerUpstream(route) {
+  if (route.type === 'kafka') {
+    return {kafkaTopic: route.kafkaTopic}
+  }
+  if (upstreamPool.hasUpstreams(route)) {
+    return {
+      upstreams: route.upstreams.map(u => ({host: u.host, port: u.port}))
+    }
+  }
+  return {host: route.host, port: route.port}
+}
+
+function cacheState(key, state) {
+  localStates[key] = {
+    state: state.state,
+    failures: state.failures,
+    openedAt: state.openedAt,
+    lastCheck: new Date()
+  }
+  return localStates[key]
+}
+
+async function getState(key) {
+  const cached = localStates[key]
+  if (
+    config.caching.enabled &&
+    cached != null &&
+    new Date() - cached.lastCheck <= config.caching.refreshMillis
+  ) {
+    return cached
+  }
+
+  let breaker
+  try {
+    breaker = await CircuitBreakerModel.findOne({key}).lean()
+  } catch (err) {
+    // the breaker is optional, so requests aren't failed when it can't be read
+    logger.error(`Reading the circuit breaker state of ${key} failed: ${err}`)
+    return {state: circuitBreakerStates.CLOSED, failures: 0}
+  }
+  return cacheState(
+    key,
+    breaker || {state: circuitBreakerStates.CLOSED, failures: 0}
+  )
+}
+
+function saveStateEvent(ctx, route, state) {
+  if (ctx.transactionId == null || ctx.authorisedChannel == null) {
+    return
+  }
+
+  const trxEvents = []
+  events.createCircuitBreakerEvent(
+    trxEvents,
+    ctx.transactionId,
+    ctx.authorisedChannel,
+    route.name,
+    state
+  )
+  events.saveEvents(trxEvents, err => {
+    if (err) {
+      logger.error(`Saving circuit breaker event failed: ${err}`)
+    }
+  })
+}
+
+function buildCircuitOpenError(route, settings) {
+  const err = new Error(
+    `Circuit breaker for route ${route.name} (${getBreakerKey(route)}) is open`
+  )
+  err.code = CIRCUIT_OPEN_ERROR_CODE
+  err.response = {
+    status: settings.failFastStatus,
+    headers: {},
+    body: settings.failFastBody,
+    timestamp: new Date()
+  }
+  return err
+}
+
+/*
+ * Resolves if a request may be sent to the route, otherwise rejects with a
+ * circuit open error. Once the reset timeout has passed, a single worker wins
+ * the update to half-open and sends the trial request.
+ */
+async function acquire(ctx, route, settings) {
+  const key = getBreakerKey(route)
+  const state = await getState(key)
+
+  if (state.state === circuitBreakerStates.CLOSED) {
+    return
+  }
+
+  if (new Date() - state.openedAt >= settings.resetTimeoutMillis) {
+    const breaker = await CircuitBreakerModel.findOneAndUpdate(
+      {key, state: state.state, openedAt: state.openedAt},
+      {state: circuitBreakerStates.HALF_OPEN, openedAt: new Date()},
+      {new: true}
+    ).lean()
+
+    if (breaker) {
+      cacheState(key, breaker)
+      logger.info(`Circuit breaker for ${key} is half-open, sending trial`)
+      saveStateEvent(ctx, route, circuitBreakerStates.HALF_OPEN)
+      return
+    }
+  }
+
+  throw buildCircuitOpenError(route, settings)
+}
+
+async function recordFailure(ctx, route, settings) {
+  const key = getBreakerKey(route)
+  const breaker = await CircuitBreakerModel.findOneAndUpdate(
+    {key},
+    {
+      $inc: {failures: 1},
+      $set: {lastFailureAt: new Date()},
+      $setOnInsert: Object.assign(getBreakerUpstream(route), {
+        state: circuitBreakerStates.CLOSED
+      })
+    },
+    {upsert: true, new: true}
+  ).lean()
+  cacheState(key, breaker)
+
+  if (
+    breaker.state === circuitBreakerStates.HALF_OPEN ||
+    (breaker.state === circuitBreakerStates.CLOSED &&
+      breaker.failures >= settings.failureThreshold)
+  ) {
+    const opened = await CircuitBreakerModel.findOneAndUpdate(
+      {key, state: breaker.state},
+      {state: circuitBreakerStates.OPEN, openedAt: new Date()},
+      {new: true}
+    ).lean()
+
+    if (opened) {
+      cacheState(key, opened)
+      logger.warn(
+        `Circuit breaker for ${key} opened after ${opened.failures} consecutive failures`
+      )
+      saveStateEvent(ctx, route, circuitBreakerStates.OPEN)
+    }
+  }
+}
+
+async function recordSuccess(ctx, route) {
+  const key = getBreakerKey(route)
+  // Always reset in mongo as other workers may have recorded failures since the
+  // local state was cached. Breakers that are already reset aren't written.
+  const breaker = await CircuitBreakerModel.findOneAndUpdate(
+    {
+      key,
+      $or: [{failures: {$gt: 0}}, {state: {$ne: circuitBreakerStates.CLOSED}}]
+    },
+    {state: circuitBreakerStates.CLOSED, failures: 0, openedAt: null}
+  ).lean()
+  cacheState(key, {state: circuitBreakerStates.CLOSED, failures: 0})
+
+  if (breaker && breaker.state !== circuitBreakerStates.CLOSED) {
+    logger.info(`Circuit breaker for ${key} closed`)
+    saveStateEvent(ctx, route, circuitBreakerStates.CLOSED)
+  }
+}
+
+const isFailureResponse = response => response.status >= 500
+
+function recordOutcome(ctx, route, settings, failed) {
+  const record = failed
+    ? recordFailure(ctx, route, settings)
+    : recordSuccess(ctx, route)
+
+  // The outcome is stored in the background so it doesn't delay the response
+  record.catch(err => {
+    logger.error(`Updating circuit breaker for ${route.name} failed: ${err}`)
+  })
+}
+
+/*
+ * Sends a request through the circuit breaker of the route. The request is a
+ * promise returning function that resolves with a response object.
+ */
+export async function execute(ctx, route, request) {
+  if (!isEnabled(route)) {
+    return request()
+  }
+
+  const settings = getSettings(route)
+  await acquire(ctx, route, settings)
+
+  let response
+  try {
+    response = await request()
+  } catch (err) {
+    recordOutcome(ctx, route, settings, true)
+    throw err
+  }
+
+  recordOutcome(ctx, route, settings, isFailureResponse(response))
+  return response
+}
+
+/*
+ * Returns the breaker state of every route in the channel that has a circuit breaker
+ */
+export async function getChannelBreakers(channel) {
+  const routes = (channel.routes || []).filter(isEnabled)
+  const keys = routes.map(getBreakerKey)
+  const breakers = await CircuitBreakerModel.find({key: {$in: keys}}).lean()
+
+  return routes.map(route => {
+    const key = getBreakerKey(route)
+    const breaker = breakers.find(b => b.key === key) || {}
+    return {
+      route: route.name,
+      key,
+      state: breaker.state || circuitBreakerStates.CLOSED,
+      failures: breaker.failures || 0,
+      openedAt: breaker.openedAt,
+      lastFailureAt: breaker.lastFailureAt
+    }
+  })
+}
+
+if (process.env.NODE_ENV === 'test') {
+  exports.localStates = localStates
+}
@@ -0,0 +1,146 @@
+'use strict'
+
+import logger from 'winston'
+
+export const QUEUE_FULL_ERROR_CODE = 'ECONCURRENCYQUEUEFULL'
+export const QUEUE_TIMEOUT_ERROR_CODE = 'ECONCURRENCYQUEUETIMEOUT'
+
+const DEFAULT_SETTINGS = Object.freeze({
+  maxQueueSize: 100,
+  queueTimeoutMillis: 30000
+})
+
+// In-flight and queued requests of each limited channel in this worker. The
+// limits are per worker, workers of a cluster don't share them.
+const limiters = new Map()
+
+export function isLimited(channel) {
+  return Boolean(
+    channel && channel.concurrency && channel.concurrency.maxConcurrentPerWorker
+  )
+}
+
+export function getSettings(channel) {
+  const settings = channel.concurrency || {}
+  const valueOrDefault = key =>
+    settings[key] != null ? settings[key] : DEFAULT_SETTINGS[key]
+
+  return {
+    maxConcurrentPerWorker: settings.maxConcurrentPerWorker,
+    maxQueueSize: valueOrDefault('maxQueueSize'),
+    queueTimeoutMillis: valueOrDefault('queueTimeoutMillis')
+  }
+}
+
+function getLimiter(channel) {
+  const key = channel._id.toString()
+  if (!limiters.has(key)) {
+    limiters.set(key, {channelID: channel._id, active: 0, queue: []})
+  }
+  const limiter = limiters.get(key)
+  limiter.name = channel.name
+  limiter.settings = getSettings(channel)
+  return limiter
+}
+
+function buildLimitError(code, message) {
+  const err = new Error(message)
+  err.code = code
+  return err
+}
+
+function createRelease(limiter) {
+  let released = false
+
+  return () => {
+    if (released) {
+      return
+    }
+    released = true
+    limiter.active -= 1
+
+    // hand the free slots to the longest waiting requests
+    while (
+      limiter.queue.length > 0 &&
+      limiter.active < limiter.settings.maxConcurrentPerWorker
+    ) {
+      const waiting = limiter.queue.shift()
+      clearTimeout(waiting.timer)
+      limiter.active += 1
+      waiting.resolve(createRelease(limiter))
+    }
+  }
+}
+
+/*
+ * Waits for one of the channel's in-flight request slots. Resolves with a
+ * function that frees the slot again, or rejects when the channel's queue is
+ * full or the request waited longer than the queue timeout.
+ */
+export function acquire(channel) {
+  if (!isLimited(channel)) {
+    return Promise.resolve(() => {})
+  }
+
+  const limiter = getLimiter(channel)
+  const {maxConcurrentPerWorker, maxQueueSize, queueTimeoutMillis} =
+    limiter.settings
+
+  if (limiter.active < maxConcurrentPerWorker) {
+    limiter.active += 1
+    return Promise.resolve(createRelease(limiter))
+  }
+
+  if (limiter.queue.length >= maxQueueSize) {
+    return Promise.reject(
+      buildLimitError(
+        QUEUE_FULL_ERROR_CODE,
+        `Channel ${channel.name} has ${limiter.active} requests in flight and its queue is full`
+      )
+    )
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiting = {resolve}
+    waiting.timer = setTimeout(() => {
+      limiter.queue.splice(limiter.queue.indexOf(waiting), 1)
+      reject(
+        buildLimitError(
+          QUEUE_TIMEOUT_ERROR_CODE,
+          `Request to channel ${channel.name} waited more than ${queueTimeoutMillis}ms in the queue`
+        )
+      )
+    }, queueTimeoutMillis)
+
+    limiter.queue.push(waiting)
+    logger.info(
+      `Queued request to channel ${channel.name}, ${limiter.queue.length} waiting`
+    )
+  })
+}
+
+export function isLimitError(err) {
+  return (
+    err != null &&
+    (err.code === QUEUE_FULL_ERROR_CODE ||
+      err.code === QUEUE_TIMEOUT_ERROR_CODE)
+  )
+}
+
+/*
+ * Returns the number of in-flight and queued requests for each limited channel
+ */
+export function getQueueStats() {
+  return Array.from(limiters.values()).map(limiter => ({
+    channelID: limiter.channelID,
+    channel: limiter.name,
+    maxConcurrentPerWorker: limiter.settings.maxConcurrentPerWorker,
+    maxQueueSize: limiter.settings.maxQueueSize,
+    active: limiter.active,
+    queued: limiter.queue.length
+  }))
+}
+
+if (process.env.NODE_ENV === 'test') {
+  exports.limiters = limiters
+}
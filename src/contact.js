@@ -1,14 +1,34 @@
 'use strict'
 
+import axios from 'axios'
+import dgram from 'dgram'
 import logger from 'winston'
+import net from 'net'
 import nodemailer from 'nodemailer'
-import axios from 'axios'
+import os from 'os'
 
 import {config} from './config'
 
 config.email = config.get('email')
 config.nodemailer = config.get('nodemailer')
 config.smsGateway = config.get('smsGateway')
+config.contactWebhooks = config.get('contactWebhooks')
+config.syslog = config.get('syslog')
+
+const SYSLOG_FACILITIES = {
+  user: 1,
+  daemon: 3,
+  local0: 16,
+  local1: 17,
+  local2: 18,
+  local3: 19,
+  local4: 20,
+  local5: 21,
+  local6: 22,
+  local7: 23
+}
+// Alerts are logged as warnings
+const SYSLOG_SEVERITY_WARNING = 4
 
 export function sendEmail(
   contactAddress,
@@ -86,8 +106,142 @@ function sendSMSClickatell(contactAddress, message, callback) {
 const escapeSpaces = str => str.replace(' ', '+')
 
 /*
- * Send a message to a user using a specific method. Current supported methods are 'email' and 'sms'.
- * contactAddress should contain an email address if the method is 'email' and an MSISDN if the method is 'sms'.
+ * POSTs the message as JSON to a generic HTTP webhook
+ */
+export function sendWebhook(contactAddress, title, message, callback) {
+  logger.info(`Sending message to webhook '${contactAddress}'`)
+
+  return axios
+    .post(
+      contactAddress,
+      {title, message, timestamp: new Date()},
+      {timeout: config.contactWebhooks.timeoutMs}
+    )
+    .then(() => callback(null))
+    .catch(err => callback(err))
+}
+
+/*
+ * Posts the message to a chat incoming webhook. Slack, Mattermost and
+ * Microsoft Teams incoming webhooks all accept a JSON body with a text field.
+ */
+export function sendChatMessage(contactAddress, title, message, callback) {
+  logger.info(`Sending message to chat webhook '${contactAddress}'`)
+
+  return axios
+    .post(
+      contactAddress,
+      {text: `**${title}**\n\n${message}`},
+      {timeout: config.contactWebhooks.timeoutMs}
+    )
+    .then(() => callback(null))
+    .catch(err => callback(err))
+}
+
+/*
+ * Formats a RFC 5424 syslog message, on one line as the alert templates span
+ * several
+ */
+export function formatSyslogMessage(title, message) {
+  const facility = SYSLOG_FACILITIES[config.syslog.facility]
+  const priority = facility * 8 + SYSLOG_SEVERITY_WARNING
+  const text = `${title}: ${message}`
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0)
+    .join(' ')
+  return `<${priority}>1 ${new Date().toISOString()} ${os.hostname()} ${
+    config.syslog.appName
+  } ${process.pid} alert - ${text}`
+}
+
+/*
+ * Sends the message to a syslog server, the one in the config unless the
+ * contact address is another server's host:port
+ */
+export function sendSyslog(contactAddress, title, message, callback) {
+  if (SYSLOG_FACILITIES[config.syslog.facility] == null) {
+    return callback(
+      new Error(`Unknown syslog facility '${config.syslog.facility}'`)
+    )
+  }
+
+  let {host, port} = config.syslog
+  if (contactAddress) {
+    const [addressHost, addressPort] = contactAddress.split(':')
+    host = addressHost
+    port = addressPort != null ? parseInt(addressPort, 10) : port
+  }
+  const syslogMessage = formatSyslogMessage(title, message)
+
+  logger.info(
+    `Sending message to syslog server ${host}:${port} over ${config.syslog.protocol}`
+  )
+
+  if (config.syslog.protocol === 'udp') {
+    const socket = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4')
+    return socket.send(syslogMessage, port, host, err => {
+      socket.close()
+      callback(err != null ? err : null)
+    })
+  } else if (config.syslog.protocol === 'tcp') {
+    // RFC 6587 octet counting frames the message
+    const frame = `${Buffer.byteLength(syslogMessage)} ${syslogMessage}`
+    const socket = net.connect({host, port}, () => socket.end(frame))
+    socket.setTimeout(config.syslog.timeoutMs, () =>
+      socket.destroy(new Error('Timed out sending message to syslog server'))
+    )
+    socket.on('error', callback)
+    return socket.on('close', hadError => {
+      if (!hadError) {
+        callback(null)
+      }
+    })
+  }
+
+  return callback(
+    new Error(`Unknown syslog protocol '${config.syslog.protocol}'`)
+  )
+}
+
+/*
+ * The contact methods by name. Each method is called with the contact
+ * address, the title, the plain text and HTML message and a callback.
+ */
+const contactMethods = {
+  email: (contactAddress, title, messagePlain, messageHTML, callback) =>
+    exports.sendEmail(
+      contactAddress,
+      title,
+      messagePlain,
+      messageHTML,
+      callback
+    ),
+  sms: (contactAddress, title, messagePlain, messageHTML, callback) =>
+    sendSMS(contactAddress, messagePlain, callback),
+  webhook: (contactAddress, title, messagePlain, messageHTML, callback) =>
+    exports.sendWebhook(contactAddress, title, messagePlain, callback),
+  chat: (contactAddress, title, messagePlain, messageHTML, callback) =>
+    exports.sendChatMessage(contactAddress, title, messagePlain, callback),
+  syslog: (contactAddress, title, messagePlain, messageHTML, callback) =>
+    exports.sendSyslog(contactAddress, title, messagePlain, callback)
+}
+
+/*
+ * Adds a contact method, or replaces the handler of an existing one
+ */
+export function registerContactMethod(method, handler) {
+  contactMethods[method] = handler
+}
+
+/*
+ * Send a message to a user using a specific method. The supported methods are
+ * 'email', 'sms', 'webhook', 'chat' and 'syslog', and those registered with
+ * registerContactMethod.
+ * contactAddress should contain an email address if the method is 'email', an
+ * MSISDN if the method is 'sms', the URL of the webhook if the method is
+ * 'webhook' or 'chat' and optionally the host:port of the server if the
+ * method is 'syslog'.
  *
  * The contents of the message should be passed via messagePlain.
  * messageHTML is optional and is only used by the 'email' method.
@@ -100,16 +254,14 @@ export function contactUser(
   messageHTML,
   callback
 ) {
-  if (method === 'email') {
-    return exports.sendEmail(
-      contactAddress,
-      title,
-      messagePlain,
-      messageHTML,
-      callback
-    )
-  } else if (method === 'sms') {
-    return sendSMS(contactAddress, messagePlain, callback)
+  if (!Object.prototype.hasOwnProperty.call(contactMethods, method)) {
+    return callback(new Error(`Unknown contact method '${method}'`))
   }
-  return callback(new Error(`Unknown contact method '${method}'`))
+  return contactMethods[method](
+    contactAddress,
+    title,
+    messagePlain,
+    messageHTML,
+    callback
+  )
 }
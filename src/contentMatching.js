@@ -0,0 +1,191 @@
+'use strict'
+
+import logger from 'winston'
+import xpath from 'xpath'
+import {DOMParser as Dom} from '@xmldom/xmldom'
+
+import * as hl7 from './hl7'
+import * as utils from './utils'
+
+export const contentMatchTypes = ['body', 'jsonpath', 'xpath', 'hl7']
+
+export const contentMatchOperators = [
+  'equals',
+  'contains',
+  'regex',
+  'exists',
+  'in'
+]
+
+export const contentMatchLogic = ['AND', 'OR']
+
+const ignoreParseError = () => {}
+const throwParseError = msg => {
+  throw new Error(msg)
+}
+
+const parsers = {
+  jsonpath: text => JSON.parse(text),
+  xpath: text => {
+    const doc = new Dom({
+      errorHandler: {
+        warning: ignoreParseError,
+        error: ignoreParseError,
+        fatalError: throwParseError
+      }
+    }).parseFromString(text)
+    if (doc.documentElement == null) {
+      throw new Error('The body has no root element')
+    }
+    return doc
+  }
+}
+
+/*
+ * Reads the request body for content matching. JSON and XML bodies are parsed
+ * on first use and the result shared by the following rules. A body that can't
+ * be parsed doesn't match any rule that needs it parsed.
+ */
+export function createBodyReader(body) {
+  const text = body == null ? '' : body.toString()
+  const parsed = new Map()
+
+  function parse(type) {
+    if (!parsed.has(type)) {
+      try {
+        parsed.set(type, parsers[type](text))
+      } catch (err) {
+        logger.debug(
+          `Could not parse the request body for ${type} content matching: ${err.message}`
+        )
+        parsed.set(type, null)
+      }
+    }
+    return parsed.get(type)
+  }
+
+  return {text, parse}
+}
+
+const toText = value =>
+  typeof value === 'object' ? JSON.stringify(value) : `${value}`
+
+/*
+ * Returns the values a rule's expression selects from the body. JSON arrays
+ * give one value per element.
+ */
+function extractValues(rule, reader) {
+  switch (rule.type || 'body') {
+    case 'body':
+      return [reader.text]
+    case 'jsonpath': {
+      const json = reader.parse('jsonpath')
+      if (json == null || typeof json !== 'object') {
+        return []
+      }
+      const value = utils.getJSONValByString(json, rule.expression)
+      if (value == null) {
+        return []
+      }
+      return Array.isArray(value) ? value.map(toText) : [toText(value)]
+    }
+    case 'xpath': {
+      const doc = reader.parse('xpath')
+      if (doc == null) {
+        return []
+      }
+      const value = xpath.select(rule.expression, doc).toString()
+      return value === '' ? [] : [value]
+    }
+    case 'hl7': {
+      const value = hl7.getFieldValue(reader.text, rule.expression)
+      return value == null ? [] : [value]
+    }
+    default:
+      return []
+  }
+}
+
+const operators = {
+  equals: (value, rule) => value === rule.value,
+  contains: (value, rule) => value.includes(rule.value),
+  regex: (value, rule) => utils.compileRegex(rule.value).test(value),
+  in: (value, rule) => (rule.values || []).includes(value)
+}
+
+const bodyReaders = new WeakMap()
+
+/*
+ * Returns the reader for a body, so that a request body is only parsed once
+ * however many channels match on its content
+ */
+export function getBodyReader(body) {
+  if (body == null || typeof body !== 'object') {
+    return createBodyReader(body)
+  }
+  if (!bodyReaders.has(body)) {
+    bodyReaders.set(body, createBodyReader(body))
+  }
+  return bodyReaders.get(body)
+}
+
+/*
+ * Evaluates a single content match rule, which matches when any of the
+ * selected values satisfies its operator (equals by default)
+ */
+export function matchesRule(rule, reader) {
+  let values
+  try {
+    values = extractValues(rule, reader)
+  } catch (err) {
+    logger.warn(
+      `Could not evaluate ${rule.type} content match rule '${rule.expression}': ${err.message}`
+    )
+    return false
+  }
+
+  const operator = rule.operator || 'equals'
+  if (operator === 'exists') {
+    return values.length > 0
+  }
+  return values.some(value => operators[operator](value, rule))
+}
+
+/*
+ * Evaluates the rules against the body. With AND logic (the default) every
+ * rule must match, with OR logic any one of them.
+ */
+export function matchesRules(rules, logic, body) {
+  const reader = getBodyReader(body)
+  const matchesReaderRule = rule => matchesRule(rule, reader)
+
+  return logic === 'OR'
+    ? rules.some(matchesReaderRule)
+    : rules.every(matchesReaderRule)
+}
+
+/*
+ * Checks a content match rule, returning the reason when it is invalid
+ */
+export function validateRule(rule) {
+  const type = rule.type || 'body'
+  const operator = rule.operator || 'equals'
+
+  if (type !== 'body' && utils.isNullOrWhitespace(rule.expression)) {
+    return `Content match rules of type ${type} must have an expression`
+  }
+  if (operator === 'in') {
+    if (!Array.isArray(rule.values) || rule.values.length === 0) {
+      return 'Content match rules with the in operator must have a list of values'
+    }
+  } else if (operator !== 'exists' && rule.value == null) {
+    return `Content match rules with the ${operator} operator must have a value`
+  }
+  if (operator === 'regex') {
+    try {
+      utils.compileRegex(rule.value)
+    } catch (err) {
+      return `Content match rule has an invalid regex: ${err.message}`
+    }
+  }
+}
@@ -0,0 +1,160 @@
+'use strict'
+
+import cluster from 'cluster'
+import logger from 'winston'
+import {EventEmitter} from 'events'
+
+import {config} from './config'
+
+config.events = config.get('events')
+
+export const EVENTS_MESSAGE_TYPE = 'transaction-events'
+
+const emitter = new EventEmitter()
+// every open event stream listens for events
+emitter.setMaxListeners(0)
+
+export const SUBSCRIBERS_MESSAGE_TYPE = 'transaction-event-subscribers'
+
+// The ids of the workers with open event streams, kept by the master
+const subscribedWorkers = new Set()
+// The number of workers with open event streams, as last sent by the master
+let subscribedWorkerCount = 0
+
+const isEnabled = () =>
+  config.events == null || config.events.enableStream !== false
+
+const isLocallySubscribed = () => emitter.listenerCount(EVENTS_MESSAGE_TYPE) > 0
+
+// Events are only passed around while an event stream is open somewhere
+const hasSubscribers = () =>
+  cluster.isWorker ? subscribedWorkerCount > 0 : isLocallySubscribed()
+
+/*
+ * Sends saved transaction events to the open event streams. A worker sends
+ * them to the master, which passes them on to the workers with open streams,
+ * so that streams served by any worker get them.
+ */
+export function publish(events) {
+  if (!isEnabled() || events.length === 0 || !hasSubscribers()) {
+    return
+  }
+
+  try {
+    if (cluster.isWorker) {
+      process.send({
+        type: EVENTS_MESSAGE_TYPE,
+        events: JSON.parse(JSON.stringify(events))
+      })
+    } else {
+      emitter.emit(EVENTS_MESSAGE_TYPE, events)
+    }
+  } catch (err) {
+    logger.error(`Could not publish transaction events: ${err}`)
+  }
+}
+
+// Tells the master whether this worker has open event streams, or asks for
+// the number of workers that have when subscribed isn't set
+function sendSubscribed(subscribed) {
+  if (cluster.isWorker) {
+    process.send({type: SUBSCRIBERS_MESSAGE_TYPE, subscribed})
+  }
+}
+
+/*
+ * Calls the listener with the saved events of the given channels, returns a
+ * function that stops listening
+ */
+export function subscribe(channelIDs, listener) {
+  const channels = new Set(channelIDs.map(id => id.toString()))
+  const onEvents = events => {
+    const channelEvents = events.filter(
+      event => event.channelID != null && channels.has(`${event.channelID}`)
+    )
+    if (channelEvents.length > 0) {
+      listener(channelEvents)
+    }
+  }
+
+  emitter.on(EVENTS_MESSAGE_TYPE, onEvents)
+  if (emitter.listenerCount(EVENTS_MESSAGE_TYPE) === 1) {
+    sendSubscribed(true)
+  }
+
+  return () => {
+    emitter.removeListener(EVENTS_MESSAGE_TYPE, onEvents)
+    if (!isLocallySubscribed()) {
+      sendSubscribed(false)
+    }
+  }
+}
+
+function broadcastSubscribedWorkers() {
+  for (const id in cluster.workers) {
+    cluster.workers[id].send({
+      type: SUBSCRIBERS_MESSAGE_TYPE,
+      workers: subscribedWorkers.size
+    })
+  }
+}
+
+/*
+ * Handles the event stream messages a worker sends to the master: passes
+ * published events on to the workers with open streams and keeps every worker
+ * up to date with whether any worker has open streams
+ */
+export function handleWorkerMessage(worker, msg) {
+  if (msg == null) {
+    return
+  }
+  if (msg.type === EVENTS_MESSAGE_TYPE) {
+    for (const id of subscribedWorkers) {
+      if (cluster.workers[id] != null) {
+        cluster.workers[id].send(msg)
+      }
+    }
+  } else if (msg.type === SUBSCRIBERS_MESSAGE_TYPE) {
+    if (msg.subscribed == null) {
+      worker.send({
+        type: SUBSCRIBERS_MESSAGE_TYPE,
+        workers: subscribedWorkers.size
+      })
+      return
+    }
+    if (msg.subscribed) {
+      subscribedWorkers.add(worker.id)
+    } else {
+      subscribedWorkers.delete(worker.id)
+    }
+    broadcastSubscribedWorkers()
+  }
+}
+
+/*
+ * Forgets the event streams of a worker that exited
+ */
+export function removeWorker(worker) {
+  if (subscribedWorkers.delete(worker.id)) {
+    broadcastSubscribedWorkers()
+  }
+}
+
+if (cluster.isWorker) {
+  process.on('message', msg => {
+    if (msg == null) {
+      return
+    }
+    if (msg.type === EVENTS_MESSAGE_TYPE) {
+      emitter.emit(EVENTS_MESSAGE_TYPE, msg.events)
+    } else if (msg.type === SUBSCRIBERS_MESSAGE_TYPE) {
+      subscribedWorkerCount = msg.workers
+    }
+  })
+  // a worker started after streams were opened needs to know about them
+  sendSubscribed()
+}
+
+if (process.env.NODE_ENV === 'test') {
+  exports.subscribedWorkers = subscribedWorkers
+}
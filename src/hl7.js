@@ -0,0 +1,175 @@
+'use strict'
+
+import crypto from 'crypto'
+import moment from 'moment'
+
+import {END_BLOCK, START_BLOCK} from './mllp'
+
+const FRAMING_CHARACTERS = [
+  String.fromCharCode(START_BLOCK),
+  String.fromCharCode(END_BLOCK)
+]
+
+const DEFAULT_ENCODING = Object.freeze({
+  field: '|',
+  component: '^',
+  repetition: '~',
+  escape: '\\',
+  subcomponent: '&'
+})
+
+// Removes MLLP start and end blocks left around a segment
+function trimFraming(segment) {
+  let start = 0
+  let end = segment.length
+  while (start < end && FRAMING_CHARACTERS.includes(segment[start])) {
+    start++
+  }
+  while (end > start && FRAMING_CHARACTERS.includes(segment[end - 1])) {
+    end--
+  }
+  return segment.slice(start, end)
+}
+
+/*
+ * Splits an HL7v2 (ER7) message into its segments. Segments are terminated by
+ * a carriage return, but line feeds are accepted as well.
+ */
+export function getSegments(message) {
+  return `${message}`
+    .split(/\r\n|\r|\n/)
+    .map(trimFraming)
+    .filter(segment => segment.length > 0)
+}
+
+/*
+ * Reads the encoding characters from the MSH segment (MSH-1 and MSH-2)
+ */
+export function getEncoding(message) {
+  const msh = getSegments(message).find(segment => segment.startsWith('MSH'))
+  if (!msh || msh.length < 8) {
+    return DEFAULT_ENCODING
+  }
+
+  return {
+    field: msh[3],
+    component: msh[4],
+    repetition: msh[5],
+    escape: msh[6],
+    subcomponent: msh[7]
+  }
+}
+
+/*
+ * Returns the fields of a segment indexed by their HL7 field number, i.e.
+ * fields[3] is PID-3. For MSH the field separator itself is MSH-1.
+ */
+export function getFields(segment, encoding = DEFAULT_ENCODING) {
+  const fields = segment.split(encoding.field)
+  if (fields[0] === 'MSH') {
+    fields.splice(1, 0, encoding.field)
+  }
+  return fields
+}
+
+const FIELD_EXPRESSION = /^([A-Z][A-Z0-9]{2})-(\d+)(?:\.(\d+))?(?:\.(\d+))?$/
+
+export function isFieldExpression(expression) {
+  return FIELD_EXPRESSION.test(expression)
+}
+
+/*
+ * Gets a value from an HL7v2 message by a terser style expression such as
+ * MSH-9, MSH-9.1 or PID-3.1.2 (segment-field.component.subcomponent). Only
+ * the first occurrence of the segment and the first repetition of the field are
+ * considered. Returns undefined when the value isn't present.
+ */
+export function getFieldValue(message, expression) {
+  const match = FIELD_EXPRESSION.exec(expression)
+  if (!match) {
+    throw new Error(`Invalid HL7 field expression: ${expression}`)
+  }
+  const [, segmentName, fieldNum, componentNum, subcomponentNum] = match
+
+  const encoding = getEncoding(message)
+  const segment = getSegments(message).find(
+    s => s.split(encoding.field)[0] === segmentName
+  )
+  if (!segment) {
+    return
+  }
+
+  let value = getFields(segment, encoding)[Number(fieldNum)]
+  if (value == null) {
+    return
+  }
+  if (segmentName === 'MSH' && Number(fieldNum) <= 2) {
+    return value
+  }
+
+  value = value.split(encoding.repetition)[0]
+  if (componentNum != null) {
+    value = value.split(encoding.component)[Number(componentNum) - 1]
+  }
+  if (value != null && subcomponentNum != null) {
+    value = value.split(encoding.subcomponent)[Number(subcomponentNum) - 1]
+  }
+  return value
+}
+
+export const ackCodes = Object.freeze({
+  ACCEPT: 'AA',
+  ERROR: 'AE',
+  REJECT: 'AR'
+})
+
+/*
+ * Maps the status of the primary route to an acknowledgment code. Client errors
+ * mean the message itself was at fault (AE) while server errors and failed routes
+ * mean it couldn't be processed (AR) and may be sent again.
+ */
+export function getAckCode(status) {
+  if (status >= 200 && status < 400) {
+    return ackCodes.ACCEPT
+  }
+  if (status >= 400 && status < 500) {
+    return ackCodes.ERROR
+  }
+  return ackCodes.REJECT
+}
+
+/*
+ * Builds an ACK for an HL7v2 message using its encoding characters. The sending
+ * and receiving application and facility are swapped, the trigger event,
+ * processing id and version are copied and MSA-2 refers to the message's
+ * control id. The optional text is added as MSA-3.
+ */
+export function buildAck(message, ackCode, text) {
+  const encoding = getEncoding(message)
+  const value = expression => getFieldValue(message, expression) || ''
+
+  const msh = [
+    'MSH',
+    encoding.component +
+      encoding.repetition +
+      encoding.escape +
+      encoding.subcomponent,
+    value('MSH-5'),
+    value('MSH-6'),
+    value('MSH-3'),
+    value('MSH-4'),
+    moment().format('YYYYMMDDHHmmssZZ'),
+    '',
+    ['ACK', value('MSH-9.2'), 'ACK'].join(encoding.component),
+    crypto.randomBytes(10).toString('hex'),
+    value('MSH-11') || 'P',
+    value('MSH-12') || '2.5'
+  ]
+
+  const msa = ['MSA', ackCode, value('MSH-10')]
+  if (text) {
+    msa.push(text)
+  }
+
+  return [msh.join(encoding.field), msa.join(encoding.field)].join('\r')
+}
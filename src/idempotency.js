@@ -0,0 +1,128 @@
+'use strict'
+
+import logger from 'winston'
+
+import * as utils from './utils'
+import {getBodyReader} from './contentMatching'
+import {TransactionModel, transactionStatus} from './model/transactions'
+
+export const IDEMPOTENCY_KEY_HEADER = 'idempotency-key'
+
+const IDEMPOTENT_METHODS = ['POST', 'PUT']
+const DEFAULT_WINDOW_MINUTES = 24 * 60
+
+// Requests whose first attempt ended with these statuses are routed again
+const RETRYABLE_STATUSES = [
+  transactionStatus.FAILED,
+  transactionStatus.RATE_LIMITED
+]
+
+// Headers describing how the original body was sent, which don't apply to the
+// stored copy that is replayed
+const UNREPLAYED_HEADERS = [
+  'connection',
+  'content-encoding',
+  'content-length',
+  'transfer-encoding'
+]
+
+function readBodyKey(ctx, bodyPath) {
+  const json = getBodyReader(ctx.body).parse('jsonpath')
+  if (json == null || typeof json !== 'object') {
+    return null
+  }
+
+  let value
+  try {
+    value = utils.getJSONValByString(json, bodyPath)
+  } catch (err) {
+    return null
+  }
+  return typeof value === 'string' || typeof value === 'number'
+    ? `${value}`
+    : null
+}
+
+/*
+ * Returns the idempotency key of a POST or PUT request to a channel that
+ * deduplicates requests, or null when the request has no key
+ */
+export function getIdempotencyKey(ctx) {
+  const channel = ctx.authorisedChannel
+  if (
+    channel == null ||
+    channel.idempotency == null ||
+    !channel.idempotency.enabled ||
+    !IDEMPOTENT_METHODS.includes(ctx.method)
+  ) {
+    return null
+  }
+
+  const header = ctx.header != null ? ctx.header[IDEMPOTENCY_KEY_HEADER] : null
+  if (header) {
+    return header
+  }
+
+  const {bodyPath} = channel.idempotency
+  if (bodyPath && !ctx.isStreaming) {
+    return readBodyKey(ctx, bodyPath)
+  }
+  return null
+}
+
+/*
+ * Finds the first transaction on the channel with the request's idempotency
+ * key within the channel's deduplication window. Transactions stored after
+ * this one are ignored, so that of two simultaneous requests only the later is
+ * treated as the duplicate.
+ */
+export function findOriginalTransaction(ctx, now = new Date()) {
+  const channel = ctx.authorisedChannel
+  const windowMinutes =
+    channel.idempotency.windowMinutes || DEFAULT_WINDOW_MINUTES
+
+  return TransactionModel.findOne({
+    _id: {$lt: ctx.transactionId},
+    channelID: channel._id,
+    idempotencyKey: ctx.idempotencyKey,
+    duplicateOf: {$exists: false},
+    status: {$nin: RETRYABLE_STATUSES},
+    'request.timestamp': {$gte: new Date(now.getTime() - windowMinutes * 60000)}
+  })
+    .sort({'request.timestamp': 1})
+    .lean()
+}
+
+const unescapeHeaderName = name =>
+  name.replace(/\uff0e/g, '.').replace(/\uff04/g, '$')
+
+/*
+ * Responds to a repeated request with the original transaction's stored
+ * response, or with a 409 while the original is still being processed
+ */
+export function replayResponse(ctx, original) {
+  ctx.duplicateOf = original._id
+  ctx.response.set('X-OpenHIM-Duplicate-Of', original._id.toString())
+  ctx.response.timestamp = new Date()
+
+  if (original.response == null || original.response.status == null) {
+    const message = `A request with idempotency key ${ctx.idempotencyKey} is still being processed by transaction ${original._id}`
+    logger.info(`[${ctx.transactionId}] ${message}`)
+    ctx.response.status = 409
+    ctx.response.body = message
+    return
+  }
+
+  logger.info(
+    `[${ctx.transactionId}] Replaying the response of transaction ${original._id} for idempotency key ${ctx.idempotencyKey}`
+  )
+  const headers = original.response.headers || {}
+  for (const name of Object.keys(headers)) {
+    const header = unescapeHeaderName(name)
+    if (!UNREPLAYED_HEADERS.includes(header.toLowerCase())) {
+      ctx.response.set(header, headers[name])
+    }
+  }
+  ctx.response.status = original.response.status
+  ctx.response.body = original.response.body || ''
+}
@@ -33,6 +33,22 @@ export class KafkaProducerManager {
     }
   }
 
+  /*
+   * Lists the producers with the channel and client id they were created for
+   */
+  static getProducers() {
+    return Object.keys(this.kafkaSet).map(key => {
+      // keys are urn:<channelName>:<clientId>:<timeout>, channel names may
+      // contain colons
+      const [, channelName, clientId] = key.match(/^urn:(.*):([^:]*):([^:]*)$/)
+      return {
+        channelName,
+        clientId,
+        isConnected: this.kafkaSet[key].isConnected
+      }
+    })
+  }
+
   static getKafkaInstance(channelName, clientId, timeout) {
     return this.kafkaSet[`urn:${channelName}:${clientId}:${timeout}`]
   }
@@ -8,6 +8,7 @@ import session from 'koa-session'
 import compose from 'koa-compose'
 
 import * as about from './api/about'
+import * as alerts from './api/alerts'
 import * as apps from './api/apps'
 import * as audits from './api/audits'
 import * as authentication from './api/authentication'
@@ -27,7 +28,9 @@ import * as serverRestart from './api/restart'
 import * as tasks from './api/tasks'
 import * as transactions from './api/transactions'
 import * as users from './api/users'
+import * as validationSchemas from './api/validationSchemas'
 import * as visualizers from './api/visualizers'
+import * as webhooks from './api/webhooks'
 import passport from './passport'
 import MongooseStore from './middleware/sessionStore'
 import {config} from './config'
@@ -151,6 +154,9 @@ export function setupApp(done) {
 
   app.use(route.get('/clients', clients.getClients))
   app.use(route.get('/clients/:clientId', clients.getClient))
+  app.use(
+    route.get('/clients/:clientId/ratelimits', clients.getClientRateLimits)
+  )
   app.use(route.post('/clients', clients.addClient))
   app.use(
     route.get('/clients/domain/:clientDomain', clients.findClientByDomain)
@@ -194,10 +200,62 @@ export function setupApp(done) {
     route.delete('/groups/:contactGroupId', contactGroups.removeContactGroup)
   )
 
+  app.use(
+    route.get('/validationschemas', validationSchemas.getValidationSchemas)
+  )
+  app.use(
+    route.get(
+      '/validationschemas/:validationSchemaId',
+      validationSchemas.getValidationSchema
+    )
+  )
+  app.use(
+    route.post('/validationschemas', validationSchemas.addValidationSchema)
+  )
+  app.use(
+    route.put(
+      '/validationschemas/:validationSchemaId',
+      validationSchemas.updateValidationSchema
+    )
+  )
+  app.use(
+    route.delete(
+      '/validationschemas/:validationSchemaId',
+      validationSchemas.removeValidationSchema
+    )
+  )
+
+  app.use(route.get('/alerts', alerts.getAlerts))
+  app.use(route.put('/alerts/:alertId/acknowledge', alerts.acknowledgeAlert))
+  app.use(route.get('/alertsilences', alerts.getAlertSilences))
+  app.use(route.post('/alertsilences', alerts.addAlertSilence))
+  app.use(route.delete('/alertsilences/:silenceId', alerts.removeAlertSilence))
+
+  app.use(route.get('/webhooks', webhooks.getWebhooks))
+  app.use(route.get('/webhooks/:webhookId', webhooks.getWebhook))
+  app.use(
+    route.get('/webhooks/:webhookId/deliveries', webhooks.getWebhookDeliveries)
+  )
+  app.use(route.post('/webhooks', webhooks.addWebhook))
+  app.use(route.put('/webhooks/:webhookId', webhooks.updateWebhook))
+  app.use(route.delete('/webhooks/:webhookId', webhooks.removeWebhook))
+
   app.use(route.get('/channels', channels.getChannels))
   app.use(route.post('/channels', channels.addChannel))
   app.use(route.get('/channels/:channelId', channels.getChannel))
   app.use(route.get('/channels/:channelId/audits', channels.getChannelAudits))
+  app.use(
+    route.get(
+      '/channels/:channelId/circuitbreakers',
+      channels.getChannelCircuitBreakers
+    )
+  )
+  app.use(
+    route.get('/channels/:channelId/ratelimits', channels.getChannelRateLimits)
+  )
+  app.use(
+    route.delete('/channels/:channelId/cache', channels.purgeChannelCache)
+  )
   app.use(route.post('/channels/:channelId/trigger', channels.triggerChannel))
   app.use(route.put('/channels/:channelId', channels.updateChannel))
   app.use(route.delete('/channels/:channelId', channels.removeChannel))
@@ -210,6 +268,7 @@ export function setupApp(done) {
 
   app.use(route.get('/metrics', ctx => metrics.getMetrics(ctx, false)))
   app.use(route.get('/metrics/channels', ctx => metrics.getMetrics(ctx, true)))
+  app.use(route.get('/metrics/queues', metrics.getQueueMetrics))
   app.use(
     route.get('/metrics/channels/:channelID', (ctx, channelID) =>
       metrics.getMetrics(ctx, true, null, channelID)
@@ -272,6 +331,7 @@ export function setupApp(done) {
   app.use(route.get('/logs', logs.getLogs))
 
   // Events endpoint
+  app.use(route.get('/events/stream', events.streamEvents))
   app.use(route.get('/events/:receivedTime', events.getLatestEvents))
 
   // Version endpoint
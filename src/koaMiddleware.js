@@ -10,12 +10,17 @@ import * as basicAuthentication from './middleware/basicAuthentication'
 import * as cache from './jwtSecretOrPublicKeyCache'
 import * as customTokenAuthentication from './middleware/customTokenAuthentication'
 import * as events from './middleware/events'
+import * as hl7Ack from './middleware/hl7Ack'
+import * as idempotency from './middleware/idempotency'
 import * as jwtAuthentication from './middleware/jwtAuthentication'
 import * as messageStore from './middleware/messageStore'
 import * as pollingBypassAuthentication from './middleware/pollingBypassAuthentication'
 import * as pollingBypassAuthorisation from './middleware/pollingBypassAuthorisation'
 import * as proxy from './middleware/proxy'
+import * as rateLimit from './middleware/rateLimit'
 import * as requestMatching from './middleware/requestMatching'
+import * as requestValidation from './middleware/requestValidation'
+import * as responseCache from './middleware/responseCache'
 import * as rerunBypassAuthentication from './middleware/rerunBypassAuthentication'
 import * as rerunBypassAuthorisation from './middleware/rerunBypassAuthorisation'
 import * as rerunUpdateTransactionTask from './middleware/rerunUpdateTransactionTask'
@@ -24,6 +29,7 @@ import * as rewrite from './middleware/rewriteUrls'
 import * as router from './middleware/router'
 import * as tcpBypassAuthentication from './middleware/tcpBypassAuthentication'
 import * as tlsAuthentication from './middleware/tlsAuthentication'
+import * as tracing from './middleware/tracing'
 import {config} from './config'
 
 config.authentication = config.get('authentication')
@@ -37,6 +43,17 @@ async function rawBodyReader(ctx, next) {
   await next()
 }
 
+// Leaves the body of requests for streaming channels unread so that the router
+// can pipe it straight to the primary route
+async function streamingBodyReader(ctx, next) {
+  if (await requestMatching.isStreamingRequest(ctx)) {
+    ctx.isStreaming = true
+    await next()
+  } else {
+    await rawBodyReader(ctx, next)
+  }
+}
+
 // Primary app
 export function setupApp(done) {
   const app = new Koa()
@@ -58,7 +75,7 @@ export function setupApp(done) {
     app.use(tlsAuthentication.koaMiddleware)
   }
 
-  app.use(rawBodyReader)
+  app.use(streamingBodyReader)
 
   app.use(requestMatching.koaMiddleware)
 
@@ -74,8 +91,18 @@ export function setupApp(done) {
 
   app.use(proxy.koaMiddleware)
 
+  app.use(tracing.koaMiddleware)
+
   app.use(messageStore.koaMiddleware)
 
+  app.use(rateLimit.koaMiddleware)
+
+  app.use(requestValidation.koaMiddleware)
+
+  app.use(idempotency.koaMiddleware)
+
+  app.use(responseCache.koaMiddleware)
+
   app.use(rewrite.koaMiddleware)
 
   app.use(events.koaMiddleware)
@@ -97,6 +124,8 @@ export function rerunApp(done) {
 
   app.use(rerunUpdateTransactionTask.koaMiddleware)
 
+  app.use(tracing.koaMiddleware)
+
   app.use(messageStore.koaMiddleware)
 
   app.use(authorisation.koaMiddleware)
@@ -119,10 +148,14 @@ export function tcpApp(done) {
 
   app.use(proxy.koaMiddleware)
 
+  app.use(tracing.koaMiddleware)
+
   app.use(messageStore.koaMiddleware)
 
   app.use(events.koaMiddleware)
 
+  app.use(hl7Ack.koaMiddleware)
+
   app.use(router.koaMiddleware)
 
   return done(app)
@@ -138,6 +171,8 @@ export function pollingApp(done) {
 
   app.use(pollingBypassAuthorisation.koaMiddleware)
 
+  app.use(tracing.koaMiddleware)
+
   app.use(messageStore.koaMiddleware)
 
   app.use(events.koaMiddleware)
@@ -0,0 +1,62 @@
+'use strict'
+
+// Each bucket is this factor wider than the one before it, so percentiles are
+// estimated within about 5% of the actual response time
+const GAMMA = 1.1
+const LOG_GAMMA = Math.log(GAMMA)
+
+export const PERCENTILES = [50, 95, 99]
+
+/*
+ * Returns the histogram bucket of a response time in milliseconds. Bucket i
+ * holds the times in (GAMMA^(i-1), GAMMA^i], bucket 0 every time up to 1ms.
+ */
+export function getBucket(responseTime) {
+  if (responseTime <= 1) {
+    return 0
+  }
+  return Math.ceil(Math.log(responseTime) / LOG_GAMMA)
+}
+
+/*
+ * Merges histograms into one, ignoring metrics that were recorded without one
+ */
+export function mergeHistograms(histograms) {
+  const merged = {}
+  for (const histogram of histograms) {
+    if (histogram == null) {
+      continue
+    }
+    for (const bucket of Object.keys(histogram)) {
+      merged[bucket] = (merged[bucket] || 0) + histogram[bucket]
+    }
+  }
+  return merged
+}
+
+/*
+ * Estimates a percentile of the response times in a histogram, within the
+ * known minimum and maximum response time. Returns undefined for an empty
+ * histogram.
+ */
+export function getPercentile(histogram, percentile, min, max) {
+  const buckets = Object.keys(histogram)
+    .map(Number)
+    .sort((a, b) => a - b)
+  const total = buckets.reduce((sum, bucket) => sum + histogram[bucket], 0)
+  if (total === 0) {
+    return undefined
+  }
+
+  const rank = Math.ceil((percentile / 100) * total)
+  let seen = 0
+  for (const bucket of buckets) {
+    seen += histogram[bucket]
+    if (seen >= rank) {
+      // the middle of the bucket has the smallest relative error
+      const estimate =
+        bucket === 0 ? 1 : (2 * Math.pow(GAMMA, bucket)) / (GAMMA + 1)
+      return Math.round(Math.min(Math.max(estimate, min), max))
+    }
+  }
+}
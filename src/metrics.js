@@ -1,9 +1,14 @@
 'use strict'
 
+import logger from 'winston'
 import moment from 'moment'
-import {collectDefaultMetrics, Counter, Histogram} from 'prom-client'
+import {collectDefaultMetrics, Counter, Gauge, Histogram} from 'prom-client'
+import * as concurrencyLimiter from './concurrencyLimiter'
+import * as latencyHistogram from './latencyHistogram'
 import {ChannelModelAPI} from './model/channels'
 import {ClientModelAPI} from './model/clients'
+import {KafkaProducerManager} from './kafkaProducerManager'
+import {connectionAgenda} from './config'
 
 collectDefaultMetrics({prefix: 'openhim_'})
 const txCounter = new Counter({
@@ -17,11 +22,149 @@ const respTimeHistogram = new Histogram({
   labelNames: ['method', 'status', 'client', 'channel', 'code']
 })
 
+const txResponseCounter = new Counter({
+  name: 'openhim_transaction_responses_total',
+  help: 'Transactions by the status class of their response, 4xx and 5xx being failures',
+  labelNames: ['client', 'channel', 'status_class']
+})
+const routeCounter = new Counter({
+  name: 'openhim_route_requests_total',
+  help: 'Requests sent to channel routes by the status class of their response',
+  labelNames: ['channel', 'route', 'status_class']
+})
+const routeHistogram = new Histogram({
+  name: 'openhim_route_request_duration_seconds',
+  help: 'Route response time in seconds, including retries',
+  labelNames: ['channel', 'route']
+})
+
+// Collection that agenda keeps its jobs in
+const AGENDA_JOBS_COLLECTION = 'agendaJobs'
+
+/*
+ * Returns the status class of a response status code, or 'error' when the
+ * request didn't get a response
+ */
+export function getStatusClass(status) {
+  const code = parseInt(status, 10)
+  return isNaN(code) ? 'error' : `${Math.floor(code / 100)}xx`
+}
+
+/*
+ * Records a request sent to one of a channel's routes
+ */
+export function recordRouteMetrics(channel, route, status, responseTime) {
+  const channelName = channel != null ? channel.name : undefined
+  routeCounter.inc({
+    channel: channelName,
+    route: route.name,
+    status_class: getStatusClass(status)
+  })
+  routeHistogram.observe(
+    {channel: channelName, route: route.name},
+    responseTime / 1000
+  )
+}
+
+function collectQueueStats(gauge, key) {
+  gauge.reset()
+  concurrencyLimiter
+    .getQueueStats()
+    .forEach(stats => gauge.set({channel: stats.channel}, stats[key]))
+}
+
+const requestsInFlightGauge = new Gauge({
+  name: 'openhim_channel_requests_in_flight',
+  help: 'Requests being sent to the routes of concurrency limited channels',
+  labelNames: ['channel'],
+  collect() {
+    collectQueueStats(requestsInFlightGauge, 'active')
+  }
+})
+const queueDepthGauge = new Gauge({
+  name: 'openhim_channel_queue_depth',
+  help: 'Requests waiting for a concurrency limited channel',
+  labelNames: ['channel'],
+  collect() {
+    collectQueueStats(queueDepthGauge, 'queued')
+  }
+})
+
+// The jobs are shared by all workers, so report them once rather than summing
+// each worker's count when metrics are aggregated over the cluster
+const agendaJobsGauge = new Gauge({
+  name: 'openhim_agenda_jobs',
+  help: 'Scheduled jobs that are due to run, running or whose last run failed',
+  labelNames: ['job', 'state'],
+  aggregator: 'first',
+  async collect() {
+    agendaJobsGauge.reset()
+    let jobs
+    try {
+      jobs = await getAgendaJobCounts()
+    } catch (err) {
+      logger.debug(`Could not count the agenda jobs: ${err}`)
+      return
+    }
+    jobs.forEach(job =>
+      ['queued', 'running', 'failed'].forEach(state =>
+        agendaJobsGauge.set({job: job._id, state}, job[state])
+      )
+    )
+  }
+})
+const kafkaProducerConnectedGauge = new Gauge({
+  name: 'openhim_kafka_producer_connected',
+  help: 'Whether the Kafka producers of channels are connected to the brokers',
+  labelNames: ['channel', 'client_id'],
+  collect() {
+    kafkaProducerConnectedGauge.reset()
+    KafkaProducerManager.getProducers().forEach(producer =>
+      kafkaProducerConnectedGauge.set(
+        {channel: producer.channelName, client_id: producer.clientId},
+        producer.isConnected ? 1 : 0
+      )
+    )
+  }
+})
+
+function getAgendaJobCounts(now = new Date()) {
+  const isLocked = {$gt: [{$ifNull: ['$lockedAt', null]}, null]}
+  const count = condition => ({$sum: {$cond: [condition, 1, 0]}})
+
+  return connectionAgenda.db
+    .collection(AGENDA_JOBS_COLLECTION)
+    .aggregate([
+      {
+        $group: {
+          _id: '$name',
+          queued: count({
+            $and: [
+              {$not: [isLocked]},
+              {$gt: ['$nextRunAt', null]},
+              {$lte: ['$nextRunAt', now]}
+            ]
+          }),
+          running: count(isLocked),
+          failed: count({
+            $and: [
+              {$gt: ['$failedAt', null]},
+              {$eq: ['$failedAt', '$lastFinishedAt']}
+            ]
+          })
+        }
+      }
+    ])
+    .toArray()
+}
+
 import {
   METRIC_TYPE_DAY,
   METRIC_TYPE_HOUR,
   METRIC_TYPE_MINUTE,
-  MetricModel
+  MetricModel,
+  ROUTE_TYPE_ORCHESTRATION,
+  ROUTE_TYPE_ROUTE
 } from './model'
 
 const TRANSACTION_STATUS_KEYS = {
@@ -29,7 +172,8 @@ const TRANSACTION_STATUS_KEYS = {
   Successful: 'successful',
   Completed: 'completed',
   'Completed with error(s)': 'completedWithErrors',
-  Failed: 'failed'
+  Failed: 'failed',
+  'Rate Limited': 'rateLimited'
 }
 
 const METRIC_UPDATE_OPTIONS = {upsert: true, setDefaultsOnInsert: true}
@@ -42,14 +186,126 @@ const cache = {
   refreshMins: 1
 }
 
+// Metrics are rolled up by channel, and separately by client and by route, so
+// a metric only has the fields of its own dimension
+const DIMENSIONS_ABSENT = {
+  clientID: {$exists: false},
+  route: {$exists: false}
+}
+
 async function recordTransactionMetric(fields, update) {
   return MetricModel.updateOne(
-    fields,
+    Object.assign({}, DIMENSIONS_ABSENT, fields),
     Object.assign({}, update, {$setOnInsert: fields}),
     METRIC_UPDATE_OPTIONS
   )
 }
 
+/*
+ * Records an update to the minute, hour and day metrics of a dimension
+ */
+function recordPeriodMetrics(timestamp, fields, update) {
+  return Promise.all(
+    [
+      [METRIC_TYPE_MINUTE, 'minute'],
+      [METRIC_TYPE_HOUR, 'hour'],
+      [METRIC_TYPE_DAY, 'day']
+    ].map(([type, period]) =>
+      recordTransactionMetric(
+        Object.assign(
+          {type, startTime: moment(timestamp).startOf(period).toDate()},
+          fields
+        ),
+        update
+      )
+    )
+  )
+}
+
+function createMetricUpdate(responseTime, statusKey) {
+  return {
+    $inc: {
+      requests: 1,
+      responseTime,
+      [statusKey]: 1,
+      [`responseTimeHistogram.${latencyHistogram.getBucket(responseTime)}`]: 1
+    },
+    $min: {
+      minResponseTime: responseTime
+    },
+    $max: {
+      maxResponseTime: responseTime
+    }
+  }
+}
+
+/*
+ * Routes are counted as successful for 2xx responses and failed for 5xx
+ * responses or when they didn't respond, like the transaction status
+ */
+function getRouteStatusKey(response) {
+  const status = response != null ? response.status : null
+  if (status == null || (status >= 500 && status <= 599)) {
+    return 'failed'
+  }
+  if (status >= 200 && status <= 299) {
+    return 'successful'
+  }
+  return 'completed'
+}
+
+/*
+ * Returns the requests the transaction made to its primary and secondary routes
+ * and to the downstream services of mediators, which have their timing
+ */
+function getRouteRequests(transaction) {
+  const requests = []
+  const addRequest = (name, routeType, request, response) => {
+    if (
+      request != null &&
+      request.timestamp instanceof Date &&
+      response != null &&
+      response.timestamp instanceof Date
+    ) {
+      requests.push({name, routeType, request, response})
+    }
+  }
+
+  // the primary route's response is the transaction's, but its timing leaves
+  // out the time spent in the OpenHIM before and after routing
+  const timing = transaction.primaryRouteTiming
+  if (transaction.primaryRoute && timing != null) {
+    addRequest(
+      transaction.primaryRoute,
+      ROUTE_TYPE_ROUTE,
+      {timestamp: timing.requestTimestamp},
+      Object.assign({}, transaction.response, {
+        timestamp: timing.responseTimestamp
+      })
+    )
+  }
+  for (const orchestration of transaction.orchestrations || []) {
+    addRequest(
+      orchestration.name,
+      ROUTE_TYPE_ORCHESTRATION,
+      orchestration.request,
+      orchestration.response
+    )
+  }
+  for (const route of transaction.routes || []) {
+    addRequest(route.name, ROUTE_TYPE_ROUTE, route.request, route.response)
+    for (const orchestration of route.orchestrations || []) {
+      addRequest(
+        orchestration.name,
+        ROUTE_TYPE_ORCHESTRATION,
+        orchestration.request,
+        orchestration.response
+      )
+    }
+  }
+  return requests
+}
+
 async function getClientNameFromCache(clientID) {
   if (
     cache.clientsLastFetch.isBefore(
@@ -113,55 +369,49 @@ export async function recordTransactionMetrics(transaction) {
   }
   txCounter.inc(labels)
   respTimeHistogram.observe(labels, responseTime)
+  txResponseCounter.inc({
+    client: labels.client,
+    channel: labels.channel,
+    status_class: getStatusClass(transaction.response.status)
+  })
 
   // collect metrics for internal metric API
-  const update = {
-    $inc: {
-      requests: 1,
-      responseTime,
-      [statusKey]: 1
-    },
-    $min: {
-      minResponseTime: responseTime
-    },
-    $max: {
-      maxResponseTime: responseTime
-    }
-  }
-
-  // Update metrics for the minute bucket
-  const minuteUpdate = recordTransactionMetric(
-    {
-      type: METRIC_TYPE_MINUTE,
-      startTime: moment(transaction.request.timestamp)
-        .startOf('minute')
-        .toDate(),
-      channelID: transaction.channelID
-    },
-    update
-  )
+  const timestamp = transaction.request.timestamp
+  const channelID = transaction.channelID
+  const updates = [
+    recordPeriodMetrics(
+      timestamp,
+      {channelID},
+      createMetricUpdate(responseTime, statusKey)
+    )
+  ]
 
-  // Update metrics for the hour bucket
-  const hourUpdate = recordTransactionMetric(
-    {
-      type: METRIC_TYPE_HOUR,
-      startTime: moment(transaction.request.timestamp).startOf('hour').toDate(),
-      channelID: transaction.channelID
-    },
-    update
-  )
+  if (transaction.clientID) {
+    updates.push(
+      recordPeriodMetrics(
+        timestamp,
+        {channelID, clientID: transaction.clientID},
+        createMetricUpdate(responseTime, statusKey)
+      )
+    )
+  }
 
-  // Update metrics for the day bucket
-  const dayUpdate = recordTransactionMetric(
-    {
-      type: METRIC_TYPE_DAY,
-      startTime: moment(transaction.request.timestamp).startOf('day').toDate(),
-      channelID: transaction.channelID
-    },
-    update
-  )
+  for (const {name, routeType, request, response} of getRouteRequests(
+    transaction
+  )) {
+    updates.push(
+      recordPeriodMetrics(
+        timestamp,
+        {channelID, route: name, routeType},
+        createMetricUpdate(
+          response.timestamp.getTime() - request.timestamp.getTime(),
+          getRouteStatusKey(response)
+        )
+      )
+    )
+  }
 
-  await Promise.all([minuteUpdate, hourUpdate, dayUpdate])
+  await Promise.all(updates)
 }
 
 const METRICS_GROUPINGS = {
@@ -173,7 +423,68 @@ const METRICS_GROUPINGS = {
   failed: {$sum: '$failed'},
   processing: {$sum: '$processing'},
   completed: {$sum: '$completed'},
-  completedWithErrors: {$sum: '$completedWithErrors'}
+  completedWithErrors: {$sum: '$completedWithErrors'},
+  rateLimited: {$sum: '$rateLimited'},
+  responseTimeHistograms: {$push: '$responseTimeHistogram'}
+}
+
+/*
+ * Replaces the histograms collected for a metric with the response time
+ * percentiles, e.g. p95ResponseTime. Metrics recorded before histograms were
+ * kept have no percentiles.
+ */
+function addPercentiles(metric) {
+  // metrics that weren't grouped still have their own histogram
+  const histograms = metric.responseTimeHistograms || [
+    metric.responseTimeHistogram
+  ]
+  const histogram = latencyHistogram.mergeHistograms(histograms.flat())
+  delete metric.responseTimeHistograms
+  delete metric.responseTimeHistogram
+
+  for (const percentile of latencyHistogram.PERCENTILES) {
+    const value = latencyHistogram.getPercentile(
+      histogram,
+      percentile,
+      metric.minResponseTime,
+      metric.maxResponseTime
+    )
+    if (value !== undefined) {
+      metric[`p${percentile}ResponseTime`] = value
+    }
+  }
+  return metric
+}
+
+// Fields that identify the client or route of a metric
+const DIMENSION_FIELDS = {
+  client: ['clientID'],
+  route: ['route', 'routeType']
+}
+
+function getDimension(filters) {
+  if (filters.groupBy) {
+    return filters.groupBy
+  }
+  if (filters.clients) {
+    return 'client'
+  }
+  if (filters.routes) {
+    return 'route'
+  }
+  return null
+}
+
+function getDimensionMatch(filters, dimension) {
+  if (dimension === 'client') {
+    return {
+      clientID: filters.clients ? {$in: filters.clients} : {$exists: true}
+    }
+  }
+  if (dimension === 'route') {
+    return {route: filters.routes ? {$in: filters.routes} : {$exists: true}}
+  }
+  return DIMENSIONS_ABSENT
 }
 
 /**
@@ -184,53 +495,132 @@ const METRICS_GROUPINGS = {
  * @param {Date} filters.endDate End date
  * @param {Object[]} filters.channels Array of channel IDs
  * @param {String} [filters.timeSeries] Time period
+ * @param {Object[]} [filters.clients] Array of client IDs
+ * @param {String[]} [filters.routes] Array of route or orchestration names
+ * @param {String} [filters.groupBy] Dimension to group metrics by, client or route
  * @param {boolean} [groupByChannel=true] Whether to group metrics by channel
  */
 export async function calculateMetrics(filters, groupByChannel = true) {
+  const dimension = getDimension(filters)
+  const groupFields = filters.groupBy ? DIMENSION_FIELDS[filters.groupBy] : []
+  const dimensionIds = {}
+  const dimensionValues = {}
+  for (const field of groupFields) {
+    dimensionIds[field] = `$${field}`
+    dimensionValues[field] = {$first: `$${field}`}
+  }
+
   const pipeline = [
     {
-      $match: {
-        startTime: {
-          $gte: filters.startDate,
-          $lte: filters.endDate
-        },
-        channelID: {
-          $in: filters.channels
+      $match: Object.assign(
+        {
+          startTime: {
+            $gte: filters.startDate,
+            $lte: filters.endDate
+          },
+          channelID: {
+            $in: filters.channels
+          },
+          type: mapTimeSeriesToMetricType(filters.timeSeries)
         },
-        type: mapTimeSeriesToMetricType(filters.timeSeries)
-      }
+        getDimensionMatch(filters, dimension)
+      )
     }
   ]
 
-  if (!groupByChannel) {
+  // A channel has a metric per client or route in each period, which are
+  // combined unless grouping by them
+  const combineDimension = dimension != null && groupFields.length === 0
+
+  if (!groupByChannel || combineDimension) {
     // Combine metrics for different channels if not grouping by channel
+    const channelId = groupByChannel ? {channelID: '$channelID'} : {}
+    const channelValue = groupByChannel
+      ? {channelID: {$first: '$channelID'}}
+      : {}
     pipeline.push({
-      $group: Object.assign({}, METRICS_GROUPINGS, {
-        _id: {
-          startTime: '$startTime',
-          type: '$type'
+      $group: Object.assign(
+        {},
+        METRICS_GROUPINGS,
+        {
+          _id: Object.assign(
+            {
+              startTime: '$startTime',
+              type: '$type'
+            },
+            channelId,
+            dimensionIds
+          ),
+          startTime: {$first: '$startTime'},
+          type: {$first: '$type'}
         },
-        startTime: {$first: '$startTime'},
-        type: {$first: '$type'}
-      })
+        channelValue,
+        dimensionValues
+      )
     })
   }
 
   if (!filters.timeSeries) {
     // Combine metrics by channel if not grouping by time series
     pipeline.push({
-      $group: Object.assign({}, METRICS_GROUPINGS, {
-        _id: {
-          channelID: '$channelID'
-        },
-        channelID: {$first: '$channelID'}
+      $group: Object.assign({}, METRICS_GROUPINGS, dimensionValues, {
+        _id: Object.assign(
+          {
+            channelID: '$channelID'
+          },
+          dimensionIds
+        ),
+        channelID: {$first: '$channelID'},
+        // the histograms are already collected when metrics were combined
+        responseTimeHistograms:
+          !groupByChannel || combineDimension
+            ? {$push: '$responseTimeHistograms'}
+            : {$push: '$responseTimeHistogram'}
       })
     })
   }
 
-  pipeline.push({$sort: {startTime: 1, channelID: 1}})
+  const sort = {startTime: 1, channelID: 1}
+  for (const field of groupFields) {
+    sort[field] = 1
+  }
+  pipeline.push({$sort: sort})
+
+  const results = await MetricModel.aggregate(pipeline)
+  return results.map(addPercentiles)
+}
 
-  return MetricModel.aggregate(pipeline)
+/**
+ * Totals the metrics of a channel that started in one or more periods, with
+ * the response time percentiles. A channel without any requests in the
+ * periods has no metrics, so its total is zero requests.
+ *
+ * @param {Object} channelID
+ * @param {Object[]} periods The metric type, start and (exclusive) end date
+ *   of each period
+ */
+export async function totalChannelMetrics(channelID, periods) {
+  const [total] = await MetricModel.aggregate([
+    {
+      $match: Object.assign(
+        {
+          channelID,
+          $or: periods.map(({type, startDate, endDate}) => ({
+            type,
+            startTime: {$gte: startDate, $lt: endDate}
+          }))
+        },
+        DIMENSIONS_ABSENT
+      )
+    },
+    {$group: Object.assign({_id: null}, METRICS_GROUPINGS)}
+  ])
+
+  if (total == null) {
+    return {requests: 0, responseTime: 0}
+  }
+  delete total._id
+  return addPercentiles(total)
 }
 
 function mapTimeSeriesToMetricType(timeSeries) {
@@ -0,0 +1,37 @@
+'use strict'
+
+import http from 'http'
+import logger from 'winston'
+import {AggregatorRegistry, register} from 'prom-client'
+
+/*
+ * Collects the metrics of every cluster worker, each worker keeps its own
+ */
+export function getClusterMetrics() {
+  return new AggregatorRegistry().clusterMetrics()
+}
+
+/*
+ * Creates the HTTP server that Prometheus scrapes on its own port, outside of
+ * the API's authentication. It runs in the cluster master so that a scrape
+ * covers all workers.
+ */
+export function createMetricsServer(getMetrics = getClusterMetrics) {
+  return http.createServer(async (req, res) => {
+    if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+      res.statusCode = 404
+      res.end()
+      return
+    }
+
+    try {
+      const metrics = await getMetrics()
+      res.setHeader('Content-Type', register.contentType)
+      res.end(metrics)
+    } catch (err) {
+      logger.error(`Could not collect the Prometheus metrics: ${err}`)
+      res.statusCode = 500
+      res.end()
+    }
+  })
+}
@@ -3,6 +3,7 @@
 import logger from 'winston'
 import moment from 'moment'
 
+import * as eventStream from '../eventStream'
 import * as events from '../model/events'
 import {config} from '../config'
 
@@ -60,9 +61,12 @@ export function saveEvents(trxEvents, callback) {
   }
 
   // bypass mongoose for quick batch inserts
-  return events.EventModel.collection.insertMany(trxEvents, err =>
+  return events.EventModel.collection.insertMany(trxEvents, err => {
+    if (!err) {
+      eventStream.publish(trxEvents)
+    }
     callback(err)
-  )
+  })
 }
 
 function createRouteEvents(
@@ -267,6 +271,24 @@ export function createSecondaryRouteEvents(
   return result
 }
 
+export function createCircuitBreakerEvent(
+  dst,
+  transactionId,
+  channel,
+  routeName,
+  state
+) {
+  return dst.push({
+    channelID: channel._id,
+    transactionID: transactionId,
+    normalizedTimestamp: timestampAsMillis(new Date()),
+    type: 'circuit-breaker',
+    event: state,
+    name: routeName,
+    statusType: state === 'closed' ? 'success' : 'error'
+  })
+}
+
 export function createTransactionEvents(dst, transaction, channel) {
   function getPrimaryRouteName() {
     for (const r of Array.from(channel.routes)) {
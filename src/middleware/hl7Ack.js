@@ -0,0 +1,38 @@
+'use strict'
+
+import logger from 'winston'
+
+import * as hl7 from '../hl7'
+
+/*
+ * Replaces the response to an HL7v2 message with an ACK built from the inbound
+ * MSH segment and the status of the primary route.
+ */
+export function setAckResponse(ctx, message) {
+  const status = ctx.response.status
+  const ackCode = hl7.getAckCode(status)
+  const text =
+    ackCode === hl7.ackCodes.ACCEPT
+      ? undefined
+      : `Primary route responded with status ${status}`
+
+  ctx.response.body = hl7.buildAck(message, ackCode, text)
+  ctx.response.type = 'application/hl7-v2'
+  // keep the primary route's status for the transaction unless it would drop the ACK
+  ctx.response.status = status === 204 || status === 304 ? 200 : status
+  logger.info(`[${ctx.transactionId}] Responding with an HL7 ${ackCode} ACK`)
+}
+
+/*
+ * Koa middleware for channels that acknowledge HL7v2 messages themselves
+ */
+export async function koaMiddleware(ctx, next) {
+  // ctx.body is replaced by the route's response
+  const message = ctx.body != null ? ctx.body.toString() : ''
+
+  await next()
+
+  if (ctx.authorisedChannel && ctx.authorisedChannel.autoAck) {
+    setAckResponse(ctx, message)
+  }
+}
@@ -0,0 +1,33 @@
+'use strict'
+
+import logger from 'winston'
+
+import * as idempotency from '../idempotency'
+
+/*
+ * Koa middleware that answers repeated requests with the response of the first
+ * request with the same idempotency key, instead of routing them again. It
+ * runs after the transaction is stored so that the duplicate is recorded as
+ * its own transaction, linked to the original.
+ */
+export async function koaMiddleware(ctx, next) {
+  if (ctx.idempotencyKey == null) {
+    return next()
+  }
+
+  let original = null
+  try {
+    original = await idempotency.findOriginalTransaction(ctx)
+  } catch (err) {
+    logger.error(
+      `Looking up the idempotency key failed, routing the request: ${err}`
+    )
+  }
+
+  if (original != null) {
+    idempotency.replayResponse(ctx, original)
+    return
+  }
+
+  await next()
+}
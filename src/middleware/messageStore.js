@@ -1,12 +1,16 @@
 'use strict'
 
 import logger from 'winston'
+import {finished} from 'stream'
 import {promisify} from 'util'
 
 import * as autoRetryUtils from '../autoRetry'
+import * as idempotency from '../idempotency'
 import * as metrics from '../metrics'
 import * as transactions from '../model/transactions'
+import * as tracing from '../tracing'
 import * as utils from '../utils'
+import * as webhooks from '../webhooks'
 
 const {transactionStatus} = transactions
 
@@ -57,6 +61,18 @@ export function storeTransaction(ctx, done) {
     tx.autoRetryAttempt = ctx.currentAttempt
   }
 
+  if (ctx.trace) {
+    tx.traceId = ctx.trace.traceId
+    tx.spanId = ctx.trace.spanId
+    tx.parentSpanId = ctx.trace.parentSpanId
+  }
+
+  const idempotencyKey = idempotency.getIdempotencyKey(ctx)
+  if (idempotencyKey != null) {
+    tx.idempotencyKey = idempotencyKey
+    ctx.idempotencyKey = idempotencyKey
+  }
+
   // check if channel request body is false and remove - or if request body is empty
   if (ctx.authorisedChannel.requestBody === false || tx.request.body === '') {
     // reset request body
@@ -71,7 +87,10 @@ export function storeTransaction(ctx, done) {
     }
   }
 
-  if (utils.enforceMaxBodiesSize(ctx, tx.request)) {
+  if (ctx.isStreaming) {
+    // the body is streamed to the route and only a capped copy is stored later
+    tx.canRerun = false
+  } else if (utils.enforceMaxBodiesSize(ctx, tx.request)) {
     tx.canRerun = false
   }
 
@@ -99,10 +118,17 @@ export function storeResponse(ctx, done) {
   // if the channel is asynchronous and the response is successful, change the status to 202 otherwise use the original status
   ctx.response.status = status
 
+  let body
+  if (ctx.responseBodyCapture) {
+    body = ctx.responseBodyCapture.getBody()
+  } else {
+    body = !ctx.response.body ? '' : ctx.response.body.toString()
+  }
+
   const res = {
     status,
     headers,
-    body: !ctx.response.body ? '' : ctx.response.body.toString(),
+    body,
     timestamp: ctx.response.timestamp
   }
 
@@ -120,6 +146,13 @@ export function storeResponse(ctx, done) {
 
   utils.enforceMaxBodiesSize(ctx, update.response)
 
+  if (
+    ctx.originalResponseBody != null &&
+    ctx.authorisedChannel.responseBody !== false
+  ) {
+    update.response.originalBody = truncateBody(ctx, ctx.originalResponseBody)
+  }
+
   if (ctx.mediatorResponse) {
     if (ctx.mediatorResponse.orchestrations) {
       update.orchestrations.push(
@@ -138,6 +171,27 @@ export function storeResponse(ctx, done) {
     )
   }
 
+  if (ctx.primaryRoute) {
+    update.primaryRoute = ctx.primaryRoute.name
+    update.primaryRouteTiming = ctx.primaryRouteTiming
+  }
+
+  if (ctx.skippedRoutes) {
+    update.skippedRoutes = ctx.skippedRoutes
+  }
+
+  if (ctx.duplicateOf) {
+    update.duplicateOf = ctx.duplicateOf
+  }
+
+  if (ctx.cacheHit) {
+    update.cacheHit = true
+  }
+
+  if (ctx.requestBodyCapture && ctx.authorisedChannel.requestBody !== false) {
+    update['request.body'] = truncateBody(ctx, ctx.requestBodyCapture.getBody())
+  }
+
   return transactions.TransactionModel.findOneAndUpdate(
     {_id: ctx.transactionId},
     update,
@@ -159,6 +213,12 @@ export function storeResponse(ctx, done) {
   )
 }
 
+function truncateBody(ctx, body) {
+  const tx = {body: body.toString()}
+  utils.enforceMaxBodiesSize(ctx, tx)
+  return tx.body
+}
+
 function truncateOrchestrationBodies(ctx, orchestrations) {
   return orchestrations.map(orch => {
     const truncatedOrchestration = Object.assign({}, orch)
@@ -179,6 +239,7 @@ export function storeNonPrimaryResponse(ctx, route, done) {
   // check if channel response body is false and remove
   if (ctx.authorisedChannel.responseBody === false) {
     route.response.body = ''
+    delete route.response.originalBody
   }
 
   if (ctx.transactionId != null) {
@@ -188,6 +249,14 @@ export function storeNonPrimaryResponse(ctx, route, done) {
     if ((route.response != null ? route.response.body : undefined) != null) {
       utils.enforceMaxBodiesSize(ctx, route.response)
     }
+    if (
+      (route.response != null ? route.response.originalBody : undefined) != null
+    ) {
+      route.response.originalBody = truncateBody(
+        ctx,
+        route.response.originalBody
+      )
+    }
 
     transactions.TransactionModel.findByIdAndUpdate(
       ctx.transactionId,
@@ -234,7 +303,13 @@ export function setFinalStatus(ctx, callback) {
     }
     const update = {}
 
-    if (
+    if (ctx.rejectedTransactionStatus != null) {
+      logger.info(
+        `Transaction ${tx._id} was rejected with status ${ctx.rejectedTransactionStatus}`
+      )
+      ctx.transactionStatus = ctx.rejectedTransactionStatus
+      update.status = ctx.rejectedTransactionStatus
+    } else if (
       (ctx.mediatorResponse != null
         ? ctx.mediatorResponse.status
         : undefined) != null
@@ -294,11 +369,13 @@ export function setFinalStatus(ctx, callback) {
       update.status = tx.status
     }
 
+    let autoRetryExhausted = false
     if (ctx.autoRetry != null) {
       if (!autoRetryUtils.reachedMaxAttempts(tx, ctx.authorisedChannel)) {
         update.autoRetry = ctx.autoRetry
       } else {
         update.autoRetry = false
+        autoRetryExhausted = ctx.autoRetry
       }
     }
 
@@ -321,14 +398,46 @@ export function setFinalStatus(ctx, callback) {
         metrics.recordTransactionMetrics(tx).catch(err => {
           logger.error('Recording transaction metrics failed', err)
         })
+
+        tracing.exportTransactionSpans(ctx, tx)
+
+        webhooks.notifyTransaction(tx, autoRetryExhausted).catch(err => {
+          logger.error('Sending transaction webhooks failed', err)
+        })
       }
     )
   })
 }
 
+// Whether the request was rejected (including when none of the channel's
+// primary route conditions matched), or answered with a replayed or cached
+// response, before it was routed
+const isAnsweredBeforeRouting = ctx =>
+  ctx.rejectedTransactionStatus != null ||
+  ctx.duplicateOf != null ||
+  ctx.cacheHit === true
+
 export async function koaMiddleware(ctx, next) {
   const saveTransaction = promisify(storeTransaction)
   await saveTransaction(ctx)
   await next()
-  storeResponse(ctx, () => {})
+  if (isAnsweredBeforeRouting(ctx)) {
+    // these requests never reach the router, which sets the final status
+    storeResponse(ctx, () =>
+      setFinalStatus(ctx, err => {
+        if (err) {
+          logger.error(
+            `Setting final status failed for transaction: ${ctx.transactionId}`,
+            err
+          )
+        }
+      })
+    )
+  } else if (ctx.isStreaming) {
+    // the response body is still being streamed to the client, store it once
+    // the captured copy is complete
+    finished(ctx.res, () => storeResponse(ctx, () => {}))
+  } else {
+    storeResponse(ctx, () => {})
+  }
 }
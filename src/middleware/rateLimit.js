@@ -0,0 +1,29 @@
+'use strict'
+
+import logger from 'winston'
+
+import * as rateLimiting from '../rateLimiting'
+import {transactionStatus} from '../model/transactions'
+
+/*
+ * Koa middleware that rejects requests over their channel or client rate
+ * limits. It runs after the transaction is stored so that rejected requests
+ * are recorded with their own status.
+ */
+export async function koaMiddleware(ctx, next) {
+  let exceeded = null
+  try {
+    exceeded = await rateLimiting.checkRateLimits(ctx)
+  } catch (err) {
+    // an unavailable counter store shouldn't stop all traffic
+    logger.error(`Checking rate limits failed, allowing the request: ${err}`)
+  }
+
+  if (exceeded != null) {
+    rateLimiting.setRateLimitedResponse(ctx, exceeded)
+    ctx.rejectedTransactionStatus = transactionStatus.RATE_LIMITED
+    return
+  }
+
+  await next()
+}
@@ -2,14 +2,38 @@
 
 import logger from 'winston'
 import xpath from 'xpath'
-import {DOMParser as Dom} from '@xmldom/xmldom'
 import {promisify} from 'util'
 
 import * as Channels from '../model/channels'
+import * as contentMatching from '../contentMatching'
+import * as routeConditions from '../routeConditions'
+import * as streaming from '../streaming'
 import * as utils from '../utils'
 
+const hasContentRules = channel =>
+  channel.matchContentRules != null && channel.matchContentRules.length > 0
+
+const hasContentMatch = channel =>
+  Boolean(
+    hasContentRules(channel) ||
+      channel.matchContentRegex ||
+      channel.matchContentXpath ||
+      channel.matchContentJson
+  )
+
 function matchContent(channel, ctx) {
-  if (channel.matchContentRegex) {
+  if (ctx.body == null && hasContentMatch(channel)) {
+    // the body of streamed requests isn't read
+    return false
+  }
+
+  if (hasContentRules(channel)) {
+    return contentMatching.matchesRules(
+      channel.matchContentRules,
+      channel.matchContentLogic,
+      ctx.body
+    )
+  } else if (channel.matchContentRegex) {
     return matchRegex(channel.matchContentRegex, ctx.body)
   } else if (channel.matchContentXpath && channel.matchContentValue) {
     return matchXpath(
@@ -41,38 +65,41 @@ function matchMethod(channel, ctx) {
   )
 }
 
+// The body is read and parsed once per request through its body reader
+
 function matchRegex(regexPat, body) {
-  const regex = new RegExp(regexPat)
-  return regex.test(body.toString())
+  const regex = utils.compileRegex(regexPat)
+  return regex.test(contentMatching.getBodyReader(body).text)
 }
 
 function matchXpath(xpathStr, val, xml) {
-  const doc = new Dom().parseFromString(xml.toString())
-  const xpathVal = xpath.select(xpathStr, doc).toString()
-  return val === xpathVal
+  const doc = contentMatching.getBodyReader(xml).parse('xpath')
+  if (doc == null) {
+    return false
+  }
+
+  try {
+    const xpathVal = xpath.select(xpathStr, doc).toString()
+    return val === xpathVal
+  } catch (err) {
+    logger.debug(`Could not match the request body XPath: ${err.message}`)
+    return false
+  }
 }
 
 function matchJsonPath(jsonPath, val, json) {
-  const jsonObj = JSON.parse(json.toString())
-  const jsonVal = getJSONValByString(jsonObj, jsonPath)
-  return val === jsonVal.toString()
-}
-
-// taken from http://stackoverflow.com/a/6491621/588776
-// readbility improved from the stackoverflow answer
-function getJSONValByString(jsonObj, jsonPath) {
-  jsonPath = jsonPath.replace(/\[(\w+)\]/g, '.$1') // convert indexes to properties
-  jsonPath = jsonPath.replace(/^\./, '') // strip a leading dot
-  const parts = jsonPath.split('.')
-  while (parts.length) {
-    const part = parts.shift()
-    if (part in jsonObj) {
-      jsonObj = jsonObj[part]
-    } else {
-      return
-    }
+  const jsonObj = contentMatching.getBodyReader(json).parse('jsonpath')
+  if (jsonObj == null) {
+    return false
+  }
+
+  try {
+    const jsonVal = utils.getJSONValByString(jsonObj, jsonPath)
+    return jsonVal != null && val === jsonVal.toString()
+  } catch (err) {
+    logger.debug(`Could not match the request body JSON path: ${err.message}`)
+    return false
   }
-  return jsonObj
 }
 
 function extractContentType(ctHeader) {
@@ -85,7 +112,7 @@ function extractContentType(ctHeader) {
 }
 
 function matchUrlPattern(channel, ctx) {
-  const pat = new RegExp(channel.urlPattern)
+  const pat = utils.compileRegex(channel.urlPattern)
   return pat.test(ctx.request.path)
 }
 
@@ -112,13 +139,42 @@ function matchContentTypes(channel, ctx) {
   }
 }
 
+/*
+ * Match rules are evaluated like route conditions on the named header or
+ * query parameter
+ */
+function matchRules(rules, type, ctx) {
+  if (rules == null) {
+    return true
+  }
+
+  return rules.every(rule =>
+    routeConditions.matches(ctx, {
+      type,
+      expression: rule.name,
+      value: rule.value,
+      regex: rule.regex
+    })
+  )
+}
+
+function matchHeaders(channel, ctx) {
+  return matchRules(channel.matchHeaders, 'header', ctx)
+}
+
+function matchQueryParams(channel, ctx) {
+  return matchRules(channel.matchQueryParams, 'query', ctx)
+}
+
 // Needs to be mutable for testing
 // eslint-disable-next-line
 let matchFunctions = [
   matchUrlPattern,
   matchContent,
   matchMethod,
-  matchContentTypes
+  matchContentTypes,
+  matchHeaders,
+  matchQueryParams
 ]
 
 const matchChannel = (channel, ctx) =>
@@ -127,6 +183,101 @@ const matchChannel = (channel, ctx) =>
 const findMatchingChannel = (channels, ctx) =>
   channels.find(channel => matchChannel(channel, ctx))
 
+const REGEX_SPECIAL_CHARS = '\\^$.|?*+()[]{}'
+
+/*
+ * Returns the literal text every path matching a url pattern starts with, or ''
+ * when the pattern isn't anchored to the start of the path
+ */
+function getLiteralPrefix(urlPattern) {
+  // alternatives may each have a different prefix
+  if (!urlPattern.startsWith('^') || urlPattern.includes('|')) {
+    return ''
+  }
+
+  let prefix = ''
+  let index = 1
+  while (index < urlPattern.length) {
+    let char = urlPattern[index]
+    let length = 1
+    if (char === '\\') {
+      // escaped special characters are literal, character classes are not
+      char = urlPattern[index + 1]
+      length = 2
+      if (char == null || /\w/.test(char)) {
+        break
+      }
+    } else if (REGEX_SPECIAL_CHARS.includes(char)) {
+      break
+    }
+
+    // a character that may be omitted isn't part of the prefix
+    const next = urlPattern[index + length]
+    if (next === '?' || next === '*' || next === '{') {
+      break
+    }
+
+    prefix += char
+    index += length
+  }
+  return prefix
+}
+
+/*
+ * Builds an index of the enabled channels by method and literal path prefix
+ * that returns the channels that could match a request in priority order
+ */
+function buildChannelIndex(channels) {
+  const byMethod = new Map()
+
+  channels.filter(Channels.isChannelEnabled).forEach((channel, position) => {
+    const prefix = getLiteralPrefix(channel.urlPattern)
+    const entry = {channel, position}
+
+    for (const method of new Set(channel.methods || [])) {
+      if (!byMethod.has(method)) {
+        byMethod.set(method, {prefixLengths: new Set(), byPrefix: new Map()})
+      }
+      const methodIndex = byMethod.get(method)
+      methodIndex.prefixLengths.add(prefix.length)
+      if (!methodIndex.byPrefix.has(prefix)) {
+        methodIndex.byPrefix.set(prefix, [])
+      }
+      methodIndex.byPrefix.get(prefix).push(entry)
+    }
+  })
+
+  function getCandidates(ctx) {
+    const methodIndex = byMethod.get(ctx.request.method.toUpperCase())
+    if (methodIndex == null) {
+      return []
+    }
+
+    const {path} = ctx.request
+    const entries = []
+    for (const length of methodIndex.prefixLengths) {
+      if (length <= path.length) {
+        entries.push(...(methodIndex.byPrefix.get(path.slice(0, length)) || []))
+      }
+    }
+    return entries
+      .sort((a, b) => a.position - b.position)
+      .map(entry => entry.channel)
+  }
+
+  return {channels, getCandidates}
+}
+
+// The index is rebuilt whenever the cached channel list is refreshed
+let channelIndex = buildChannelIndex([])
+
+function getChannelIndex(channels) {
+  if (channelIndex.channels !== channels) {
+    channelIndex = buildChannelIndex(channels)
+  }
+  return channelIndex
+}
+
 const matchRequest = (ctx, done) =>
   utils.getAllChannelsInPriorityOrder((err, channels) => {
     if (err) {
@@ -135,12 +286,37 @@ const matchRequest = (ctx, done) =>
       return done()
     }
 
-    channels = channels.filter(Channels.isChannelEnabled)
+    const candidates = getChannelIndex(channels).getCandidates(ctx)
 
-    const match = findMatchingChannel(channels, ctx)
+    const match = findMatchingChannel(candidates, ctx)
     return done(null, match)
   })
 
+/*
+ * Checks whether the request is for a streaming channel before its body is
+ * read. Only the matchers that don't need the body are used, so the request
+ * streams when the first channel they match has streaming enabled. Channels that
+ * match on content always need the body and are never streamed.
+ */
+export async function isStreamingRequest(ctx) {
+  const channels = await promisify(utils.getAllChannelsInPriorityOrder)()
+  const headerMatchFunctions = matchFunctions.filter(
+    matchFunc => matchFunc !== matchContent
+  )
+
+  const channel = getChannelIndex(channels)
+    .getCandidates(ctx)
+    .find(channel =>
+      headerMatchFunctions.every(matchFunc => matchFunc(channel, ctx))
+    )
+
+  return (
+    channel != null &&
+    streaming.isStreamingChannel(channel) &&
+    !hasContentMatch(channel)
+  )
+}
+
 export async function koaMiddleware(ctx, next) {
   const matchReq = promisify(matchRequest)
   const match = await matchReq(ctx)
@@ -165,5 +341,9 @@ if (process.env.NODE_ENV === 'test') {
   exports.matchXpath = matchXpath
   exports.matchJsonPath = matchJsonPath
   exports.extractContentType = extractContentType
+  exports.matchHeaders = matchHeaders
+  exports.matchQueryParams = matchQueryParams
   exports.matchRequest = matchRequest
+  exports.getLiteralPrefix = getLiteralPrefix
+  exports.buildChannelIndex = buildChannelIndex
 }
@@ -0,0 +1,38 @@
+'use strict'
+
+import logger from 'winston'
+
+import * as requestValidation from '../requestValidation'
+import {transactionStatus} from '../model/transactions'
+
+/*
+ * Koa middleware that rejects requests whose bodies aren't valid against the
+ * channel's JSON Schema or XSD. It runs after the transaction is stored so that
+ * the validation errors are recorded with the rejected request.
+ */
+export async function koaMiddleware(ctx, next) {
+  if (!requestValidation.isValidated(ctx)) {
+    return next()
+  }
+
+  let result = null
+  try {
+    result = await requestValidation.validateRequest(ctx)
+  } catch (err) {
+    logger.error(
+      `Validating the request body failed, routing the request: ${err}`
+    )
+  }
+
+  if (result != null && result.errors.length > 0) {
+    requestValidation.setInvalidRequestResponse(
+      ctx,
+      result.schema,
+      result.errors
+    )
+    ctx.rejectedTransactionStatus = transactionStatus.COMPLETED
+    return
+  }
+
+  await next()
+}
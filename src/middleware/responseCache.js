@@ -0,0 +1,43 @@
+'use strict'
+
+import logger from 'winston'
+
+import * as responseCache from '../responseCache'
+
+/*
+ * Koa middleware that answers GET and HEAD requests from the channel's
+ * response cache and caches the responses of the requests it routes. It runs
+ * after the transaction is stored so that cache hits are still recorded.
+ */
+export async function koaMiddleware(ctx, next) {
+  if (!responseCache.isCacheable(ctx)) {
+    return next()
+  }
+
+  const key = responseCache.getCacheKey(ctx)
+
+  if (!responseCache.bypassesCache(ctx)) {
+    let cached = null
+    try {
+      cached = await responseCache.findCachedResponse(key)
+    } catch (err) {
+      logger.error(
+        `Reading the response cache failed, routing the request: ${err}`
+      )
+    }
+
+    if (cached != null) {
+      responseCache.sendCachedResponse(ctx, cached)
+      return
+    }
+  }
+
+  await next()
+
+  if (ctx.method === 'GET') {
+    // the response doesn't wait for the cache to be updated
+    responseCache.cacheResponse(ctx, key).catch(err => {
+      logger.error(`Caching the response failed: ${err}`)
+    })
+  }
+}
@@ -4,14 +4,27 @@ import cookie from 'cookie'
 import http from 'http'
 import https from 'https'
 import logger from 'winston'
+import net from 'net'
+import tls from 'tls'
 import zlib from 'zlib'
+import {finished, pipeline, Stream} from 'stream'
 import {promisify} from 'util'
 
+import * as circuitBreaker from '../circuitBreaker'
+import * as concurrencyLimiter from '../concurrencyLimiter'
 import * as events from '../middleware/events'
 import * as messageStore from '../middleware/messageStore'
+import * as metrics from '../metrics'
+import * as mllp from '../mllp'
+import * as routeConditions from '../routeConditions'
+import * as streaming from '../streaming'
+import * as tracing from '../tracing'
+import * as transforms from '../transforms'
+import * as upstreamPool from '../upstreamPool'
 import * as utils from '../utils'
 import {config} from '../config'
 import {KafkaProducerManager} from '../kafkaProducerManager'
+import {transactionStatus} from '../model/transactions'
 
 config.mongo = config.get('mongo')
 config.router = config.get('router')
@@ -29,7 +42,61 @@ export function numberOfPrimaryRoutes(routes) {
   return numPrimaries
 }
 
-const containsMultiplePrimaries = routes => numberOfPrimaryRoutes(routes) > 1
+// Primary routes with a condition are alternatives to each other, only one
+// primary route may be unconditional and act as the default
+export function numberOfUnconditionalPrimaryRoutes(routes) {
+  return numberOfPrimaryRoutes(
+    Array.from(routes).filter(route => !routeConditions.hasCondition(route))
+  )
+}
+
+const containsMultiplePrimaries = routes =>
+  numberOfUnconditionalPrimaryRoutes(routes) > 1
+
+/*
+ * Evaluates the route conditions and returns the enabled routes that should be
+ * sent the request. The first primary route whose condition matches is used,
+ * otherwise the unconditional primary route. Skipped routes are recorded on
+ * ctx.skippedRoutes so that they are stored with the transaction.
+ */
+function selectRoutes(ctx, routes) {
+  const enabledRoutes = Array.from(routes).filter(isRouteEnabled)
+  const conditionalPrimary = enabledRoutes.find(
+    route =>
+      route.primary &&
+      routeConditions.hasCondition(route) &&
+      routeConditions.matches(ctx, route.condition)
+  )
+
+  const selectedRoutes = []
+  for (const route of enabledRoutes) {
+    let skip
+    if (route.primary) {
+      skip = conditionalPrimary
+        ? route !== conditionalPrimary
+        : routeConditions.hasCondition(route)
+    } else {
+      skip =
+        routeConditions.hasCondition(route) &&
+        !routeConditions.matches(ctx, route.condition)
+    }
+
+    if (skip) {
+      logger.info(`Skipping route ${route.name} as its condition didn't match`)
+      if (!ctx.skippedRoutes) {
+        ctx.skippedRoutes = []
+      }
+      ctx.skippedRoutes.push({
+        name: route.name,
+        primary: Boolean(route.primary)
+      })
+    } else {
+      selectedRoutes.push(route)
+    }
+  }
+
+  return selectedRoutes
+}
 
 function setKoaResponse(ctx, response) {
   // Try and parse the status to an int if it is a string
@@ -146,15 +213,24 @@ function setCookiesOnContext(ctx, value) {
 
 function handleServerError(ctx, err, route) {
   ctx.autoRetry = true
+  // requests rejected by an open circuit breaker carry their fail fast response
+  const isCircuitOpen = err.code === circuitBreaker.CIRCUIT_OPEN_ERROR_CODE
   if (route) {
     route.error = {
       message: err.message,
       stack: err.stack ? err.stack : undefined
     }
+    if (isCircuitOpen) {
+      route.response = err.response
+    }
   } else {
-    ctx.response.status = 500
-    ctx.response.timestamp = new Date()
-    ctx.response.body = 'An internal server error occurred'
+    if (isCircuitOpen) {
+      setKoaResponse(ctx, err.response)
+    } else {
+      ctx.response.status = 500
+      ctx.response.timestamp = new Date()
+      ctx.response.body = 'An internal server error occurred'
+    }
     // primary route error
     ctx.error = {
       message: err.message,
@@ -184,7 +260,7 @@ function constructOptionsObject(ctx, route, keystore, path) {
   }
 
   // default route types to http
-  if (!route.type || route.type === 'http') {
+  if (!route.type || route.type === 'http' || route.type === 'mllp') {
     options.hostname = route.host
     options.port = route.port
   }
@@ -217,6 +293,16 @@ function constructOptionsObject(ctx, route, keystore, path) {
   if (options.headers && options.headers.host) {
     delete options.headers.host
   }
+
+  if (ctx.trace != null) {
+    // each route request is its own span, the parent of the downstream spans
+    options.spanId = tracing.generateSpanId()
+    options.headers = Object.assign(
+      {},
+      options.headers,
+      tracing.getTraceHeaders(ctx.trace, options.spanId)
+    )
+  }
   return options
 }
 
@@ -268,6 +354,13 @@ function sendRequestToRoutes(ctx, routes, next) {
   let promise = {}
   ctx.timer = new Date()
 
+  // resolved once every route has completed, which may be after the primary
+  // route responded
+  let routesCompleted
+  ctx.routesCompleted = new Promise(resolve => {
+    routesCompleted = resolve
+  })
+
   if (containsMultiplePrimaries(routes)) {
     return next(
       new Error(
@@ -276,11 +369,40 @@ function sendRequestToRoutes(ctx, routes, next) {
     )
   }
 
+  const hasPrimary = routes.some(r => isRouteEnabled(r) && r.primary)
+  routes = selectRoutes(ctx, routes)
+
+  if (ctx.isStreaming) {
+    // a streamed body can only be sent to a single route
+    routes = routes.filter(route => {
+      if (!route.primary) {
+        logger.warn(
+          `Not sending streamed request to non-primary route ${route.name}`
+        )
+      }
+      return route.primary
+    })
+  }
+
   return utils.getKeystore(async (err, keystore) => {
     if (err) {
+      routesCompleted()
       return err
     }
 
+    if (hasPrimary && !routes.some(r => r.primary)) {
+      setKoaResponse(ctx, {
+        status: 404,
+        headers: {},
+        body: 'No primary route condition matched the request',
+        timestamp: new Date()
+      })
+      // nothing was routed, so the message store sets the final status
+      ctx.rejectedTransactionStatus = transactionStatus.COMPLETED
+      routesCompleted()
+      return next()
+    }
+
     const routesToRunAfterPrimary = routes.filter(
       r => r.waitPrimaryResponse && !r.primary && isRouteEnabled(r)
     )
@@ -294,16 +416,13 @@ function sendRequestToRoutes(ctx, routes, next) {
 
       if (route.primary) {
         ctx.primaryRoute = route
+        ctx.primaryRouteTiming = {requestTimestamp: new Date()}
         promise = sendRequest(ctx, route, options)
           .then(response => {
             logger.info(`executing primary route : ${route.name}`)
-            if (
-              response.headers != null &&
-              response.headers['content-type'] != null &&
-              response.headers['content-type'].indexOf(
-                'application/json+openhim'
-              ) > -1
-            ) {
+            ctx.primaryRouteTiming.responseTimestamp =
+              response.timestamp || new Date()
+            if (!ctx.isStreaming && isMediatorResponse(response)) {
               // handle mediator reponse
               const responseObj = JSON.parse(response.body)
               ctx.mediatorResponse = responseObj
@@ -316,6 +435,9 @@ function sendRequestToRoutes(ctx, routes, next) {
               // then set koa response from responseObj.response
               return setKoaResponse(ctx, responseObj.response)
             } else {
+              if (response.originalBody != null) {
+                ctx.originalResponseBody = response.originalBody
+              }
               return setKoaResponse(ctx, response)
             }
           })
@@ -325,6 +447,9 @@ function sendRequestToRoutes(ctx, routes, next) {
           })
           .catch(reason => {
             // on failure
+            if (ctx.primaryRouteTiming.responseTimestamp == null) {
+              ctx.primaryRouteTiming.responseTimestamp = new Date()
+            }
             handleServerError(ctx, reason)
             return next()
           })
@@ -415,6 +540,7 @@ function sendRequestToRoutes(ctx, routes, next) {
       .catch(err => {
         logger.error(err)
       })
+      .then(routesCompleted)
   })
 }
 
@@ -428,11 +554,15 @@ const buildNonPrimarySendRequestPromise = (ctx, route, options, path) =>
         host: options.hostname,
         port: options.port,
         path,
-        headers: ctx.request.header,
+        headers: options.headers,
         querystring: ctx.request.querystring,
         method: ctx.request.method,
         timestamp: ctx.requestTimestamp
       }
+      if (options.body !== undefined) {
+        // the request body was transformed for this route
+        routeObj.request.body = options.body.toString()
+      }
 
       if (
         response.headers != null &&
@@ -453,6 +583,10 @@ const buildNonPrimarySendRequestPromise = (ctx, route, options, path) =>
         routeObj.response = response
       }
 
+      if (response.attempts) {
+        routeObj.attempts = response.attempts
+      }
+
       if (!ctx.routes) {
         ctx.routes = []
       }
@@ -464,6 +598,10 @@ const buildNonPrimarySendRequestPromise = (ctx, route, options, path) =>
       const routeObj = {}
       routeObj.name = route.name
 
+      if (reason.attempts) {
+        routeObj.attempts = reason.attempts
+      }
+
       if (!ctx.routes) {
         ctx.routes = []
       }
@@ -474,7 +612,15 @@ const buildNonPrimarySendRequestPromise = (ctx, route, options, path) =>
     })
 
 function sendRequest(ctx, route, options) {
-  function buildOrchestration(response) {
+  const retryPolicy = getRetryPolicy(route)
+  if (ctx.isStreaming) {
+    // a streamed body can only be sent once
+    retryPolicy.maxAttempts = 1
+  }
+  const isRetryEnabled = retryPolicy.maxAttempts > 1
+  const attempts = []
+
+  function buildOrchestration(response, attempt) {
     const orchestration = {
       name: route.name,
       request: {
@@ -483,11 +629,15 @@ function sendRequest(ctx, route, options) {
         path: options.path,
         headers: options.headers,
         method: options.method,
-        body: ctx.body,
+        body: getRequestBody(ctx, options),
         timestamp: ctx.requestTimestamp
       }
     }
 
+    if (isRetryEnabled) {
+      orchestration.attempt = attempt
+    }
+
     if (response instanceof Error) {
       orchestration.error = {
         message: response.message,
@@ -497,7 +647,8 @@ function sendRequest(ctx, route, options) {
       orchestration.response = {
         headers: response.headers,
         status: response.status,
-        body: response.body,
+        // streamed bodies are stored from their captured copy on the transaction
+        body: ctx.isStreaming ? undefined : response.body,
         timestamp: response.timestamp
       }
     }
@@ -505,7 +656,7 @@ function sendRequest(ctx, route, options) {
     return orchestration
   }
 
-  function recordOrchestration(response) {
+  function recordOrchestration(response, attempt) {
     if (!route.primary) {
       // Only record orchestrations for primary routes
       return
@@ -513,22 +664,259 @@ function sendRequest(ctx, route, options) {
     if (!Array.isArray(ctx.orchestrations)) {
       ctx.orchestrations = []
     }
-    ctx.orchestrations.push(buildOrchestration(response))
+    ctx.orchestrations.push(buildOrchestration(response, attempt))
   }
 
-  const requestDelegate =
-    route.type === 'kafka' ? sendKafkaRequest : sendHttpRequest
-  return requestDelegate(ctx, route, options)
-    .then(response => {
-      recordOrchestration(response)
-      // Return the response as before
-      return response
+  function recordAttempt(response, attempt) {
+    if (!isRetryEnabled) {
+      return
+    }
+    const attemptObj = {attempt, timestamp: new Date()}
+    if (response instanceof Error) {
+      attemptObj.error = {
+        message: response.message,
+        stack: response.stack
+      }
+    } else {
+      attemptObj.status = response.status
+    }
+    attempts.push(attemptObj)
+    // Expose the attempts so that they can be stored with the route
+    response.attempts = attempts
+  }
+
+  function retry(attempt) {
+    const delay = calculateRetryDelay(retryPolicy, attempt)
+    logger.info(
+      `[${ctx.transactionId}] Retrying route ${route.name} in ${delay}ms (attempt ${attempt} of ${retryPolicy.maxAttempts} failed)`
+    )
+    return wait(delay).then(() => attemptRequest(attempt + 1))
+  }
+
+  const requestDelegates = {
+    kafka: sendKafkaRequest,
+    mllp: sendMllpRequest
+  }
+  const requestDelegate = requestDelegates[route.type] || sendHttpRequest
+
+  function attemptRequest(attempt) {
+    return circuitBreaker
+      .execute(ctx, route, () => requestDelegate(ctx, route, options))
+      .then(
+        response => {
+          recordOrchestration(response, attempt)
+          recordAttempt(response, attempt)
+          if (
+            attempt < retryPolicy.maxAttempts &&
+            isRetryableStatus(retryPolicy, response.status)
+          ) {
+            return retry(attempt)
+          }
+          // Return the response as before
+          return response
+        },
+        err => {
+          recordOrchestration(err, attempt)
+          recordAttempt(err, attempt)
+          if (
+            attempt < retryPolicy.maxAttempts &&
+            isRetryableError(retryPolicy, err)
+          ) {
+            return retry(attempt)
+          }
+          // Rethrow the error
+          throw err
+        }
+      )
+  }
+
+  let sentAt
+  return transformRequest(ctx, route, options)
+    .then(() => {
+      sentAt = Date.now()
+      return attemptRequest(1)
     })
-    .catch(err => {
-      recordOrchestration(err)
-      // Rethrow the error
-      throw err
+    .then(
+      response => {
+        metrics.recordRouteMetrics(
+          ctx.authorisedChannel,
+          route,
+          response.status,
+          Date.now() - sentAt
+        )
+        tracing.recordRouteSpan(ctx, route, options, sentAt, response)
+        return transformResponse(ctx, route, response)
+      },
+      err => {
+        if (sentAt != null) {
+          metrics.recordRouteMetrics(
+            ctx.authorisedChannel,
+            route,
+            null,
+            Date.now() - sentAt
+          )
+          tracing.recordRouteSpan(ctx, route, options, sentAt, err)
+        }
+        throw err
+      }
+    )
+}
+
+// The request body to send to a route, options.body is set when it was transformed
+const getRequestBody = (ctx, options) =>
+  options.body !== undefined ? options.body : ctx.body
+
+const isMediatorResponse = response =>
+  response.headers != null &&
+  response.headers['content-type'] != null &&
+  response.headers['content-type'].indexOf('application/json+openhim') > -1
+
+// Streamed bodies pass through untouched so only header and query transforms apply
+const getApplicableTransforms = (ctx, route, stage) =>
+  transforms
+    .getTransforms(ctx.authorisedChannel, route, stage)
+    .filter(
+      transform => !ctx.isStreaming || !transforms.isBodyTransform(transform)
+    )
+
+/*
+ * Applies the channel and route request transforms to the route's request
+ * options. The headers are copied so that other routes aren't affected.
+ */
+function transformRequest(ctx, route, options) {
+  const requestTransforms = getApplicableTransforms(ctx, route, 'request')
+  if (requestTransforms.length === 0) {
+    return Promise.resolve()
+  }
+
+  const [path, querystring] = options.path.split(/\?(.*)/s)
+  return transforms
+    .transformMessage(ctx, requestTransforms, {
+      headers: options.headers,
+      querystring,
+      body: ctx.body
+    })
+    .then(message => {
+      options.headers = message.headers
+      options.path = message.querystring
+        ? `${path}?${message.querystring}`
+        : path
+      if (message.body !== ctx.body) {
+        options.body = message.body
+        if (options.headers['content-length'] != null) {
+          options.headers['content-length'] = Buffer.byteLength(message.body)
+        }
+      }
+    })
+}
+
+/*
+ * Applies the response transforms to a route's response. When the body changes
+ * the upstream's body is kept as originalBody so that both are stored. Mediator
+ * responses are left for the mediator format handling.
+ */
+function transformResponse(ctx, route, response) {
+  const responseTransforms = getApplicableTransforms(ctx, route, 'response')
+  if (responseTransforms.length === 0 || isMediatorResponse(response)) {
+    return response
+  }
+
+  return transforms
+    .transformMessage(ctx, responseTransforms, {
+      headers: response.headers,
+      status: response.status,
+      body: response.body
     })
+    .then(message => {
+      const transformed = Object.assign({}, response, {
+        headers: message.headers,
+        body: message.body
+      })
+      if (message.body !== response.body) {
+        transformed.originalBody =
+          response.body == null ? '' : response.body.toString()
+      }
+      return transformed
+    })
+}
+
+const DEFAULT_RETRY_POLICY = Object.freeze({
+  maxAttempts: 1,
+  backoffMillis: 1000,
+  backoffMultiplier: 2,
+  maxBackoffMillis: 30000,
+  jitter: true
+})
+
+function getRetryPolicy(route) {
+  const policy = route.retryPolicy || {}
+  const valueOrDefault = key =>
+    policy[key] != null ? policy[key] : DEFAULT_RETRY_POLICY[key]
+
+  return {
+    maxAttempts: valueOrDefault('maxAttempts'),
+    backoffMillis: valueOrDefault('backoffMillis'),
+    backoffMultiplier: valueOrDefault('backoffMultiplier'),
+    maxBackoffMillis: valueOrDefault('maxBackoffMillis'),
+    jitter: valueOrDefault('jitter'),
+    retryOnStatusCodes: policy.retryOnStatusCodes,
+    retryOnErrors: policy.retryOnErrors
+  }
+}
+
+const splitList = list =>
+  list
+    .split(',')
+    .map(item => item.trim())
+    .filter(item => item.length > 0)
+
+function isRetryableStatus(retryPolicy, status) {
+  if (!retryPolicy.retryOnStatusCodes) {
+    return false
+  }
+
+  return splitList(retryPolicy.retryOnStatusCodes).some(code => {
+    if (code.includes('*')) {
+      return `${status}`[0] === code[0]
+    }
+    return Number(code) === status
+  })
+}
+
+function isRetryableError(retryPolicy, err) {
+  if (err.code === circuitBreaker.CIRCUIT_OPEN_ERROR_CODE) {
+    return false
+  }
+  if (!retryPolicy.retryOnErrors) {
+    return true
+  }
+  return splitList(retryPolicy.retryOnErrors).includes(err.code)
+}
+
+/*
+ * Calculates the exponential backoff before the next attempt. When jitter is
+ * enabled half of the delay is randomised so that concurrent retries to the same
+ * upstream are spread out.
+ */
+function calculateRetryDelay(retryPolicy, attempt) {
+  const delay = Math.min(
+    retryPolicy.maxBackoffMillis,
+    retryPolicy.backoffMillis *
+      Math.pow(retryPolicy.backoffMultiplier, attempt - 1)
+  )
+  if (!retryPolicy.jitter) {
+    return delay
+  }
+  return Math.round(delay / 2 + (Math.random() * delay) / 2)
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+if (process.env.NODE_ENV === 'test') {
+  exports.getRetryPolicy = getRetryPolicy
+  exports.isRetryableStatus = isRetryableStatus
+  exports.isRetryableError = isRetryableError
+  exports.calculateRetryDelay = calculateRetryDelay
 }
 
 function obtainCharset(headers) {
@@ -540,6 +928,50 @@ function obtainCharset(headers) {
   return 'utf-8'
 }
 
+/*
+ * Sends the request to the route's host or, if the route has a pool of
+ * upstreams, to the upstream picked by its balancing strategy. Connection
+ * errors fail over to the next upstream in the pool. The chosen upstream is
+ * set on the options so that it is recorded with the route and orchestration.
+ */
+function sendHttpRequest(ctx, route, options) {
+  if (!upstreamPool.hasUpstreams(route)) {
+    return sendHttpRequestToHost(ctx, route, options)
+  }
+
+  const targets = upstreamPool.orderTargets(route)
+
+  const tryTarget = index => {
+    const target = targets[index]
+    options.hostname = target.host
+    options.port = target.port
+
+    upstreamPool.acquireConnection(target)
+    return sendHttpRequestToHost(ctx, route, options).then(
+      response => {
+        upstreamPool.releaseConnection(target)
+        return response
+      },
+      err => {
+        upstreamPool.releaseConnection(target)
+        if (
+          index + 1 < targets.length &&
+          !ctx.isStreaming &&
+          upstreamPool.isConnectionError(err)
+        ) {
+          logger.warn(
+            `[${ctx.transactionId}] Upstream ${target.host}:${target.port} of route ${route.name} failed (${err.code}), failing over`
+          )
+          return tryTarget(index + 1)
+        }
+        throw err
+      }
+    )
+  }
+
+  return tryTarget(0)
+}
+
 /*
  * A promise returning function that send a request to the given route and resolves
  * the returned promise with a response object of the following form:
@@ -549,7 +981,11 @@ function obtainCharset(headers) {
  *    headers: <http_headers_object>
  *    timestamp: <the time the response was recieved>
  */
-function sendHttpRequest(ctx, route, options) {
+function sendHttpRequestToHost(ctx, route, options) {
+  if (ctx.isStreaming) {
+    return streamHttpRequestToHost(ctx, route, options)
+  }
+
   return new Promise((resolve, reject) => {
     const response = {}
 
@@ -619,16 +1055,13 @@ function sendHttpRequest(ctx, route, options) {
       reject(err)
     })
 
-    const timeout =
-      route.timeout != null ? route.timeout : +config.router.timeout
-    routeReq.setTimeout(timeout, () => {
-      routeReq.destroy(new Error(`Request took longer than ${timeout}ms`))
-    })
+    setRouteTimeout(routeReq, route)
 
     if (ctx.request.method === 'POST' || ctx.request.method === 'PUT') {
-      if (ctx.body != null) {
+      const body = getRequestBody(ctx, options)
+      if (body != null) {
         // TODO : Should probally add checks to see if the body is a buffer or string
-        routeReq.write(ctx.body)
+        routeReq.write(body)
       }
     }
 
@@ -636,6 +1069,132 @@ function sendHttpRequest(ctx, route, options) {
   })
 }
 
+const setRouteTimeout = (routeReq, route) => {
+  const timeout = route.timeout != null ? route.timeout : +config.router.timeout
+  routeReq.setTimeout(timeout, () => {
+    const err = new Error(`Request took longer than ${timeout}ms`)
+    err.code = 'ETIMEDOUT'
+    routeReq.destroy(err)
+  })
+}
+
+/*
+ * Pipes the request body to the route and resolves as soon as the response
+ * headers arrive, with the (decompressed) response body as a stream to be piped
+ * back to the client. Copies of the bodies, capped as configured on the channel,
+ * are kept on the context as they stream so that they can be stored.
+ */
+function streamHttpRequestToHost(ctx, route, options) {
+  return new Promise((resolve, reject) => {
+    const storedBodyBytes = streaming.getStoredBodyBytes(ctx.authorisedChannel)
+    const method = route.secured ? https : http
+
+    const routeReq = method.request(options, routeRes => {
+      const bodyStreams = [routeRes]
+      if (routeRes.headers['content-encoding'] === 'gzip') {
+        bodyStreams.push(zlib.createGunzip())
+      } else if (routeRes.headers['content-encoding'] === 'deflate') {
+        bodyStreams.push(zlib.createInflate())
+      }
+
+      ctx.responseBodyCapture = streaming.createBodyCapture(storedBodyBytes)
+      const body = pipeline(...bodyStreams, ctx.responseBodyCapture, err => {
+        if (err) {
+          logger.error(
+            `[${ctx.transactionId}] Streaming the response of route ${route.name} failed: ${err}`
+          )
+        }
+      })
+
+      resolve({
+        status: routeRes.statusCode,
+        headers: routeRes.headers,
+        body,
+        timestamp: new Date()
+      })
+    })
+
+    routeReq.on('error', err => {
+      reject(err)
+    })
+
+    setRouteTimeout(routeReq, route)
+
+    ctx.requestBodyCapture = streaming.createBodyCapture(storedBodyBytes)
+    pipeline(ctx.req, ctx.requestBodyCapture, routeReq, err => {
+      if (err) {
+        reject(err)
+      }
+    })
+  })
+}
+
+/*
+ * Sends the request body to the route as an MLLP framed message over TCP, or TLS
+ * for secured routes, and resolves with the framed response (normally an HL7
+ * ACK) once it has been received:
+ *   response =
+ *    status: 200
+ *    body: <the unframed response message>
+ *    timestamp: <the time the response was recieved>
+ */
+function sendMllpRequest(ctx, route, options) {
+  return new Promise((resolve, reject) => {
+    const decoder = mllp.createFrameDecoder()
+    let responded = false
+
+    const socket = route.secured
+      ? tls.connect({
+          host: options.hostname,
+          port: options.port,
+          key: options.key,
+          cert: options.cert,
+          ca: options.ca,
+          rejectUnauthorized: options.rejectUnauthorized
+        })
+      : net.connect({host: options.hostname, port: options.port})
+
+    setRouteTimeout(socket, route)
+
+    socket.on('data', data => {
+      let messages
+      try {
+        messages = decoder.push(data)
+      } catch (err) {
+        socket.destroy(err)
+        return
+      }
+      if (messages.length > 0 && !responded) {
+        responded = true
+        socket.end()
+        resolve({
+          status: 200,
+          headers: {},
+          body: messages[0].toString(),
+          timestamp: new Date()
+        })
+      }
+    })
+
+    socket.on('error', err => {
+      reject(err)
+    })
+
+    socket.on('close', () => {
+      if (!responded) {
+        const err = new Error(
+          'MLLP connection closed before a response was received'
+        )
+        err.code = 'ECONNRESET'
+        reject(err)
+      }
+    })
+
+    const body = getRequestBody(ctx, options)
+    socket.write(mllp.frame(body == null ? '' : body))
+  })
+}
+
 /*
  * A promise returning function that send a request to the given route using kafka producer and resolves
  * the returned promise with a response object of the following form: ()
@@ -644,7 +1203,7 @@ function sendHttpRequest(ctx, route, options) {
  *    body: <the received data from kafka>
  *    timestamp: <the time the response was recieved>
  */
-function sendKafkaRequest(ctx, route) {
+function sendKafkaRequest(ctx, route, options) {
   return new Promise((resolve, reject) => {
     const timeout = route.timeout ?? +config.router.timeout
     const channel = ctx.authorisedChannel
@@ -652,19 +1211,28 @@ function sendKafkaRequest(ctx, route) {
     KafkaProducerManager.getProducer(channel.name, route.kafkaClientId, timeout)
       .then(producer => {
         const topic = route.kafkaTopic
+        const body = getRequestBody(ctx, options)
 
         const message = {
           method: ctx.request.method,
           path: ctx.request.url,
           pattern: channel.urlPattern,
-          headers: ctx.request.headers,
-          body: ctx.body && ctx.body.toString()
+          headers: options.headers,
+          body: body && body.toString()
+        }
+
+        const kafkaMessage = {value: JSON.stringify(message)}
+        if (ctx.trace != null) {
+          kafkaMessage.headers = tracing.getTraceHeaders(
+            ctx.trace,
+            options.spanId
+          )
         }
 
         return producer
           .send({
             topic,
-            messages: [{value: JSON.stringify(message)}]
+            messages: [kafkaMessage]
           })
           .then(res => {
             resolve({
@@ -778,6 +1346,20 @@ function isMethodAllowed(ctx, channel) {
   return isAllowed
 }
 
+/*
+ * Resolves once the request no longer uses the channel's upstreams. Routes that
+ * run after the primary route and a streamed response body outlive the primary
+ * route's response.
+ */
+async function waitForUpstreams(ctx) {
+  await ctx.routesCompleted
+
+  const {body} = ctx.response
+  if (ctx.isStreaming && body instanceof Stream) {
+    await new Promise(resolve => finished(body, () => resolve()))
+  }
+}
+
 /*
  * The [Koa](http://koajs.com/) middleware function that enables the
  * router to work with the Koa framework.
@@ -786,6 +1368,31 @@ function isMethodAllowed(ctx, channel) {
  */
 export async function koaMiddleware(ctx, next) {
   const _route = promisify(route)
-  await _route(ctx)
+
+  let release
+  try {
+    release = await concurrencyLimiter.acquire(ctx.authorisedChannel)
+  } catch (err) {
+    if (!concurrencyLimiter.isLimitError(err)) {
+      throw err
+    }
+    logger.warn(`[${ctx.transactionId}] ${err.message}`)
+    setKoaResponse(ctx, {
+      status: 503,
+      headers: {},
+      body: err.message,
+      timestamp: new Date()
+    })
+    ctx.rejectedTransactionStatus = transactionStatus.FAILED
+    return
+  }
+
+  try {
+    await _route(ctx)
+  } catch (err) {
+    release()
+    throw err
+  }
+  waitForUpstreams(ctx).finally(release)
   await next()
 }
@@ -0,0 +1,17 @@
+'use strict'
+
+import * as tracing from '../tracing'
+import {config} from '../config'
+
+config.tracing = config.get('tracing')
+
+/*
+ * Koa middleware that joins the request to the caller's trace, or starts a
+ * new one, before the transaction is stored so that it records the trace id
+ */
+export async function koaMiddleware(ctx, next) {
+  if (config.tracing.enabled) {
+    tracing.startTrace(ctx)
+  }
+  await next()
+}
@@ -0,0 +1,96 @@
+'use strict'
+
+import logger from 'winston'
+
+import {config} from './config'
+
+config.mllp = config.get('mllp')
+
+// MLLP wraps each message as <VT> message <FS><CR>
+export const START_BLOCK = 0x0b
+export const END_BLOCK = 0x1c
+export const CARRIAGE_RETURN = 0x0d
+
+export function frame(message) {
+  return Buffer.concat([
+    Buffer.from([START_BLOCK]),
+    Buffer.isBuffer(message) ? message : Buffer.from(`${message}`),
+    Buffer.from([END_BLOCK, CARRIAGE_RETURN])
+  ])
+}
+
+/*
+ * Creates a decoder for a stream of MLLP framed data, such as a socket. Each
+ * chunk is pushed to the decoder, which returns the messages it completes.
+ * Frames split across chunks are joined and a chunk may complete several
+ * messages. Data outside of a frame is discarded.
+ *
+ * A frame may be at most maxFrameBytes long. Once a frame grows past it the
+ * buffered data is dropped and push throws, the caller should then close the
+ * connection as the rest of the frame can't be told apart from a new one.
+ */
+export function createFrameDecoder(maxFrameBytes = config.mllp.maxFrameBytes) {
+  let buffer = Buffer.alloc(0)
+
+  function checkFrameSize(size) {
+    if (size > maxFrameBytes) {
+      buffer = Buffer.alloc(0)
+      throw new Error(
+        `MLLP frame exceeds the maximum size of ${maxFrameBytes} bytes`
+      )
+    }
+  }
+
+  function push(chunk) {
+    buffer = Buffer.concat([buffer, chunk])
+    const messages = []
+
+    for (;;) {
+      const start = buffer.indexOf(START_BLOCK)
+      if (start === -1) {
+        if (buffer.length > 0) {
+          logger.warn(
+            `Discarding ${buffer.length} bytes received outside of an MLLP frame`
+          )
+        }
+        buffer = Buffer.alloc(0)
+        break
+      }
+      if (start > 0) {
+        logger.warn(
+          `Discarding ${start} bytes received outside of an MLLP frame`
+        )
+        buffer = buffer.slice(start)
+      }
+
+      const end = findFrameEnd(buffer)
+      if (end === -1) {
+        // wait for the rest of the frame
+        checkFrameSize(buffer.length - 1)
+        break
+      }
+
+      checkFrameSize(end - 1)
+      messages.push(buffer.slice(1, end))
+      buffer = buffer.slice(end + 2)
+    }
+
+    return messages
+  }
+
+  return {
+    push,
+    hasPartialFrame: () => buffer.length > 0
+  }
+}
+
+function findFrameEnd(buffer) {
+  let end = buffer.indexOf(END_BLOCK, 1)
+  while (end !== -1 && end + 1 < buffer.length) {
+    if (buffer[end + 1] === CARRIAGE_RETURN) {
+      return end
+    }
+    end = buffer.indexOf(END_BLOCK, end + 1)
+  }
+  return -1
+}
@@ -1,16 +1,32 @@
 'use strict'
 
+import moment from 'moment'
 import {Schema} from 'mongoose'
 
-import {connectionAPI, connectionDefault} from '../config'
+import {alertConditions} from './channels'
+import {connectionAPI, connectionDefault, config} from '../config'
 
-// A collection for keeping a day-long log of any alerts that got sent out to users
-// It is used for the user max-alert policies
+config.alerts = config.get('alerts')
+
+// Alerts limit how often users are contacted over a day, so at least a day is kept
+const MIN_HISTORY_DAYS = 1
+
+const getHistoryExpiry = () =>
+  moment()
+    .add(Math.max(config.alerts.historyDays, MIN_HISTORY_DAYS), 'days')
+    .toDate()
+
+// A collection for keeping a log of any alerts that got sent out to users for
+// alerts.historyDays. It is used for the user max-alert policies and to list
+// and acknowledge alerts through the API.
 const AlertSchema = new Schema({
+  // The email of the user, or the address of a group's contact
   user: {
     type: String,
     required: true
   },
+  // The group of a contact that isn't a user
+  group: String,
   method: {
     type: String,
     required: true
@@ -18,8 +34,7 @@ const AlertSchema = new Schema({
   timestamp: {
     type: Date,
     required: true,
-    default: Date.now,
-    expires: '1d'
+    default: Date.now
   },
   channelID: {
     type: String,
@@ -37,8 +52,60 @@ const AlertSchema = new Schema({
     type: String,
     required: true,
     enum: ['Failed', 'Completed']
+  },
+  // The user who acknowledged the alert through the API and when
+  acknowledgedBy: String,
+  acknowledgedAt: Date,
+  expiresAt: {
+    type: Date,
+    default: getHistoryExpiry,
+    expires: 0
+  }
+})
+
+// Stops alerts for a channel, a condition or a condition of a channel from
+// being sent for a time, e.g. during planned maintenance
+const AlertSilenceSchema = new Schema({
+  channelID: Schema.Types.ObjectId,
+  condition: {
+    type: String,
+    enum: alertConditions
+  },
+  reason: String,
+  startDate: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  // Silences are removed a week after they ended
+  endDate: {
+    type: Date,
+    required: true,
+    expires: '7d'
+  },
+  createdBy: String
+})
+
+AlertSilenceSchema.pre('validate', function (next) {
+  if (this.channelID == null && this.condition == null) {
+    this.invalidate(
+      'channelID',
+      'A silence must be for a channel, a condition or both'
+    )
+  }
+  if (this.endDate != null && this.endDate <= this.startDate) {
+    this.invalidate('endDate', 'A silence must end after it starts')
   }
+  next()
 })
 
 export const AlertModelAPI = connectionAPI.model('Alert', AlertSchema)
 export const AlertModel = connectionDefault.model('Alert', AlertSchema)
+export const AlertSilenceModelAPI = connectionAPI.model(
+  'AlertSilence',
+  AlertSilenceSchema
+)
+export const AlertSilenceModel = connectionDefault.model(
+  'AlertSilence',
+  AlertSilenceSchema
+)
@@ -5,11 +5,186 @@ import {Schema} from 'mongoose'
 
 import {KafkaProducerManager} from '../kafkaProducerManager'
 import {ContactUserDef} from './contactGroups'
+import {RateLimitDef} from './rateLimits'
+import {
+  contentMatchLogic,
+  contentMatchOperators,
+  contentMatchTypes
+} from '../contentMatching'
+import {transformTypes} from '../transforms'
 import {connectionAPI, connectionDefault, config} from '../config'
 config.router = config.get('router')
 
 export let producerSingleton = []
 
+// Route retry policy
+//
+// A route is attempted up to maxAttempts times (1, the default, disables retries).
+// Connection errors and timeouts are retried unless retryOnErrors limits them to a
+// comma separated list of error codes (e.g. ECONNRESET,ETIMEDOUT). Responses are
+// only retried if their status matches retryOnStatusCodes (e.g. 502,503,504 or 5*).
+// The delay before each retry starts at backoffMillis and is multiplied by
+// backoffMultiplier for every further attempt, capped at maxBackoffMillis.
+//
+const RetryPolicyDef = {
+  maxAttempts: {
+    type: Number,
+    min: 1,
+    max: 10
+  },
+  backoffMillis: {
+    type: Number,
+    min: 0
+  },
+  backoffMultiplier: {
+    type: Number,
+    min: 1
+  },
+  maxBackoffMillis: {
+    type: Number,
+    min: 0
+  },
+  jitter: Boolean,
+  retryOnStatusCodes: String,
+  retryOnErrors: String
+}
+
+// Route circuit breaker
+//
+// Once a route host has failed (connection error, timeout or 5xx response)
+// failureThreshold times in a row the circuit opens and requests to that host fail
+// fast with failFastStatus and failFastBody. After resetTimeoutMillis a single
+// trial request is let through; its outcome closes or re-opens the circuit.
+//
+const CircuitBreakerDef = {
+  enabled: Boolean,
+  failureThreshold: {
+    type: Number,
+    min: 1
+  },
+  resetTimeoutMillis: {
+    type: Number,
+    min: 0
+  },
+  failFastStatus: {
+    type: Number,
+    min: 100,
+    max: 599
+  },
+  failFastBody: String
+}
+
+// An upstream target in a route's pool, used instead of the route host and port
+const UpstreamDef = {
+  host: {
+    type: String,
+    required: true
+  },
+  port: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 65536
+  },
+  // Relative share of requests for the weighted strategy
+  weight: {
+    type: Number,
+    min: 1,
+    default: 1
+  }
+}
+
+// Route condition
+//
+// A route with a condition is only sent the request when the condition matches.
+// The expression is a header or query parameter name, a JSON path (as used by
+// matchContentJson), an XPath expression or an HL7 field such as MSH-9.1.
+// Without a value the condition matches if the expression has a value,
+// otherwise that value must equal value (or match it as a regex when regex is set).
+// Several primary routes may have conditions, the first one that matches is used
+// and the primary route without a condition is the fallback.
+//
+const RouteConditionDef = {
+  type: {
+    type: String,
+    enum: ['header', 'query', 'jsonpath', 'xpath', 'hl7']
+  },
+  expression: String,
+  value: String,
+  regex: Boolean
+}
+
+// Request/response transform
+//
+// Transforms run in order on a route's request before it is sent (stage request)
+// or on its response once received (stage response). Header transforms use name,
+// value and newName (renameHeader). setQueryParam and removeQueryParam use name and
+// value, rewriteQuery replaces every match of the expression regex with value.
+// The template transform renders a Handlebars template as the new body, with
+// body (parsed if JSON), rawBody, headers, query, status and request available.
+// xmlToJson and jsonToXml convert the body and set the content-type.
+//
+const TransformDef = {
+  stage: {
+    type: String,
+    default: 'request',
+    enum: ['request', 'response']
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: transformTypes
+  },
+  name: String,
+  value: String,
+  newName: String,
+  expression: String,
+  template: String
+}
+
+// Channel header and query parameter match rule
+//
+// The request header or query parameter called name must be present and, when a
+// value is given, equal it (or match it as a regex when regex is set). Header
+// names aren't case sensitive, query parameter names are.
+//
+const MatchRuleDef = {
+  name: {
+    type: String,
+    required: true
+  },
+  value: String,
+  regex: Boolean
+}
+
+// Channel content match rule
+//
+// The rule selects values from the request body with a JSON path (as used by
+// matchContentJson), an XPath expression or an HL7 field such as MSH-9.1, or
+// uses the whole body (type body). It matches when a selected value equals
+// value, contains it, matches it as a regex, is one of values (operator in) or,
+// for the exists operator, when anything is selected. A body that can't be
+// parsed doesn't match.
+//
+const ContentMatchRuleDef = {
+  type: {
+    type: String,
+    default: 'body',
+    enum: contentMatchTypes
+  },
+  expression: String,
+  operator: {
+    type: String,
+    default: 'equals',
+    enum: contentMatchOperators
+  },
+  value: String,
+  values: {
+    type: [String],
+    default: undefined
+  }
+}
+
 const RouteDef = {
   name: {
     type: String,
@@ -18,7 +193,7 @@ const RouteDef = {
   type: {
     type: String,
     default: 'http',
-    enum: ['http', 'kafka']
+    enum: ['http', 'kafka', 'mllp']
   },
   cert: Schema.Types.ObjectId,
   status: {
@@ -26,7 +201,7 @@ const RouteDef = {
     default: 'enabled',
     enum: ['enabled', 'disabled']
   },
-  // HTTP route definition
+  // HTTP route definition, also used for MLLP routes that send HL7v2 over TCP (TLS when secured)
   secured: Boolean,
   host: {
     type: String
@@ -36,6 +211,16 @@ const RouteDef = {
     min: 0,
     max: 65536
   },
+  // Pool of upstreams to balance requests across instead of host and port
+  // The failover strategy sends to the first upstream and only moves down the list on connection errors
+  upstreams: {
+    type: [UpstreamDef],
+    default: undefined
+  },
+  balancingStrategy: {
+    type: String,
+    enum: ['round-robin', 'weighted', 'least-connections', 'failover']
+  },
   path: String,
   pathTransform: String,
   primary: Boolean,
@@ -47,8 +232,15 @@ const RouteDef = {
   },
   waitPrimaryResponse: Boolean,
   statusCodesCheck: String,
+  condition: RouteConditionDef,
   kafkaClientId: String,
-  kafkaTopic: String
+  kafkaTopic: String,
+  retryPolicy: RetryPolicyDef,
+  circuitBreaker: CircuitBreakerDef,
+  transforms: {
+    type: [TransformDef],
+    default: undefined
+  }
 }
 
 // Channel alerts
@@ -56,17 +248,61 @@ const RouteDef = {
 // The following alert conditions are supported:
 // * status: match on a specific transaction status (404, 5xx). Supports failure rates.
 // * auto-retry-max-attempted: triggers when a failing transaction has reach the max number of auto retries
+// * response-time: triggers when the average or a percentile of the response
+//   time over the window is above responseTimeThreshold milliseconds
+// * traffic-drop: triggers when the channel received fewer than minRequests
+//   requests in the window, e.g. when a facility stopped sending
+// * traffic-spike: triggers when the channel received more than maxRequests
+//   requests in the window or, without a maximum, more than spikeFactor times
+//   as many as it usually receives in a window over the day before
 //
+export const metricAlertConditions = [
+  'response-time',
+  'traffic-drop',
+  'traffic-spike'
+]
+
+export const alertConditions = [
+  'status',
+  'auto-retry-max-attempted',
+  ...metricAlertConditions
+]
+
 const AlertsDef = {
   condition: {
     type: String,
     default: 'status',
-    enum: ['status', 'auto-retry-max-attempted']
+    enum: alertConditions
   },
   status: {
     type: String
   },
   failureRate: Number,
+  // The minutes the metrics conditions are evaluated over, 15 by default
+  windowMinutes: {
+    type: Number,
+    min: 1
+  },
+  responseTimeStatistic: {
+    type: String,
+    enum: ['average', 'p50', 'p95', 'p99']
+  },
+  responseTimeThreshold: {
+    type: Number,
+    min: 0
+  },
+  minRequests: {
+    type: Number,
+    min: 1
+  },
+  maxRequests: {
+    type: Number,
+    min: 0
+  },
+  spikeFactor: {
+    type: Number,
+    min: 1
+  },
   groups: [Schema.Types.ObjectId],
   users: [ContactUserDef]
 }
@@ -93,6 +329,105 @@ const RewriteRuleDef = {
   pathTransform: String
 }
 
+// Channel streaming
+//
+// Request and response bodies are piped between the client and the primary route
+// instead of being read into memory, so content matching, non-primary routes,
+// retries and body transforms aren't available. Only the first maxStoredBodyBytes
+// of each body (router.streamingMaxStoredBodyBytes by default) are stored, and only
+// for a sampleRate fraction of transactions.
+//
+const StreamingDef = {
+  enabled: Boolean,
+  maxStoredBodyBytes: {
+    type: Number,
+    min: 0
+  },
+  sampleRate: {
+    type: Number,
+    min: 0,
+    max: 1
+  }
+}
+
+// Channel concurrency limit
+//
+// At most maxConcurrentPerWorker requests are sent to the channel's routes at a
+// time by each OpenHIM worker. The limit isn't shared between workers, so when
+// the OpenHIM runs as a cluster the channel may have up to maxConcurrentPerWorker
+// times the number of workers requests in flight. A request holds its slot until
+// all of its routes have completed and a streamed response has been sent.
+// Further requests wait in a queue of up to maxQueueSize (100 by default) for
+// queueTimeoutMillis (30 seconds by default) and are rejected with a 503
+// response once the queue is full or they time out. The queue is per worker too.
+//
+const ConcurrencyDef = {
+  maxConcurrentPerWorker: {
+    type: Number,
+    min: 1
+  },
+  maxQueueSize: {
+    type: Number,
+    min: 0
+  },
+  queueTimeoutMillis: {
+    type: Number,
+    min: 0
+  }
+}
+
+// Idempotent request handling
+//
+// POST and PUT requests are deduplicated by the key in their Idempotency-Key
+// header, or in the JSON body at bodyPath when the header isn't sent. A repeat
+// of a request within windowMinutes (a day by default) gets the response stored
+// for the first request instead of being routed again. The stored response is
+// replayed, so it is empty when the channel doesn't store response bodies and
+// truncated when it is larger than the maximum stored body size.
+//
+const IdempotencyDef = {
+  enabled: Boolean,
+  bodyPath: String,
+  windowMinutes: {
+    type: Number,
+    min: 1
+  }
+}
+
+// Response cache
+//
+// Successful responses to GET requests are cached for ttlSeconds (5 minutes by
+// default), or for less when the upstream's Cache-Control max-age is shorter.
+// Responses the upstream marks no-store, no-cache or private aren't cached, nor
+// are responses whose Vary header names a header that isn't in varyHeaders.
+// Cached responses are keyed by the request path, query string and the values
+// of the varyHeaders, and by the client for channels that aren't public. They
+// answer later GET and HEAD requests without routing them.
+//
+const ResponseCacheDef = {
+  enabled: Boolean,
+  ttlSeconds: {
+    type: Number,
+    min: 1
+  },
+  varyHeaders: {
+    type: [String],
+    default: undefined
+  }
+}
+
+// Request validation
+//
+// The bodies of POST, PUT and PATCH requests are validated against the JSON
+// Schema or XSD with the id schemaID, stored through the /validationschemas
+// API. Invalid requests are rejected with a 400 response before they are
+// routed. Bodies of streaming channels aren't validated.
+//
+const RequestValidationDef = {
+  enabled: Boolean,
+  schemaID: Schema.Types.ObjectId
+}
+
 const UpdatedByDef = {
   id: {
     type: Schema.Types.ObjectId
@@ -160,6 +495,11 @@ const ChannelDef = {
     max: 65536
   },
   tcpHost: String,
+  // Read MLLP framed messages from tcp/tls channel sockets and frame the responses
+  mllp: Boolean,
+  // Respond to tcp/tls channel messages with an HL7v2 ACK built from their MSH segment
+  // and the primary route status (AA on success, AE for 4xx and AR otherwise)
+  autoAck: Boolean,
   pollingSchedule: String,
   requestBody: Boolean,
   responseBody: Boolean,
@@ -171,11 +511,35 @@ const ChannelDef = {
     enum: ['private', 'public']
   },
   routes: [RouteDef],
+  // Applied to the requests of all routes and to the primary route's response
+  transforms: {
+    type: [TransformDef],
+    default: undefined
+  },
   matchContentTypes: [String],
   matchContentRegex: String,
   matchContentXpath: String,
   matchContentJson: String,
   matchContentValue: String,
+  // Replaces the single matchContent* expression above when set, the rules are
+  // joined by matchContentLogic (AND by default)
+  matchContentRules: {
+    type: [ContentMatchRuleDef],
+    default: undefined
+  },
+  matchContentLogic: {
+    type: String,
+    enum: contentMatchLogic
+  },
+  // All of the header and query parameter rules must match the request
+  matchHeaders: {
+    type: [MatchRuleDef],
+    default: undefined
+  },
+  matchQueryParams: {
+    type: [MatchRuleDef],
+    default: undefined
+  },
   properties: [Object],
   txViewAcl: [String],
   txViewFullAcl: [String],
@@ -195,6 +559,12 @@ const ChannelDef = {
     default: true
   },
   rewriteUrlsConfig: [RewriteRuleDef],
+  streaming: StreamingDef,
+  rateLimit: RateLimitDef,
+  concurrency: ConcurrencyDef,
+  idempotency: IdempotencyDef,
+  responseCache: ResponseCacheDef,
+  requestValidation: RequestValidationDef,
   autoRetryEnabled: {
     type: Boolean,
     default: false
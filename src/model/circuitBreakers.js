@@ -0,0 +1,55 @@
+'use strict'
+
+import {Schema} from 'mongoose'
+
+import {connectionAPI, connectionDefault} from '../config'
+
+export const circuitBreakerStates = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+}
+
+// Shared circuit breaker state for an upstream route host, pool or topic
+//
+// Stored in mongo so that every cluster worker sees the same state
+const CircuitBreakerSchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  host: String,
+  port: Number,
+  // The upstreams of a pool route, which share a breaker
+  upstreams: [
+    {
+      _id: false,
+      host: String,
+      port: Number
+    }
+  ],
+  kafkaTopic: String,
+  state: {
+    type: String,
+    required: true,
+    default: circuitBreakerStates.CLOSED,
+    enum: Object.values(circuitBreakerStates)
+  },
+  // Number of consecutive failures
+  failures: {
+    type: Number,
+    default: 0
+  },
+  openedAt: Date,
+  lastFailureAt: Date
+})
+
+export const CircuitBreakerModelAPI = connectionAPI.model(
+  'CircuitBreaker',
+  CircuitBreakerSchema
+)
+export const CircuitBreakerModel = connectionDefault.model(
+  'CircuitBreaker',
+  CircuitBreakerSchema
+)
@@ -2,6 +2,7 @@
 
 import {Schema} from 'mongoose'
 
+import {RateLimitDef} from './rateLimits'
 import {connectionAPI, connectionDefault} from '../config'
 
 const ClientSchema = new Schema({
@@ -36,7 +37,9 @@ const ClientSchema = new Schema({
   softwareName: String,
   description: String,
   contactPerson: String,
-  contactPersonEmail: String
+  contactPersonEmail: String,
+  // Limits for the client's requests across all channels
+  rateLimit: RateLimitDef
 })
 
 export const ClientModelAPI = connectionAPI.model('Client', ClientSchema)
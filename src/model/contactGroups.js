@@ -4,6 +4,14 @@ import {Schema} from 'mongoose'
 
 import {connectionAPI, connectionDefault} from '../config'
 
+export const contactMethods = ['email', 'sms', 'webhook', 'chat', 'syslog']
+
+const MaxAlertsDef = {
+  type: String,
+  enum: ['no max', '1 per hour', '1 per day'],
+  default: 'no max'
+}
+
 export const ContactUserDef = {
   user: {
     type: String,
@@ -12,13 +20,29 @@ export const ContactUserDef = {
   method: {
     type: String,
     required: true,
-    enum: ['email', 'sms']
+    enum: contactMethods
+  },
+  // The URL of the webhook or chat incoming webhook, or the host:port of the
+  // syslog server. Email and SMS use the user's email address and MSISDN.
+  address: String,
+  maxAlerts: MaxAlertsDef
+}
+
+// A contact method of the whole group, such as the on-call team's chat
+// channel, that alerts are sent to along with the group's users
+const GroupContactDef = {
+  method: {
+    type: String,
+    required: true,
+    enum: contactMethods
   },
-  maxAlerts: {
+  address: {
     type: String,
-    enum: ['no max', '1 per hour', '1 per day'],
-    default: 'no max'
-  }
+    required() {
+      return this.method !== 'syslog'
+    }
+  },
+  maxAlerts: MaxAlertsDef
 }
 
 const ContactGroupSchema = new Schema({
@@ -27,7 +51,8 @@ const ContactGroupSchema = new Schema({
     required: true,
     unique: true
   },
-  users: [ContactUserDef]
+  users: [ContactUserDef],
+  contacts: [GroupContactDef]
 })
 
 export const ContactGroupModelAPI = connectionAPI.model(
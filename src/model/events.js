@@ -4,7 +4,13 @@ import {Schema} from 'mongoose'
 
 import {connectionAPI, connectionDefault} from '../config'
 
-export const eventTypes = ['channel', 'primary', 'route', 'orchestration']
+export const eventTypes = [
+  'channel',
+  'primary',
+  'route',
+  'orchestration',
+  'circuit-breaker'
+]
 
 // Active transaction events
 //
@@ -33,7 +39,7 @@ const EventsSchema = new Schema({
   },
   event: {
     type: String,
-    enum: ['start', 'end']
+    enum: ['start', 'end', 'open', 'half-open', 'closed']
   },
   name: String,
   status: Number,
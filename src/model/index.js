@@ -8,15 +8,20 @@ export * from './alerts'
 export * from './audits'
 export * from './autoRetry'
 export * from './channels'
+export * from './circuitBreakers'
 export * from './clients'
 export * from './contactGroups'
 export * from './dbVersion'
 export * from './events'
 export * from './keystore'
 export * from './mediators'
+export * from './rateLimits'
+export * from './responseCache'
 export * from './tasks'
 export * from './transactions'
 export * from './users'
+export * from './validationSchemas'
 export * from './visualizer'
+export * from './webhooks'
 export * from './metrics'
 export * from './passport'
@@ -8,6 +8,9 @@ export const METRIC_TYPE_MINUTE = 'm'
 export const METRIC_TYPE_HOUR = 'h'
 export const METRIC_TYPE_DAY = 'd'
 
+export const ROUTE_TYPE_ROUTE = 'route'
+export const ROUTE_TYPE_ORCHESTRATION = 'orchestration'
+
 const MetricsSchema = new Schema({
   startTime: {
     type: Date,
@@ -22,6 +25,15 @@ const MetricsSchema = new Schema({
     type: Schema.Types.ObjectId,
     required: true
   },
+  // Set on the metrics of the transactions of a client on the channel
+  clientID: Schema.Types.ObjectId,
+  // Set on the metrics of the requests to a route or, when routeType is
+  // orchestration, of the requests mediators made to downstream services
+  route: String,
+  routeType: {
+    type: String,
+    enum: [ROUTE_TYPE_ROUTE, ROUTE_TYPE_ORCHESTRATION]
+  },
   requests: {
     type: Number,
     default: 0
@@ -39,6 +51,10 @@ const MetricsSchema = new Schema({
     type: Number,
     default: 0
   },
+  // Number of requests in each response time bucket, keyed by bucket index.
+  // Histograms of different metrics can be added up to get percentiles over
+  // longer periods or several channels.
+  responseTimeHistogram: Object,
   failed: {
     type: Number,
     default: 0
@@ -58,6 +74,11 @@ const MetricsSchema = new Schema({
   completedWithErrors: {
     type: Number,
     default: 0
+  },
+  // Requests rejected by the rate limit of their channel
+  rateLimited: {
+    type: Number,
+    default: 0
   }
 })
 
@@ -73,7 +94,9 @@ MetricsSchema.index('startTime', {
 MetricsSchema.index({
   startTime: 1,
   channelID: 1,
-  type: 1
+  type: 1,
+  clientID: 1,
+  route: 1
 })
 
 export const MetricModel = connectionAPI.model('Metric', MetricsSchema)
@@ -0,0 +1,83 @@
+'use strict'
+
+import {Schema} from 'mongoose'
+
+import {connectionAPI, connectionDefault} from '../config'
+
+// Length of each rate limit window, counters are reset at the start of a window
+export const rateLimitWindows = {
+  second: 1000,
+  minute: 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+}
+
+// Rate limit
+//
+// The maximum number of requests allowed in each second, minute and (UTC) day.
+// Requests over a limit are rejected with a 429 response until the window ends.
+// On a channel the limits apply to all of its clients together, unless perClient
+// is set in which case every client has its own limits on the channel.
+//
+export const RateLimitDef = {
+  requestsPerSecond: {
+    type: Number,
+    min: 1
+  },
+  requestsPerMinute: {
+    type: Number,
+    min: 1
+  },
+  requestsPerDay: {
+    type: Number,
+    min: 1
+  },
+  perClient: Boolean
+}
+
+// Shared request counter for a client or channel rate limit window
+//
+// Stored in mongo so that every cluster worker counts towards the same limit.
+// Counters are removed by mongo once their window has expired.
+const RateLimitCounterSchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scope: {
+    type: String,
+    required: true,
+    enum: ['client', 'channel']
+  },
+  clientID: Schema.Types.ObjectId,
+  channelID: Schema.Types.ObjectId,
+  window: {
+    type: String,
+    required: true,
+    enum: Object.keys(rateLimitWindows)
+  },
+  windowStart: {
+    type: Date,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    expires: 0
+  }
+})
+
+RateLimitCounterSchema.index({channelID: 1, windowStart: 1})
+RateLimitCounterSchema.index({clientID: 1, windowStart: 1})
+
+export const RateLimitCounterModelAPI = connectionAPI.model(
+  'RateLimitCounter',
+  RateLimitCounterSchema
+)
+export const RateLimitCounterModel = connectionDefault.model(
+  'RateLimitCounter',
+  RateLimitCounterSchema
+)
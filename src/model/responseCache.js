@@ -0,0 +1,49 @@
+'use strict'
+
+import {Schema} from 'mongoose'
+
+import {connectionAPI, connectionDefault} from '../config'
+
+// Cached upstream response for a channel's GET requests
+//
+// Stored in mongo so that every cluster worker serves the same cached
+// responses. Entries are removed by mongo once they have expired.
+const CachedResponseSchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  channelID: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  path: String,
+  querystring: String,
+  status: {
+    type: Number,
+    required: true
+  },
+  headers: Object,
+  body: Buffer,
+  etag: String,
+  createdAt: {
+    type: Date,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0
+  }
+})
+
+export const CachedResponseModelAPI = connectionAPI.model(
+  'CachedResponse',
+  CachedResponseSchema
+)
+export const CachedResponseModel = connectionDefault.model(
+  'CachedResponse',
+  CachedResponseSchema
+)
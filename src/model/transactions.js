@@ -10,7 +10,8 @@ export const transactionStatus = {
   SUCCESSFUL: 'Successful',
   COMPLETED: 'Completed',
   COMPLETED_W_ERR: 'Completed with error(s)',
-  FAILED: 'Failed'
+  FAILED: 'Failed',
+  RATE_LIMITED: 'Rate Limited'
 }
 
 // Request Schema definition
@@ -33,6 +34,8 @@ const ResponseDef = {
   status: Number,
   headers: Object,
   body: String,
+  // The body as received when response transforms changed it
+  originalBody: String,
   timestamp: Date
 }
 
@@ -53,7 +56,17 @@ const OrchestrationMetadataDef = {
     required: false
   }, // this is needed to prevent Validation error, see https://github.com/jembi/openhim-console/issues/356#issuecomment-188708443
   response: ResponseDef,
-  error: ErrorDetailsDef
+  error: ErrorDetailsDef,
+  // The retry attempt number, only set when the route has a retry policy
+  attempt: Number
+}
+
+// Record of a single attempt made to a route that has a retry policy
+const RouteAttemptDef = {
+  attempt: Number,
+  status: Number,
+  error: ErrorDetailsDef,
+  timestamp: Date
 }
 
 // Route Schema
@@ -66,7 +79,17 @@ const RouteMetadataDef = {
   response: ResponseDef,
   orchestrations: [OrchestrationMetadataDef],
   properties: Object,
-  error: ErrorDetailsDef
+  error: ErrorDetailsDef,
+  attempts: [RouteAttemptDef]
+}
+
+// A route that wasn't sent the request because its condition didn't match
+const SkippedRouteDef = {
+  name: {
+    type: String,
+    required: true
+  },
+  primary: Boolean
 }
 
 // Transaction schema
@@ -83,7 +106,19 @@ const TransactionSchema = new Schema({
   },
   request: RequestDef,
   response: ResponseDef,
+  // The name of the primary route the request was sent to
+  primaryRoute: String,
+  // When the request was sent to the primary route, and its response received,
+  // including any retries
+  primaryRouteTiming: {
+    requestTimestamp: Date,
+    responseTimestamp: Date
+  },
   routes: [RouteMetadataDef],
+  skippedRoutes: {
+    type: [SkippedRouteDef],
+    default: undefined
+  },
   orchestrations: [OrchestrationMetadataDef],
   properties: Object,
   canRerun: {
@@ -100,6 +135,17 @@ const TransactionSchema = new Schema({
     default: false
   },
   error: ErrorDetailsDef,
+  // Set when the channel deduplicates requests by their idempotency key
+  idempotencyKey: String,
+  // The transaction whose response was replayed for this repeated request
+  duplicateOf: Schema.Types.ObjectId,
+  // Set when the response was served from the channel's response cache
+  cacheHit: Boolean,
+  // W3C trace context of the transaction, the span being the HIM's own span in
+  // the trace and the parent span the caller's
+  traceId: String,
+  spanId: String,
+  parentSpanId: String,
   status: {
     type: String,
     required: true,
@@ -111,6 +157,13 @@ TransactionSchema.index('request.timestamp')
 TransactionSchema.index({channelID: 1, 'request.timestamp': -1})
 TransactionSchema.index({status: 1, 'request.timestamp': -1})
 TransactionSchema.index({childIDs: 1, 'request.timestamp': -1})
+TransactionSchema.index('traceId', {
+  partialFilterExpression: {traceId: {$exists: true}}
+})
+TransactionSchema.index(
+  {channelID: 1, idempotencyKey: 1, 'request.timestamp': 1},
+  {partialFilterExpression: {idempotencyKey: {$exists: true}}}
+)
 
 // Compile schema into Model
 export const TransactionModelAPI = connectionAPI.model(
@@ -0,0 +1,40 @@
+'use strict'
+
+import {Schema} from 'mongoose'
+
+import {connectionAPI, connectionDefault} from '../config'
+
+export const validationSchemaTypes = ['json-schema', 'xsd']
+
+// A JSON Schema or XSD that channels validate request bodies against
+const ValidationSchemaSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  description: String,
+  type: {
+    type: String,
+    required: true,
+    enum: validationSchemaTypes
+  },
+  // The schema document, as JSON text for a JSON Schema
+  schema: {
+    type: String,
+    required: true
+  },
+  updated: {
+    type: Date,
+    default: Date.now
+  }
+})
+
+export const ValidationSchemaModelAPI = connectionAPI.model(
+  'ValidationSchema',
+  ValidationSchemaSchema
+)
+export const ValidationSchemaModel = connectionDefault.model(
+  'ValidationSchema',
+  ValidationSchemaSchema
+)
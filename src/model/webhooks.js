@@ -0,0 +1,113 @@
+'use strict'
+
+import {Schema} from 'mongoose'
+
+import {connectionAPI, connectionDefault} from '../config'
+import {transactionStatus} from './transactions'
+
+export const webhookEvents = {
+  TRANSACTION_COMPLETED: 'transaction-completed',
+  TRANSACTION_FAILED: 'transaction-failed',
+  AUTO_RETRY_EXHAUSTED: 'auto-retry-exhausted',
+  TASK_COMPLETED: 'task-completed'
+}
+
+export const deliveryStatus = {
+  PENDING: 'Pending',
+  DELIVERED: 'Delivered',
+  FAILED: 'Failed'
+}
+
+// An endpoint that the events it subscribes to are POSTed to
+const WebhookSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  // The payloads are signed with this secret so the subscriber can verify them
+  secret: {
+    type: String,
+    required: true
+  },
+  events: {
+    type: [{type: String, enum: Object.values(webhookEvents)}],
+    validate: {
+      validator: events => events.length > 0,
+      message: 'A webhook must subscribe to at least one event'
+    }
+  },
+  // Only transactions of these channels and with these statuses are sent,
+  // every channel and status when empty
+  channels: [Schema.Types.ObjectId],
+  statuses: [{type: String, enum: Object.values(transactionStatus)}],
+  headers: Object,
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  created: {
+    type: Date,
+    default: Date.now
+  }
+})
+
+const AttemptSchema = new Schema(
+  {
+    timestamp: {
+      type: Date,
+      required: true
+    },
+    responseStatus: Number,
+    error: String
+  },
+  {_id: false}
+)
+
+// The delivery log of a webhook, each event sent to it and the attempts
+const WebhookDeliverySchema = new Schema({
+  webhookID: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  event: {
+    type: String,
+    required: true,
+    enum: Object.values(webhookEvents)
+  },
+  payload: {
+    type: Object,
+    required: true
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: Object.values(deliveryStatus),
+    default: deliveryStatus.PENDING
+  },
+  attempts: [AttemptSchema],
+  nextAttempt: Date,
+  created: {
+    type: Date,
+    default: Date.now,
+    expires: '30d'
+  }
+})
+
+WebhookDeliverySchema.index({status: 1, nextAttempt: 1})
+
+export const WebhookModelAPI = connectionAPI.model('Webhook', WebhookSchema)
+export const WebhookModel = connectionDefault.model('Webhook', WebhookSchema)
+export const WebhookDeliveryModelAPI = connectionAPI.model(
+  'WebhookDelivery',
+  WebhookDeliverySchema
+)
+export const WebhookDeliveryModel = connectionDefault.model(
+  'WebhookDelivery',
+  WebhookDeliverySchema
+)
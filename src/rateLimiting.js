@@ -0,0 +1,232 @@
+'use strict'
+
+import logger from 'winston'
+
+import {RateLimitCounterModel, rateLimitWindows} from './model/rateLimits'
+import {config} from './config'
+
+config.rateLimiting = config.get('rateLimiting')
+
+const LIMIT_PROPERTIES = {
+  second: 'requestsPerSecond',
+  minute: 'requestsPerMinute',
+  day: 'requestsPerDay'
+}
+
+const definedFields = fields =>
+  Object.keys(fields)
+    .filter(key => fields[key] != null)
+    .reduce((result, key) => ({...result, [key]: fields[key]}), {})
+
+// Counters shared by every worker through mongo
+const mongoStore = {
+  async increment(counter) {
+    const {count} = await RateLimitCounterModel.findOneAndUpdate(
+      {key: counter.key},
+      {
+        $inc: {count: 1},
+        $setOnInsert: definedFields({
+          scope: counter.scope,
+          clientID: counter.clientID,
+          channelID: counter.channelID,
+          window: counter.window,
+          windowStart: counter.windowStart,
+          expiresAt: counter.expiresAt
+        })
+      },
+      {upsert: true, new: true}
+    ).lean()
+    return count
+  },
+
+  find(query) {
+    return RateLimitCounterModel.find(definedFields(query)).lean()
+  }
+}
+
+const localCounters = new Map()
+
+// Counters kept by each worker, for single worker deployments
+const memoryStore = {
+  async increment(counter) {
+    if (!localCounters.has(counter.key)) {
+      // a new window has started, drop the counters of windows that ended
+      for (const [key, expired] of localCounters) {
+        if (expired.expiresAt <= counter.windowStart) {
+          localCounters.delete(key)
+        }
+      }
+      localCounters.set(counter.key, {...counter, count: 0})
+    }
+
+    const local = localCounters.get(counter.key)
+    local.count += 1
+    return local.count
+  },
+
+  async find(query) {
+    const fields = definedFields(query)
+    return Array.from(localCounters.values()).filter(counter =>
+      Object.keys(fields).every(key => `${counter[key]}` === `${fields[key]}`)
+    )
+  }
+}
+
+function getStore() {
+  return config.rateLimiting.store === 'memory' ? memoryStore : mongoStore
+}
+
+function getWindowStart(window, now) {
+  const length = rateLimitWindows[window]
+  return new Date(Math.floor(now.getTime() / length) * length)
+}
+
+function getLimitedWindows(rateLimit) {
+  if (rateLimit == null) {
+    return []
+  }
+  return Object.keys(LIMIT_PROPERTIES).filter(
+    window => rateLimit[LIMIT_PROPERTIES[window]] != null
+  )
+}
+
+/*
+ * Returns the limits that apply to the request, the channel's limits first and
+ * then the client's
+ */
+export function getRequestLimits(ctx) {
+  const channel = ctx.authorisedChannel
+  const client = ctx.authenticated
+  const limits = []
+
+  if (channel != null && getLimitedWindows(channel.rateLimit).length > 0) {
+    const perClient = Boolean(channel.rateLimit.perClient) && client != null
+    limits.push({
+      scope: 'channel',
+      key: perClient
+        ? `channel:${channel._id}:client:${client._id}`
+        : `channel:${channel._id}`,
+      channelID: channel._id,
+      clientID: perClient ? client._id : undefined,
+      name: channel.name,
+      rateLimit: channel.rateLimit
+    })
+  }
+
+  if (client != null && getLimitedWindows(client.rateLimit).length > 0) {
+    limits.push({
+      scope: 'client',
+      key: `client:${client._id}`,
+      clientID: client._id,
+      name: client.clientID,
+      rateLimit: client.rateLimit
+    })
+  }
+
+  return limits
+}
+
+/*
+ * Counts the request against its channel and client limits. Resolves with the
+ * limit that was exceeded, with the seconds until its window ends, or null
+ * when the request is allowed. Windows after an exceeded one aren't counted.
+ */
+export async function checkRateLimits(ctx, now = new Date()) {
+  const store = getStore()
+
+  for (const limit of getRequestLimits(ctx)) {
+    for (const window of getLimitedWindows(limit.rateLimit)) {
+      const windowStart = getWindowStart(window, now)
+      const expiresAt = new Date(
+        windowStart.getTime() + rateLimitWindows[window]
+      )
+      const count = await store.increment({
+        key: `${limit.key}:${window}:${windowStart.getTime()}`,
+        scope: limit.scope,
+        clientID: limit.clientID,
+        channelID: limit.channelID,
+        window,
+        windowStart,
+        expiresAt
+      })
+
+      const max = limit.rateLimit[LIMIT_PROPERTIES[window]]
+      if (count > max) {
+        return {
+          ...limit,
+          window,
+          limit: max,
+          retryAfterSeconds: Math.max(
+            1,
+            Math.ceil((expiresAt.getTime() - now.getTime()) / 1000)
+          )
+        }
+      }
+    }
+  }
+
+  return null
+}
+
+/*
+ * Responds to a request that exceeded a rate limit
+ */
+export function setRateLimitedResponse(ctx, exceeded) {
+  const message = `Rate limit of ${exceeded.limit} requests per ${exceeded.window} exceeded for ${exceeded.scope} ${exceeded.name}`
+  logger.info(`[${ctx.transactionId}] ${message}`)
+
+  ctx.response.status = 429
+  ctx.response.set('Retry-After', `${exceeded.retryAfterSeconds}`)
+  ctx.response.body = message
+  ctx.response.timestamp = new Date()
+}
+
+/*
+ * Returns the current usage of a client's or channel's limits. Channels that
+ * limit each client separately list the usage of every client.
+ */
+export async function getUsage(scope, rateLimit, ids, now = new Date()) {
+  const store = getStore()
+  const usage = []
+
+  for (const window of getLimitedWindows(rateLimit)) {
+    const windowStart = getWindowStart(window, now)
+    const base = {
+      window,
+      limit: rateLimit[LIMIT_PROPERTIES[window]],
+      windowStart,
+      resetAt: new Date(windowStart.getTime() + rateLimitWindows[window])
+    }
+    const perClient = scope === 'channel' && Boolean(rateLimit.perClient)
+
+    const counters = await store.find({
+      scope,
+      window,
+      windowStart,
+      channelID: ids.channelID,
+      clientID: ids.clientID
+    })
+    const matching = counters.filter(
+      counter =>
+        perClient === (counter.scope === 'channel' && counter.clientID != null)
+    )
+
+    if (perClient) {
+      matching.forEach(counter =>
+        usage.push({...base, clientID: counter.clientID, count: counter.count})
+      )
+    } else {
+      const count = matching.reduce(
+        (total, counter) => total + counter.count,
+        0
+      )
+      usage.push({...base, count})
+    }
+  }
+
+  return usage
+}
+
+if (process.env.NODE_ENV === 'test') {
+  exports.localCounters = localCounters
+}
@@ -0,0 +1,143 @@
+'use strict'
+
+import Ajv from 'ajv'
+import libxmljs from 'libxmljs2'
+import logger from 'winston'
+
+import {ValidationSchemaModel} from './model/validationSchemas'
+
+const VALIDATED_METHODS = ['POST', 'PUT', 'PATCH']
+
+// Don't fetch external DTDs or schemas referenced by a document
+const XML_PARSE_OPTIONS = {nonet: true}
+
+const ajv = new Ajv({allErrors: true})
+
+const compilers = {
+  'json-schema': schema => {
+    const validate = ajv.compile(JSON.parse(schema))
+
+    return text => {
+      let json
+      try {
+        json = JSON.parse(text)
+      } catch (err) {
+        return [`The request body is not valid JSON: ${err.message}`]
+      }
+      if (validate(json)) {
+        return []
+      }
+      return validate.errors.map(
+        error => `${error.dataPath || '/'} ${error.message}`
+      )
+    }
+  },
+
+  xsd: schema => {
+    const xsd = libxmljs.parseXml(schema, XML_PARSE_OPTIONS)
+
+    return text => {
+      let doc
+      try {
+        doc = libxmljs.parseXml(text, XML_PARSE_OPTIONS)
+      } catch (err) {
+        return [`The request body is not valid XML: ${err.message.trim()}`]
+      }
+      if (doc.validate(xsd)) {
+        return []
+      }
+      return doc.validationErrors.map(
+        error => `Line ${error.line}: ${error.message.trim()}`
+      )
+    }
+  }
+}
+
+/*
+ * Compiles a schema into a function that returns the validation errors of a
+ * request body. Throws when the schema itself is invalid.
+ */
+export function compileSchema(type, schema) {
+  if (compilers[type] == null) {
+    throw new Error(`Unknown schema type ${type}`)
+  }
+  return compilers[type](schema)
+}
+
+// Compiled validators by schema id and the time the schema was last updated
+const validators = new Map()
+
+function getValidator(validationSchema) {
+  const key = `${validationSchema._id}:${new Date(
+    validationSchema.updated
+  ).getTime()}`
+  if (!validators.has(key)) {
+    // drop the validators of older versions of the schema
+    for (const cachedKey of validators.keys()) {
+      if (cachedKey.startsWith(`${validationSchema._id}:`)) {
+        validators.delete(cachedKey)
+      }
+    }
+    validators.set(
+      key,
+      compileSchema(validationSchema.type, validationSchema.schema)
+    )
+  }
+  return validators.get(key)
+}
+
+export function isValidated(ctx) {
+  const channel = ctx.authorisedChannel
+  return Boolean(
+    channel != null &&
+      channel.requestValidation != null &&
+      channel.requestValidation.enabled &&
+      channel.requestValidation.schemaID != null &&
+      !ctx.isStreaming &&
+      VALIDATED_METHODS.includes(ctx.method)
+  )
+}
+
+/*
+ * Validates the request body against the channel's schema. Resolves with the
+ * schema and the validation errors, which are empty for a valid body, or null
+ * when the channel's schema doesn't exist.
+ */
+export async function validateRequest(ctx) {
+  const {schemaID} = ctx.authorisedChannel.requestValidation
+  const validationSchema = await ValidationSchemaModel.findById(schemaID).lean()
+  if (validationSchema == null) {
+    logger.error(
+      `Channel ${ctx.authorisedChannel.name} validates requests against schema ${schemaID} which doesn't exist`
+    )
+    return null
+  }
+
+  const body = ctx.body == null ? '' : ctx.body.toString()
+  return {
+    schema: validationSchema,
+    errors: getValidator(validationSchema)(body)
+  }
+}
+
+/*
+ * Rejects a request whose body failed validation, the errors are returned to
+ * the client and stored as the transaction's error
+ */
+export function setInvalidRequestResponse(ctx, schema, errors) {
+  const message = `The request body failed validation against schema ${schema.name}`
+  logger.info(`[${ctx.transactionId}] ${message}`)
+
+  ctx.error = {
+    message,
+    stack: errors.join('\n')
+  }
+  ctx.response.status = 400
+  ctx.response.type = 'application/json'
+  ctx.response.body = JSON.stringify({error: message, errors})
+  ctx.response.timestamp = new Date()
+}
+
+if (process.env.NODE_ENV === 'test') {
+  exports.validators = validators
+}
@@ -0,0 +1,230 @@
+'use strict'
+
+import crypto from 'crypto'
+import logger from 'winston'
+
+import {CachedResponseModel} from './model/responseCache'
+
+const CACHEABLE_METHODS = ['GET', 'HEAD']
+const DEFAULT_TTL_SECONDS = 5 * 60
+
+// Directives that stop a response from being cached or a request from being
+// answered from the cache
+const UNCACHEABLE_RESPONSE_DIRECTIVES = ['no-store', 'no-cache', 'private']
+const UNCACHEABLE_REQUEST_DIRECTIVES = ['no-store', 'no-cache']
+
+// Headers that are set again for every response, so aren't cached
+const UNCACHED_HEADERS = [
+  'connection',
+  'content-encoding',
+  'content-length',
+  'date',
+  'transfer-encoding',
+  'x-openhim-transactionid'
+]
+
+/*
+ * Whether the request may be answered from, and its response stored in, the
+ * channel's response cache
+ */
+export function isCacheable(ctx) {
+  const channel = ctx.authorisedChannel
+  return Boolean(
+    channel != null &&
+      channel.responseCache != null &&
+      channel.responseCache.enabled &&
+      !(channel.streaming != null && channel.streaming.enabled) &&
+      CACHEABLE_METHODS.includes(ctx.method)
+  )
+}
+
+/*
+ * Parses a Cache-Control header into its directives, with the value of the
+ * directives that have one
+ */
+export function parseCacheControl(header) {
+  const directives = {}
+  if (!header) {
+    return directives
+  }
+
+  for (const part of `${header}`.split(',')) {
+    const [name, value] = part.trim().split('=')
+    if (name) {
+      directives[name.toLowerCase()] =
+        value == null ? true : value.replace(/"/g, '')
+    }
+  }
+  return directives
+}
+
+/*
+ * Builds the cache key of a request from its channel, path, query string and
+ * the values of the channel's vary headers. Responses of channels that aren't
+ * public are only shared by requests of the same client. HEAD requests share
+ * the key of the matching GET request.
+ */
+export function getCacheKey(ctx) {
+  const channel = ctx.authorisedChannel
+  const varyHeaders = (channel.responseCache.varyHeaders || []).map(name => [
+    name.toLowerCase(),
+    ctx.header[name.toLowerCase()] || ''
+  ])
+  const clientID =
+    channel.authType !== 'public' && ctx.authenticated != null
+      ? ctx.authenticated._id.toString()
+      : ''
+
+  return crypto
+    .createHash('sha256')
+    .update(
+      JSON.stringify([
+        channel._id.toString(),
+        clientID,
+        ctx.path,
+        ctx.querystring || '',
+        varyHeaders
+      ])
+    )
+    .digest('hex')
+}
+
+/*
+ * Whether the cache key covers every request header named in the response's
+ * Vary header, as the response may differ by the other headers
+ */
+export function isVaryCovered(ctx) {
+  const vary = ctx.response.get('Vary')
+  if (!vary) {
+    return true
+  }
+
+  const varyHeaders = (
+    ctx.authorisedChannel.responseCache.varyHeaders || []
+  ).map(name => name.toLowerCase())
+  return `${vary}`
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => name.length > 0)
+    .every(name => varyHeaders.includes(name))
+}
+
+/*
+ * Whether the client asked for a fresh response rather than a cached one
+ */
+export function bypassesCache(ctx) {
+  const directives = parseCacheControl(ctx.header['cache-control'])
+  return UNCACHEABLE_REQUEST_DIRECTIVES.some(name => directives[name])
+}
+
+export async function findCachedResponse(key, now = new Date()) {
+  const cached = await CachedResponseModel.findOne({
+    key,
+    expiresAt: {$gt: now}
+  }).lean()
+  // lean documents hold the body as a bson Binary, which koa would serialise
+  // as JSON rather than send as is
+  if (cached != null && cached.body != null) {
+    cached.body = Buffer.from(cached.body.buffer)
+  }
+  return cached
+}
+
+/*
+ * Answers a request with a cached response. A client that already holds the
+ * cached version, by its ETag, gets a 304 without the body.
+ */
+export function sendCachedResponse(ctx, cached) {
+  logger.info(
+    `[${ctx.transactionId}] Serving the cached response for ${ctx.path} on channel ${ctx.authorisedChannel.name}`
+  )
+  ctx.cacheHit = true
+
+  for (const name of Object.keys(cached.headers || {})) {
+    ctx.response.set(name, cached.headers[name])
+  }
+  ctx.response.set('X-OpenHIM-Cache', 'HIT')
+  ctx.response.set(
+    'Age',
+    `${Math.max(0, Math.floor((Date.now() - cached.createdAt) / 1000))}`
+  )
+
+  if (cached.etag != null && ctx.header['if-none-match'] === cached.etag) {
+    ctx.response.status = 304
+  } else {
+    ctx.response.status = cached.status
+    ctx.response.body = cached.body
+  }
+  ctx.response.timestamp = new Date()
+}
+
+/*
+ * Returns the number of seconds the response may be cached for, or null when
+ * it mustn't be cached. The upstream's max-age shortens the channel's TTL.
+ * Responses that vary by headers that aren't in the cache key aren't cached.
+ */
+export function getResponseTtl(ctx) {
+  const response = ctx.response
+  if (
+    response.status !== 200 ||
+    !(typeof response.body === 'string' || Buffer.isBuffer(response.body)) ||
+    response.get('Set-Cookie') ||
+    !isVaryCovered(ctx)
+  ) {
+    return null
+  }
+
+  const directives = parseCacheControl(response.get('Cache-Control'))
+  if (UNCACHEABLE_RESPONSE_DIRECTIVES.some(name => directives[name])) {
+    return null
+  }
+
+  let ttl =
+    ctx.authorisedChannel.responseCache.ttlSeconds || DEFAULT_TTL_SECONDS
+  const maxAge = parseInt(directives['s-maxage'] || directives['max-age'], 10)
+  if (!isNaN(maxAge)) {
+    ttl = Math.min(ttl, maxAge)
+  }
+  return ttl > 0 ? ttl : null
+}
+
+/*
+ * Caches the response to a GET request when the upstream allows it
+ */
+export async function cacheResponse(ctx, key, now = new Date()) {
+  const ttl = getResponseTtl(ctx)
+  if (ttl == null) {
+    return null
+  }
+
+  const headers = {}
+  for (const name of Object.keys(ctx.response.headers)) {
+    if (!UNCACHED_HEADERS.includes(name.toLowerCase())) {
+      headers[name] = ctx.response.headers[name]
+    }
+  }
+
+  return CachedResponseModel.findOneAndUpdate(
+    {key},
+    {
+      channelID: ctx.authorisedChannel._id,
+      path: ctx.path,
+      querystring: ctx.querystring,
+      status: ctx.response.status,
+      headers,
+      body: Buffer.from(ctx.response.body),
+      etag: ctx.response.get('ETag') || undefined,
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + ttl * 1000)
+    },
+    {upsert: true, new: true}
+  )
+}
+
+/*
+ * Removes all cached responses of a channel, resolves with the number removed
+ */
+export async function purgeChannel(channelID) {
+  const {deletedCount} = await CachedResponseModel.deleteMany({channelID})
+  return deletedCount
+}
@@ -0,0 +1,113 @@
+'use strict'
+
+import logger from 'winston'
+import xpath from 'xpath'
+import {DOMParser as Dom} from '@xmldom/xmldom'
+
+import * as hl7 from './hl7'
+import * as utils from './utils'
+
+export const conditionTypes = ['header', 'query', 'jsonpath', 'xpath', 'hl7']
+
+export function hasCondition(route) {
+  return route.condition != null && route.condition.type != null
+}
+
+function extractBodyValue(condition, body) {
+  if (body == null) {
+    return
+  }
+
+  switch (condition.type) {
+    case 'jsonpath': {
+      const value = utils.getJSONValByString(
+        JSON.parse(body.toString()),
+        condition.expression
+      )
+      return value == null ? undefined : `${value}`
+    }
+    case 'xpath': {
+      const doc = new Dom().parseFromString(body.toString())
+      const value = xpath.select(condition.expression, doc).toString()
+      return value === '' ? undefined : value
+    }
+    case 'hl7':
+      return hl7.getFieldValue(body.toString(), condition.expression)
+  }
+}
+
+/*
+ * Extracts the value a route condition refers to from the request
+ */
+export function extractValue(ctx, condition) {
+  switch (condition.type) {
+    case 'header': {
+      const headers = ctx.request.header || {}
+      return headers[condition.expression.toLowerCase()]
+    }
+    case 'query': {
+      const value = new URLSearchParams(ctx.request.querystring || '').get(
+        condition.expression
+      )
+      return value == null ? undefined : value
+    }
+    default:
+      return extractBodyValue(condition, ctx.body)
+  }
+}
+
+function matchesValue(value, condition) {
+  if (value == null) {
+    return false
+  }
+  if (condition.value == null) {
+    return true
+  }
+  if (condition.regex) {
+    return utils.compileRegex(condition.value).test(value)
+  }
+  return `${value}` === condition.value
+}
+
+/*
+ * Evaluates a route condition against the request. Without a value the
+ * condition matches when the referenced value exists, otherwise the value must
+ * be equal to it (or match it when regex is set). A body that can't be parsed,
+ * or an invalid expression or regex, doesn't match.
+ */
+export function matches(ctx, condition) {
+  try {
+    return matchesValue(extractValue(ctx, condition), condition)
+  } catch (err) {
+    logger.warn(
+      `Could not evaluate ${condition.type} route condition '${condition.expression}': ${err.message}`
+    )
+    return false
+  }
+}
+
+/*
+ * Checks that a route condition can be evaluated, returning the reason when
+ * it can't
+ */
+export function validateCondition(condition) {
+  if (!conditionTypes.includes(condition.type)) {
+    return `Unknown route condition type ${condition.type}`
+  }
+  if (utils.isNullOrWhitespace(condition.expression)) {
+    return `Route conditions of type ${condition.type} must have an expression`
+  }
+  if (
+    condition.type === 'hl7' &&
+    !hl7.isFieldExpression(condition.expression)
+  ) {
+    return `Invalid HL7 field expression: ${condition.expression}`
+  }
+  if (condition.regex && condition.value != null) {
+    try {
+      utils.compileRegex(condition.value)
+    } catch (err) {
+      return `Route condition has an invalid regex: ${err.message}`
+    }
+  }
+}
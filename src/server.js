@@ -26,14 +26,17 @@ import * as auditing from './auditing'
 import * as autoRetry from './autoRetry'
 import * as bodyCull from './bodyCull'
 import * as constants from './constants'
+import * as eventStream from './eventStream'
 import * as koaMiddleware from './koaMiddleware'
 import * as koaApi from './koaApi'
+import * as metricsServer from './metricsServer'
 import * as polling from './polling'
 import * as reports from './reports'
 import * as tasks from './tasks'
 import * as tcpAdapter from './tcpAdapter'
 import * as tlsAuthentication from './middleware/tlsAuthentication'
 import * as upgradeDB from './upgradeDB'
+import * as webhooks from './webhooks'
 import {KeystoreModel} from './model/keystore'
 import {UserModel, createUser, updateTokenUser} from './model/users'
 import {appRoot, config, connectionAgenda} from './config'
@@ -56,6 +59,7 @@ config.auditing = config.get('auditing')
 config.agenda = config.get('agenda')
 config.certificateManagement = config.get('certificateManagement')
 config.bodyCull = config.get('bodyCull')
+config.prometheus = config.get('prometheus')
 
 const himSourceID = config.get('auditing').auditEvents.auditSourceID
 const currentVersion = require('../package.json').version
@@ -235,16 +239,30 @@ if (cluster.isMaster && !module.parent) {
 
     cluster.on('exit', worker => {
       logger.warn(`worker ${worker.process.pid} died`)
+      eventStream.removeWorker(worker)
       if (!worker.suicide) {
         // respawn
         addWorker()
       }
     })
 
+    // pass the events saved by a worker on to the workers with event streams
+    cluster.on('message', eventStream.handleWorkerMessage)
+
     cluster.on('online', worker =>
       logger.info(`worker with pid ${worker.process.pid} is online`)
     )
 
+    if (config.prometheus.enabled) {
+      metricsServer
+        .createMetricsServer()
+        .listen(config.prometheus.port, config.get('bindAddress'), () =>
+          logger.info(
+            `Prometheus metrics listening on port ${config.prometheus.port}`
+          )
+        )
+    }
+
     return cluster.on('listening', (worker, address) =>
       logger.debug(
         `worker ${worker.id} is now connected to ${address.address}:${address.port}`
@@ -380,6 +398,7 @@ if (cluster.isMaster && !module.parent) {
         bodyCull.setupAgenda(agenda)
       }
       autoRetry.setupAgenda(agenda)
+      webhooks.setupAgenda(agenda)
       if (config.polling.enabled) {
         return polling.setupAgenda(agenda, () =>
           // give workers a change to setup agenda tasks
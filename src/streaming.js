@@ -0,0 +1,60 @@
+'use strict'
+
+import {Transform} from 'stream'
+
+import {config} from './config'
+
+config.router = config.get('router')
+config.api = config.get('api')
+
+export function isStreamingChannel(channel) {
+  return Boolean(channel && channel.streaming && channel.streaming.enabled)
+}
+
+/*
+ * The number of bytes of each streamed body to keep for storage. Only a
+ * sampleRate fraction of transactions keep a copy of their bodies at all.
+ */
+export function getStoredBodyBytes(channel) {
+  const settings = channel.streaming || {}
+  const sampleRate = settings.sampleRate != null ? settings.sampleRate : 1
+  if (Math.random() >= sampleRate) {
+    return 0
+  }
+  return settings.maxStoredBodyBytes != null
+    ? settings.maxStoredBodyBytes
+    : config.router.streamingMaxStoredBodyBytes
+}
+
+/*
+ * Creates a pass through stream that keeps a copy of the first maxBytes that
+ * flow through it so that a streamed body can be stored with the transaction.
+ */
+export function createBodyCapture(maxBytes) {
+  const chunks = []
+  let capturedBytes = 0
+  let totalBytes = 0
+
+  const capture = new Transform({
+    transform(chunk, encoding, callback) {
+      totalBytes += chunk.length
+      if (capturedBytes < maxBytes) {
+        const part = chunk.slice(0, maxBytes - capturedBytes)
+        chunks.push(part)
+        capturedBytes += part.length
+      }
+      callback(null, chunk)
+    }
+  })
+
+  // The captured body, marked as truncated if part of it wasn't kept
+  capture.getBody = () => {
+    const body = Buffer.concat(chunks).toString()
+    return capturedBytes > 0 && totalBytes > capturedBytes
+      ? body + config.api.truncateAppend
+      : body
+  }
+  capture.getTotalBytes = () => totalBytes
+
+  return capture
+}
@@ -4,10 +4,13 @@ import logger from 'winston'
 import http from 'http'
 import net from 'net'
 
+import * as hl7 from './hl7'
 import * as rerunMiddleware from './middleware/rerunUpdateTransactionTask'
+import * as mllp from './mllp'
 import {ChannelModel} from './model/channels'
 import {TaskModel} from './model/tasks'
 import {TransactionModel} from './model/transactions'
+import * as webhooks from './webhooks'
 import {config} from './config'
 
 config.rerun = config.get('rerun')
@@ -137,6 +140,12 @@ async function finalizeTaskRound(task) {
   }
 
   await task.save()
+
+  if (task.status === 'Completed') {
+    webhooks.notifyTaskCompleted(task).catch(err => {
+      logger.error('Sending task webhooks failed', err)
+    })
+  }
 }
 /**
  * Process a task.
@@ -436,21 +445,49 @@ function rerunTcpRequestSend(channel, transaction, callback) {
   }
 
   const client = new net.Socket()
+  const decoder = channel.mllp ? mllp.createFrameDecoder() : null
 
   client.connect(channel.tcpPort, channel.tcpHost, () => {
     logger.info(
       `Rerun Transaction ${transaction._id}: TCP connection established`
     )
-    client.end(transaction.request.body)
+    if (decoder) {
+      // keep the connection open until the framed response is received
+      client.write(mllp.frame(transaction.request.body))
+    } else {
+      client.end(transaction.request.body)
+    }
   })
 
   client.on('data', data => {
-    response.body += data
+    if (decoder) {
+      let messages
+      try {
+        messages = decoder.push(data)
+      } catch (err) {
+        client.destroy(err)
+        return
+      }
+      if (messages.length > 0) {
+        response.body += messages[0]
+        client.end()
+      }
+    } else {
+      response.body += data
+    }
   })
 
   client.on('end', () => {
     response.status = 200
     response.transaction.status = 'Completed'
+    if (channel.autoAck) {
+      // the channel's ACK reflects the outcome of the rerun
+      const ackCode = hl7.getFieldValue(response.body, 'MSA-1')
+      if (ackCode !== hl7.ackCodes.ACCEPT) {
+        response.status = ackCode === hl7.ackCodes.ERROR ? 400 : 500
+        response.transaction.status = 'Failed'
+      }
+    }
     response.message = ''
     response.headers = {}
     response.timestamp = new Date()
@@ -6,6 +6,7 @@ import net from 'net'
 import tls from 'tls'
 
 import * as Channels from './model/channels'
+import * as mllp from './mllp'
 import * as tlsAuthentication from './middleware/tlsAuthentication'
 import {config} from './config'
 
@@ -63,7 +64,11 @@ export function startupTCPServer(channelID, callback) {
       if (err) {
         return logger.error(err)
       }
-      sock.on('data', data => adaptSocketRequest(channel, sock, `${data}`))
+      if (channel.mllp) {
+        handleMllpSocket(channel, sock)
+      } else {
+        sock.on('data', data => adaptSocketRequest(channel, sock, `${data}`))
+      }
       return sock.on('error', err => logger.error(err))
     })
 
@@ -151,41 +156,85 @@ export function startupServers(callback) {
   )
 }
 
-function adaptSocketRequest(channel, sock, socketData) {
-  const options = {
-    hostname: config.tcpAdapter.httpReceiver.host,
-    port: config.tcpAdapter.httpReceiver.httpPort,
-    path: '/',
-    method: 'POST'
-  }
-  const req = http.request(options, res => {
-    let response = ''
-    res.on('data', data => {
-      response += data
-    })
-    return res.on('end', () => {
-      if (sock.writable) {
-        return sock.write(response)
-      }
-    })
+/*
+ * Reads MLLP framed messages from the socket. Messages are sent on one at a
+ * time, in the order they were received, so that each response is written back
+ * before the next message is processed.
+ */
+function handleMllpSocket(channel, sock) {
+  const decoder = mllp.createFrameDecoder()
+  let queue = Promise.resolve()
+
+  sock.on('data', data => {
+    let messages
+    try {
+      messages = decoder.push(data)
+    } catch (err) {
+      logger.error(
+        `Channel ${channel.name} (${channel._id}): ${err.message}, closing the connection`
+      )
+      sock.destroy()
+      return
+    }
+
+    for (const message of messages) {
+      queue = queue.then(() =>
+        adaptSocketRequest(channel, sock, message.toString())
+      )
+    }
+  })
+
+  sock.on('end', () => {
+    if (decoder.hasPartialFrame()) {
+      logger.warn(
+        `Channel ${channel.name} (${channel._id}): Connection closed with an incomplete MLLP frame`
+      )
+    }
   })
+}
 
-  req.on('error', err => logger.error(err))
+// Resolves once the response has been written back to the socket
+function adaptSocketRequest(channel, sock, socketData) {
+  return new Promise(resolve => {
+    const options = {
+      hostname: config.tcpAdapter.httpReceiver.host,
+      port: config.tcpAdapter.httpReceiver.httpPort,
+      path: '/',
+      method: 'POST'
+    }
+    const req = http.request(options, res => {
+      let response = ''
+      res.on('data', data => {
+        response += data
+      })
+      return res.on('end', () => {
+        if (sock.writable) {
+          sock.write(channel.mllp ? mllp.frame(response) : response)
+        }
+        resolve()
+      })
+    })
 
-  // don't write the actual data to the http receiver
-  // instead send a reference through (see popTransaction)
-  datastore[`${newKey}`] = {}
-  datastore[`${newKey}`].data = socketData
-  datastore[`${newKey}`].channel = channel
-  req.write(`${newKey}`)
+    req.on('error', err => {
+      logger.error(err)
+      resolve()
+    })
 
-  newKey++
-  // in case we've been running for a couple thousand years
-  if (newKey === Number.MAX_VALUE) {
-    newKey = 0
-  }
+    // don't write the actual data to the http receiver
+    // instead send a reference through (see popTransaction)
+    datastore[`${newKey}`] = {}
+    datastore[`${newKey}`].data = socketData
+    datastore[`${newKey}`].channel = channel
+    req.write(`${newKey}`)
+
+    newKey++
+    // in case we've been running for a couple thousand years
+    if (newKey === Number.MAX_VALUE) {
+      newKey = 0
+    }
 
-  return req.end()
+    req.end()
+  })
 }
 
 function stopTCPServers(servers, callback) {
@@ -0,0 +1,361 @@
+'use strict'
+
+import axios from 'axios'
+import crypto from 'crypto'
+import logger from 'winston'
+
+import {config} from './config'
+import {transactionStatus} from './model/transactions'
+
+config.tracing = config.get('tracing')
+
+// W3C trace context, see https://www.w3.org/TR/trace-context/
+const TRACEPARENT_PATTERN =
+  /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/
+const INVALID_TRACE_ID = '0'.repeat(32)
+const INVALID_SPAN_ID = '0'.repeat(16)
+// Traces started by the HIM are sampled as every transaction is recorded
+const SAMPLED_FLAGS = '01'
+
+// OTLP span kinds and status codes
+const SPAN_KIND_SERVER = 2
+const SPAN_KIND_CLIENT = 3
+const STATUS_CODE_UNSET = 0
+const STATUS_CODE_ERROR = 2
+
+const SCOPE_NAME = 'openhim-core'
+
+export const generateTraceId = () => crypto.randomBytes(16).toString('hex')
+
+export const generateSpanId = () => crypto.randomBytes(8).toString('hex')
+
+/*
+ * Parses a traceparent header into the trace id, the caller's span id and the
+ * trace flags. Returns null when the header is missing or invalid.
+ */
+export function parseTraceparent(header) {
+  if (typeof header !== 'string') {
+    return null
+  }
+
+  const match = TRACEPARENT_PATTERN.exec(header.trim())
+  if (match == null) {
+    return null
+  }
+
+  const [, version, traceId, parentSpanId, flags, extra] = match
+  if (
+    version === 'ff' ||
+    // later versions may add fields, version 00 has none
+    (version === '00' && extra != null) ||
+    traceId === INVALID_TRACE_ID ||
+    parentSpanId === INVALID_SPAN_ID
+  ) {
+    return null
+  }
+  return {traceId, parentSpanId, flags}
+}
+
+/*
+ * Returns the trace context headers to send with a request, the span being
+ * the parent of the request in the downstream service's trace
+ */
+export function getTraceHeaders(trace, spanId) {
+  const headers = {traceparent: `00-${trace.traceId}-${spanId}-${trace.flags}`}
+  if (trace.traceState) {
+    headers.tracestate = trace.traceState
+  }
+  return headers
+}
+
+/*
+ * Continues the trace of the inbound request's traceparent header, or starts a
+ * new trace. The transaction's span is the parent of the route spans.
+ */
+export function startTrace(ctx) {
+  const headers = ctx.request.header
+  const parent = parseTraceparent(headers.traceparent)
+
+  ctx.trace = {
+    traceId: parent != null ? parent.traceId : generateTraceId(),
+    spanId: generateSpanId(),
+    parentSpanId: parent != null ? parent.parentSpanId : undefined,
+    flags: parent != null ? parent.flags : SAMPLED_FLAGS,
+    // tracestate is only valid along with the traceparent it was sent with
+    traceState: parent != null ? headers.tracestate : undefined,
+    spans: []
+  }
+}
+
+const isSampled = trace => (parseInt(trace.flags, 16) & 1) === 1
+
+const isFailedStatus = status => status == null || status >= 500
+
+/*
+ * Records the span of a request sent to a route, the response being an error
+ * when the route couldn't be reached
+ */
+export function recordRouteSpan(ctx, route, options, startTime, response) {
+  if (ctx.trace == null || options.spanId == null) {
+    return
+  }
+
+  const attributes = {
+    'openhim.route.name': route.name,
+    'openhim.route.type': route.type || 'http'
+  }
+  if (route.type === 'kafka') {
+    attributes['messaging.system'] = 'kafka'
+    attributes['messaging.destination.name'] = route.kafkaTopic
+  } else {
+    attributes['server.address'] = options.hostname
+    attributes['server.port'] = options.port
+  }
+
+  let error
+  if (response instanceof Error) {
+    error = response.message
+  } else {
+    attributes['http.response.status_code'] = response.status
+    if (isFailedStatus(response.status)) {
+      error = `Route responded with status ${response.status}`
+    }
+  }
+
+  ctx.trace.spans.push({
+    name: route.name,
+    kind: SPAN_KIND_CLIENT,
+    spanId: options.spanId,
+    parentSpanId: ctx.trace.spanId,
+    startTime,
+    endTime: Date.now(),
+    attributes,
+    error
+  })
+}
+
+/*
+ * Spans for the requests that mediators reported making, as children of the
+ * span of the route that called the mediator
+ */
+function getOrchestrationSpans(ctx) {
+  const routeSpanIds = {}
+  for (const span of ctx.trace.spans) {
+    routeSpanIds[span.name] = span.spanId
+  }
+
+  const mediatorResponses = []
+  if (ctx.mediatorResponse != null && ctx.primaryRoute != null) {
+    mediatorResponses.push({
+      route: ctx.primaryRoute.name,
+      orchestrations: ctx.mediatorResponse.orchestrations
+    })
+  }
+  for (const route of ctx.routes || []) {
+    mediatorResponses.push({
+      route: route.name,
+      orchestrations: route.orchestrations
+    })
+  }
+
+  const spans = []
+  for (const {route, orchestrations} of mediatorResponses) {
+    for (const orchestration of orchestrations || []) {
+      if (
+        orchestration.request == null ||
+        orchestration.request.timestamp == null
+      ) {
+        continue
+      }
+
+      const response = orchestration.response || {}
+      const attributes = {'openhim.orchestration.name': orchestration.name}
+      if (response.status != null) {
+        attributes['http.response.status_code'] = response.status
+      }
+
+      let error
+      if (orchestration.error != null) {
+        error = orchestration.error.message
+      } else if (isFailedStatus(response.status)) {
+        error = `Orchestration responded with status ${response.status}`
+      }
+
+      spans.push({
+        name: orchestration.name,
+        kind: SPAN_KIND_CLIENT,
+        spanId: generateSpanId(),
+        parentSpanId: routeSpanIds[route] || ctx.trace.spanId,
+        startTime: orchestration.request.timestamp,
+        endTime: response.timestamp || orchestration.request.timestamp,
+        attributes,
+        error
+      })
+    }
+  }
+  return spans
+}
+
+function getTransactionSpan(ctx, transaction) {
+  const attributes = {
+    'openhim.transaction.id': transaction._id.toString(),
+    'openhim.transaction.status': transaction.status,
+    'http.request.method': ctx.method,
+    'url.path': ctx.path
+  }
+  if (ctx.authorisedChannel != null) {
+    attributes['openhim.channel.name'] = ctx.authorisedChannel.name
+  }
+  if (transaction.clientID != null) {
+    attributes['openhim.client.id'] = transaction.clientID.toString()
+  }
+  if (ctx.response != null && ctx.response.status != null) {
+    attributes['http.response.status_code'] = ctx.response.status
+  }
+
+  return {
+    name:
+      ctx.authorisedChannel != null
+        ? ctx.authorisedChannel.name
+        : `${ctx.method} ${ctx.path}`,
+    kind: SPAN_KIND_SERVER,
+    spanId: ctx.trace.spanId,
+    parentSpanId: ctx.trace.parentSpanId,
+    startTime: ctx.requestTimestamp,
+    endTime:
+      ctx.response != null && ctx.response.timestamp != null
+        ? ctx.response.timestamp
+        : Date.now(),
+    attributes,
+    error:
+      transaction.status === transactionStatus.FAILED
+        ? 'The transaction failed'
+        : undefined
+  }
+}
+
+const toUnixNano = time => `${new Date(time).getTime()}000000`
+
+function toAttributes(values) {
+  return Object.keys(values)
+    .filter(key => values[key] != null)
+    .map(key => {
+      const value = values[key]
+      return {
+        key,
+        value: Number.isInteger(value)
+          ? {intValue: value}
+          : {stringValue: String(value)}
+      }
+    })
+}
+
+function toOtlpSpan(traceId, span) {
+  const otlpSpan = {
+    traceId,
+    spanId: span.spanId,
+    name: span.name,
+    kind: span.kind,
+    startTimeUnixNano: toUnixNano(span.startTime),
+    endTimeUnixNano: toUnixNano(span.endTime),
+    attributes: toAttributes(span.attributes),
+    status:
+      span.error != null
+        ? {code: STATUS_CODE_ERROR, message: span.error}
+        : {code: STATUS_CODE_UNSET}
+  }
+  if (span.parentSpanId != null) {
+    otlpSpan.parentSpanId = span.parentSpanId
+  }
+  return otlpSpan
+}
+
+/*
+ * Builds an OTLP/HTTP JSON export request for spans in the OTLP format
+ */
+export function createExportRequest(spans) {
+  return {
+    resourceSpans: [
+      {
+        resource: {
+          attributes: toAttributes({
+            'service.name': config.tracing.serviceName
+          })
+        },
+        scopeSpans: [
+          {
+            scope: {name: SCOPE_NAME},
+            spans
+          }
+        ]
+      }
+    ]
+  }
+}
+
+let pendingSpans = []
+let exportTimer = null
+
+/*
+ * Sends the queued spans to the collector. Spans that could not be exported
+ * are dropped rather than kept in memory while the collector is down.
+ */
+export async function flushSpans() {
+  clearTimeout(exportTimer)
+  exportTimer = null
+  if (pendingSpans.length === 0) {
+    return
+  }
+
+  const spans = pendingSpans
+  pendingSpans = []
+  try {
+    await axios.post(config.tracing.collectorUrl, createExportRequest(spans), {
+      headers: Object.assign(
+        {'Content-Type': 'application/json'},
+        config.tracing.collectorHeaders
+      ),
+      timeout: config.tracing.exportTimeoutMs
+    })
+  } catch (err) {
+    logger.error(
+      `Exporting ${spans.length} trace spans to ${config.tracing.collectorUrl} failed: ${err.message}`
+    )
+  }
+}
+
+function queueSpans(spans) {
+  pendingSpans.push(...spans)
+  if (pendingSpans.length >= config.tracing.maxExportBatchSize) {
+    flushSpans()
+  } else if (exportTimer == null) {
+    exportTimer = setTimeout(flushSpans, config.tracing.exportIntervalMs)
+    // don't keep the process running to export spans
+    exportTimer.unref()
+  }
+}
+
+/*
+ * Queues the spans of the transaction, its routes and the orchestrations of
+ * its mediators for export to the collector once the transaction is complete
+ */
+export function exportTransactionSpans(ctx, transaction) {
+  if (
+    ctx.trace == null ||
+    !config.tracing.collectorUrl ||
+    !isSampled(ctx.trace)
+  ) {
+    return
+  }
+
+  const spans = [
+    getTransactionSpan(ctx, transaction),
+    ...ctx.trace.spans,
+    ...getOrchestrationSpans(ctx)
+  ]
+  queueSpans(spans.map(span => toOtlpSpan(ctx.trace.traceId, span)))
+}
+
+if (process.env.NODE_ENV === 'test') {
+  exports.getPendingSpans = () => pendingSpans
+}
@@ -0,0 +1,223 @@
+'use strict'
+
+import Handlebars from 'handlebars'
+import xml2js from 'xml2js'
+
+export const transformTypes = [
+  'addHeader',
+  'removeHeader',
+  'renameHeader',
+  'setQueryParam',
+  'removeQueryParam',
+  'rewriteQuery',
+  'template',
+  'xmlToJson',
+  'jsonToXml'
+]
+
+const bodyTransformTypes = ['template', 'xmlToJson', 'jsonToXml']
+
+export function isBodyTransform(transform) {
+  return bodyTransformTypes.includes(transform.type)
+}
+
+// Bodies aren't HTML so templates are compiled without escaping
+const handlebars = Handlebars.create()
+handlebars.registerHelper('json', value => JSON.stringify(value))
+
+const compiledTemplates = new Map()
+
+function compileTemplate(template) {
+  if (!compiledTemplates.has(template)) {
+    compiledTemplates.set(
+      template,
+      handlebars.compile(template, {noEscape: true})
+    )
+  }
+  return compiledTemplates.get(template)
+}
+
+const namedTransformTypes = [
+  'addHeader',
+  'removeHeader',
+  'renameHeader',
+  'setQueryParam',
+  'removeQueryParam'
+]
+
+/*
+ * Checks that a transform has the fields its type needs, returning the reason
+ * when it doesn't
+ */
+export function validateTransform(transform) {
+  if (!transformTypes.includes(transform.type)) {
+    return `Unknown transform type ${transform.type}`
+  }
+  if (
+    transform.stage != null &&
+    !['request', 'response'].includes(transform.stage)
+  ) {
+    return `Transform stage must be request or response, not ${transform.stage}`
+  }
+  if (namedTransformTypes.includes(transform.type) && !transform.name) {
+    return `Transforms of type ${transform.type} must have a name`
+  }
+  if (
+    ['addHeader', 'setQueryParam'].includes(transform.type) &&
+    transform.value == null
+  ) {
+    return `Transforms of type ${transform.type} must have a value`
+  }
+  if (transform.type === 'renameHeader' && !transform.newName) {
+    return 'Transforms of type renameHeader must have a newName'
+  }
+  if (transform.type === 'rewriteQuery') {
+    if (!transform.expression) {
+      return 'Transforms of type rewriteQuery must have an expression'
+    }
+    try {
+      RegExp(transform.expression)
+    } catch (err) {
+      return `Transform has an invalid expression: ${err.message}`
+    }
+  }
+  if (transform.type === 'template') {
+    if (transform.template == null) {
+      return 'Transforms of type template must have a template'
+    }
+    try {
+      handlebars.parse(transform.template)
+    } catch (err) {
+      return `Transform has an invalid template: ${err.message}`
+    }
+  }
+}
+
+const isStage = stage => transform => (transform.stage || 'request') === stage
+
+/*
+ * Returns the transforms to apply to a route's request or response. Channel
+ * request transforms run before the route's, route response transforms run
+ * before the channel's. Channel response transforms only apply to the primary
+ * route as that is the response returned to the client.
+ */
+export function getTransforms(channel, route, stage) {
+  const routeTransforms = (route.transforms || []).filter(isStage(stage))
+  if (!channel || (stage === 'response' && !route.primary)) {
+    return routeTransforms
+  }
+
+  const channelTransforms = (channel.transforms || []).filter(isStage(stage))
+  return stage === 'request'
+    ? channelTransforms.concat(routeTransforms)
+    : routeTransforms.concat(channelTransforms)
+}
+
+function parseBody(body) {
+  try {
+    return JSON.parse(body)
+  } catch (err) {
+    return body
+  }
+}
+
+function buildTemplateContext(ctx, message, body) {
+  const query = {}
+  for (const [key, value] of new URLSearchParams(message.querystring || '')) {
+    query[key] = value
+  }
+
+  return {
+    body: parseBody(body),
+    rawBody: body,
+    headers: message.headers,
+    query,
+    status: message.status,
+    request: {
+      method: ctx.request.method,
+      path: ctx.request.path,
+      headers: ctx.request.header
+    }
+  }
+}
+
+function updateQuery(querystring, update) {
+  const params = new URLSearchParams(querystring || '')
+  update(params)
+  return params.toString()
+}
+
+async function applyTransform(ctx, transform, message) {
+  const headerName = transform.name && transform.name.toLowerCase()
+  const body = message.body == null ? '' : message.body.toString()
+
+  switch (transform.type) {
+    case 'addHeader':
+      message.headers[headerName] = transform.value
+      break
+    case 'removeHeader':
+      delete message.headers[headerName]
+      break
+    case 'renameHeader':
+      if (message.headers[headerName] != null) {
+        const value = message.headers[headerName]
+        delete message.headers[headerName]
+        message.headers[transform.newName.toLowerCase()] = value
+      }
+      break
+    case 'setQueryParam':
+      message.querystring = updateQuery(message.querystring, params =>
+        params.set(transform.name, transform.value)
+      )
+      break
+    case 'removeQueryParam':
+      message.querystring = updateQuery(message.querystring, params =>
+        params.delete(transform.name)
+      )
+      break
+    case 'rewriteQuery':
+      message.querystring = (message.querystring || '').replace(
+        new RegExp(transform.expression, 'g'),
+        transform.value || ''
+      )
+      break
+    case 'template':
+      message.body = compileTemplate(transform.template)(
+        buildTemplateContext(ctx, message, body)
+      )
+      break
+    case 'xmlToJson': {
+      const json = await xml2js.parseStringPromise(body, {
+        explicitArray: false
+      })
+      message.body = JSON.stringify(json)
+      message.headers['content-type'] = 'application/json'
+      break
+    }
+    case 'jsonToXml':
+      message.body = new xml2js.Builder().buildObject(JSON.parse(body))
+      message.headers['content-type'] = 'application/xml'
+      break
+    default:
+      throw new Error(`Unknown transform type ${transform.type}`)
+  }
+}
+
+/*
+ * Applies transforms in order to a message of the form
+ *   {headers, querystring, body, status}
+ * and resolves with the transformed copy. The body is left untouched (and
+ * may remain a buffer) unless a body transform is applied. Throws if a body
+ * can't be converted so that the route fails as it would for a bad upstream.
+ */
+export async function transformMessage(ctx, transforms, message) {
+  const transformed = Object.assign({}, message, {
+    headers: Object.assign({}, message.headers)
+  })
+
+  for (const transform of transforms) {
+    await applyTransform(ctx, transform, transformed)
+  }
+
+  return transformed
+}
@@ -3,6 +3,7 @@
 import logger from 'winston'
 import pem from 'pem'
 
+import {AlertModel} from './model/alerts'
 import {ClientModel} from './model/clients'
 import {DbVersionModel} from './model/dbVersion'
 import {KeystoreModel} from './model/keystore'
@@ -295,6 +296,33 @@ upgradeFuncs.push({
   }
 })
 
+upgradeFuncs.push({
+  description:
+    'Expire sent alerts after alerts.historyDays instead of a day after they were sent',
+  async func() {
+    // there are no alerts to upgrade on a new database
+    const indexes = await AlertModel.collection.indexes().catch(err => {
+      if (err.codeName === 'NamespaceNotFound') {
+        return []
+      }
+      throw err
+    })
+    // the day-long expiry index on the alert timestamp
+    const expiryIndex = indexes.find(
+      index => index.key.timestamp === 1 && index.expireAfterSeconds != null
+    )
+    if (expiryIndex) {
+      await AlertModel.collection.dropIndex(expiryIndex.name)
+    }
+
+    // the existing alerts would have expired within a day
+    await AlertModel.updateMany(
+      {expiresAt: {$exists: false}},
+      {expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)}
+    )
+  }
+})
+
 if (process.env.NODE_ENV === 'test') {
   exports.upgradeFuncs = upgradeFuncs
   exports.dedupName = dedupName
@@ -0,0 +1,132 @@
+'use strict'
+
+export const balancingStrategies = {
+  ROUND_ROBIN: 'round-robin',
+  WEIGHTED: 'weighted',
+  LEAST_CONNECTIONS: 'least-connections',
+  FAILOVER: 'failover'
+}
+
+// Errors raised before the upstream could have processed the request,
+// the request is safe to send to the next upstream in the pool
+const CONNECTION_ERROR_CODES = [
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'ENOTFOUND',
+  'EAI_AGAIN'
+]
+
+// Per worker balancing state, keyed by pool (round-robin and weighted) or by upstream (connections)
+const roundRobinCounters = {}
+const currentWeights = {}
+const activeConnections = {}
+
+const targetKey = target => `${target.host}:${target.port}`
+
+const poolKey = upstreams => upstreams.map(targetKey).join(',')
+
+export function hasUpstreams(route) {
+  return Array.isArray(route.upstreams) && route.upstreams.length > 0
+}
+
+function roundRobin(upstreams) {
+  const key = poolKey(upstreams)
+  const counter = roundRobinCounters[key] || 0
+  roundRobinCounters[key] = (counter + 1) % upstreams.length
+  return counter
+}
+
+/*
+ * Smooth weighted round-robin (as used by nginx): every upstream gains its
+ * weight on each pick and the chosen upstream gives back the total weight,
+ * which spreads the picks evenly instead of sending bursts to one upstream.
+ */
+function weighted(upstreams) {
+  const key = poolKey(upstreams)
+  const weights = currentWeights[key] || upstreams.map(() => 0)
+  let totalWeight = 0
+  let selected = 0
+
+  upstreams.forEach((upstream, index) => {
+    const weight = upstream.weight != null ? upstream.weight : 1
+    weights[index] += weight
+    totalWeight += weight
+    if (weights[index] > weights[selected]) {
+      selected = index
+    }
+  })
+
+  weights[selected] -= totalWeight
+  currentWeights[key] = weights
+  return selected
+}
+
+function leastConnections(upstreams) {
+  let selected = 0
+  upstreams.forEach((upstream, index) => {
+    if (
+      getActiveConnections(upstream) < getActiveConnections(upstreams[selected])
+    ) {
+      selected = index
+    }
+  })
+  return selected
+}
+
+/*
+ * Returns the upstreams of the route in the order they should be tried. The
+ * first one is picked by the balancing strategy, the rest follow in pool order
+ * so that a connection error can fail over to the next upstream.
+ */
+export function orderTargets(route) {
+  const upstreams = Array.from(route.upstreams)
+
+  let selected
+  switch (route.balancingStrategy) {
+    case balancingStrategies.FAILOVER:
+      selected = 0
+      break
+    case balancingStrategies.WEIGHTED:
+      selected = weighted(upstreams)
+      break
+    case balancingStrategies.LEAST_CONNECTIONS:
+      selected = leastConnections(upstreams)
+      break
+    default:
+      selected = roundRobin(upstreams)
+  }
+
+  return upstreams.slice(selected).concat(upstreams.slice(0, selected))
+}
+
+export function isConnectionError(err) {
+  return CONNECTION_ERROR_CODES.includes(err.code)
+}
+
+export function getActiveConnections(target) {
+  return activeConnections[targetKey(target)] || 0
+}
+
+export function acquireConnection(target) {
+  const key = targetKey(target)
+  activeConnections[key] = getActiveConnections(target) + 1
+}
+
+export function releaseConnection(target) {
+  const key = targetKey(target)
+  activeConnections[key] = Math.max(0, getActiveConnections(target) - 1)
+}
+
+if (process.env.NODE_ENV === 'test') {
+  exports.reset = () => {
+    for (const state of [
+      roundRobinCounters,
+      currentWeights,
+      activeConnections
+    ]) {
+      Object.keys(state).forEach(key => delete state[key])
+    }
+  }
+}
@@ -25,6 +25,30 @@ export function caseInsensitiveRegex(value) {
   return new RegExp(`^${_.escapeRegExp(value)}$`, 'i')
 }
 
+// Patterns of channels that were updated or removed are never used again, so
+// only the most recently used ones are kept
+const MAX_COMPILED_REGEXES = 1000
+const compiledRegexes = new Map()
+
+/*
+ * Returns the compiled regex for a pattern from channel configuration. Patterns
+ * are compiled once and reused for every request.
+ */
+export function compileRegex(pattern) {
+  let regex = compiledRegexes.get(pattern)
+  if (regex == null) {
+    regex = new RegExp(pattern)
+    if (compiledRegexes.size >= MAX_COMPILED_REGEXES) {
+      // maps iterate in insertion order, so the first is the least recently used
+      compiledRegexes.delete(compiledRegexes.keys().next().value)
+    }
+  } else {
+    compiledRegexes.delete(pattern)
+  }
+  compiledRegexes.set(pattern, regex)
+  return regex
+}
+
 export function isNullOrEmpty(arr) {
   if (arr == null) {
     return true
@@ -114,6 +138,23 @@ export function getKeystore(callback) {
   return getCachedValues('keystore', callback)
 }
 
+// taken from http://stackoverflow.com/a/6491621/588776
+// readbility improved from the stackoverflow answer
+export function getJSONValByString(jsonObj, jsonPath) {
+  jsonPath = jsonPath.replace(/\[(\w+)\]/g, '.$1') // convert indexes to properties
+  jsonPath = jsonPath.replace(/^\./, '') // strip a leading dot
+  const parts = jsonPath.split('.')
+  while (parts.length) {
+    const part = parts.shift()
+    if (part in jsonObj) {
+      jsonObj = jsonObj[part]
+    } else {
+      return
+    }
+  }
+  return jsonObj
+}
+
 // function to check if string match status code pattern
 export function statusCodePatternMatch(string) {
   return /\dxx/.test(string)
@@ -228,3 +269,7 @@ export async function hashPassword(password) {
     return Promise.reject(new Error("Password wasn't provided"))
   }
 }
+
+if (process.env.NODE_ENV === 'test') {
+  exports.MAX_COMPILED_REGEXES = MAX_COMPILED_REGEXES
+}
@@ -0,0 +1,257 @@
+'use strict'
+
+import axios from 'axios'
+import crypto from 'crypto'
+import logger from 'winston'
+
+import {config} from './config'
+import {transactionStatus} from './model/transactions'
+import {
+  WebhookDeliveryModel,
+  WebhookModel,
+  deliveryStatus,
+  webhookEvents
+} from './model/webhooks'
+
+config.webhooks = config.get('webhooks')
+config.caching = config.get('caching')
+
+// Deliveries that are retried per run of the retry job
+const RETRY_BATCH_SIZE = 100
+
+const NOT_FINAL_STATUSES = [
+  transactionStatus.PROCESSING,
+  transactionStatus.PENDING_ASYNC
+]
+
+// Local copy of the enabled webhooks, refreshed from mongo at the caching
+// interval so that every transaction doesn't query them
+const cachedWebhooks = {}
+
+/*
+ * Returns the signature header value of a payload, a HMAC SHA-256 of the
+ * request body keyed with the webhook's secret
+ */
+export function signPayload(secret, body) {
+  const hmac = crypto.createHmac('sha256', secret).update(body).digest('hex')
+  return `sha256=${hmac}`
+}
+
+/*
+ * The delay before the next attempt to deliver an event, doubling after
+ * every failed attempt
+ */
+export function getRetryDelay(attempts) {
+  return config.webhooks.retryDelaySeconds * 1000 * Math.pow(2, attempts - 1)
+}
+
+export function createRequestBody(delivery) {
+  return JSON.stringify({
+    id: delivery._id,
+    event: delivery.event,
+    created: delivery.created,
+    data: delivery.payload
+  })
+}
+
+/*
+ * Makes an attempt to POST the event to the webhook and records it in the
+ * delivery log. Failed deliveries are retried until the maximum number of
+ * attempts is reached.
+ */
+export async function attemptDelivery(webhook, delivery) {
+  const body = createRequestBody(delivery)
+  const attempt = {timestamp: new Date()}
+
+  try {
+    const response = await axios.post(webhook.url, body, {
+      headers: Object.assign({}, webhook.headers, {
+        'Content-Type': 'application/json',
+        'X-OpenHIM-Event': delivery.event,
+        'X-OpenHIM-Delivery': delivery._id.toString(),
+        'X-OpenHIM-Signature': signPayload(webhook.secret, body)
+      }),
+      timeout: config.webhooks.timeoutMs
+    })
+    attempt.responseStatus = response.status
+  } catch (err) {
+    if (err.response != null) {
+      attempt.responseStatus = err.response.status
+    }
+    attempt.error = err.message
+  }
+
+  const attempts = delivery.attempts.length + 1
+  const update = {$push: {attempts: attempt}}
+  if (attempt.error == null) {
+    update.$set = {status: deliveryStatus.DELIVERED}
+    update.$unset = {nextAttempt: ''}
+  } else if (attempts >= config.webhooks.maxAttempts) {
+    logger.error(
+      `Delivering ${delivery.event} event ${delivery._id} to webhook ${webhook.name} failed after ${attempts} attempts: ${attempt.error}`
+    )
+    update.$set = {status: deliveryStatus.FAILED}
+    update.$unset = {nextAttempt: ''}
+  } else {
+    logger.warn(
+      `Delivering ${delivery.event} event ${delivery._id} to webhook ${webhook.name} failed, retrying: ${attempt.error}`
+    )
+    update.$set = {
+      nextAttempt: new Date(Date.now() + getRetryDelay(attempts))
+    }
+  }
+
+  await WebhookDeliveryModel.updateOne({_id: delivery._id}, update)
+}
+
+async function getEnabledWebhooks() {
+  if (
+    config.caching.enabled &&
+    cachedWebhooks.lastCheck != null &&
+    new Date() - cachedWebhooks.lastCheck <= config.caching.refreshMillis
+  ) {
+    return cachedWebhooks.webhooks
+  }
+
+  cachedWebhooks.webhooks = await WebhookModel.find({enabled: true}).lean()
+  cachedWebhooks.lastCheck = new Date()
+  return cachedWebhooks.webhooks
+}
+
+// Whether the list has the value, an empty list matching every value
+const matchesAll = (list, value) =>
+  list == null ||
+  list.length === 0 ||
+  list.some(item => `${item}` === `${value}`)
+
+/*
+ * Whether the webhook subscribes to the event, and to the channel and status
+ * of a transaction event
+ */
+export function isSubscribed(webhook, event, filter = {}) {
+  return (
+    webhook.events.includes(event) &&
+    (filter.channelID == null ||
+      matchesAll(webhook.channels, filter.channelID)) &&
+    (filter.status == null || matchesAll(webhook.statuses, filter.status))
+  )
+}
+
+/*
+ * Sends an event to the enabled webhooks that subscribe to it. A transaction
+ * event is only sent to the webhooks of its channel and status.
+ */
+export async function notify(event, payload, filter = {}) {
+  const webhooks = (await getEnabledWebhooks()).filter(webhook =>
+    isSubscribed(webhook, event, filter)
+  )
+  await Promise.all(
+    webhooks.map(async webhook => {
+      // the retry job picks the delivery up if this attempt doesn't finish
+      const delivery = await new WebhookDeliveryModel({
+        webhookID: webhook._id,
+        event,
+        payload,
+        nextAttempt: new Date(Date.now() + getRetryDelay(1))
+      }).save()
+      await attemptDelivery(webhook, delivery)
+    })
+  )
+}
+
+/*
+ * The transaction as sent to webhooks, without its bodies and headers as
+ * these may hold sensitive data
+ */
+export function getTransactionPayload(tx) {
+  return {
+    transactionID: tx._id,
+    channelID: tx.channelID,
+    clientID: tx.clientID,
+    status: tx.status,
+    autoRetryAttempt: tx.autoRetryAttempt,
+    request:
+      tx.request != null
+        ? {
+            method: tx.request.method,
+            path: tx.request.path,
+            timestamp: tx.request.timestamp
+          }
+        : undefined,
+    response:
+      tx.response != null
+        ? {status: tx.response.status, timestamp: tx.response.timestamp}
+        : undefined
+  }
+}
+
+/*
+ * Sends the events of a transaction that reached its final status
+ */
+export async function notifyTransaction(tx, autoRetryExhausted) {
+  if (NOT_FINAL_STATUSES.includes(tx.status)) {
+    return
+  }
+
+  const events = [
+    tx.status === transactionStatus.FAILED
+      ? webhookEvents.TRANSACTION_FAILED
+      : webhookEvents.TRANSACTION_COMPLETED
+  ]
+  if (autoRetryExhausted) {
+    events.push(webhookEvents.AUTO_RETRY_EXHAUSTED)
+  }
+
+  const payload = getTransactionPayload(tx)
+  const filter = {channelID: tx.channelID, status: tx.status}
+  await Promise.all(events.map(event => notify(event, payload, filter)))
+}
+
+export async function notifyTaskCompleted(task) {
+  await notify(webhookEvents.TASK_COMPLETED, {
+    taskID: task._id,
+    status: task.status,
+    user: task.user,
+    totalTransactions: task.totalTransactions,
+    created: task.created,
+    completedDate: task.completedDate
+  })
+}
+
+export async function retryDeliveries() {
+  const deliveries = await WebhookDeliveryModel.find({
+    status: deliveryStatus.PENDING,
+    nextAttempt: {$lte: new Date()}
+  })
+    .sort({nextAttempt: 1})
+    .limit(RETRY_BATCH_SIZE)
+    .lean()
+
+  for (const delivery of deliveries) {
+    const webhook = await WebhookModel.findById(delivery.webhookID).lean()
+    if (webhook == null || !webhook.enabled) {
+      await WebhookDeliveryModel.updateOne(
+        {_id: delivery._id},
+        {$set: {status: deliveryStatus.FAILED}, $unset: {nextAttempt: ''}}
+      )
+      continue
+    }
+    await attemptDelivery(webhook, delivery)
+  }
+}
+
+export function setupAgenda(agenda) {
+  agenda.define('retry webhook deliveries', async (job, done) => {
+    try {
+      await retryDeliveries()
+      done()
+    } catch (err) {
+      done(err)
+    }
+  })
+  agenda.every('1 minutes', 'retry webhook deliveries')
+}
+
+if (process.env.NODE_ENV === 'test') {
+  exports.cachedWebhooks = cachedWebhooks
+}
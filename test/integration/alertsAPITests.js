@@ -0,0 +1,229 @@
+'use strict'
+
+/* eslint-env mocha */
+
+import moment from 'moment'
+import request from 'supertest'
+import {ObjectId} from 'mongodb'
+import {promisify} from 'util'
+
+import * as constants from '../constants'
+import * as server from '../../src/server'
+import * as testUtils from '../utils'
+import {AlertModelAPI, AlertSilenceModelAPI} from '../../src/model/alerts'
+
+const {SERVER_PORTS, BASE_URL} = constants
+
+describe('API Integration Tests', () => {
+  describe('Alerts REST Api Testing', () => {
+    const channelID = new ObjectId()
+
+    const alertData = {
+      user: 'one@openhim.org',
+      method: 'email',
+      channelID,
+      condition: 'status',
+      status: '5xx',
+      alertStatus: 'Completed'
+    }
+
+    let rootCookie = '',
+      nonRootCookie = ''
+
+    beforeEach(async () => {
+      rootCookie = await testUtils.authenticate(
+        request,
+        BASE_URL,
+        testUtils.rootUser
+      )
+      nonRootCookie = await testUtils.authenticate(
+        request,
+        BASE_URL,
+        testUtils.nonRootUser
+      )
+    })
+
+    before(async () => {
+      await testUtils.setupTestUsers()
+      await promisify(server.start)({apiPort: SERVER_PORTS.apiPort})
+    })
+
+    after(async () => {
+      await testUtils.cleanupTestUsers()
+      await promisify(server.stop)()
+    })
+
+    afterEach(async () => {
+      await Promise.all([
+        AlertModelAPI.deleteMany({}),
+        AlertSilenceModelAPI.deleteMany({})
+      ])
+    })
+
+    describe('*getAlerts', () => {
+      it('should list the alerts newest first', async () => {
+        await AlertModelAPI.insertMany([
+          Object.assign({}, alertData, {
+            timestamp: moment().subtract(2, 'hours').toDate()
+          }),
+          Object.assign({}, alertData, {
+            user: 'two@openhim.org',
+            timestamp: moment().subtract(1, 'hours').toDate()
+          })
+        ])
+
+        const res = await request(BASE_URL)
+          .get('/alerts')
+          .set('Cookie', rootCookie)
+          .expect(200)
+        res.body
+          .map(alert => alert.user)
+          .should.eql(['two@openhim.org', 'one@openhim.org'])
+      })
+
+      it('should filter the alerts that have not been acknowledged', async () => {
+        await AlertModelAPI.insertMany([
+          alertData,
+          Object.assign({}, alertData, {
+            acknowledgedBy: 'root@jembi.org',
+            acknowledgedAt: new Date()
+          })
+        ])
+
+        const res = await request(BASE_URL)
+          .get('/alerts?acknowledged=false')
+          .set('Cookie', rootCookie)
+          .expect(200)
+        res.body.length.should.equal(1)
+        res.body[0].should.not.have.property('acknowledgedBy')
+      })
+
+      it('should only allow an admin user to list the alerts', async () => {
+        await request(BASE_URL)
+          .get('/alerts')
+          .set('Cookie', nonRootCookie)
+          .expect(403)
+      })
+    })
+
+    describe('*acknowledgeAlert', () => {
+      it('should record who acknowledged the alert', async () => {
+        const {_id} = await new AlertModelAPI(alertData).save()
+
+        await request(BASE_URL)
+          .put(`/alerts/${_id}/acknowledge`)
+          .set('Cookie', rootCookie)
+          .expect(200)
+
+        const alert = await AlertModelAPI.findById(_id)
+        alert.acknowledgedBy.should.equal(testUtils.rootUser.email)
+        alert.acknowledgedAt.should.be.instanceof(Date)
+      })
+
+      it('should return 404 when the alert does not exist', async () => {
+        await request(BASE_URL)
+          .put('/alerts/59f6d57b07552f280271efac/acknowledge')
+          .set('Cookie', rootCookie)
+          .expect(404)
+      })
+    })
+
+    describe('*addAlertSilence', () => {
+      it('should silence the alerts of a channel', async () => {
+        const endDate = moment().add(2, 'hours').toDate()
+
+        await request(BASE_URL)
+          .post('/alertsilences')
+          .set('Cookie', rootCookie)
+          .send({channelID, endDate, reason: 'Planned maintenance'})
+          .expect(201)
+
+        const silence = await AlertSilenceModelAPI.findOne()
+        silence.channelID.equals(channelID).should.be.true()
+        silence.endDate.should.eql(endDate)
+        silence.createdBy.should.equal(testUtils.rootUser.email)
+      })
+
+      it('should reject a silence without a channel or condition', async () => {
+        await request(BASE_URL)
+          .post('/alertsilences')
+          .set('Cookie', rootCookie)
+          .send({endDate: moment().add(2, 'hours').toDate()})
+          .expect(400)
+      })
+
+      it('should reject a silence for an unknown condition', async () => {
+        await request(BASE_URL)
+          .post('/alertsilences')
+          .set('Cookie', rootCookie)
+          .send({
+            condition: 'traffic-dorp',
+            endDate: moment().add(2, 'hours').toDate()
+          })
+          .expect(400)
+      })
+
+      it('should reject a silence that ends before it starts', async () => {
+        await request(BASE_URL)
+          .post('/alertsilences')
+          .set('Cookie', rootCookie)
+          .send({
+            condition: 'traffic-drop',
+            startDate: moment().add(2, 'hours').toDate(),
+            endDate: moment().add(1, 'hours').toDate()
+          })
+          .expect(400)
+      })
+
+      it('should only allow an admin user to silence alerts', async () => {
+        await request(BASE_URL)
+          .post('/alertsilences')
+          .set('Cookie', nonRootCookie)
+          .send({channelID, endDate: moment().add(2, 'hours').toDate()})
+          .expect(403)
+      })
+    })
+
+    describe('*getAlertSilences', () => {
+      it('should list the silences in effect when active', async () => {
+        await AlertSilenceModelAPI.insertMany([
+          {channelID, endDate: moment().add(1, 'hours').toDate()},
+          {
+            channelID,
+            startDate: moment().subtract(2, 'hours').toDate(),
+            endDate: moment().subtract(1, 'hours').toDate()
+          }
+        ])
+
+        const all = await request(BASE_URL)
+          .get('/alertsilences')
+          .set('Cookie', rootCookie)
+          .expect(200)
+        all.body.length.should.equal(2)
+
+        const active = await request(BASE_URL)
+          .get('/alertsilences?active=true')
+          .set('Cookie', rootCookie)
+          .expect(200)
+        active.body.length.should.equal(1)
+      })
+    })
+
+    describe('*removeAlertSilence', () => {
+      it('should remove the silence', async () => {
+        const {_id} = await new AlertSilenceModelAPI({
+          condition: 'status',
+          endDate: moment().add(1, 'hours').toDate()
+        }).save()
+
+        await request(BASE_URL)
+          .del(`/alertsilences/${_id}`)
+          .set('Cookie', rootCookie)
+          .expect(200)
+
+        const count = await AlertSilenceModelAPI.countDocuments()
+        count.should.equal(0)
+      })
+    })
+  })
+})
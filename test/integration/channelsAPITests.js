@@ -17,7 +17,10 @@ import * as tcpAdapter from '../../src/tcpAdapter'
 import * as kafkaProducer from '../../src/kafkaProducer'
 import * as testUtils from '../utils'
 import {ChannelModelAPI} from '../../src/model/channels'
+import {CircuitBreakerModelAPI} from '../../src/model/circuitBreakers'
 import {ClientModelAPI} from '../../src/model/clients'
+import {CachedResponseModelAPI} from '../../src/model/responseCache'
+import {RateLimitCounterModelAPI} from '../../src/model/rateLimits'
 import {TransactionModelAPI} from '../../src/model/transactions'
 import {config} from '../../src/config'
 import {KafkaProducerManager} from '../../src/kafkaProducerManager'
@@ -599,6 +602,176 @@ describe('API Integration Tests', () => {
         channelCount.should.eql(0)
       })
 
+      it('will reject a channel with an invalid header match regex', async () => {
+        const channelDoc = {
+          name: 'invalidMatchHeaders',
+          urlPattern: 'test/soap',
+          matchHeaders: [{name: 'SOAPAction', value: 'urn:(save', regex: true}],
+          routes: [
+            {
+              name: 'test route',
+              host: 'localhost',
+              port: 9876,
+              primary: true
+            }
+          ]
+        }
+
+        await request(BASE_URL)
+          .post('/channels')
+          .set('Cookie', rootCookie)
+          .send(channelDoc)
+          .expect(400)
+
+        const channelCount = await ChannelModelAPI.countDocuments({
+          name: channelDoc.name
+        })
+        channelCount.should.eql(0)
+      })
+
+      it('will reject a channel with an invalid content match rule', async () => {
+        const channelDoc = {
+          name: 'invalidMatchContentRules',
+          urlPattern: 'test/fhir',
+          matchContentRules: [
+            {type: 'jsonpath', expression: 'resourceType', operator: 'in'}
+          ],
+          routes: [
+            {
+              name: 'test route',
+              host: 'localhost',
+              port: 9876,
+              primary: true
+            }
+          ]
+        }
+
+        await request(BASE_URL)
+          .post('/channels')
+          .set('Cookie', rootCookie)
+          .send(channelDoc)
+          .expect(400)
+
+        const channelCount = await ChannelModelAPI.countDocuments({
+          name: channelDoc.name
+        })
+        channelCount.should.eql(0)
+      })
+
+      it('will reject a channel with an invalid route transform', async () => {
+        const channelDoc = {
+          name: 'invalidTransforms',
+          urlPattern: 'test/transforms',
+          routes: [
+            {
+              name: 'test route',
+              host: 'localhost',
+              port: 9876,
+              primary: true,
+              transforms: [{type: 'renameHeader', name: 'X-Old'}]
+            }
+          ]
+        }
+
+        const res = await request(BASE_URL)
+          .post('/channels')
+          .set('Cookie', rootCookie)
+          .send(channelDoc)
+          .expect(400)
+        res.text.should.eql(
+          'Transforms of type renameHeader must have a newName'
+        )
+
+        const channelCount = await ChannelModelAPI.countDocuments({
+          name: channelDoc.name
+        })
+        channelCount.should.eql(0)
+      })
+
+      it('will reject a channel with a route condition with an invalid regex', async () => {
+        const channelDoc = {
+          name: 'invalidRouteCondition',
+          urlPattern: 'test/conditions',
+          routes: [
+            {
+              name: 'test route',
+              host: 'localhost',
+              port: 9876,
+              primary: true,
+              condition: {
+                type: 'header',
+                expression: 'x-tenant',
+                value: '(north',
+                regex: true
+              }
+            }
+          ]
+        }
+
+        const res = await request(BASE_URL)
+          .post('/channels')
+          .set('Cookie', rootCookie)
+          .send(channelDoc)
+          .expect(400)
+        res.text.should.startWith(
+          'Route test route: Route condition has an invalid regex'
+        )
+      })
+
+      it('will reject a channel with a metrics alert without a threshold', async () => {
+        const channelDoc = {
+          name: 'invalidAlerts',
+          urlPattern: 'test/alerts',
+          routes: [
+            {
+              name: 'test route',
+              host: 'localhost',
+              port: 9876,
+              primary: true
+            }
+          ],
+          alerts: [{condition: 'traffic-drop', users: []}]
+        }
+
+        const res = await request(BASE_URL)
+          .post('/channels')
+          .set('Cookie', rootCookie)
+          .send(channelDoc)
+          .expect(400)
+        res.text.should.eql(
+          'Alerts with the traffic-drop condition must have a minRequests above 0'
+        )
+      })
+
+      it('should create a channel with header and query parameter match rules', async () => {
+        const channelDoc = {
+          name: 'soapActionChannel',
+          urlPattern: 'test/soap',
+          allow: ['PoC'],
+          matchHeaders: [{name: 'SOAPAction', value: 'urn:save'}],
+          matchQueryParams: [{name: '_format', value: 'json$', regex: true}],
+          routes: [
+            {
+              name: 'test route',
+              host: 'localhost',
+              port: 9876,
+              primary: true
+            }
+          ]
+        }
+
+        await request(BASE_URL)
+          .post('/channels')
+          .set('Cookie', rootCookie)
+          .send(channelDoc)
+          .expect(201)
+
+        const channel = await ChannelModelAPI.findOne({name: channelDoc.name})
+        channel.matchHeaders[0].name.should.eql('SOAPAction')
+        channel.matchHeaders[0].value.should.eql('urn:save')
+        channel.matchQueryParams[0].regex.should.be.true()
+      })
+
       it('will reject a channel with a maxBodyAge greater than 36500', async () => {
         const methodChannelDoc = {
           name: 'maxBodyAgeOver',
@@ -882,6 +1055,164 @@ describe('API Integration Tests', () => {
       })
     })
 
+    describe('getChannelCircuitBreakers(channelId)', () => {
+      beforeEach(async () => {
+        await CircuitBreakerModelAPI.deleteMany({})
+        await ChannelModelAPI.updateOne(
+          {_id: channel1._id},
+          {$set: {'routes.0.circuitBreaker': {enabled: true}}}
+        )
+        await new CircuitBreakerModelAPI({
+          key: 'localhost:9876',
+          host: 'localhost',
+          port: 9876,
+          state: 'open',
+          failures: 5,
+          openedAt: new Date()
+        }).save()
+      })
+
+      after(async () => {
+        await CircuitBreakerModelAPI.deleteMany({})
+      })
+
+      it('should return the circuit breaker state of the channel routes', async () => {
+        const res = await request(BASE_URL)
+          .get(`/channels/${channel1._id}/circuitbreakers`)
+          .set('Cookie', rootCookie)
+          .expect(200)
+        res.body.length.should.be.exactly(1)
+        res.body[0].route.should.equal('test route')
+        res.body[0].key.should.equal('localhost:9876')
+        res.body[0].state.should.equal('open')
+        res.body[0].failures.should.equal(5)
+      })
+
+      it('should not list routes without a circuit breaker', async () => {
+        const res = await request(BASE_URL)
+          .get(`/channels/${channel2._id}/circuitbreakers`)
+          .set('Cookie', rootCookie)
+          .expect(200)
+        res.body.should.eql([])
+      })
+
+      it('should return 404 when the channel does not exist', async () => {
+        await request(BASE_URL)
+          .get('/channels/59f6d57b07552f280271efac/circuitbreakers')
+          .set('Cookie', rootCookie)
+          .expect(404)
+      })
+
+      it('should not allow non admin users to view circuit breakers', async () => {
+        await request(BASE_URL)
+          .get(`/channels/${channel1._id}/circuitbreakers`)
+          .set('Cookie', nonRootCookie)
+          .expect(403)
+      })
+    })
+
+    describe('getChannelRateLimits(channelId)', () => {
+      const windowStart = new Date(Math.floor(Date.now() / 86400000) * 86400000)
+
+      beforeEach(async () => {
+        await RateLimitCounterModelAPI.deleteMany({})
+        await ChannelModelAPI.updateOne(
+          {_id: channel1._id},
+          {$set: {rateLimit: {requestsPerDay: 100}}}
+        )
+        await new RateLimitCounterModelAPI({
+          key: `channel:${channel1._id}:day:${windowStart.getTime()}`,
+          scope: 'channel',
+          channelID: channel1._id,
+          window: 'day',
+          windowStart,
+          count: 42,
+          expiresAt: new Date(windowStart.getTime() + 86400000)
+        }).save()
+      })
+
+      after(async () => {
+        await RateLimitCounterModelAPI.deleteMany({})
+      })
+
+      it('should return the rate limits and usage of the channel', async () => {
+        const res = await request(BASE_URL)
+          .get(`/channels/${channel1._id}/ratelimits`)
+          .set('Cookie', rootCookie)
+          .expect(200)
+        res.body.rateLimit.requestsPerDay.should.equal(100)
+        res.body.usage.length.should.be.exactly(1)
+        res.body.usage[0].window.should.equal('day')
+        res.body.usage[0].limit.should.equal(100)
+        res.body.usage[0].count.should.equal(42)
+      })
+
+      it('should return 404 when the channel does not exist', async () => {
+        await request(BASE_URL)
+          .get('/channels/59f6d57b07552f280271efac/ratelimits')
+          .set('Cookie', rootCookie)
+          .expect(404)
+      })
+
+      it('should not allow non admin users to view rate limits', async () => {
+        await request(BASE_URL)
+          .get(`/channels/${channel1._id}/ratelimits`)
+          .set('Cookie', nonRootCookie)
+          .expect(403)
+      })
+    })
+
+    describe('*purgeChannelCache(channelId)', () => {
+      const createCachedResponse = (channelID, path) =>
+        new CachedResponseModelAPI({
+          key: `${channelID}${path}`,
+          channelID,
+          path,
+          status: 200,
+          body: Buffer.from('cached'),
+          createdAt: new Date(),
+          expiresAt: new Date(Date.now() + 60000)
+        }).save()
+
+      beforeEach(async () => {
+        await CachedResponseModelAPI.deleteMany({})
+        await createCachedResponse(channel1._id, '/terminology/a')
+        await createCachedResponse(channel1._id, '/terminology/b')
+        await createCachedResponse(channel2._id, '/facilities')
+      })
+
+      after(async () => {
+        await CachedResponseModelAPI.deleteMany({})
+      })
+
+      it('should remove the cached responses of the channel only', async () => {
+        const res = await request(BASE_URL)
+          .delete(`/channels/${channel1._id}/cache`)
+          .set('Cookie', rootCookie)
+          .expect(200)
+
+        res.body.purged.should.equal(2)
+        const remaining = await CachedResponseModelAPI.find()
+        remaining.length.should.be.exactly(1)
+        remaining[0].channelID.toString().should.equal(channel2._id.toString())
+      })
+
+      it('should return 404 when the channel does not exist', async () => {
+        await request(BASE_URL)
+          .delete('/channels/59f6d57b07552f280271efac/cache')
+          .set('Cookie', rootCookie)
+          .expect(404)
+      })
+
+      it('should not allow non admin users to purge the cache', async () => {
+        await request(BASE_URL)
+          .delete(`/channels/${channel1._id}/cache`)
+          .set('Cookie', nonRootCookie)
+          .expect(403)
+        ;(await CachedResponseModelAPI.countDocuments()).should.equal(3)
+      })
+    })
+
     describe('*updateChannel(channelId)', () => {
       it('should update a specific channel by id', async () => {
         const updates = {
@@ -915,6 +1246,17 @@ describe('API Integration Tests', () => {
         channel.routes.should.have.length(2)
       })
 
+      it('will reject an update with an invalid channel transform', async () => {
+        await request(BASE_URL)
+          .put(`/channels/${channel1._id}`)
+          .set('Cookie', rootCookie)
+          .send({transforms: [{type: 'rewriteQuery', expression: '(unclosed'}]})
+          .expect(400)
+
+        const channel = await ChannelModelAPI.findById(channel1._id)
+        should.not.exist(channel.transforms)
+      })
+
       it('should not allow a non admin user to update a channel', async () => {
         const updates = {}
         await request(BASE_URL)
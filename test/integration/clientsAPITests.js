@@ -282,6 +282,43 @@ describe('API Integration Tests', () => {
       })
     })
 
+    describe('*getClientRateLimits(_id)', () => {
+      it('should return the rate limits and usage of the client', async () => {
+        const client = await new ClientModelAPI({
+          clientID: 'emrSync',
+          name: 'EMR sync',
+          roles: ['sync'],
+          rateLimit: {requestsPerSecond: 5, requestsPerDay: 1000}
+        }).save()
+
+        const res = await request(BASE_URL)
+          .get(`/clients/${client._id}/ratelimits`)
+          .set('Cookie', rootCookie)
+          .expect(200)
+        res.body.rateLimit.requestsPerSecond.should.equal(5)
+        res.body.usage
+          .map(usage => [usage.window, usage.limit, usage.count])
+          .should.eql([
+            ['second', 5, 0],
+            ['day', 1000, 0]
+          ])
+      })
+
+      it('should return status 404 if not found', async () => {
+        await request(BASE_URL)
+          .get('/clients/000000000000000000000000/ratelimits')
+          .set('Cookie', rootCookie)
+          .expect(404)
+      })
+
+      it('should not allow a non admin user to view rate limits', async () => {
+        await request(BASE_URL)
+          .get('/clients/000000000000000000000000/ratelimits')
+          .set('Cookie', nonRootCookie)
+          .expect(403)
+      })
+    })
+
     describe('*findClientByDomain(clientDomain)', () => {
       const clientTest = {
         clientID: 'Zambia_OpenHIE_Instance',
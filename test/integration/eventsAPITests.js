@@ -2,6 +2,7 @@
 
 /* eslint-env mocha */
 
+import https from 'https'
 import request from 'supertest'
 import sinon from 'sinon'
 import {ObjectId} from 'mongodb'
@@ -330,4 +331,56 @@ describe('Events API Integration Tests', () => {
     }
     seen.should.be.true()
   })
+
+  describe('*streamEvents', () => {
+    const readEvents = (cookie, query = '') =>
+      new Promise((resolve, reject) => {
+        const req = https.get(
+          `${BASE_URL}/events/stream${query}`,
+          {headers: {Cookie: cookie}, rejectUnauthorized: false},
+          res => {
+            let data = ''
+            res.on('data', chunk => {
+              data += chunk
+              const message = data
+                .split('\n\n')
+                .find(line => line.startsWith('data: '))
+              if (message != null) {
+                req.destroy()
+                resolve(JSON.parse(message.slice('data: '.length)).events)
+              }
+            })
+          }
+        )
+        req.on('error', reject)
+      })
+
+    it('should stream the events of new transactions', async () => {
+      const events = readEvents(rootCookie)
+      await testUtils.wait(100)
+
+      await request(baseUrl)
+        .get('/test/mock')
+        .auth('testApp', 'password')
+        .expect(200)
+
+      const streamed = await events
+      streamed.length.should.be.above(0)
+      streamed.map(event => event.name).should.containEql(channelName)
+    })
+
+    it('should not stream the events of channels the user cannot view', async () => {
+      const channel = await ChannelModelAPI.findOne({name: channelName})
+      const nonRootCookie = await testUtils.authenticate(
+        request,
+        BASE_URL,
+        testUtils.nonRootUser
+      )
+
+      await request(BASE_URL)
+        .get(`/events/stream?channels=${channel._id}`)
+        .set('Cookie', nonRootCookie)
+        .expect(403)
+    })
+  })
 })
@@ -7,6 +7,7 @@ import should from 'should'
 import {ObjectId} from 'mongodb'
 import {promisify} from 'util'
 
+import * as concurrencyLimiter from '../../src/concurrencyLimiter'
 import * as constants from '../constants'
 import * as server from '../../src/server'
 import * as testUtils from '../utils'
@@ -194,6 +195,84 @@ describe('API Metrics Tests', () =>
           .set('Cookie', rootCookie)
           .expect(400)
       })
+
+      it('should fetch the metrics of each route of a channel', async () => {
+        const routeMetric = (route, routeType, requests) => ({
+          type: 'h',
+          startTime: new Date('2014-07-16T08:00:00.000Z'),
+          channelID: channel1Doc._id,
+          route,
+          routeType,
+          requests,
+          responseTime: requests * 100,
+          minResponseTime: 100,
+          maxResponseTime: 100,
+          successful: requests
+        })
+        await MetricModel.insertMany([
+          routeMetric('test route', 'route', 2),
+          routeMetric('registry', 'orchestration', 3)
+        ])
+
+        try {
+          const res = await request(BASE_URL)
+            .get(
+              '/metrics/channels/111111111111111111111111?startDate=2014-07-15T00:00:00.000Z&endDate=2014-07-19T00:00:00.000Z&groupBy=route'
+            )
+            .set('Cookie', rootCookie)
+            .expect(200)
+
+          res.body.length.should.be.exactly(2)
+          res.body[0]._id.route.should.equal('registry')
+          res.body[0]._id.routeType.should.equal('orchestration')
+          res.body[0].total.should.be.exactly(3)
+          res.body[1]._id.route.should.equal('test route')
+          res.body[1].total.should.be.exactly(2)
+        } finally {
+          await MetricModel.deleteMany({route: {$exists: true}})
+        }
+      })
+
+      it('should return a 400 when grouping by an unknown dimension', async () => {
+        await request(BASE_URL)
+          .get(
+            '/metrics?startDate=2014-07-15T00:00:00.000Z&endDate=2014-07-19T00:00:00.000Z&groupBy=method'
+          )
+          .set('Cookie', rootCookie)
+          .expect(400)
+      })
+
+      it('should return a 400 when using both the client and route dimensions', async () => {
+        await request(BASE_URL)
+          .get(
+            '/metrics?startDate=2014-07-15T00:00:00.000Z&endDate=2014-07-19T00:00:00.000Z&groupBy=client&routes=registry'
+          )
+          .set('Cookie', rootCookie)
+          .expect(400)
+      })
+    })
+
+    describe('*getQueueMetrics()', () => {
+      afterEach(() => concurrencyLimiter.limiters.clear())
+
+      it('should fetch the in-flight and queued requests of limited channels', async () => {
+        const release = await concurrencyLimiter.acquire({
+          ...channel1Doc,
+          concurrency: {maxConcurrentPerWorker: 2}
+        })
+
+        const res = await request(BASE_URL)
+          .get('/metrics/queues')
+          .set('Cookie', rootCookie)
+          .expect(200)
+
+        release()
+        res.body.length.should.be.exactly(1)
+        res.body[0].channelID.should.be.exactly('111111111111111111111111')
+        res.body[0].active.should.be.exactly(1)
+        res.body[0].queued.should.be.exactly(0)
+        res.body[0].maxConcurrentPerWorker.should.be.exactly(2)
+      })
     })
 
     describe('*getPrometheusMetrics()', () => {
@@ -210,6 +289,14 @@ describe('API Metrics Tests', () =>
         res.text
           .includes('# TYPE openhim_request_duration histogram')
           .should.be.true('should contain openhim_request_duration metric')
+        res.text
+          .includes('# TYPE openhim_route_request_duration_seconds histogram')
+          .should.be.true(
+            'should contain openhim_route_request_duration_seconds metric'
+          )
+        res.text
+          .includes('# TYPE openhim_agenda_jobs gauge')
+          .should.be.true('should contain openhim_agenda_jobs metric')
       })
     })
   }))
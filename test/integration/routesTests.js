@@ -185,6 +185,26 @@ describe('Routes enabled/disabled tests', () => {
     }
   })
 
+  const conditionalChannel = new ChannelModelAPI({
+    name: 'TEST DATA - Conditional routes',
+    urlPattern: '^/test/conditional$',
+    allow: ['PoC'],
+    methods: ['GET'],
+    routes: [
+      {
+        name: 'lab route',
+        host: 'localhost',
+        port: httpPortPlus40,
+        primary: true,
+        condition: {type: 'header', expression: 'x-message-type', value: 'lab'}
+      }
+    ],
+    updatedBy: {
+      id: new ObjectId(),
+      name: 'Test'
+    }
+  })
+
   const timeoutChannel = new ChannelModelAPI({
     name: 'TEST DATA - timeoutChannel',
     urlPattern: '^/test/timeoutChannel$',
@@ -237,6 +257,7 @@ describe('Routes enabled/disabled tests', () => {
       channel4.save(),
       channel5.save(),
       channel6.save(),
+      conditionalChannel.save(),
       timeoutChannel.save(),
       channelRestricted.save()
     ])
@@ -413,6 +434,21 @@ describe('Routes enabled/disabled tests', () => {
     )
   })
 
+  it('should complete the transaction when no primary route condition matches', async () => {
+    await request(constants.HTTP_BASE_URL)
+      .get('/test/conditional')
+      .set('x-message-type', 'adt')
+      .auth('testApp', 'password')
+      .expect(404)
+
+    await testUtils.pollCondition(() =>
+      TransactionModel.countDocuments({status: 'Completed'}).then(c => c === 1)
+    )
+    const trx = await TransactionModel.findOne()
+    trx.response.status.should.be.exactly(404)
+    trx.routes.length.should.be.exactly(0)
+  })
+
   it('should respect the channel timeout', async () => {
     await request(constants.HTTP_BASE_URL)
       .get('/test/timeoutChannel')
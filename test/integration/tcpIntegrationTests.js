@@ -4,12 +4,15 @@
 /* eslint no-unused-expressions:0 */
 
 import fs from 'fs'
+import net from 'net'
 import nconf from 'nconf'
 import sinon from 'sinon'
 import {ObjectId} from 'mongodb'
 import {promisify} from 'util'
 
 import * as constants from '../constants'
+import * as hl7 from '../../src/hl7'
+import * as mllp from '../../src/mllp'
 import * as testUtils from '../utils'
 import {CertificateModel, ChannelModel, TransactionModel} from '../../src/model'
 import {config} from '../../src/config'
@@ -119,11 +122,59 @@ const tcpTimeoutChannel = {
   }
 }
 
+const tcpMllpChannelDoc = {
+  name: 'TCPIntegrationChannelMllp',
+  urlPattern: '/',
+  allow: ['tcp'],
+  type: 'tcp',
+  mllp: true,
+  tcpPort: CHANNEL_PORT_START + 7,
+  tcpHost: 'localhost',
+  routes: [
+    {
+      name: 'http route',
+      host: 'localhost',
+      port: SERVER_PORT_START + 7,
+      type: 'http',
+      primary: true
+    }
+  ],
+  updatedBy: {
+    id: new ObjectId(),
+    name: 'Test'
+  }
+}
+
+const tcpAutoAckChannelDoc = {
+  name: 'TCPIntegrationChannelAutoAck',
+  urlPattern: '/',
+  allow: ['tcp'],
+  type: 'tcp',
+  autoAck: true,
+  tcpPort: CHANNEL_PORT_START + 8,
+  tcpHost: 'localhost',
+  routes: [
+    {
+      name: 'http route',
+      host: 'localhost',
+      port: SERVER_PORT_START + 8,
+      type: 'http',
+      primary: true
+    }
+  ],
+  updatedBy: {
+    id: new ObjectId(),
+    name: 'Test'
+  }
+}
+
 const channels = [
   tcpToHttpChannelDoc,
   tcpToTlsChannelDoc,
   tcpToTlsNoCertChannelDoc,
-  tcpTimeoutChannel
+  tcpTimeoutChannel,
+  tcpMllpChannelDoc,
+  tcpAutoAckChannelDoc
 ]
 
 describe('TCP/TLS Integration Tests', () => {
@@ -247,4 +298,73 @@ describe('TCP/TLS Integration Tests', () => {
 
     tran.status.should.eql('Failed')
   })
+
+  it('will route mllp framed messages split and joined across packets', async () => {
+    const spy = sandbox.spy(async req => {
+      const body = await testUtils.readBody(req)
+      return `ACK ${body}`
+    })
+    mockServer = await testUtils.createMockHttpServer(
+      spy,
+      tcpMllpChannelDoc.routes[0].port
+    )
+
+    const first = mllp.frame('MSH|1')
+    const second = mllp.frame('MSH|2')
+    const responses = await new Promise((resolve, reject) => {
+      const decoder = mllp.createFrameDecoder()
+      const received = []
+      const socket = net.connect(tcpMllpChannelDoc.tcpPort, 'localhost', () => {
+        socket.write(first.slice(0, 3))
+        setTimeout(
+          () => socket.write(Buffer.concat([first.slice(3), second])),
+          20
+        )
+      })
+      socket.on('data', data => {
+        received.push(...decoder.push(data).map(String))
+        if (received.length === 2) {
+          socket.end()
+          resolve(received)
+        }
+      })
+      socket.on('error', reject)
+    })
+
+    responses.should.eql(['ACK MSH|1', 'ACK MSH|2'])
+    spy.callCount.should.eql(2)
+
+    await testUtils.pollCondition(() =>
+      TransactionModel.countDocuments().then(c => c === 2)
+    )
+    const transactions = await TransactionModel.find({}).sort({
+      'request.timestamp': 1
+    })
+    transactions.map(tx => tx.request.body).should.eql(['MSH|1', 'MSH|2'])
+  })
+
+  it('will respond with an HL7 ACK built from the primary route status', async () => {
+    const spy = sandbox.spy(async () => 'upstream failure')
+    mockServer = await testUtils.createMockHttpServer(
+      spy,
+      tcpAutoAckChannelDoc.routes[0].port,
+      500
+    )
+    const request =
+      'MSH|^~\\&|LAB|FACILITY|HIM|MOH|20230101120000||ORU^R01|MSG00001|P|2.5\rPID|1'
+    const res = await testUtils.socketTest(
+      tcpAutoAckChannelDoc.tcpPort,
+      request
+    )
+
+    hl7.getFieldValue(res.toString(), 'MSA-1').should.eql('AR')
+    hl7.getFieldValue(res.toString(), 'MSA-2').should.eql('MSG00001')
+
+    await testUtils.pollCondition(() =>
+      TransactionModel.countDocuments().then(c => c === 1)
+    )
+    const transaction = await TransactionModel.findOne()
+    transaction.response.status.should.eql(500)
+    transaction.response.body.should.eql(res.toString())
+  })
 })
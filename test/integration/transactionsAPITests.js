@@ -12,6 +12,7 @@ import sinon from 'sinon'
 import * as constants from '../constants'
 import * as server from '../../src/server'
 import * as testUtils from '../utils'
+import * as webhooks from '../../src/webhooks'
 import {AutoRetryModelAPI} from '../../src/model/autoRetry'
 import {ChannelModel} from '../../src/model/channels'
 import {EventModelAPI} from '../../src/model/events'
@@ -521,6 +522,29 @@ describe('API Integration Tests', () => {
         updatedTrans.routes[1].orchestrations[0].name.should.equal('test')
       })
 
+      it('should send the webhooks of an async transaction once it reaches its final status', async () => {
+        const notify = sinon.stub(webhooks, 'notifyTransaction').resolves()
+        try {
+          const td = testUtils.clone(transactionData)
+          td.status = 'Pending Async'
+          const {_id} = await new TransactionModel(td).save()
+
+          await request(BASE_URL)
+            .put(`/transactions/${_id}`)
+            .set('Cookie', rootCookie)
+            .send({status: 'Successful'})
+            .expect(200)
+
+          notify.calledOnce.should.be.true()
+          const [tx, autoRetryExhausted] = notify.firstCall.args
+          tx._id.toString().should.equal(_id.toString())
+          tx.status.should.equal('Successful')
+          autoRetryExhausted.should.be.false()
+        } finally {
+          notify.restore()
+        }
+      })
+
       it('should update transaction with large update request body', async () => {
         const td = testUtils.clone(transactionData)
         td.channelID = channel._id
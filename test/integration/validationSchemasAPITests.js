@@ -0,0 +1,187 @@
+'use strict'
+
+/* eslint-env mocha */
+
+import request from 'supertest'
+import {ObjectId} from 'mongodb'
+import {promisify} from 'util'
+
+import * as constants from '../constants'
+import * as server from '../../src/server'
+import * as testUtils from '../utils'
+import {ChannelModelAPI} from '../../src/model/channels'
+import {ValidationSchemaModelAPI} from '../../src/model/validationSchemas'
+
+const {SERVER_PORTS, BASE_URL} = constants
+
+describe('API Integration Tests', () => {
+  describe('Validation Schemas REST Api Testing', () => {
+    const validationSchemaData = {
+      name: 'Patient',
+      type: 'json-schema',
+      schema: JSON.stringify({
+        type: 'object',
+        required: ['id'],
+        properties: {id: {type: 'string'}}
+      })
+    }
+
+    let rootCookie = '',
+      nonRootCookie = ''
+
+    beforeEach(async () => {
+      rootCookie = await testUtils.authenticate(
+        request,
+        BASE_URL,
+        testUtils.rootUser
+      )
+      nonRootCookie = await testUtils.authenticate(
+        request,
+        BASE_URL,
+        testUtils.nonRootUser
+      )
+    })
+
+    before(async () => {
+      await testUtils.setupTestUsers()
+      await promisify(server.start)({apiPort: SERVER_PORTS.apiPort})
+    })
+
+    after(async () => {
+      await testUtils.cleanupTestUsers()
+      await promisify(server.stop)()
+    })
+
+    afterEach(async () => {
+      await Promise.all([
+        ValidationSchemaModelAPI.deleteMany({}),
+        ChannelModelAPI.deleteMany({})
+      ])
+    })
+
+    describe('*addValidationSchema', () => {
+      it('should add the validation schema and return status 201', async () => {
+        await request(BASE_URL)
+          .post('/validationschemas')
+          .set('Cookie', rootCookie)
+          .send(validationSchemaData)
+          .expect(201)
+        const validationSchema = await ValidationSchemaModelAPI.findOne({
+          name: 'Patient'
+        })
+        validationSchema.type.should.equal('json-schema')
+        validationSchema.schema.should.equal(validationSchemaData.schema)
+      })
+
+      it('should reject a schema that does not compile', async () => {
+        await request(BASE_URL)
+          .post('/validationschemas')
+          .set('Cookie', rootCookie)
+          .send({name: 'Broken', type: 'xsd', schema: '<xs:schema'})
+          .expect(400)
+        const count = await ValidationSchemaModelAPI.countDocuments()
+        count.should.equal(0)
+      })
+
+      it('should only allow an admin user to add a validation schema', async () => {
+        await request(BASE_URL)
+          .post('/validationschemas')
+          .set('Cookie', nonRootCookie)
+          .send(validationSchemaData)
+          .expect(403)
+      })
+    })
+
+    describe('*getValidationSchema', () => {
+      it('should get a validation schema by id', async () => {
+        const {_id} = await new ValidationSchemaModelAPI(
+          validationSchemaData
+        ).save()
+        const res = await request(BASE_URL)
+          .get(`/validationschemas/${_id}`)
+          .set('Cookie', rootCookie)
+          .expect(200)
+        res.body.name.should.equal('Patient')
+      })
+
+      it('should return 404 when the validation schema does not exist', async () => {
+        await request(BASE_URL)
+          .get('/validationschemas/59f6d57b07552f280271efac')
+          .set('Cookie', rootCookie)
+          .expect(404)
+      })
+    })
+
+    describe('*updateValidationSchema', () => {
+      it('should update the schema and its update time', async () => {
+        const original = await new ValidationSchemaModelAPI(
+          validationSchemaData
+        ).save()
+        const schema = JSON.stringify({type: 'array'})
+
+        await request(BASE_URL)
+          .put(`/validationschemas/${original._id}`)
+          .set('Cookie', rootCookie)
+          .send({schema})
+          .expect(200)
+        const updated = await ValidationSchemaModelAPI.findById(original._id)
+        updated.schema.should.equal(schema)
+        updated.updated.should.be.above(original.updated)
+      })
+
+      it('should reject an update with a schema that does not compile', async () => {
+        const {_id} = await new ValidationSchemaModelAPI(
+          validationSchemaData
+        ).save()
+        await request(BASE_URL)
+          .put(`/validationschemas/${_id}`)
+          .set('Cookie', rootCookie)
+          .send({schema: '{"type": '})
+          .expect(400)
+      })
+    })
+
+    describe('*removeValidationSchema', () => {
+      it('should remove the validation schema', async () => {
+        const {_id} = await new ValidationSchemaModelAPI(
+          validationSchemaData
+        ).save()
+        await request(BASE_URL)
+          .del(`/validationschemas/${_id}`)
+          .set('Cookie', rootCookie)
+          .expect(200)
+        const count = await ValidationSchemaModelAPI.countDocuments()
+        count.should.equal(0)
+      })
+
+      it('should not remove a validation schema used by a channel', async () => {
+        const {_id} = await new ValidationSchemaModelAPI(
+          validationSchemaData
+        ).save()
+        await new ChannelModelAPI({
+          name: 'Patients',
+          urlPattern: '/patients',
+          routes: [{name: 'registry', host: 'localhost', port: 9876}],
+          requestValidation: {enabled: true, schemaID: _id},
+          updatedBy: {id: new ObjectId(), name: 'Test'}
+        }).save()
+
+        const res = await request(BASE_URL)
+          .del(`/validationschemas/${_id}`)
+          .set('Cookie', rootCookie)
+          .expect(409)
+        res.body.length.should.equal(1)
+        res.body[0].name.should.equal('Patients')
+      })
+    })
+
+    describe('*getValidationSchemas', () => {
+      it('should only allow an admin user to list the validation schemas', async () => {
+        await request(BASE_URL)
+          .get('/validationschemas')
+          .set('Cookie', nonRootCookie)
+          .expect(403)
+      })
+    })
+  })
+})
@@ -0,0 +1,192 @@
+'use strict'
+
+/* eslint-env mocha */
+
+import request from 'supertest'
+import should from 'should'
+import {promisify} from 'util'
+
+import * as constants from '../constants'
+import * as server from '../../src/server'
+import * as testUtils from '../utils'
+import {
+  WebhookDeliveryModelAPI,
+  WebhookModelAPI,
+  deliveryStatus
+} from '../../src/model/webhooks'
+
+const {SERVER_PORTS, BASE_URL} = constants
+
+describe('API Integration Tests', () => {
+  describe('Webhooks REST Api Testing', () => {
+    const webhookData = {
+      name: 'Monitoring',
+      url: 'http://localhost:9000/hooks',
+      secret: 'secret',
+      events: ['transaction-failed', 'auto-retry-exhausted']
+    }
+
+    let rootCookie = '',
+      nonRootCookie = ''
+
+    beforeEach(async () => {
+      rootCookie = await testUtils.authenticate(
+        request,
+        BASE_URL,
+        testUtils.rootUser
+      )
+      nonRootCookie = await testUtils.authenticate(
+        request,
+        BASE_URL,
+        testUtils.nonRootUser
+      )
+    })
+
+    before(async () => {
+      await testUtils.setupTestUsers()
+      await promisify(server.start)({apiPort: SERVER_PORTS.apiPort})
+    })
+
+    after(async () => {
+      await testUtils.cleanupTestUsers()
+      await promisify(server.stop)()
+    })
+
+    afterEach(async () => {
+      await Promise.all([
+        WebhookModelAPI.deleteMany({}),
+        WebhookDeliveryModelAPI.deleteMany({})
+      ])
+    })
+
+    describe('*addWebhook', () => {
+      it('should add the webhook and return status 201', async () => {
+        await request(BASE_URL)
+          .post('/webhooks')
+          .set('Cookie', rootCookie)
+          .send(webhookData)
+          .expect(201)
+        const webhook = await WebhookModelAPI.findOne({name: 'Monitoring'})
+        webhook.url.should.equal(webhookData.url)
+        webhook.enabled.should.be.true()
+      })
+
+      it('should reject a webhook without events', async () => {
+        await request(BASE_URL)
+          .post('/webhooks')
+          .set('Cookie', rootCookie)
+          .send(Object.assign({}, webhookData, {events: []}))
+          .expect(400)
+      })
+
+      it('should reject a webhook that is not a http URL', async () => {
+        await request(BASE_URL)
+          .post('/webhooks')
+          .set('Cookie', rootCookie)
+          .send(Object.assign({}, webhookData, {url: 'ftp://localhost/hooks'}))
+          .expect(400)
+        const count = await WebhookModelAPI.countDocuments()
+        count.should.equal(0)
+      })
+
+      it('should only allow an admin user to add a webhook', async () => {
+        await request(BASE_URL)
+          .post('/webhooks')
+          .set('Cookie', nonRootCookie)
+          .send(webhookData)
+          .expect(403)
+      })
+    })
+
+    describe('*getWebhook', () => {
+      it('should get a webhook by id without its secret', async () => {
+        const {_id} = await new WebhookModelAPI(webhookData).save()
+        const res = await request(BASE_URL)
+          .get(`/webhooks/${_id}`)
+          .set('Cookie', rootCookie)
+          .expect(200)
+        res.body.name.should.equal('Monitoring')
+        should.not.exist(res.body.secret)
+      })
+
+      it('should return 404 when the webhook does not exist', async () => {
+        await request(BASE_URL)
+          .get('/webhooks/59f6d57b07552f280271efac')
+          .set('Cookie', rootCookie)
+          .expect(404)
+      })
+    })
+
+    describe('*updateWebhook', () => {
+      it('should update the webhook', async () => {
+        const {_id} = await new WebhookModelAPI(webhookData).save()
+        await request(BASE_URL)
+          .put(`/webhooks/${_id}`)
+          .set('Cookie', rootCookie)
+          .send({enabled: false, statuses: ['Failed']})
+          .expect(200)
+        const webhook = await WebhookModelAPI.findById(_id)
+        webhook.enabled.should.be.false()
+        webhook.statuses.should.eql(['Failed'])
+        webhook.secret.should.equal('secret')
+      })
+    })
+
+    describe('*removeWebhook', () => {
+      it('should remove the webhook', async () => {
+        const {_id} = await new WebhookModelAPI(webhookData).save()
+        await request(BASE_URL)
+          .del(`/webhooks/${_id}`)
+          .set('Cookie', rootCookie)
+          .expect(200)
+        const count = await WebhookModelAPI.countDocuments()
+        count.should.equal(0)
+      })
+    })
+
+    describe('*getWebhooks', () => {
+      it('should only allow an admin user to list the webhooks', async () => {
+        await request(BASE_URL)
+          .get('/webhooks')
+          .set('Cookie', nonRootCookie)
+          .expect(403)
+      })
+    })
+
+    describe('*getWebhookDeliveries', () => {
+      it('should list the deliveries of the webhook, newest first', async () => {
+        const {_id} = await new WebhookModelAPI(webhookData).save()
+        await WebhookDeliveryModelAPI.insertMany([
+          {
+            webhookID: _id,
+            event: 'transaction-failed',
+            payload: {status: 'Failed'},
+            status: deliveryStatus.DELIVERED,
+            created: new Date('2023-01-01T10:00:00.000Z')
+          },
+          {
+            webhookID: _id,
+            event: 'auto-retry-exhausted',
+            payload: {status: 'Failed'},
+            status: deliveryStatus.FAILED,
+            created: new Date('2023-01-01T11:00:00.000Z')
+          }
+        ])
+
+        const res = await request(BASE_URL)
+          .get(`/webhooks/${_id}/deliveries`)
+          .set('Cookie', rootCookie)
+          .expect(200)
+        res.body
+          .map(d => d.event)
+          .should.eql(['auto-retry-exhausted', 'transaction-failed'])
+
+        const failed = await request(BASE_URL)
+          .get(`/webhooks/${_id}/deliveries?status=Failed`)
+          .set('Cookie', rootCookie)
+          .expect(200)
+        failed.body.length.should.equal(1)
+      })
+    })
+  })
+})
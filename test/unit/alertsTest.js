@@ -4,6 +4,7 @@
 /* eslint no-unused-expressions:0 */
 
 import moment from 'moment'
+import should from 'should'
 import sinon from 'sinon'
 import {ObjectId} from 'mongodb'
 import {promisify} from 'util'
@@ -11,9 +12,13 @@ import {promisify} from 'util'
 import * as alerts from '../../src/alerts'
 import {
   AlertModel,
+  AlertSilenceModel,
   ChannelModel,
   ContactGroupModel,
   EventModel,
+  METRIC_TYPE_HOUR,
+  METRIC_TYPE_MINUTE,
+  MetricModel,
   UserModel
 } from '../../src/model'
 import {config} from '../../src/config'
@@ -688,6 +693,215 @@ describe('Transaction Alerts', () => {
     })
   })
 
+  describe('.validateAlert', () => {
+    it('should require the threshold of the condition', () => {
+      alerts
+        .validateAlert({condition: 'response-time'})
+        .should.match(/responseTimeThreshold/)
+      alerts
+        .validateAlert({condition: 'traffic-drop', minRequests: 0})
+        .should.match(/minRequests/)
+      alerts
+        .validateAlert({condition: 'traffic-spike', spikeFactor: 1})
+        .should.match(/spikeFactor/)
+      should.not.exist(
+        alerts.validateAlert({condition: 'traffic-spike', maxRequests: 100})
+      )
+      should.not.exist(
+        alerts.validateAlert({
+          condition: 'response-time',
+          responseTimeThreshold: '500'
+        })
+      )
+      should.not.exist(alerts.validateAlert({condition: 'status'}))
+    })
+  })
+
+  describe('.getMetricsWindow', () => {
+    const now = new Date('2023-01-01T10:20:30.000Z')
+
+    it('should use the complete minutes before now for short windows', () => {
+      alerts.getMetricsWindow({windowMinutes: 15}, now).should.eql({
+        startDate: new Date('2023-01-01T10:05:00.000Z'),
+        endDate: new Date('2023-01-01T10:20:00.000Z'),
+        windowMinutes: 15,
+        periods: [
+          {
+            type: METRIC_TYPE_MINUTE,
+            startDate: new Date('2023-01-01T10:05:00.000Z'),
+            endDate: new Date('2023-01-01T10:20:00.000Z')
+          }
+        ]
+      })
+    })
+
+    it('should use the hours before and the minutes of the current hour for long windows', () => {
+      alerts.getMetricsWindow({windowMinutes: 90}, now).should.eql({
+        startDate: new Date('2023-01-01T08:00:00.000Z'),
+        endDate: new Date('2023-01-01T10:20:00.000Z'),
+        windowMinutes: 140,
+        periods: [
+          {
+            type: METRIC_TYPE_HOUR,
+            startDate: new Date('2023-01-01T08:00:00.000Z'),
+            endDate: new Date('2023-01-01T10:00:00.000Z')
+          },
+          {
+            type: METRIC_TYPE_MINUTE,
+            startDate: new Date('2023-01-01T10:00:00.000Z'),
+            endDate: new Date('2023-01-01T10:20:00.000Z')
+          }
+        ]
+      })
+    })
+  })
+
+  describe('.findMetricsMatchingCondition', () => {
+    const findMetrics = promisify(alerts.findMetricsMatchingCondition)
+
+    const recordMetric = (type, startTime, requests, responseTime) =>
+      new MetricModel({
+        channelID: testChannel._id,
+        type,
+        startTime,
+        requests,
+        responseTime,
+        minResponseTime: responseTime / requests,
+        maxResponseTime: responseTime / requests
+      }).save()
+
+    afterEach(() => MetricModel.deleteMany({}))
+
+    it('should match when the average response time is above the threshold', async () => {
+      const alert = {
+        condition: 'response-time',
+        responseTimeThreshold: 1000,
+        windowMinutes: 10
+      }
+      const {startDate} = alerts.getMetricsWindow(alert)
+      await recordMetric(METRIC_TYPE_MINUTE, startDate, 2, 3000)
+
+      const results = await findMetrics(testChannel, alert)
+
+      results.should.eql([
+        {
+          windowMinutes: 10,
+          requests: 2,
+          statistic: 'average',
+          responseTime: 1500
+        }
+      ])
+    })
+
+    it('should not match when the response time is within the threshold', async () => {
+      const alert = {
+        condition: 'response-time',
+        responseTimeThreshold: 2000,
+        windowMinutes: 10
+      }
+      const {startDate} = alerts.getMetricsWindow(alert)
+      await recordMetric(METRIC_TYPE_MINUTE, startDate, 2, 3000)
+
+      const results = await findMetrics(testChannel, alert)
+
+      results.length.should.equal(0)
+    })
+
+    it('should match a channel that received no requests', async () => {
+      const alert = {condition: 'traffic-drop', minRequests: 1}
+
+      const results = await findMetrics(testChannel, alert)
+
+      results.should.eql([{windowMinutes: 15, requests: 0}])
+    })
+
+    it('should not match again once an alert was sent in the window', async () => {
+      const alert = {condition: 'traffic-drop', minRequests: 1}
+      await new AlertModel({
+        user: 'one@openhim.org',
+        method: 'email',
+        channelID: testChannel._id,
+        condition: 'traffic-drop',
+        status: 'requests < 1',
+        alertStatus: 'Completed'
+      }).save()
+
+      const results = await findMetrics(testChannel, alert)
+
+      results.length.should.equal(0)
+    })
+
+    it('should match a spike in traffic compared to the day before', async () => {
+      const alert = {condition: 'traffic-spike', spikeFactor: 3}
+      const {startDate, endDate} = alerts.getMetricsWindow(alert)
+      const hour = moment(startDate).startOf('hour')
+      // 60 requests an hour is 15 requests in a 15 minute window
+      await Promise.all(
+        [1, 2, 3, 4].map(hours =>
+          recordMetric(
+            METRIC_TYPE_HOUR,
+            hour.clone().subtract(hours, 'hours').toDate(),
+            360,
+            3600
+          )
+        )
+      )
+      await recordMetric(
+        METRIC_TYPE_MINUTE,
+        moment(endDate).subtract(1, 'minute').toDate(),
+        50,
+        500
+      )
+
+      const results = await findMetrics(testChannel, alert)
+
+      results.should.eql([{windowMinutes: 15, requests: 50, baseline: 15}])
+    })
+
+    it('should count the requests of the current hour in long windows', async () => {
+      const alert = {
+        condition: 'traffic-drop',
+        minRequests: 1,
+        windowMinutes: 120
+      }
+      const {periods} = alerts.getMetricsWindow(alert)
+      const current = periods[periods.length - 1]
+      await recordMetric(current.type, current.startDate, 1, 100)
+
+      const results = await findMetrics(testChannel, alert)
+
+      results.length.should.equal(0)
+    })
+
+    it('should match a spike in traffic of a channel that usually has little', async () => {
+      const alert = {condition: 'traffic-spike', spikeFactor: 3}
+      const {startDate, endDate} = alerts.getMetricsWindow(alert)
+      // 24 requests a day is a quarter of a request in a 15 minute window
+      await recordMetric(
+        METRIC_TYPE_HOUR,
+        moment(startDate).startOf('hour').subtract(1, 'hours').toDate(),
+        24,
+        240
+      )
+      await recordMetric(
+        METRIC_TYPE_MINUTE,
+        moment(endDate).subtract(1, 'minute').toDate(),
+        2,
+        20
+      )
+
+      const results = await findMetrics(testChannel, alert)
+
+      results.should.eql([{windowMinutes: 15, requests: 2, baseline: 0.25}])
+    })
+
+    it('should return an error for a condition without a threshold', async () => {
+      await findMetrics(testChannel, {
+        condition: 'response-time'
+      }).should.be.rejectedWith(/has no responseTimeThreshold/)
+    })
+  })
+
   describe('.alertingTask', () => {
     const buildJobStub = function (date) {
       const jobStub = {}
@@ -956,6 +1170,203 @@ describe('Transaction Alerts', () => {
       })
     })
 
+    it("should contact the group's contacts and users using their chosen method", async () => {
+      const chatGroup = await new ContactGroupModel({
+        group: 'on-call',
+        users: [
+          {
+            user: 'one@openhim.org',
+            method: 'webhook',
+            address: 'http://localhost:9000/alerts'
+          }
+        ],
+        contacts: [
+          {method: 'chat', address: 'https://chat.example.com/hooks/abc'},
+          {method: 'syslog'}
+        ]
+      }).save()
+      const chatChannel = await new ChannelModel({
+        name: 'chat',
+        urlPattern: '/chat',
+        allow: '*',
+        alerts: [{condition: 'status', status: '404', groups: [chatGroup._id]}],
+        updatedBy: {
+          id: new ObjectId(),
+          name: 'Test'
+        }
+      }).save()
+      await new EventModel({
+        transactionID: new ObjectId(),
+        channelID: chatChannel._id,
+        event: 'end',
+        status: 404,
+        type: 'channel'
+      }).save()
+
+      try {
+        const contactSpy = sinon.spy()
+        await new Promise(resolve =>
+          alerts.alertingTask(
+            buildJobStub(dateFrom),
+            mockContactHandler(contactSpy),
+            resolve
+          )
+        )
+
+        contactSpy.calledThrice.should.be.true()
+        contactSpy
+          .withArgs(
+            'webhook',
+            'http://localhost:9000/alerts',
+            'OpenHIM Alert',
+            sinon.match.string,
+            null
+          )
+          .calledOnce.should.be.true()
+        contactSpy
+          .withArgs(
+            'chat',
+            'https://chat.example.com/hooks/abc',
+            'OpenHIM Alert',
+            sinon.match(/Channel - chat/),
+            null
+          )
+          .calledOnce.should.be.true()
+        contactSpy
+          .withArgs('syslog', undefined, 'OpenHIM Alert')
+          .calledOnce.should.be.true()
+
+        const groupAlerts = await AlertModel.find({group: 'on-call'})
+        groupAlerts
+          .map(alert => alert.user)
+          .sort()
+          .should.eql(['https://chat.example.com/hooks/abc', 'syslog'])
+      } finally {
+        await Promise.all([
+          ContactGroupModel.deleteOne({_id: chatGroup._id}),
+          ChannelModel.deleteOne({_id: chatChannel._id})
+        ])
+      }
+    })
+
+    it("should limit the alerts of each of a group's contacts on their own", async () => {
+      const chatGroup = await new ContactGroupModel({
+        group: 'on-call',
+        users: [],
+        contacts: [
+          {
+            method: 'chat',
+            address: 'https://chat.example.com/hooks/abc',
+            maxAlerts: '1 per day'
+          },
+          {
+            method: 'webhook',
+            address: 'http://localhost:9000/alerts',
+            maxAlerts: '1 per day'
+          }
+        ]
+      }).save()
+      const chatChannel = await new ChannelModel({
+        name: 'chat',
+        urlPattern: '/chat',
+        allow: '*',
+        alerts: [{condition: 'status', status: '404', groups: [chatGroup._id]}],
+        updatedBy: {
+          id: new ObjectId(),
+          name: 'Test'
+        }
+      }).save()
+      await Promise.all([
+        new EventModel({
+          transactionID: new ObjectId(),
+          channelID: chatChannel._id,
+          event: 'end',
+          status: 404,
+          type: 'channel'
+        }).save(),
+        new AlertModel({
+          user: 'https://chat.example.com/hooks/abc',
+          group: 'on-call',
+          method: 'chat',
+          channelID: chatChannel._id,
+          condition: 'status',
+          status: '404',
+          alertStatus: 'Completed'
+        }).save()
+      ])
+
+      try {
+        const contactSpy = sinon.spy()
+        await new Promise(resolve =>
+          alerts.alertingTask(
+            buildJobStub(dateFrom),
+            mockContactHandler(contactSpy),
+            resolve
+          )
+        )
+
+        contactSpy.calledOnce.should.be.true()
+        contactSpy.firstCall.args[0].should.equal('webhook')
+      } finally {
+        await Promise.all([
+          ContactGroupModel.deleteOne({_id: chatGroup._id}),
+          ChannelModel.deleteOne({_id: chatChannel._id})
+        ])
+      }
+    })
+
+    it('should not contact users for silenced alert conditions', async () => {
+      await Promise.all([
+        testTransactions[0].save(),
+        new AlertSilenceModel({
+          channelID: testChannel._id,
+          condition: 'status',
+          endDate: moment().add(1, 'hours').toDate()
+        }).save()
+      ])
+
+      try {
+        const contactSpy = sinon.spy()
+        await new Promise(resolve =>
+          alerts.alertingTask(
+            buildJobStub(dateFrom),
+            mockContactHandler(contactSpy),
+            resolve
+          )
+        )
+
+        contactSpy.called.should.be.false()
+      } finally {
+        await AlertSilenceModel.deleteMany({})
+      }
+    })
+
+    it('should contact users once a silence has ended', async () => {
+      await Promise.all([
+        testTransactions[0].save(),
+        new AlertSilenceModel({
+          channelID: testChannel._id,
+          startDate: moment().subtract(2, 'hours').toDate(),
+          endDate: moment().subtract(1, 'hours').toDate()
+        }).save()
+      ])
+
+      try {
+        const contactSpy = sinon.spy()
+        await new Promise(resolve =>
+          alerts.alertingTask(
+            buildJobStub(dateFrom),
+            mockContactHandler(contactSpy),
+            resolve
+          )
+        )
+
+        contactSpy.calledTwice.should.be.true()
+      } finally {
+        await AlertSilenceModel.deleteMany({})
+      }
+    })
+
     it('should contact users when there are matching max auto retried transactions', done => {
       const contactSpy = sinon.spy()
       testTransactions[9].save(err => {
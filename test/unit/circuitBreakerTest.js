@@ -0,0 +1,250 @@
+'use strict'
+
+/* eslint-env mocha */
+/* eslint no-unused-expressions:0 */
+
+import should from 'should'
+import sinon from 'sinon'
+import {ObjectId} from 'mongodb'
+
+import * as circuitBreaker from '../../src/circuitBreaker'
+import {CircuitBreakerModel} from '../../src/model/circuitBreakers'
+import {EventModel} from '../../src/model/events'
+import {config} from '../../src/config'
+
+describe('Circuit breaker', () => {
+  const route = {
+    name: 'breaker route',
+    host: 'localhost',
+    port: 9999,
+    circuitBreaker: {
+      enabled: true,
+      failureThreshold: 2,
+      resetTimeoutMillis: 100,
+      failFastStatus: 502,
+      failFastBody: 'Upstream down'
+    }
+  }
+
+  const ctx = {
+    transactionId: new ObjectId(),
+    authorisedChannel: {_id: new ObjectId(), name: 'breaker channel'}
+  }
+
+  const failingRequest = () => Promise.reject(new Error('ECONNREFUSED'))
+  const successfulRequest = () => Promise.resolve({status: 200})
+
+  async function waitForState(state) {
+    for (let i = 0; i < 50; i++) {
+      const breaker = await CircuitBreakerModel.findOne({
+        key: 'localhost:9999'
+      })
+      if (breaker && breaker.state === state) {
+        return breaker
+      }
+      await new Promise(resolve => setTimeout(resolve, 10))
+    }
+    throw new Error(`Circuit breaker never reached state ${state}`)
+  }
+
+  function clearLocalStates() {
+    Object.keys(circuitBreaker.localStates).forEach(
+      key => delete circuitBreaker.localStates[key]
+    )
+  }
+
+  beforeEach(async () => {
+    clearLocalStates()
+    await Promise.all([
+      CircuitBreakerModel.deleteMany({}),
+      EventModel.deleteMany({})
+    ])
+  })
+
+  after(async () => {
+    clearLocalStates()
+    await Promise.all([
+      CircuitBreakerModel.deleteMany({}),
+      EventModel.deleteMany({})
+    ])
+  })
+
+  describe('.getSettings', () => {
+    it('should fill in defaults for missing settings', () => {
+      const settings = circuitBreaker.getSettings({
+        name: 'route',
+        circuitBreaker: {enabled: true}
+      })
+      settings.failureThreshold.should.be.exactly(5)
+      settings.resetTimeoutMillis.should.be.exactly(30000)
+      settings.failFastStatus.should.be.exactly(503)
+      settings.failFastBody.should.be.ok()
+    })
+  })
+
+  describe('.getBreakerKey', () => {
+    it('should key http routes by host and port', () => {
+      circuitBreaker.getBreakerKey(route).should.equal('localhost:9999')
+    })
+
+    it('should key kafka routes by topic', () => {
+      circuitBreaker
+        .getBreakerKey({type: 'kafka', kafkaTopic: 'lab'})
+        .should.equal('kafka:lab')
+    })
+  })
+
+  describe('.execute', () => {
+    it('should send the request when the route has no circuit breaker', async () => {
+      const response = await circuitBreaker.execute(
+        ctx,
+        {name: 'plain'},
+        successfulRequest
+      )
+      response.status.should.be.exactly(200)
+    })
+
+    it('should open the circuit once the failure threshold is reached', async () => {
+      await circuitBreaker
+        .execute(ctx, route, failingRequest)
+        .should.be.rejectedWith('ECONNREFUSED')
+      await circuitBreaker
+        .execute(ctx, route, failingRequest)
+        .should.be.rejectedWith('ECONNREFUSED')
+
+      const breaker = await waitForState('open')
+      breaker.failures.should.be.exactly(2)
+
+      const err = await circuitBreaker
+        .execute(ctx, route, successfulRequest)
+        .should.be.rejected()
+      err.code.should.equal(circuitBreaker.CIRCUIT_OPEN_ERROR_CODE)
+      err.response.status.should.be.exactly(502)
+      err.response.body.should.equal('Upstream down')
+    })
+
+    it('should store the upstreams of a pool route with its breaker', async () => {
+      const poolRoute = Object.assign({}, route, {
+        host: undefined,
+        port: undefined,
+        upstreams: [
+          {host: 'first', port: 8080},
+          {host: 'second', port: 8081}
+        ]
+      })
+
+      await circuitBreaker
+        .execute(ctx, poolRoute, failingRequest)
+        .should.be.rejectedWith('ECONNREFUSED')
+
+      let breaker
+      for (let i = 0; i < 50 && breaker == null; i++) {
+        breaker = await CircuitBreakerModel.findOne({
+          key: 'first:8080,second:8081'
+        }).lean()
+        await new Promise(resolve => setTimeout(resolve, 10))
+      }
+      should.not.exist(breaker.host)
+      breaker.upstreams.should.eql([
+        {host: 'first', port: 8080},
+        {host: 'second', port: 8081}
+      ])
+    })
+
+    it('should count 5xx responses as failures', async () => {
+      const request = () => Promise.resolve({status: 503})
+      await circuitBreaker.execute(ctx, route, request)
+      await circuitBreaker.execute(ctx, route, request)
+
+      await waitForState('open')
+    })
+
+    it('should close the circuit when the trial request succeeds', async () => {
+      await new CircuitBreakerModel({
+        key: 'localhost:9999',
+        state: 'open',
+        failures: 2,
+        openedAt: new Date(Date.now() - 1000)
+      }).save()
+
+      const response = await circuitBreaker.execute(
+        ctx,
+        route,
+        successfulRequest
+      )
+      response.status.should.be.exactly(200)
+
+      const breaker = await waitForState('closed')
+      breaker.failures.should.be.exactly(0)
+      should.not.exist(breaker.openedAt)
+    })
+
+    it('should record the state changes as events', async () => {
+      await new CircuitBreakerModel({
+        key: 'localhost:9999',
+        state: 'open',
+        failures: 2,
+        openedAt: new Date(Date.now() - 1000)
+      }).save()
+
+      await circuitBreaker.execute(ctx, route, successfulRequest)
+      await waitForState('closed')
+
+      let events = []
+      for (let i = 0; i < 50 && events.length < 2; i++) {
+        events = await EventModel.find({type: 'circuit-breaker'})
+        await new Promise(resolve => setTimeout(resolve, 10))
+      }
+      events.map(e => e.event).should.containDeep(['half-open', 'closed'])
+      events[0].name.should.equal('breaker route')
+    })
+
+    it('should reset the failures recorded by other workers on a success', async () => {
+      const cachingEnabled = config.caching.enabled
+      config.caching.enabled = true
+      circuitBreaker.localStates['localhost:9999'] = {
+        state: 'closed',
+        failures: 0,
+        lastCheck: new Date()
+      }
+      await new CircuitBreakerModel({
+        key: 'localhost:9999',
+        state: 'closed',
+        failures: 1
+      }).save()
+
+      try {
+        await circuitBreaker.execute(ctx, route, successfulRequest)
+      } finally {
+        config.caching.enabled = cachingEnabled
+      }
+
+      let breaker
+      for (let i = 0; i < 50; i++) {
+        breaker = await CircuitBreakerModel.findOne({key: 'localhost:9999'})
+        if (breaker.failures === 0) {
+          break
+        }
+        await new Promise(resolve => setTimeout(resolve, 10))
+      }
+      breaker.failures.should.be.exactly(0)
+    })
+
+    it('should send the request when the breaker state cannot be read', async () => {
+      sinon.stub(CircuitBreakerModel, 'findOne').returns({
+        lean: () => Promise.reject(new Error('connection lost'))
+      })
+
+      try {
+        const response = await circuitBreaker.execute(
+          ctx,
+          route,
+          successfulRequest
+        )
+        response.status.should.be.exactly(200)
+      } finally {
+        sinon.restore()
+      }
+    })
+  })
+})
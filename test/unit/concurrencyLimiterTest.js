@@ -0,0 +1,112 @@
+'use strict'
+
+/* eslint-env mocha */
+
+import sinon from 'sinon'
+import {ObjectId} from 'mongodb'
+
+import * as concurrencyLimiter from '../../src/concurrencyLimiter'
+
+describe('Concurrency limiter', () => {
+  const createChannel = concurrency => ({
+    _id: new ObjectId(),
+    name: 'legacy upstream',
+    concurrency
+  })
+
+  let clock
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers()
+  })
+
+  afterEach(() => {
+    clock.restore()
+    concurrencyLimiter.limiters.clear()
+  })
+
+  describe('.getSettings', () => {
+    it('should fill in defaults for missing settings', () => {
+      concurrencyLimiter
+        .getSettings(createChannel({maxConcurrentPerWorker: 5}))
+        .should.eql({
+          maxConcurrentPerWorker: 5,
+          maxQueueSize: 100,
+          queueTimeoutMillis: 30000
+        })
+    })
+  })
+
+  describe('.acquire', () => {
+    it('should not limit channels without a concurrency limit', async () => {
+      const release = await concurrencyLimiter.acquire(createChannel())
+      release()
+      concurrencyLimiter.getQueueStats().should.eql([])
+    })
+
+    it('should queue requests over the limit until a slot is released', async () => {
+      const channel = createChannel({maxConcurrentPerWorker: 1})
+      const release = await concurrencyLimiter.acquire(channel)
+
+      let queuedRelease = null
+      concurrencyLimiter.acquire(channel).then(r => {
+        queuedRelease = r
+      })
+      await Promise.resolve()
+      ;(queuedRelease === null).should.be.true()
+      concurrencyLimiter.getQueueStats()[0].should.containDeep({
+        channel: 'legacy upstream',
+        active: 1,
+        queued: 1
+      })
+
+      release()
+      await Promise.resolve()
+      queuedRelease.should.be.a.Function()
+      concurrencyLimiter
+        .getQueueStats()[0]
+        .should.containDeep({active: 1, queued: 0})
+
+      queuedRelease()
+      concurrencyLimiter.getQueueStats()[0].active.should.eql(0)
+    })
+
+    it('should only release a slot once', async () => {
+      const channel = createChannel({maxConcurrentPerWorker: 2})
+      const release = await concurrencyLimiter.acquire(channel)
+      await concurrencyLimiter.acquire(channel)
+
+      release()
+      release()
+      concurrencyLimiter.getQueueStats()[0].active.should.eql(1)
+    })
+
+    it('should reject requests once the queue is full', async () => {
+      const channel = createChannel({
+        maxConcurrentPerWorker: 1,
+        maxQueueSize: 1
+      })
+      await concurrencyLimiter.acquire(channel)
+      concurrencyLimiter.acquire(channel).catch(() => {})
+
+      const err = await concurrencyLimiter.acquire(channel).catch(err => err)
+      err.code.should.eql(concurrencyLimiter.QUEUE_FULL_ERROR_CODE)
+      concurrencyLimiter.isLimitError(err).should.be.true()
+    })
+
+    it('should reject requests that wait longer than the queue timeout', async () => {
+      const channel = createChannel({
+        maxConcurrentPerWorker: 1,
+        queueTimeoutMillis: 50
+      })
+      await concurrencyLimiter.acquire(channel)
+
+      const queued = concurrencyLimiter.acquire(channel).catch(err => err)
+      clock.tick(51)
+
+      const err = await queued
+      err.code.should.eql(concurrencyLimiter.QUEUE_TIMEOUT_ERROR_CODE)
+      concurrencyLimiter.getQueueStats()[0].queued.should.eql(0)
+    })
+  })
+})
@@ -3,6 +3,8 @@
 /* eslint-env mocha */
 /* eslint no-unused-expressions:0 */
 
+import axios from 'axios'
+import dgram from 'dgram'
 import nodemailer from 'nodemailer'
 import should from 'should'
 import sinon from 'sinon'
@@ -12,6 +14,7 @@ import {config} from '../../src/config'
 
 config.email = config.get('email')
 config.smsGateway = config.get('smsGateway')
+config.syslog = config.get('syslog')
 
 describe('Contact Users', () => {
   describe('config', () => {
@@ -162,7 +165,131 @@ describe('Contact Users', () => {
     })
   })
 
+  describe('sendWebhook', () => {
+    afterEach(() => sinon.restore())
+
+    it('should POST the title and message as JSON', done => {
+      const post = sinon.stub(axios, 'post').resolves({status: 200})
+
+      contact.sendWebhook(
+        'http://localhost:9000/alerts',
+        'Test',
+        'Hello world',
+        err => {
+          should.not.exist(err)
+          const [url, body] = post.firstCall.args
+          url.should.equal('http://localhost:9000/alerts')
+          body.title.should.equal('Test')
+          body.message.should.equal('Hello world')
+          return done()
+        }
+      )
+    })
+
+    it('should propagate errors from the webhook', done => {
+      sinon.stub(axios, 'post').rejects(new Error('ECONNREFUSED'))
+
+      contact.sendWebhook('http://localhost:9000', 'Test', 'Hello', err => {
+        should.equal(err.message, 'ECONNREFUSED')
+        return done()
+      })
+    })
+  })
+
+  describe('sendChatMessage', () => {
+    afterEach(() => sinon.restore())
+
+    it('should POST the message as the text of an incoming webhook', done => {
+      const post = sinon.stub(axios, 'post').resolves({status: 200})
+
+      contact.sendChatMessage(
+        'https://chat.example.com/hooks/abc',
+        'OpenHIM Alert',
+        'Hello world',
+        err => {
+          should.not.exist(err)
+          post.firstCall.args[1].should.eql({
+            text: '**OpenHIM Alert**\n\nHello world'
+          })
+          return done()
+        }
+      )
+    })
+  })
+
+  describe('sendSyslog', () => {
+    let server = null
+
+    beforeEach(done => {
+      server = dgram.createSocket('udp4')
+      server.bind(0, '127.0.0.1', done)
+    })
+
+    afterEach(() => server.close())
+
+    it('should send a RFC 5424 message to the syslog server', done => {
+      server.on('message', msg => {
+        msg
+          .toString()
+          .should.match(
+            /^<132>1 \S+ \S+ openhim \d+ alert - OpenHIM Alert: Line one Line two$/
+          )
+        return done()
+      })
+
+      contact.sendSyslog(
+        `127.0.0.1:${server.address().port}`,
+        'OpenHIM Alert',
+        'Line one\n\n  Line two\n',
+        err => should.not.exist(err)
+      )
+    })
+
+    it('should return an error for an unknown facility', done => {
+      const {facility} = config.syslog
+      config.syslog.facility = 'none'
+
+      contact.sendSyslog('', 'Test', 'Hello', err => {
+        config.syslog.facility = facility
+        should.equal(err.message, "Unknown syslog facility 'none'")
+        return done()
+      })
+    })
+  })
+
   describe('contactUser', () => {
+    afterEach(() => sinon.restore())
+
+    it('should send chat messages to the chat webhook', done => {
+      const post = sinon.stub(axios, 'post').resolves({status: 200})
+
+      contact.contactUser(
+        'chat',
+        'https://chat.example.com/hooks/abc',
+        'Test',
+        'Hello world',
+        null,
+        err => {
+          should.not.exist(err)
+          post.firstCall.args[0].should.equal(
+            'https://chat.example.com/hooks/abc'
+          )
+          return done()
+        }
+      )
+    })
+
+    it('should use registered contact methods', done => {
+      const handler = sinon.stub().yields(null)
+      contact.registerContactMethod('pager', handler)
+
+      contact.contactUser('pager', '1234', 'Test', 'Hello', null, err => {
+        should.not.exist(err)
+        handler.calledWith('1234', 'Test', 'Hello', null).should.be.true()
+        return done()
+      })
+    })
+
     it('should throw if passed the incorrect method type', done => {
       contact.contactUser('none', '', '', '', '', err => {
         should.exist(err)
@@ -0,0 +1,190 @@
+'use strict'
+
+/* eslint-env mocha */
+
+import should from 'should'
+import sinon from 'sinon'
+
+import * as contentMatching from '../../src/contentMatching'
+
+describe('Content matching', () => {
+  const observation = Buffer.from(
+    JSON.stringify({
+      resourceType: 'Observation',
+      status: 'final',
+      code: {
+        coding: [{system: 'http://loinc.org', code: '8867-4'}]
+      },
+      category: ['vital-signs', 'exam']
+    })
+  )
+
+  const isObservation = {
+    type: 'jsonpath',
+    expression: 'resourceType',
+    value: 'Observation'
+  }
+  const isLoinc = {
+    type: 'jsonpath',
+    expression: 'code.coding[0].system',
+    operator: 'contains',
+    value: 'loinc'
+  }
+
+  describe('.matchesRule', () => {
+    const matches = (rule, body) =>
+      contentMatching.matchesRule(rule, contentMatching.createBodyReader(body))
+
+    it('should default to the equals operator', () => {
+      matches(isObservation, observation).should.be.true()
+      matches(
+        {...isObservation, value: 'Patient'},
+        observation
+      ).should.be.false()
+    })
+
+    it('should match values containing the rule value', () => {
+      matches(isLoinc, observation).should.be.true()
+      matches({...isLoinc, value: 'snomed'}, observation).should.be.false()
+    })
+
+    it('should match values against a regex', () => {
+      const rule = {
+        type: 'jsonpath',
+        expression: 'code.coding[0].code',
+        operator: 'regex',
+        value: '^\\d+-\\d$'
+      }
+      matches(rule, observation).should.be.true()
+      matches({...rule, value: '^[a-z]+$'}, observation).should.be.false()
+    })
+
+    it('should match values in a list', () => {
+      const rule = {
+        type: 'jsonpath',
+        expression: 'status',
+        operator: 'in',
+        values: ['preliminary', 'final']
+      }
+      matches(rule, observation).should.be.true()
+      matches({...rule, values: ['cancelled']}, observation).should.be.false()
+    })
+
+    it('should check that a value exists', () => {
+      const rule = {type: 'jsonpath', expression: 'status', operator: 'exists'}
+      matches(rule, observation).should.be.true()
+      matches({...rule, expression: 'subject'}, observation).should.be.false()
+    })
+
+    it('should match any element of an array', () => {
+      const rule = {type: 'jsonpath', expression: 'category', value: 'exam'}
+      matches(rule, observation).should.be.true()
+    })
+
+    it('should match xpath, hl7 and whole body rules', () => {
+      const xml = Buffer.from('<patient><name>Jane</name></patient>')
+      matches(
+        {type: 'xpath', expression: 'string(/patient/name)', value: 'Jane'},
+        xml
+      ).should.be.true()
+
+      const hl7 = Buffer.from(
+        'MSH|^~\\&|LAB|FAC|HIM|MOH|20230101||ORU^R01|1|P|2.5'
+      )
+      matches(
+        {type: 'hl7', expression: 'MSH-9.1', value: 'ORU'},
+        hl7
+      ).should.be.true()
+
+      matches({operator: 'regex', value: 'Jane'}, xml).should.be.true()
+    })
+
+    it('should not match malformed bodies', () => {
+      const malformed = Buffer.from('{"resourceType": "Observation"')
+      matches(isObservation, malformed).should.be.false()
+      matches(
+        {
+          type: 'xpath',
+          expression: 'string(/patient/name)',
+          operator: 'exists'
+        },
+        malformed
+      ).should.be.false()
+      matches(
+        {type: 'jsonpath', expression: 'a.b', operator: 'exists'},
+        Buffer.from('"a string"')
+      ).should.be.false()
+    })
+  })
+
+  describe('.matchesRules', () => {
+    const isPatient = {...isObservation, value: 'Patient'}
+
+    it('should require every rule to match by default', () => {
+      contentMatching
+        .matchesRules([isObservation, isLoinc], undefined, observation)
+        .should.be.true()
+      contentMatching
+        .matchesRules([isPatient, isLoinc], 'AND', observation)
+        .should.be.false()
+    })
+
+    it('should require any rule to match with OR logic', () => {
+      contentMatching
+        .matchesRules([isPatient, isLoinc], 'OR', observation)
+        .should.be.true()
+      contentMatching
+        .matchesRules([isPatient], 'OR', observation)
+        .should.be.false()
+    })
+  })
+
+  describe('.getBodyReader', () => {
+    afterEach(() => sinon.restore())
+
+    it('should only parse a body once', () => {
+      const parse = sinon.spy(JSON, 'parse')
+      const body = Buffer.from(observation)
+
+      contentMatching
+        .matchesRules([isObservation], 'AND', body)
+        .should.be.true()
+      contentMatching.matchesRules([isLoinc], 'AND', body).should.be.true()
+      parse.callCount.should.eql(1)
+    })
+  })
+
+  describe('.validateRule', () => {
+    it('should accept valid rules', () => {
+      should.not.exist(contentMatching.validateRule(isObservation))
+      should.not.exist(
+        contentMatching.validateRule({
+          type: 'jsonpath',
+          expression: 'status',
+          operator: 'exists'
+        })
+      )
+    })
+
+    it('should reject rules without an expression', () => {
+      contentMatching
+        .validateRule({type: 'jsonpath', value: 'a'})
+        .should.match(/must have an expression/)
+    })
+
+    it('should reject rules without a value', () => {
+      contentMatching
+        .validateRule({type: 'jsonpath', expression: 'a'})
+        .should.match(/must have a value/)
+      contentMatching
+        .validateRule({type: 'jsonpath', expression: 'a', operator: 'in'})
+        .should.match(/must have a list of values/)
+    })
+
+    it('should reject invalid regexes', () => {
+      contentMatching
+        .validateRule({operator: 'regex', value: '(a'})
+        .should.match(/invalid regex/)
+    })
+  })
+})
@@ -0,0 +1,166 @@
+'use strict'
+
+/* eslint-env mocha */
+
+import should from 'should'
+import cluster from 'cluster'
+import sinon from 'sinon'
+import {EventEmitter} from 'events'
+import {ObjectId} from 'mongodb'
+
+import * as authorisation from '../../src/api/authorisation'
+import * as eventStream from '../../src/eventStream'
+import * as eventsAPI from '../../src/api/events'
+
+describe('Event stream', () => {
+  const channelID = new ObjectId()
+  const otherChannelID = new ObjectId()
+
+  const createEvent = (channel, name) => ({
+    channelID: channel,
+    transactionID: new ObjectId(),
+    type: 'channel',
+    event: 'start',
+    name
+  })
+
+  describe('.subscribe', () => {
+    it("should only pass on the events of the listener's channels", () => {
+      const listener = sinon.spy()
+      const unsubscribe = eventStream.subscribe(
+        [channelID.toString()],
+        listener
+      )
+
+      const event = createEvent(channelID, 'Patients')
+      eventStream.publish([event, createEvent(otherChannelID, 'Other')])
+      eventStream.publish([createEvent(otherChannelID, 'Other')])
+      unsubscribe()
+
+      listener.calledOnce.should.be.true()
+      listener.firstCall.args[0].should.eql([event])
+    })
+
+    it('should stop passing on events once unsubscribed', () => {
+      const listener = sinon.spy()
+      const unsubscribe = eventStream.subscribe([channelID], listener)
+
+      unsubscribe()
+      eventStream.publish([createEvent(channelID, 'Patients')])
+
+      listener.called.should.be.false()
+    })
+  })
+
+  describe('.handleWorkerMessage', () => {
+    const workers = [1, 2].map(id => ({id, send: sinon.spy()}))
+
+    beforeEach(() => {
+      workers.forEach(worker => {
+        cluster.workers[worker.id] = worker
+      })
+    })
+
+    afterEach(() => {
+      workers.forEach(worker => {
+        delete cluster.workers[worker.id]
+        eventStream.removeWorker(worker)
+        worker.send.resetHistory()
+      })
+    })
+
+    it('should only pass events on to the workers with open streams', () => {
+      const [subscribed, other] = workers
+      eventStream.handleWorkerMessage(subscribed, {
+        type: eventStream.SUBSCRIBERS_MESSAGE_TYPE,
+        subscribed: true
+      })
+      workers.forEach(worker =>
+        worker.send
+          .calledWith({
+            type: eventStream.SUBSCRIBERS_MESSAGE_TYPE,
+            workers: 1
+          })
+          .should.be.true()
+      )
+
+      const msg = {
+        type: eventStream.EVENTS_MESSAGE_TYPE,
+        events: [createEvent(channelID, 'Patients')]
+      }
+      eventStream.handleWorkerMessage(other, msg)
+
+      subscribed.send.calledWith(msg).should.be.true()
+      other.send.calledWith(msg).should.be.false()
+    })
+
+    it('should tell the workers once no streams are open', () => {
+      const [subscribed, other] = workers
+      eventStream.handleWorkerMessage(subscribed, {
+        type: eventStream.SUBSCRIBERS_MESSAGE_TYPE,
+        subscribed: true
+      })
+      eventStream.removeWorker(subscribed)
+
+      other.send.lastCall.args[0].should.eql({
+        type: eventStream.SUBSCRIBERS_MESSAGE_TYPE,
+        workers: 0
+      })
+    })
+  })
+
+  describe('streamEvents API', () => {
+    const createContext = (query = {}) => {
+      const req = new EventEmitter()
+      req.setTimeout = sinon.spy()
+      return {
+        authenticated: {email: 'user@openhim.org', groups: ['viewers']},
+        query,
+        req,
+        set: sinon.spy()
+      }
+    }
+
+    const readChunk = stream =>
+      new Promise(resolve => stream.once('data', chunk => resolve(`${chunk}`)))
+
+    beforeEach(() => {
+      sinon
+        .stub(authorisation, 'getUserViewableChannels')
+        .resolves([{_id: channelID}, {_id: otherChannelID}])
+    })
+
+    afterEach(() => sinon.restore())
+
+    it('should stream the events of viewable channels as they are published', async () => {
+      const ctx = createContext({channels: channelID.toString()})
+      await eventsAPI.streamEvents(ctx)
+
+      ctx.status.should.equal(200)
+      ctx.type.should.equal('text/event-stream')
+      const stream = ctx.body
+      ;(await readChunk(stream)).should.equal(': connected\n\n')
+
+      const event = createEvent(channelID, 'Patients')
+      eventStream.publish([event, createEvent(otherChannelID, 'Other')])
+      const data = await readChunk(stream)
+      data.should.startWith('data: ')
+      JSON.parse(data.slice('data: '.length)).should.eql({
+        events: JSON.parse(JSON.stringify([event]))
+      })
+
+      ctx.req.emit('close')
+      stream.writableEnded.should.be.true()
+    })
+
+    it('should reject channels the user cannot view', async () => {
+      const ctx = createContext({
+        channels: `${channelID},${new ObjectId()}`
+      })
+      await eventsAPI.streamEvents(ctx)
+
+      ctx.status.should.equal(403)
+      should.not.exist(ctx.type)
+    })
+  })
+})
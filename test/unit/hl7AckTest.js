@@ -0,0 +1,60 @@
+'use strict'
+
+/* eslint-env mocha */
+
+import * as hl7 from '../../src/hl7'
+import * as hl7Ack from '../../src/middleware/hl7Ack'
+
+describe('HL7 ACK middleware', () => {
+  const message =
+    'MSH|^~\\&|LAB|FACILITY|HIM|MOH|20230101120000||ORU^R01|MSG00001|P|2.5\rPID|1'
+
+  function createContext(autoAck) {
+    return {
+      authorisedChannel: {autoAck},
+      body: Buffer.from(message),
+      response: {}
+    }
+  }
+
+  const routeResponse = status => async ctx => {
+    ctx.body = 'upstream response'
+    ctx.response.status = status
+    ctx.response.body = ctx.body
+  }
+
+  it('should respond with an AA ACK when the primary route succeeds', async () => {
+    const ctx = createContext(true)
+    await hl7Ack.koaMiddleware(ctx, () => routeResponse(200)(ctx))
+
+    hl7.getFieldValue(ctx.response.body, 'MSA-1').should.eql('AA')
+    hl7.getFieldValue(ctx.response.body, 'MSA-2').should.eql('MSG00001')
+    ctx.response.status.should.eql(200)
+  })
+
+  it('should respond with an AR ACK when the primary route fails', async () => {
+    const ctx = createContext(true)
+    await hl7Ack.koaMiddleware(ctx, () => routeResponse(500)(ctx))
+
+    hl7.getFieldValue(ctx.response.body, 'MSA-1').should.eql('AR')
+    hl7
+      .getFieldValue(ctx.response.body, 'MSA-3')
+      .should.eql('Primary route responded with status 500')
+    ctx.response.status.should.eql(500)
+  })
+
+  it('should not drop the ACK for responses without a body', async () => {
+    const ctx = createContext(true)
+    await hl7Ack.koaMiddleware(ctx, () => routeResponse(204)(ctx))
+
+    hl7.getFieldValue(ctx.response.body, 'MSA-1').should.eql('AA')
+    ctx.response.status.should.eql(200)
+  })
+
+  it('should leave the response alone when the channel does not acknowledge', async () => {
+    const ctx = createContext(false)
+    await hl7Ack.koaMiddleware(ctx, () => routeResponse(200)(ctx))
+
+    ctx.response.body.should.eql('upstream response')
+  })
+})
@@ -0,0 +1,120 @@
+'use strict'
+
+/* eslint-env mocha */
+
+import should from 'should'
+
+import * as hl7 from '../../src/hl7'
+
+describe('HL7', () => {
+  const message = [
+    'MSH|^~\\&|LAB|FACILITY|HIM|MOH|20230101120000||ORU^R01^ORU_R01|MSG00001|P|2.5',
+    'PID|1||12345^^^MR~67890^^^NI||Doe^John',
+    'OBR|1||LAB123|24331-1^Lipid panel^LN&ALT'
+  ].join('\r')
+
+  describe('.getSegments', () => {
+    it('should split the message on carriage returns and line feeds', () => {
+      hl7
+        .getSegments('MSH|^~\\&\r\nPID|1\nPV1|1\r')
+        .should.eql(['MSH|^~\\&', 'PID|1', 'PV1|1'])
+    })
+
+    it('should strip MLLP framing characters', () => {
+      hl7
+        .getSegments('\x0bMSH|^~\\&\rPID|1\x1c\r')
+        .should.eql(['MSH|^~\\&', 'PID|1'])
+    })
+  })
+
+  describe('.getEncoding', () => {
+    it('should read the encoding characters from the MSH segment', () => {
+      hl7.getEncoding('MSH#$*/%|rest').should.eql({
+        field: '#',
+        component: '$',
+        repetition: '*',
+        escape: '/',
+        subcomponent: '%'
+      })
+    })
+
+    it('should fall back to the default encoding characters', () => {
+      hl7.getEncoding('not hl7').field.should.equal('|')
+    })
+  })
+
+  describe('.getFieldValue', () => {
+    it('should number MSH fields from the field separator', () => {
+      hl7.getFieldValue(message, 'MSH-1').should.equal('|')
+      hl7.getFieldValue(message, 'MSH-2').should.equal('^~\\&')
+      hl7.getFieldValue(message, 'MSH-3').should.equal('LAB')
+      hl7.getFieldValue(message, 'MSH-10').should.equal('MSG00001')
+    })
+
+    it('should get components and subcomponents', () => {
+      hl7.getFieldValue(message, 'MSH-9').should.equal('ORU^R01^ORU_R01')
+      hl7.getFieldValue(message, 'MSH-9.1').should.equal('ORU')
+      hl7.getFieldValue(message, 'MSH-9.2').should.equal('R01')
+      hl7.getFieldValue(message, 'OBR-4.3.1').should.equal('LN')
+      hl7.getFieldValue(message, 'OBR-4.3.2').should.equal('ALT')
+    })
+
+    it('should only use the first repetition of a field', () => {
+      hl7.getFieldValue(message, 'PID-3.1').should.equal('12345')
+    })
+
+    it('should return undefined for missing segments and fields', () => {
+      should.not.exist(hl7.getFieldValue(message, 'PV1-2'))
+      should.not.exist(hl7.getFieldValue(message, 'PID-30'))
+      should.not.exist(hl7.getFieldValue(message, 'PID-5.5'))
+    })
+
+    it('should throw on an invalid expression', () => {
+      ;(() => hl7.getFieldValue(message, 'PID.3')).should.throw(
+        'Invalid HL7 field expression: PID.3'
+      )
+    })
+  })
+
+  describe('.getAckCode', () => {
+    it('should map the primary route status to an acknowledgment code', () => {
+      hl7.getAckCode(200).should.eql('AA')
+      hl7.getAckCode(302).should.eql('AA')
+      hl7.getAckCode(400).should.eql('AE')
+      hl7.getAckCode(500).should.eql('AR')
+      hl7.getAckCode(undefined).should.eql('AR')
+    })
+  })
+
+  describe('.buildAck', () => {
+    it('should build an ACK from the MSH segment', () => {
+      const ack = hl7.buildAck(message, 'AA')
+      const [msh, msa] = hl7.getSegments(ack)
+
+      msh.should.match(
+        /^MSH\|\^~\\&\|HIM\|MOH\|LAB\|FACILITY\|\d{14}[+-]\d{4}\|\|ACK\^R01\^ACK\|[0-9a-f]{20}\|P\|2\.5$/
+      )
+      msa.should.eql('MSA|AA|MSG00001')
+    })
+
+    it('should use the encoding characters of the message', () => {
+      const ack = hl7.buildAck(
+        'MSH#$*\\%#APP#FAC#HIM#MOH#20230101##ADT$A01#42#T#2.3',
+        'AE',
+        'Rejected'
+      )
+
+      hl7.getFieldValue(ack, 'MSH-9.2').should.eql('A01')
+      hl7.getFieldValue(ack, 'MSH-11').should.eql('T')
+      hl7.getSegments(ack)[1].should.eql('MSA#AE#42#Rejected')
+    })
+
+    it('should still build an ACK without an MSH segment', () => {
+      const ack = hl7.buildAck('not hl7', 'AR')
+
+      hl7.getFieldValue(ack, 'MSA-1').should.eql('AR')
+      hl7.getFieldValue(ack, 'MSA-2').should.eql('')
+      hl7.getFieldValue(ack, 'MSH-12').should.eql('2.5')
+    })
+  })
+})
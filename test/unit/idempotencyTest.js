@@ -0,0 +1,191 @@
+'use strict'
+
+/* eslint-env mocha */
+
+import should from 'should'
+import sinon from 'sinon'
+import {ObjectId} from 'mongodb'
+
+import * as idempotency from '../../src/idempotency'
+import * as idempotencyMiddleware from '../../src/middleware/idempotency'
+import {TransactionModel, transactionStatus} from '../../src/model/transactions'
+
+describe('Idempotent requests', () => {
+  const channel = {
+    _id: new ObjectId(),
+    name: 'form submissions',
+    idempotency: {enabled: true, bodyPath: 'meta.instanceID'}
+  }
+
+  const createContext = (header = {}, body = '') => {
+    const headers = {}
+    return {
+      authorisedChannel: channel,
+      method: 'POST',
+      header,
+      body: Buffer.from(body),
+      response: {
+        set: (name, value) => {
+          headers[name] = value
+        },
+        headers
+      }
+    }
+  }
+
+  describe('.getIdempotencyKey', () => {
+    it('should read the key from the Idempotency-Key header', () => {
+      const ctx = createContext(
+        {'idempotency-key': 'abc-123'},
+        '{"meta": {"instanceID": "uuid:1"}}'
+      )
+      idempotency.getIdempotencyKey(ctx).should.equal('abc-123')
+    })
+
+    it('should read the key from the body path when there is no header', () => {
+      const ctx = createContext({}, '{"meta": {"instanceID": "uuid:1"}}')
+      idempotency.getIdempotencyKey(ctx).should.equal('uuid:1')
+    })
+
+    it('should not return a key for bodies without the path', () => {
+      should.not.exist(
+        idempotency.getIdempotencyKey(createContext({}, '{"meta": "none"}'))
+      )
+      should.not.exist(
+        idempotency.getIdempotencyKey(createContext({}, 'not json'))
+      )
+    })
+
+    it('should only return a key for POST and PUT requests', () => {
+      const ctx = createContext({'idempotency-key': 'abc-123'})
+      ctx.method = 'GET'
+      should.not.exist(idempotency.getIdempotencyKey(ctx))
+    })
+
+    it('should not return a key when the channel does not deduplicate requests', () => {
+      const ctx = createContext({'idempotency-key': 'abc-123'})
+      ctx.authorisedChannel = {_id: channel._id}
+      should.not.exist(idempotency.getIdempotencyKey(ctx))
+    })
+  })
+
+  describe('.replayResponse', () => {
+    it('should respond with the stored response of the original transaction', () => {
+      const ctx = createContext()
+      const original = {
+        _id: new ObjectId(),
+        response: {
+          status: 201,
+          headers: {
+            'content-type': 'application/json',
+            'content-length': '12',
+            'x．custom': 'value'
+          },
+          body: '{"id": "42"}'
+        }
+      }
+
+      idempotency.replayResponse(ctx, original)
+
+      ctx.duplicateOf.should.equal(original._id)
+      ctx.response.status.should.equal(201)
+      ctx.response.body.should.equal('{"id": "42"}')
+      ctx.response.headers.should.eql({
+        'X-OpenHIM-Duplicate-Of': original._id.toString(),
+        'content-type': 'application/json',
+        'x.custom': 'value'
+      })
+    })
+
+    it('should respond with a 409 while the original is still being processed', () => {
+      const ctx = createContext()
+      const original = {
+        _id: new ObjectId(),
+        status: transactionStatus.PROCESSING
+      }
+
+      idempotency.replayResponse(ctx, original)
+
+      ctx.duplicateOf.should.equal(original._id)
+      ctx.response.status.should.equal(409)
+    })
+  })
+
+  describe('.koaMiddleware', () => {
+    afterEach(() => sinon.restore())
+
+    it('should not route repeated requests', async () => {
+      const original = {_id: new ObjectId(), response: {status: 200}}
+      sinon.stub(idempotency, 'findOriginalTransaction').resolves(original)
+      const next = sinon.spy()
+      const ctx = createContext()
+      ctx.idempotencyKey = 'abc-123'
+
+      await idempotencyMiddleware.koaMiddleware(ctx, next)
+
+      next.called.should.be.false()
+      ctx.duplicateOf.should.equal(original._id)
+    })
+
+    it('should route requests when the key lookup fails', async () => {
+      sinon
+        .stub(idempotency, 'findOriginalTransaction')
+        .rejects(new Error('down'))
+      const next = sinon.spy()
+      const ctx = createContext()
+      ctx.idempotencyKey = 'abc-123'
+
+      await idempotencyMiddleware.koaMiddleware(ctx, next)
+
+      next.calledOnce.should.be.true()
+      should.not.exist(ctx.duplicateOf)
+    })
+  })
+
+  describe('.findOriginalTransaction', () => {
+    const now = new Date('2023-01-01T12:00:00Z')
+
+    const createTransaction = (minutesAgo, fields = {}) =>
+      new TransactionModel({
+        channelID: channel._id,
+        idempotencyKey: 'abc-123',
+        status: transactionStatus.SUCCESSFUL,
+        request: {
+          method: 'POST',
+          timestamp: new Date(now.getTime() - minutesAgo * 60000)
+        },
+        response: {status: 201},
+        ...fields
+      }).save()
+
+    beforeEach(() => TransactionModel.deleteMany({}))
+
+    after(() => TransactionModel.deleteMany({}))
+
+    it('should find the first transaction with the key within the window', async () => {
+      await createTransaction(25 * 60)
+      await createTransaction(30, {status: transactionStatus.FAILED})
+      const original = await createTransaction(20)
+      await createTransaction(10)
+      const duplicate = await createTransaction(0)
+
+      const ctx = createContext()
+      ctx.transactionId = duplicate._id
+      ctx.idempotencyKey = 'abc-123'
+
+      const found = await idempotency.findOriginalTransaction(ctx, now)
+      found._id.toString().should.equal(original._id.toString())
+    })
+
+    it('should not find transactions stored after the request', async () => {
+      const first = await createTransaction(0)
+      await createTransaction(0)
+
+      const ctx = createContext()
+      ctx.transactionId = first._id
+      ctx.idempotencyKey = 'abc-123'
+
+      should.not.exist(await idempotency.findOriginalTransaction(ctx, now))
+    })
+  })
+})
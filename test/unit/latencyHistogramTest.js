@@ -0,0 +1,59 @@
+'use strict'
+
+/* eslint-env mocha */
+
+import should from 'should'
+
+import * as latencyHistogram from '../../src/latencyHistogram'
+
+describe('Latency histogram', () => {
+  describe('.getBucket', () => {
+    it('should put response times up to 1ms in the first bucket', () => {
+      latencyHistogram.getBucket(0).should.equal(0)
+      latencyHistogram.getBucket(1).should.equal(0)
+    })
+
+    it('should put larger response times in wider buckets', () => {
+      latencyHistogram.getBucket(1.05).should.equal(1)
+      latencyHistogram.getBucket(1.08).should.equal(1)
+      latencyHistogram.getBucket(100).should.equal(49)
+      latencyHistogram
+        .getBucket(10000)
+        .should.equal(latencyHistogram.getBucket(10300))
+    })
+  })
+
+  describe('.mergeHistograms', () => {
+    it('should add up the counts of each bucket', () => {
+      latencyHistogram
+        .mergeHistograms([{0: 1, 49: 2}, null, {49: 3, 80: 1}])
+        .should.eql({0: 1, 49: 5, 80: 1})
+    })
+  })
+
+  describe('.getPercentile', () => {
+    const histogram = latencyHistogram.mergeHistograms(
+      [10, 20, 30, 40, 50, 60, 70, 80, 90, 1000].map(time => ({
+        [latencyHistogram.getBucket(time)]: 1
+      }))
+    )
+
+    it('should estimate percentiles within 5% of the response time', () => {
+      latencyHistogram
+        .getPercentile(histogram, 50, 10, 1000)
+        .should.be.approximately(50, 2.5)
+      latencyHistogram
+        .getPercentile(histogram, 90, 10, 1000)
+        .should.be.approximately(90, 4.5)
+    })
+
+    it('should not estimate beyond the minimum and maximum response time', () => {
+      latencyHistogram.getPercentile(histogram, 99, 10, 1000).should.equal(1000)
+      latencyHistogram.getPercentile({49: 4}, 50, 100, 100).should.equal(100)
+    })
+
+    it('should return undefined for an empty histogram', () => {
+      should.not.exist(latencyHistogram.getPercentile({}, 50, 0, 0))
+    })
+  })
+})
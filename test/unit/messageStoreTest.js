@@ -209,6 +209,42 @@ describe('MessageStore', () => {
       })
     })
 
+    it('should store the idempotency key of requests to deduplicating channels', done => {
+      ctx.header['idempotency-key'] = 'submission-42'
+      ctx.authorisedChannel.idempotency = {enabled: true}
+
+      messageStore.storeTransaction(ctx, (error, result) => {
+        should.not.exist(error)
+        ctx.idempotencyKey.should.equal('submission-42')
+        TransactionModel.findOne({_id: result._id}, (error, trans) => {
+          should.not.exist(error)
+          trans.idempotencyKey.should.equal('submission-42')
+          return done()
+        })
+      })
+    })
+
+    it('should store the trace context of traced requests', done => {
+      ctx.trace = {
+        traceId: '4bf92f3577b34da6a3ce929d0e0e4736',
+        spanId: 'a3ce929d0e0e4736',
+        parentSpanId: '00f067aa0ba902b7',
+        flags: '01',
+        spans: []
+      }
+
+      messageStore.storeTransaction(ctx, (error, result) => {
+        should.not.exist(error)
+        TransactionModel.findOne({_id: result._id}, (error, trans) => {
+          should.not.exist(error)
+          trans.traceId.should.equal('4bf92f3577b34da6a3ce929d0e0e4736')
+          trans.spanId.should.equal('a3ce929d0e0e4736')
+          trans.parentSpanId.should.equal('00f067aa0ba902b7')
+          return done()
+        })
+      })
+    })
+
     it('should truncate the request body if it exceeds storage limits', done => {
       ctx.body = ''
       // generate a big body
@@ -286,6 +322,33 @@ describe('MessageStore', () => {
       })
     })
 
+    it('should store the name and timing of the primary route', done => {
+      ctx.response = createResponse(201)
+      ctx.primaryRoute = {name: 'registry', primary: true}
+      ctx.primaryRouteTiming = {
+        requestTimestamp: new Date('2017-12-07T09:17:58.020Z'),
+        responseTimestamp: new Date('2017-12-07T09:17:58.950Z')
+      }
+
+      messageStore.storeTransaction(ctx, (err, storedTrans) => {
+        should.not.exist(err)
+        if (err != null) done(err)
+        ctx.transactionId = storedTrans._id
+        messageStore.storeResponse(ctx, err2 => {
+          should.not.exist(err2)
+          if (err2 != null) done(err2)
+          TransactionModel.findOne({_id: storedTrans._id}, (err3, trans) => {
+            should.not.exist(err3)
+            trans.primaryRoute.should.equal('registry')
+            trans.primaryRouteTiming.responseTimestamp.should.eql(
+              ctx.primaryRouteTiming.responseTimestamp
+            )
+            return done(err3)
+          })
+        })
+      })
+    })
+
     it('should fail to update a transactionthat does not exist', done => {
       ctx.response = createResponse(201)
       ctx.transactionId = 'Invalid_ID'
@@ -347,6 +410,31 @@ describe('MessageStore', () => {
       })
     })
 
+    it('should set the status of transactions rejected before the router', done => {
+      ctx.response = createResponse(429)
+      ctx.rejectedTransactionStatus = 'Rate Limited'
+
+      messageStore.storeTransaction(ctx, (err, storedTrans) => {
+        if (err) {
+          return done(err)
+        }
+        ctx.request = storedTrans.request
+        ctx.request.header = {}
+        ctx.transactionId = storedTrans._id
+        ctx.request.header['X-OpenHIM-TransactionID'] = storedTrans._id
+        messageStore.storeResponse(ctx, err2 => {
+          should.not.exist(err2)
+          messageStore.setFinalStatus(ctx, (err3, trans) => {
+            delete ctx.rejectedTransactionStatus
+            should.not.exist(err3)
+            trans.status.should.equal('Rate Limited')
+            ctx.transactionStatus.should.equal('Rate Limited')
+            return done()
+          })
+        })
+      })
+    })
+
     it('should set the status to successful if all route return a status in 2xx', done => {
       ctx.response = createResponse(201)
       const route1 = createRoute('route1', 200)
@@ -0,0 +1,34 @@
+'use strict'
+
+/* eslint-env mocha */
+
+import request from 'supertest'
+
+import * as metricsServer from '../../src/metricsServer'
+
+describe('Metrics server', () => {
+  it('should serve the collected metrics on /metrics', async () => {
+    const server = metricsServer.createMetricsServer(
+      async () => 'openhim_transactions_total 3\n'
+    )
+
+    const res = await request(server).get('/metrics').expect(200)
+
+    res.headers['content-type'].should.startWith('text/plain')
+    res.text.should.equal('openhim_transactions_total 3\n')
+  })
+
+  it('should respond with a 500 when the metrics cannot be collected', async () => {
+    const server = metricsServer.createMetricsServer(async () => {
+      throw new Error('Operation timed out.')
+    })
+
+    await request(server).get('/metrics').expect(500)
+  })
+
+  it('should not serve other paths', async () => {
+    const server = metricsServer.createMetricsServer(async () => '')
+
+    await request(server).get('/channels').expect(404)
+  })
+})
@@ -7,6 +7,7 @@ import should from 'should'
 import {ObjectId} from 'mongodb'
 import {register} from 'prom-client'
 
+import * as latencyHistogram from '../../src/latencyHistogram'
 import * as metrics from '../../src/metrics'
 import {MetricModel} from '../../src/model'
 import {ChannelModelAPI} from '../../src/model/channels'
@@ -213,6 +214,141 @@ describe('recordTransactionMetrics', () => {
     should.equal(minuteMetrics[0].completedWithErrors, 0)
   })
 
+  it('should count rate limited transactions separately', async () => {
+    const transaction = {
+      status: 'Rate Limited',
+      channelID: new ObjectId(),
+      request: {
+        timestamp: new Date('2017-12-07T09:17:58.333Z')
+      },
+      response: {
+        status: 429,
+        timestamp: new Date('2017-12-07T09:17:58.340Z')
+      }
+    }
+
+    await metrics.recordTransactionMetrics(transaction)
+
+    const hourMetrics = await MetricModel.find({type: 'h'})
+    should.equal(hourMetrics.length, 1)
+    should.equal(hourMetrics[0].rateLimited, 1)
+    should.equal(hourMetrics[0].completed, 0)
+  })
+
+  it('should count the transaction in the response time histogram', async () => {
+    const channelID = new ObjectId()
+    const transaction = {
+      status: 'Successful',
+      channelID,
+      request: {
+        timestamp: new Date('2017-12-07T09:17:58.333Z')
+      },
+      response: {
+        timestamp: new Date('2017-12-07T09:18:01.500Z')
+      }
+    }
+
+    await metrics.recordTransactionMetrics(transaction)
+    await metrics.recordTransactionMetrics(transaction)
+
+    const bucket = latencyHistogram.getBucket(3167)
+    const minuteMetrics = await MetricModel.find({type: 'm'})
+    should.deepEqual(minuteMetrics[0].responseTimeHistogram, {[bucket]: 2})
+    const dayMetrics = await MetricModel.find({type: 'd'})
+    should.deepEqual(dayMetrics[0].responseTimeHistogram, {[bucket]: 2})
+  })
+
+  it('should record metrics by client and by route', async () => {
+    const channelID = new ObjectId()
+    const clientID = new ObjectId()
+    const timing = (start, end) => ({
+      request: {timestamp: new Date(start)},
+      response: {status: 200, timestamp: new Date(end)}
+    })
+    const transaction = {
+      status: 'Completed with error(s)',
+      channelID,
+      clientID,
+      primaryRoute: 'mediator',
+      primaryRouteTiming: {
+        requestTimestamp: new Date('2017-12-07T09:17:58.020Z'),
+        responseTimestamp: new Date('2017-12-07T09:17:58.950Z')
+      },
+      request: {
+        timestamp: new Date('2017-12-07T09:17:58.000Z')
+      },
+      response: {
+        status: 200,
+        timestamp: new Date('2017-12-07T09:17:59.000Z')
+      },
+      orchestrations: [
+        Object.assign(
+          {name: 'registry'},
+          timing('2017-12-07T09:17:58.100Z', '2017-12-07T09:17:58.400Z')
+        )
+      ],
+      routes: [
+        {
+          name: 'audit',
+          request: {timestamp: new Date('2017-12-07T09:17:58.000Z')},
+          response: {
+            status: 503,
+            timestamp: new Date('2017-12-07T09:17:58.050Z')
+          }
+        }
+      ]
+    }
+
+    await metrics.recordTransactionMetrics(transaction)
+
+    const hourMetrics = await MetricModel.find({type: 'h'}).lean()
+    should.equal(hourMetrics.length, 5)
+
+    const channelMetrics = hourMetrics.filter(
+      metric => metric.clientID == null && metric.route == null
+    )
+    should.equal(channelMetrics.length, 1)
+    should.equal(channelMetrics[0].completedWithErrors, 1)
+
+    const [clientMetric] = hourMetrics.filter(metric => metric.clientID)
+    should.ok(clientID.equals(clientMetric.clientID))
+    should.equal(clientMetric.responseTime, 1000)
+    should.equal(clientMetric.completedWithErrors, 1)
+
+    const routeMetrics = hourMetrics
+      .filter(metric => metric.route)
+      .map(metric => ({
+        route: metric.route,
+        routeType: metric.routeType,
+        responseTime: metric.responseTime,
+        successful: metric.successful,
+        failed: metric.failed
+      }))
+    routeMetrics.should.containDeep([
+      {
+        route: 'mediator',
+        routeType: 'route',
+        responseTime: 930,
+        successful: 1,
+        failed: 0
+      },
+      {
+        route: 'registry',
+        routeType: 'orchestration',
+        responseTime: 300,
+        successful: 1,
+        failed: 0
+      },
+      {
+        route: 'audit',
+        routeType: 'route',
+        responseTime: 50,
+        successful: 0,
+        failed: 1
+      }
+    ])
+  })
+
   it('should not create metrics if the transaction has no response', async () => {
     const transaction = {
       status: 'Failed',
@@ -274,6 +410,13 @@ describe('recordTransactionMetrics', () => {
 openhim_transactions_total{status="Successful",method="GET",client="undefined",channel="undefined",code="200"} 1`
     )
 
+    const responsesString = await register.getSingleMetricAsString(
+      'openhim_transaction_responses_total'
+    )
+    responsesString.should.containEql(
+      'openhim_transaction_responses_total{client="undefined",channel="undefined",status_class="2xx"} 1'
+    )
+
     const reqString = await register.getSingleMetricAsString(
       'openhim_request_duration'
     )
@@ -386,6 +529,50 @@ openhim_request_duration_count{status="Successful",method="GET",client="${client
   })
 })
 
+describe('getStatusClass', () => {
+  it('should return the class of a status code', () => {
+    metrics.getStatusClass(201).should.equal('2xx')
+    metrics.getStatusClass('503').should.equal('5xx')
+  })
+
+  it('should return error when there was no response', () => {
+    metrics.getStatusClass(null).should.equal('error')
+  })
+})
+
+describe('recordRouteMetrics', () => {
+  it('should count route requests by status class and observe their response time', async () => {
+    register.resetMetrics()
+    const channel = {name: 'Terminology'}
+    metrics.recordRouteMetrics(channel, {name: 'ocl'}, 200, 250)
+    metrics.recordRouteMetrics(channel, {name: 'ocl'}, 502, 1500)
+    metrics.recordRouteMetrics(channel, {name: 'ocl'}, null, 30000)
+
+    const countString = await register.getSingleMetricAsString(
+      'openhim_route_requests_total'
+    )
+    countString.should.containEql(
+      'openhim_route_requests_total{channel="Terminology",route="ocl",status_class="2xx"} 1'
+    )
+    countString.should.containEql(
+      'openhim_route_requests_total{channel="Terminology",route="ocl",status_class="5xx"} 1'
+    )
+    countString.should.containEql(
+      'openhim_route_requests_total{channel="Terminology",route="ocl",status_class="error"} 1'
+    )
+
+    const durationString = await register.getSingleMetricAsString(
+      'openhim_route_request_duration_seconds'
+    )
+    durationString.should.containEql(
+      'openhim_route_request_duration_seconds_bucket{le="0.25",channel="Terminology",route="ocl"} 1'
+    )
+    durationString.should.containEql(
+      'openhim_route_request_duration_seconds_sum{channel="Terminology",route="ocl"} 31.75'
+    )
+  })
+})
+
 describe('calculateMetrics', () => {
   beforeEach(async () => {
     await MetricModel.deleteMany()
@@ -810,4 +997,157 @@ describe('calculateMetrics', () => {
       }
     ])
   })
+
+  it('should return response time percentiles from the merged histograms', async () => {
+    const firstChannelID = new ObjectId()
+    const secondChannelID = new ObjectId()
+    const histogram = responseTimes =>
+      latencyHistogram.mergeHistograms(
+        responseTimes.map(time => ({[latencyHistogram.getBucket(time)]: 1}))
+      )
+    await MetricModel.insertMany([
+      {
+        type: 'h',
+        startTime: new Date('2017-12-11T08:00:00Z'),
+        channelID: firstChannelID,
+        requests: 90,
+        responseTime: 9000,
+        minResponseTime: 100,
+        maxResponseTime: 100,
+        successful: 90,
+        responseTimeHistogram: histogram(Array(90).fill(100))
+      },
+      {
+        type: 'h',
+        startTime: new Date('2017-12-11T09:00:00Z'),
+        channelID: secondChannelID,
+        requests: 10,
+        responseTime: 20000,
+        minResponseTime: 2000,
+        maxResponseTime: 2000,
+        successful: 10,
+        responseTimeHistogram: histogram(Array(10).fill(2000))
+      }
+    ])
+
+    const [returnedMetric] = await metrics.calculateMetrics(
+      {
+        startDate: new Date('2017-12-11T08:00:00Z'),
+        endDate: new Date('2017-12-11T09:00:00Z'),
+        channels: [firstChannelID, secondChannelID]
+      },
+      false
+    )
+
+    should.not.exist(returnedMetric.responseTimeHistograms)
+    returnedMetric.p50ResponseTime.should.be.approximately(100, 5)
+    returnedMetric.p95ResponseTime.should.be.approximately(2000, 100)
+    returnedMetric.p99ResponseTime.should.be.approximately(2000, 100)
+  })
+
+  it('should exclude client and route metrics from the channel totals', async () => {
+    const channelID = new ObjectId()
+    const metric = {
+      type: 'h',
+      startTime: new Date('2017-12-11T08:00:00Z'),
+      channelID,
+      requests: 1,
+      responseTime: 100,
+      minResponseTime: 100,
+      maxResponseTime: 100,
+      successful: 1
+    }
+    await MetricModel.insertMany([
+      metric,
+      Object.assign({clientID: new ObjectId()}, metric),
+      Object.assign({route: 'registry', routeType: 'route'}, metric)
+    ])
+
+    const returnedMetrics = await metrics.calculateMetrics({
+      startDate: new Date('2017-12-11T08:00:00Z'),
+      endDate: new Date('2017-12-11T09:00:00Z'),
+      channels: [channelID]
+    })
+
+    should.equal(returnedMetrics.length, 1)
+    should.equal(returnedMetrics[0].requests, 1)
+  })
+
+  it('should return metrics grouped by client', async () => {
+    const channelID = new ObjectId()
+    const firstClientID = new ObjectId()
+    const secondClientID = new ObjectId()
+    const clientMetric = (clientID, startTime, requests, failed) => ({
+      type: 'h',
+      startTime: new Date(startTime),
+      channelID,
+      clientID,
+      requests,
+      responseTime: requests * 100,
+      minResponseTime: 100,
+      maxResponseTime: 100,
+      successful: requests - failed,
+      failed
+    })
+    await MetricModel.insertMany([
+      clientMetric(firstClientID, '2017-12-11T08:00:00Z', 4, 0),
+      clientMetric(firstClientID, '2017-12-11T09:00:00Z', 2, 0),
+      clientMetric(secondClientID, '2017-12-11T08:00:00Z', 5, 3),
+      // Excluded by the client filter
+      clientMetric(new ObjectId(), '2017-12-11T08:00:00Z', 1, 1)
+    ])
+
+    const returnedMetrics = await metrics.calculateMetrics({
+      startDate: new Date('2017-12-11T08:00:00Z'),
+      endDate: new Date('2017-12-11T09:00:00Z'),
+      channels: [channelID],
+      clients: [firstClientID, secondClientID],
+      groupBy: 'client'
+    })
+
+    should.equal(returnedMetrics.length, 2)
+    const byClient = returnedMetrics.reduce((result, metric) => {
+      result[metric.clientID.toString()] = metric
+      return result
+    }, {})
+    should.equal(byClient[firstClientID].requests, 6)
+    should.equal(byClient[firstClientID].failed, 0)
+    should.equal(byClient[secondClientID].requests, 5)
+    should.equal(byClient[secondClientID].failed, 3)
+  })
+
+  it('should combine the metrics of the filtered routes by time', async () => {
+    const channelID = new ObjectId()
+    const routeMetric = (route, routeType, requests) => ({
+      type: 'h',
+      startTime: new Date('2017-12-11T08:00:00Z'),
+      channelID,
+      route,
+      routeType,
+      requests,
+      responseTime: requests * 100,
+      minResponseTime: 100,
+      maxResponseTime: 100,
+      successful: requests
+    })
+    await MetricModel.insertMany([
+      routeMetric('registry', 'route', 2),
+      routeMetric('terminology', 'orchestration', 3),
+      // Excluded by the route filter
+      routeMetric('audit', 'route', 1)
+    ])
+
+    const returnedMetrics = await metrics.calculateMetrics({
+      startDate: new Date('2017-12-11T08:00:00Z'),
+      endDate: new Date('2017-12-11T09:00:00Z'),
+      channels: [channelID],
+      routes: ['registry', 'terminology'],
+      timeSeries: 'hour'
+    })
+
+    should.equal(returnedMetrics.length, 1)
+    should.ok(channelID.equals(returnedMetrics[0].channelID))
+    should.equal(returnedMetrics[0].requests, 5)
+    should.not.exist(returnedMetrics[0].route)
+  })
 })
@@ -0,0 +1,92 @@
+'use strict'
+
+/* eslint-env mocha */
+
+import * as mllp from '../../src/mllp'
+
+describe('MLLP', () => {
+  const framed = message => mllp.frame(message)
+
+  describe('.frame', () => {
+    it('should wrap the message in the start and end blocks', () => {
+      mllp
+        .frame('MSH|^~\\&')
+        .should.eql(Buffer.from('\x0bMSH|^~\\&\x1c\r', 'binary'))
+    })
+  })
+
+  describe('.createFrameDecoder', () => {
+    it('should decode a complete frame', () => {
+      const decoder = mllp.createFrameDecoder()
+      const messages = decoder.push(framed('MSH|1'))
+
+      messages.map(String).should.eql(['MSH|1'])
+      decoder.hasPartialFrame().should.be.false()
+    })
+
+    it('should join a frame split across chunks', () => {
+      const decoder = mllp.createFrameDecoder()
+      const data = framed('MSH|1\rPID|1')
+
+      decoder.push(data.slice(0, 4)).should.eql([])
+      decoder.hasPartialFrame().should.be.true()
+      decoder.push(data.slice(4, data.length - 1)).should.eql([])
+      decoder
+        .push(data.slice(data.length - 1))
+        .map(String)
+        .should.eql(['MSH|1\rPID|1'])
+    })
+
+    it('should split several frames received in one chunk', () => {
+      const decoder = mllp.createFrameDecoder()
+      const second = framed('MSH|2')
+      const data = Buffer.concat([framed('MSH|1'), second.slice(0, 3)])
+
+      decoder.push(data).map(String).should.eql(['MSH|1'])
+      decoder
+        .push(Buffer.concat([second.slice(3), framed('MSH|3')]))
+        .map(String)
+        .should.eql(['MSH|2', 'MSH|3'])
+    })
+
+    it('should discard data outside of a frame', () => {
+      const decoder = mllp.createFrameDecoder()
+      const data = Buffer.concat([Buffer.from('noise'), framed('MSH|1')])
+
+      decoder.push(data).map(String).should.eql(['MSH|1'])
+      decoder.push(Buffer.from('\r\n')).should.eql([])
+      decoder.hasPartialFrame().should.be.false()
+    })
+
+    it('should throw and drop the data when a frame exceeds the maximum size', () => {
+      const decoder = mllp.createFrameDecoder(8)
+      const data = framed('MSH|1\rPID|1')
+
+      decoder.push(data.slice(0, 6)).should.eql([])
+      ;(() => decoder.push(data.slice(6, 12))).should.throw(
+        'MLLP frame exceeds the maximum size of 8 bytes'
+      )
+      decoder.hasPartialFrame().should.be.false()
+    })
+
+    it('should throw when a complete frame exceeds the maximum size', () => {
+      const decoder = mllp.createFrameDecoder(4)
+
+      decoder.push(framed('MSH|')).map(String).should.eql(['MSH|'])
+      ;(() => decoder.push(framed('MSH|1'))).should.throw(
+        /exceeds the maximum size/
+      )
+    })
+
+    it('should not end a frame on an end block without a carriage return', () => {
+      const decoder = mllp.createFrameDecoder()
+      const data = Buffer.concat([
+        Buffer.from([mllp.START_BLOCK]),
+        Buffer.from('a\x1cb', 'binary'),
+        Buffer.from([mllp.END_BLOCK, mllp.CARRIAGE_RETURN])
+      ])
+
+      decoder.push(data).map(String).should.eql(['a\x1cb'])
+    })
+  })
+})
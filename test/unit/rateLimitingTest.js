@@ -0,0 +1,234 @@
+'use strict'
+
+/* eslint-env mocha */
+
+import should from 'should'
+import sinon from 'sinon'
+import {ObjectId} from 'mongodb'
+
+import * as rateLimit from '../../src/middleware/rateLimit'
+import * as rateLimiting from '../../src/rateLimiting'
+import {RateLimitCounterModel} from '../../src/model/rateLimits'
+import {config} from '../../src/config'
+import {transactionStatus} from '../../src/model/transactions'
+
+describe('Rate limiting', () => {
+  const channel = {
+    _id: new ObjectId(),
+    name: 'terminology',
+    rateLimit: {requestsPerSecond: 2, requestsPerDay: 3}
+  }
+  const client = {
+    _id: new ObjectId(),
+    clientID: 'emr-sync',
+    rateLimit: {requestsPerMinute: 1}
+  }
+
+  const createContext = (authorisedChannel, authenticated) => ({
+    authorisedChannel,
+    authenticated,
+    response: {set: sinon.spy()}
+  })
+
+  const now = new Date('2023-01-01T10:00:00.250Z')
+
+  describe('.getRequestLimits', () => {
+    it('should return the channel limit before the client limit', () => {
+      const limits = rateLimiting.getRequestLimits(
+        createContext(channel, client)
+      )
+      limits
+        .map(limit => limit.key)
+        .should.eql([`channel:${channel._id}`, `client:${client._id}`])
+    })
+
+    it('should key per client channel limits by the client', () => {
+      const perClientChannel = {
+        ...channel,
+        rateLimit: {requestsPerSecond: 1, perClient: true}
+      }
+      const [limit] = rateLimiting.getRequestLimits(
+        createContext(perClientChannel, client)
+      )
+      limit.key.should.eql(`channel:${channel._id}:client:${client._id}`)
+      limit.clientID.should.eql(client._id)
+    })
+
+    it('should ignore empty limits', () => {
+      rateLimiting
+        .getRequestLimits(createContext({_id: channel._id, rateLimit: {}}))
+        .should.eql([])
+    })
+  })
+
+  describe('with the memory store', () => {
+    let originalStore
+
+    before(() => {
+      originalStore = config.rateLimiting.store
+      config.rateLimiting.store = 'memory'
+    })
+
+    after(() => {
+      config.rateLimiting.store = originalStore
+    })
+
+    beforeEach(() => rateLimiting.localCounters.clear())
+
+    describe('.checkRateLimits', () => {
+      it('should allow requests within the limits', async () => {
+        const ctx = createContext(channel)
+        should.not.exist(await rateLimiting.checkRateLimits(ctx, now))
+        should.not.exist(await rateLimiting.checkRateLimits(ctx, now))
+      })
+
+      it('should return the exceeded limit with the time until it resets', async () => {
+        const ctx = createContext(channel)
+        await rateLimiting.checkRateLimits(ctx, now)
+        await rateLimiting.checkRateLimits(ctx, now)
+
+        const exceeded = await rateLimiting.checkRateLimits(ctx, now)
+        exceeded.scope.should.eql('channel')
+        exceeded.window.should.eql('second')
+        exceeded.limit.should.eql(2)
+        exceeded.retryAfterSeconds.should.eql(1)
+      })
+
+      it('should enforce the daily quota across windows', async () => {
+        const ctx = createContext(channel)
+        for (let second = 0; second < 3; second++) {
+          const time = new Date(now.getTime() + second * 1000)
+          should.not.exist(await rateLimiting.checkRateLimits(ctx, time))
+        }
+
+        const exceeded = await rateLimiting.checkRateLimits(
+          ctx,
+          new Date(now.getTime() + 5000)
+        )
+        exceeded.window.should.eql('day')
+        exceeded.retryAfterSeconds.should.eql(14 * 60 * 60 - 5)
+      })
+
+      it('should enforce the client limit on every channel', async () => {
+        const otherChannel = {_id: new ObjectId(), name: 'other'}
+        should.not.exist(
+          await rateLimiting.checkRateLimits(
+            createContext(otherChannel, client),
+            now
+          )
+        )
+
+        const exceeded = await rateLimiting.checkRateLimits(
+          createContext({_id: new ObjectId(), name: 'another'}, client),
+          now
+        )
+        exceeded.scope.should.eql('client')
+        exceeded.name.should.eql('emr-sync')
+        exceeded.retryAfterSeconds.should.eql(60)
+      })
+    })
+
+    describe('.getUsage', () => {
+      it('should return the count for each limited window', async () => {
+        await rateLimiting.checkRateLimits(createContext(channel), now)
+
+        const usage = await rateLimiting.getUsage(
+          'channel',
+          channel.rateLimit,
+          {channelID: channel._id},
+          now
+        )
+        usage
+          .map(u => [u.window, u.limit, u.count])
+          .should.eql([
+            ['second', 2, 1],
+            ['day', 3, 1]
+          ])
+        usage[0].resetAt.should.eql(new Date('2023-01-01T10:00:01Z'))
+      })
+
+      it('should list the usage of each client for per client limits', async () => {
+        const perClientChannel = {
+          ...channel,
+          rateLimit: {requestsPerSecond: 5, perClient: true}
+        }
+        const otherClient = {_id: new ObjectId(), clientID: 'lab'}
+        await rateLimiting.checkRateLimits(
+          createContext(perClientChannel, {_id: client._id}),
+          now
+        )
+        await rateLimiting.checkRateLimits(
+          createContext(perClientChannel, otherClient),
+          now
+        )
+        await rateLimiting.checkRateLimits(
+          createContext(perClientChannel, otherClient),
+          now
+        )
+
+        const usage = await rateLimiting.getUsage(
+          'channel',
+          perClientChannel.rateLimit,
+          {channelID: channel._id},
+          now
+        )
+        usage
+          .map(u => [`${u.clientID}`, u.count])
+          .should.eql([
+            [`${client._id}`, 1],
+            [`${otherClient._id}`, 2]
+          ])
+      })
+    })
+
+    describe('.koaMiddleware', () => {
+      it('should respond with a 429 and Retry-After once the limit is exceeded', async () => {
+        const limitedChannel = {...channel, rateLimit: {requestsPerSecond: 1}}
+        const next = sinon.spy()
+
+        await rateLimit.koaMiddleware(createContext(limitedChannel), next)
+        next.callCount.should.eql(1)
+
+        const ctx = createContext(limitedChannel)
+        await rateLimit.koaMiddleware(ctx, next)
+        next.callCount.should.eql(1)
+        ctx.response.status.should.eql(429)
+        ctx.response.set.calledWith('Retry-After').should.be.true()
+        ctx.rejectedTransactionStatus.should.eql(transactionStatus.RATE_LIMITED)
+      })
+
+      it('should allow requests when the counters are unavailable', async () => {
+        sinon.stub(rateLimiting, 'checkRateLimits').rejects(new Error('down'))
+        const next = sinon.spy()
+        try {
+          await rateLimit.koaMiddleware(createContext(channel), next)
+        } finally {
+          sinon.restore()
+        }
+        next.callCount.should.eql(1)
+      })
+    })
+  })
+
+  describe('with the mongo store', () => {
+    beforeEach(() => RateLimitCounterModel.deleteMany({}))
+
+    after(() => RateLimitCounterModel.deleteMany({}))
+
+    it('should share the counters through mongo', async () => {
+      const ctx = createContext(channel)
+      await rateLimiting.checkRateLimits(ctx, now)
+      await rateLimiting.checkRateLimits(ctx, now)
+
+      const counter = await RateLimitCounterModel.findOne({
+        channelID: channel._id,
+        window: 'second'
+      })
+      counter.count.should.eql(2)
+      counter.expiresAt.should.eql(new Date('2023-01-01T10:00:01Z'))
+
+      const exceeded = await rateLimiting.checkRateLimits(ctx, now)
+      exceeded.window.should.eql('second')
+    })
+  })
+})
@@ -7,6 +7,7 @@ import rewire from 'rewire'
 import should from 'should'
 import {ObjectId} from 'mongodb'
 
+import * as utils from '../../src/utils'
 import {ChannelModel} from '../../src/model/channels'
 
 const requestMatching = rewire('../../src/middleware/requestMatching')
@@ -122,6 +123,106 @@ describe('Request Matching middleware', () => {
       requestMatching.matchContent(channelInvalid, {
         body: Buffer.from('someBody')
       }).should.be.false)
+
+    it('should use the content match rules when set', () => {
+      const channel = {
+        matchContentRegex: 'ignored',
+        matchContentLogic: 'OR',
+        matchContentRules: [
+          {type: 'jsonpath', expression: 'resourceType', value: 'Patient'},
+          {type: 'jsonpath', expression: 'resourceType', value: 'Observation'}
+        ]
+      }
+
+      requestMatching
+        .matchContent(channel, {
+          body: Buffer.from('{"resourceType": "Observation"}')
+        })
+        .should.be.true()
+      requestMatching
+        .matchContent(channel, {body: Buffer.from('{"resourceType": ')})
+        .should.be.false()
+    })
+
+    it('should not throw on malformed bodies', () => {
+      requestMatching
+        .matchContent(
+          {matchContentJson: 'function.uuid', matchContentValue: 'abc'},
+          {body: Buffer.from('not json')}
+        )
+        .should.be.false()
+      requestMatching
+        .matchContent(
+          {matchContentJson: 'function.uuid', matchContentValue: 'abc'},
+          {body: Buffer.from('{}')}
+        )
+        .should.be.false()
+    })
+
+    it('should return false for content rules when the body was not read', () => {
+      requestMatching.matchContent(channelRegex, {}).should.be.false
+      requestMatching.matchContent(noMatchChannel, {}).should.be.true
+    })
+  })
+
+  describe('.isStreamingRequest(ctx)', () => {
+    const streamingChannel = {
+      name: 'Streaming',
+      urlPattern: '^/fhir/\\$export',
+      methods: ['GET', 'POST'],
+      streaming: {enabled: true}
+    }
+
+    const createContext = path => ({
+      request: {method: 'GET', path, header: {}}
+    })
+
+    let revert
+    afterEach(() => revert())
+
+    function setChannels(channels) {
+      revert = requestMatching.__set__('utils', {
+        ...utils,
+        getAllChannelsInPriorityOrder: callback => callback(null, channels)
+      })
+    }
+
+    it('should be true when the first matching channel streams', async () => {
+      setChannels([streamingChannel])
+      const isStreaming = await requestMatching.isStreamingRequest(
+        createContext('/fhir/$export')
+      )
+      isStreaming.should.be.true()
+    })
+
+    it('should be false for channels that do not stream', async () => {
+      setChannels([{name: 'Buffered', urlPattern: '.*', methods: ['GET']}])
+      const isStreaming = await requestMatching.isStreamingRequest(
+        createContext('/fhir/$export')
+      )
+      isStreaming.should.be.false()
+    })
+
+    it('should be false when a higher priority channel matches first', async () => {
+      setChannels([
+        {name: 'Buffered', urlPattern: '^/fhir', methods: ['GET']},
+        streamingChannel
+      ])
+      const isStreaming = await requestMatching.isStreamingRequest(
+        createContext('/fhir/$export')
+      )
+      isStreaming.should.be.false()
+    })
+
+    it('should be false for streaming channels that match on content', async () => {
+      setChannels([
+        Object.assign({matchContentRegex: 'Patient'}, streamingChannel)
+      ])
+      const isStreaming = await requestMatching.isStreamingRequest(
+        createContext('/fhir/$export')
+      )
+      isStreaming.should.be.false()
+    })
   })
 
   describe('.extractContentType', () =>
@@ -240,6 +341,177 @@ describe('Request Matching middleware', () => {
     })
   })
 
+  describe('.matchHeaders', () => {
+    const createCtx = header => ({request: {header}})
+
+    it('should match a header with the exact value', () => {
+      const matchHeaders = requestMatching.__get__('matchHeaders')
+      const channel = {matchHeaders: [{name: 'SOAPAction', value: 'urn:save'}]}
+
+      matchHeaders(
+        channel,
+        createCtx({soapaction: 'urn:save'})
+      ).should.be.true()
+      matchHeaders(
+        channel,
+        createCtx({soapaction: 'urn:remove'})
+      ).should.be.false()
+    })
+
+    it('should match a header value against a regex', () => {
+      const matchHeaders = requestMatching.__get__('matchHeaders')
+      const channel = {
+        matchHeaders: [
+          {name: 'X-Tenant', value: '^tenant-[0-9]+$', regex: true}
+        ]
+      }
+
+      matchHeaders(
+        channel,
+        createCtx({'x-tenant': 'tenant-12'})
+      ).should.be.true()
+      matchHeaders(channel, createCtx({'x-tenant': 'other'})).should.be.false()
+    })
+
+    it('should only require the header to be present when there is no value', () => {
+      const matchHeaders = requestMatching.__get__('matchHeaders')
+      const channel = {matchHeaders: [{name: 'X-Tenant'}]}
+
+      matchHeaders(channel, createCtx({'x-tenant': 'a'})).should.be.true()
+      matchHeaders(channel, createCtx({})).should.be.false()
+    })
+
+    it('should require every rule to match', () => {
+      const matchHeaders = requestMatching.__get__('matchHeaders')
+      const channel = {
+        matchHeaders: [{name: 'X-Tenant', value: 'a'}, {name: 'X-Region'}]
+      }
+
+      matchHeaders(channel, createCtx({'x-tenant': 'a'})).should.be.false()
+      matchHeaders(
+        channel,
+        createCtx({'x-tenant': 'a', 'x-region': 'north'})
+      ).should.be.true()
+    })
+
+    it('should return true if there are no rules', () => {
+      const matchHeaders = requestMatching.__get__('matchHeaders')
+      matchHeaders({}, createCtx({})).should.be.true()
+    })
+  })
+
+  describe('.matchQueryParams', () => {
+    const createCtx = querystring => ({request: {querystring}})
+
+    it('should match a query parameter value', () => {
+      const matchQueryParams = requestMatching.__get__('matchQueryParams')
+      const channel = {matchQueryParams: [{name: '_format', value: 'json'}]}
+
+      matchQueryParams(
+        channel,
+        createCtx('_format=json&_count=10')
+      ).should.be.true()
+      matchQueryParams(channel, createCtx('_format=xml')).should.be.false()
+      matchQueryParams(channel, createCtx('')).should.be.false()
+    })
+
+    it('should match a query parameter value against a regex', () => {
+      const matchQueryParams = requestMatching.__get__('matchQueryParams')
+      const channel = {
+        matchQueryParams: [{name: '_format', value: 'json$', regex: true}]
+      }
+
+      matchQueryParams(
+        channel,
+        createCtx('_format=application/fhir%2Bjson')
+      ).should.be.true()
+      matchQueryParams(channel, createCtx('_format=xml')).should.be.false()
+    })
+
+    it('should return true if there are no rules', () => {
+      const matchQueryParams = requestMatching.__get__('matchQueryParams')
+      matchQueryParams({matchQueryParams: []}, createCtx('')).should.be.true()
+    })
+  })
+
+  describe('.getLiteralPrefix', () => {
+    it('should return the literal start of anchored patterns', () => {
+      requestMatching
+        .getLiteralPrefix('^/fhir/Patient.*$')
+        .should.eql('/fhir/Patient')
+      requestMatching
+        .getLiteralPrefix('^/fhir/\\$export')
+        .should.eql('/fhir/$export')
+      requestMatching.getLiteralPrefix('^/api/v1/\\d+').should.eql('/api/v1/')
+    })
+
+    it('should not include characters that may be omitted', () => {
+      requestMatching.getLiteralPrefix('^/fhirs?/').should.eql('/fhir')
+      requestMatching.getLiteralPrefix('^/a/b*').should.eql('/a/')
+      requestMatching.getLiteralPrefix('^/a/b+').should.eql('/a/b')
+    })
+
+    it('should return no prefix for unanchored patterns or alternatives', () => {
+      requestMatching.getLiteralPrefix('/fhir/.*').should.eql('')
+      requestMatching.getLiteralPrefix('^/fhir|^/hl7').should.eql('')
+      requestMatching.getLiteralPrefix('^(/fhir)').should.eql('')
+    })
+  })
+
+  describe('.buildChannelIndex', () => {
+    const channels = [
+      {name: 'patients', urlPattern: '^/fhir/Patient', methods: ['GET']},
+      {name: 'any', urlPattern: 'Patient', methods: ['GET', 'POST']},
+      {name: 'fhir', urlPattern: '^/fhir/.*', methods: ['GET']},
+      {
+        name: 'disabled',
+        urlPattern: '^/fhir/.*',
+        methods: ['GET'],
+        status: 'disabled'
+      },
+      {name: 'hl7', urlPattern: '^/hl7', methods: ['POST']}
+    ]
+
+    const candidateNames = (method, path) =>
+      requestMatching
+        .buildChannelIndex(channels)
+        .getCandidates({request: {method, path}})
+        .map(channel => channel.name)
+
+    it('should return the channels that could match in priority order', () => {
+      candidateNames('GET', '/fhir/Patient/1').should.eql([
+        'patients',
+        'any',
+        'fhir'
+      ])
+      candidateNames('get', '/fhir/Observation').should.eql(['any', 'fhir'])
+    })
+
+    it('should only return channels for the request method', () => {
+      candidateNames('POST', '/hl7').should.eql(['any', 'hl7'])
+      candidateNames('DELETE', '/hl7').should.eql([])
+    })
+
+    it('should find the same channel as matching every channel in turn', done => {
+      const ctx = {
+        request: {method: 'GET', path: '/fhir/Observation', header: {}}
+      }
+      const revert = requestMatching.__set__('utils', {
+        ...utils,
+        getAllChannelsInPriorityOrder: callback => callback(null, channels)
+      })
+
+      requestMatching.matchRequest(ctx, (err, match) => {
+        revert()
+        if (err) {
+          return done(err)
+        }
+        match.name.should.eql('fhir')
+        return done()
+      })
+    })
+  })
+
   describe('.matchChannel', () => {
     it('should return true when every match function returns true', () => {
       const revert = requestMatching.__set__('matchFunctions', [truthy, truthy])
@@ -0,0 +1,217 @@
+'use strict'
+
+/* eslint-env mocha */
+
+import should from 'should'
+import sinon from 'sinon'
+import {ObjectId} from 'mongodb'
+
+import * as requestValidation from '../../src/requestValidation'
+import * as requestValidationMiddleware from '../../src/middleware/requestValidation'
+import {ValidationSchemaModel} from '../../src/model/validationSchemas'
+import {transactionStatus} from '../../src/model/transactions'
+
+describe('Request validation', () => {
+  const jsonSchema = JSON.stringify({
+    type: 'object',
+    required: ['id', 'birthDate'],
+    properties: {
+      id: {type: 'string'},
+      birthDate: {type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$'}
+    }
+  })
+
+  const xsd = `<?xml version="1.0"?>
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+  <xs:element name="patient">
+    <xs:complexType>
+      <xs:sequence>
+        <xs:element name="id" type="xs:string"/>
+        <xs:element name="age" type="xs:int"/>
+      </xs:sequence>
+    </xs:complexType>
+  </xs:element>
+</xs:schema>`
+
+  describe('.compileSchema', () => {
+    it('should return no errors for a valid JSON body', () => {
+      const validate = requestValidation.compileSchema(
+        'json-schema',
+        jsonSchema
+      )
+      validate('{"id": "p1", "birthDate": "1990-01-01"}').should.eql([])
+    })
+
+    it('should return every JSON Schema error', () => {
+      const validate = requestValidation.compileSchema(
+        'json-schema',
+        jsonSchema
+      )
+      validate('{"birthDate": "01/01/1990"}').should.eql([
+        "/ should have required property 'id'",
+        '.birthDate should match pattern "^\\d{4}-\\d{2}-\\d{2}$"'
+      ])
+    })
+
+    it('should return an error for a body that is not JSON', () => {
+      const validate = requestValidation.compileSchema(
+        'json-schema',
+        jsonSchema
+      )
+      const errors = validate('<patient/>')
+      errors.length.should.equal(1)
+      errors[0].should.startWith('The request body is not valid JSON')
+    })
+
+    it('should validate XML bodies against an XSD', () => {
+      const validate = requestValidation.compileSchema('xsd', xsd)
+      validate('<patient><id>p1</id><age>42</age></patient>').should.eql([])
+
+      const errors = validate('<patient><id>p1</id><age>old</age></patient>')
+      errors.length.should.equal(1)
+      errors[0].should.match(/^Line 1: Element 'age'/)
+    })
+
+    it('should return an error for a body that is not XML', () => {
+      const validate = requestValidation.compileSchema('xsd', xsd)
+      validate('{"id": "p1"}')[0].should.startWith(
+        'The request body is not valid XML'
+      )
+    })
+
+    it('should throw for schemas that are invalid', () => {
+      ;(() =>
+        requestValidation.compileSchema(
+          'json-schema',
+          '{"type": 1}'
+        )).should.throw()
+      ;(() =>
+        requestValidation.compileSchema('xsd', '<xs:schema')).should.throw()
+      ;(() => requestValidation.compileSchema('dtd', '')).should.throw(
+        'Unknown schema type dtd'
+      )
+    })
+  })
+
+  describe('.isValidated', () => {
+    const createContext = method => ({
+      method,
+      authorisedChannel: {
+        requestValidation: {enabled: true, schemaID: new ObjectId()}
+      }
+    })
+
+    it('should only validate requests with bodies', () => {
+      requestValidation.isValidated(createContext('POST')).should.be.true()
+      requestValidation.isValidated(createContext('PATCH')).should.be.true()
+      requestValidation.isValidated(createContext('GET')).should.be.false()
+    })
+
+    it('should not validate streamed requests', () => {
+      const ctx = createContext('POST')
+      ctx.isStreaming = true
+      requestValidation.isValidated(ctx).should.be.false()
+    })
+  })
+
+  describe('.koaMiddleware', () => {
+    const schema = {_id: new ObjectId(), name: 'Patient'}
+
+    const createContext = () => ({
+      method: 'POST',
+      body: Buffer.from('{}'),
+      authorisedChannel: {
+        name: 'Patients',
+        requestValidation: {enabled: true, schemaID: schema._id}
+      },
+      response: {}
+    })
+
+    afterEach(() => sinon.restore())
+
+    it('should reject invalid requests with the validation errors', async () => {
+      const errors = ["/ should have required property 'id'"]
+      sinon
+        .stub(requestValidation, 'validateRequest')
+        .resolves({schema, errors})
+      const next = sinon.spy()
+      const ctx = createContext()
+
+      await requestValidationMiddleware.koaMiddleware(ctx, next)
+
+      next.called.should.be.false()
+      ctx.response.status.should.equal(400)
+      JSON.parse(ctx.response.body).should.eql({
+        error: 'The request body failed validation against schema Patient',
+        errors
+      })
+      ctx.error.stack.should.equal(errors[0])
+      ctx.rejectedTransactionStatus.should.equal(transactionStatus.COMPLETED)
+    })
+
+    it('should route valid requests', async () => {
+      sinon
+        .stub(requestValidation, 'validateRequest')
+        .resolves({schema, errors: []})
+      const next = sinon.spy()
+      const ctx = createContext()
+
+      await requestValidationMiddleware.koaMiddleware(ctx, next)
+
+      next.calledOnce.should.be.true()
+      should.not.exist(ctx.error)
+    })
+  })
+
+  describe('.validateRequest', () => {
+    let validationSchema
+
+    beforeEach(async () => {
+      requestValidation.validators.clear()
+      validationSchema = await new ValidationSchemaModel({
+        name: 'Patient',
+        type: 'json-schema',
+        schema: jsonSchema
+      }).save()
+    })
+
+    afterEach(() => ValidationSchemaModel.deleteMany({}))
+
+    const createContext = body => ({
+      body: Buffer.from(body),
+      authorisedChannel: {
+        name: 'Patients',
+        requestValidation: {enabled: true, schemaID: validationSchema._id}
+      }
+    })
+
+    it("should validate the body against the channel's schema", async () => {
+      const result = await requestValidation.validateRequest(
+        createContext('{"id": 1, "birthDate": "1990-01-01"}')
+      )
+      result.schema.name.should.equal('Patient')
+      result.errors.should.eql(['.id should be string'])
+    })
+
+    it('should compile the schema again once it is updated', async () => {
+      await requestValidation.validateRequest(createContext('{}'))
+      await ValidationSchemaModel.updateOne(
+        {_id: validationSchema._id},
+        {schema: JSON.stringify({type: 'object'}), updated: new Date()}
+      )
+
+      const result = await requestValidation.validateRequest(
+        createContext('{}')
+      )
+      result.errors.should.eql([])
+      requestValidation.validators.size.should.equal(1)
+    })
+
+    it("should return null when the channel's schema does not exist", async () => {
+      await ValidationSchemaModel.deleteMany({})
+      should.not.exist(
+        await requestValidation.validateRequest(createContext('{}'))
+      )
+    })
+  })
+})
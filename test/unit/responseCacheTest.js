@@ -0,0 +1,280 @@
+'use strict'
+
+/* eslint-env mocha */
+
+import should from 'should'
+import sinon from 'sinon'
+import {ObjectId} from 'mongodb'
+
+import * as responseCache from '../../src/responseCache'
+import * as responseCacheMiddleware from '../../src/middleware/responseCache'
+import {CachedResponseModel} from '../../src/model/responseCache'
+
+describe('Response cache', () => {
+  const channel = {
+    _id: new ObjectId(),
+    name: 'terminology',
+    responseCache: {enabled: true, ttlSeconds: 600, varyHeaders: ['Accept']}
+  }
+
+  const createContext = (header = {}) => {
+    const headers = {}
+    return {
+      authorisedChannel: channel,
+      method: 'GET',
+      path: '/concepts/123',
+      querystring: 'lang=en',
+      header,
+      response: {
+        headers,
+        get: name => headers[name.toLowerCase()],
+        set: (name, value) => {
+          headers[name.toLowerCase()] = value
+        }
+      }
+    }
+  }
+
+  const setUpstreamResponse = (ctx, headers = {}, status = 200) => {
+    ctx.response.status = status
+    ctx.response.body = Buffer.from('{"code": "123"}')
+    Object.keys(headers).forEach(name => ctx.response.set(name, headers[name]))
+  }
+
+  describe('.isCacheable', () => {
+    it('should only cache GET and HEAD requests', () => {
+      const ctx = createContext()
+      responseCache.isCacheable(ctx).should.be.true()
+      ctx.method = 'HEAD'
+      responseCache.isCacheable(ctx).should.be.true()
+      ctx.method = 'POST'
+      responseCache.isCacheable(ctx).should.be.false()
+    })
+
+    it('should not cache requests to channels without a cache', () => {
+      const ctx = createContext()
+      ctx.authorisedChannel = {_id: channel._id}
+      responseCache.isCacheable(ctx).should.be.false()
+    })
+  })
+
+  describe('.parseCacheControl', () => {
+    it('should parse the directives and their values', () => {
+      responseCache
+        .parseCacheControl('public, Max-Age=60, s-maxage="30"')
+        .should.eql({public: true, 'max-age': '60', 's-maxage': '30'})
+    })
+  })
+
+  describe('.getCacheKey', () => {
+    it('should give HEAD requests the key of the GET request', () => {
+      const get = createContext({accept: 'application/json'})
+      const head = createContext({accept: 'application/json'})
+      head.method = 'HEAD'
+      responseCache
+        .getCacheKey(head)
+        .should.equal(responseCache.getCacheKey(get))
+    })
+
+    it('should give requests with different vary headers different keys', () => {
+      responseCache
+        .getCacheKey(createContext({accept: 'application/json'}))
+        .should.not.equal(
+          responseCache.getCacheKey(createContext({accept: 'application/xml'}))
+        )
+    })
+
+    it('should give requests of different clients different keys', () => {
+      const first = createContext()
+      first.authenticated = {_id: new ObjectId()}
+      const second = createContext()
+      second.authenticated = {_id: new ObjectId()}
+      responseCache
+        .getCacheKey(first)
+        .should.not.equal(responseCache.getCacheKey(second))
+    })
+
+    it('should share the responses of public channels between clients', () => {
+      const first = createContext()
+      first.authorisedChannel = Object.assign({}, channel, {authType: 'public'})
+      first.authenticated = {_id: new ObjectId()}
+      const second = Object.assign({}, first, {
+        authenticated: {_id: new ObjectId()}
+      })
+      responseCache
+        .getCacheKey(first)
+        .should.equal(responseCache.getCacheKey(second))
+    })
+
+    it('should give requests with different query strings different keys', () => {
+      const other = createContext()
+      other.querystring = 'lang=fr'
+      responseCache
+        .getCacheKey(createContext())
+        .should.not.equal(responseCache.getCacheKey(other))
+    })
+  })
+
+  describe('.getResponseTtl', () => {
+    it("should use the channel's TTL", () => {
+      const ctx = createContext()
+      setUpstreamResponse(ctx)
+      responseCache.getResponseTtl(ctx).should.equal(600)
+    })
+
+    it("should use the upstream's max-age when it is shorter", () => {
+      const ctx = createContext()
+      setUpstreamResponse(ctx, {'Cache-Control': 'public, max-age=60'})
+      responseCache.getResponseTtl(ctx).should.equal(60)
+    })
+
+    it('should not cache responses the upstream marks as uncacheable', () => {
+      for (const cacheControl of ['no-store', 'no-cache', 'private']) {
+        const ctx = createContext()
+        setUpstreamResponse(ctx, {'Cache-Control': cacheControl})
+        should.not.exist(responseCache.getResponseTtl(ctx))
+      }
+    })
+
+    it('should only cache responses that vary by the channel vary headers', () => {
+      const byAccept = createContext()
+      setUpstreamResponse(byAccept, {Vary: 'Accept'})
+      responseCache.getResponseTtl(byAccept).should.equal(600)
+
+      const byLanguage = createContext()
+      setUpstreamResponse(byLanguage, {Vary: 'Accept, Accept-Language'})
+      should.not.exist(responseCache.getResponseTtl(byLanguage))
+
+      const byAnything = createContext()
+      setUpstreamResponse(byAnything, {Vary: '*'})
+      should.not.exist(responseCache.getResponseTtl(byAnything))
+    })
+
+    it('should not cache unsuccessful responses or responses setting cookies', () => {
+      const failed = createContext()
+      setUpstreamResponse(failed, {}, 500)
+      should.not.exist(responseCache.getResponseTtl(failed))
+
+      const withCookie = createContext()
+      setUpstreamResponse(withCookie, {'Set-Cookie': ['session=1']})
+      should.not.exist(responseCache.getResponseTtl(withCookie))
+    })
+  })
+
+  describe('.sendCachedResponse', () => {
+    const cached = {
+      status: 200,
+      headers: {'content-type': 'application/json', etag: '"v1"'},
+      body: Buffer.from('{"code": "123"}'),
+      etag: '"v1"',
+      createdAt: new Date(Date.now() - 30000)
+    }
+
+    it('should respond with the cached response and mark the cache hit', () => {
+      const ctx = createContext()
+      responseCache.sendCachedResponse(ctx, cached)
+
+      ctx.cacheHit.should.be.true()
+      ctx.response.status.should.equal(200)
+      ctx.response.body.toString().should.equal('{"code": "123"}')
+      ctx.response.headers['content-type'].should.equal('application/json')
+      ctx.response.headers['x-openhim-cache'].should.equal('HIT')
+      ctx.response.headers.age.should.equal('30')
+    })
+
+    it("should respond with a 304 when the client's ETag matches", () => {
+      const ctx = createContext({'if-none-match': '"v1"'})
+      responseCache.sendCachedResponse(ctx, cached)
+
+      ctx.response.status.should.equal(304)
+      should.not.exist(ctx.response.body)
+    })
+  })
+
+  describe('.koaMiddleware', () => {
+    afterEach(() => sinon.restore())
+
+    it('should not route requests answered from the cache', async () => {
+      sinon
+        .stub(responseCache, 'findCachedResponse')
+        .resolves({status: 200, body: Buffer.from('ok'), createdAt: new Date()})
+      const next = sinon.spy()
+      const ctx = createContext()
+
+      await responseCacheMiddleware.koaMiddleware(ctx, next)
+
+      next.called.should.be.false()
+      ctx.cacheHit.should.be.true()
+    })
+
+    it('should route and cache the response when the client bypasses the cache', async () => {
+      const find = sinon.stub(responseCache, 'findCachedResponse')
+      const cache = sinon.stub(responseCache, 'cacheResponse').resolves()
+      const ctx = createContext({'cache-control': 'no-cache'})
+
+      await responseCacheMiddleware.koaMiddleware(ctx, async () =>
+        setUpstreamResponse(ctx)
+      )
+
+      find.called.should.be.false()
+      cache.calledOnce.should.be.true()
+      should.not.exist(ctx.cacheHit)
+    })
+  })
+
+  describe('with mongo', () => {
+    const now = new Date('2023-01-01T10:00:00Z')
+
+    beforeEach(() => CachedResponseModel.deleteMany({}))
+
+    after(() => CachedResponseModel.deleteMany({}))
+
+    it('should cache the response until its TTL ends', async () => {
+      const ctx = createContext()
+      setUpstreamResponse(ctx, {
+        'Cache-Control': 'max-age=60',
+        ETag: '"v1"',
+        'Content-Length': '15'
+      })
+      const key = responseCache.getCacheKey(ctx)
+
+      await responseCache.cacheResponse(ctx, key, now)
+
+      const cached = await responseCache.findCachedResponse(key, now)
+      cached.etag.should.equal('"v1"')
+      cached.body.toString().should.equal('{"code": "123"}')
+      should.not.exist(cached.headers['content-length'])
+      should.not.exist(
+        await responseCache.findCachedResponse(
+          key,
+          new Date(now.getTime() + 60000)
+        )
+      )
+    })
+
+    it('should serve the bytes of the cached body', async () => {
+      const ctx = createContext()
+      setUpstreamResponse(ctx)
+      const key = responseCache.getCacheKey(ctx)
+      await responseCache.cacheResponse(ctx, key, now)
+
+      const hit = createContext()
+      responseCache.sendCachedResponse(
+        hit,
+        await responseCache.findCachedResponse(key, now)
+      )
+
+      Buffer.isBuffer(hit.response.body).should.be.true()
+      hit.response.body.equals(ctx.response.body).should.be.true()
+    })
+
+    it("should purge a channel's cached responses", async () => {
+      const ctx = createContext()
+      setUpstreamResponse(ctx)
+      await responseCache.cacheResponse(ctx, responseCache.getCacheKey(ctx))
+
+      const purged = await responseCache.purgeChannel(channel._id)
+      purged.should.equal(1)
+    })
+  })
+})
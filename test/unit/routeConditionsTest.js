@@ -0,0 +1,158 @@
+'use strict'
+
+/* eslint-env mocha */
+
+import should from 'should'
+
+import * as routeConditions from '../../src/routeConditions'
+
+describe('Route conditions', () => {
+  function createContext(body, header = {}, querystring = '') {
+    return {
+      request: {header, querystring},
+      body: body == null ? undefined : Buffer.from(body)
+    }
+  }
+
+  describe('.hasCondition', () => {
+    it('should only be true when the condition has a type', () => {
+      routeConditions.hasCondition({}).should.be.false()
+      routeConditions.hasCondition({condition: {}}).should.be.false()
+      routeConditions
+        .hasCondition({condition: {type: 'header', expression: 'x-tenant'}})
+        .should.be.true()
+    })
+  })
+
+  describe('.matches', () => {
+    it('should match on a header value', () => {
+      const ctx = createContext(null, {'x-tenant': 'north'})
+      const condition = {type: 'header', expression: 'X-Tenant', value: 'north'}
+      routeConditions.matches(ctx, condition).should.be.true()
+      condition.value = 'south'
+      routeConditions.matches(ctx, condition).should.be.false()
+    })
+
+    it('should match on a query parameter', () => {
+      const ctx = createContext(null, {}, '_format=json&_count=10')
+      routeConditions
+        .matches(ctx, {type: 'query', expression: '_format', value: 'json'})
+        .should.be.true()
+      routeConditions
+        .matches(ctx, {type: 'query', expression: '_summary'})
+        .should.be.false()
+    })
+
+    it('should match on a JSON path', () => {
+      const ctx = createContext(
+        JSON.stringify({resourceType: 'Observation', code: {coding: [{}]}})
+      )
+      routeConditions
+        .matches(ctx, {
+          type: 'jsonpath',
+          expression: 'resourceType',
+          value: 'Observation'
+        })
+        .should.be.true()
+      routeConditions
+        .matches(ctx, {type: 'jsonpath', expression: 'subject'})
+        .should.be.false()
+    })
+
+    it('should match on an XPath expression', () => {
+      const ctx = createContext('<message><type>lab</type></message>')
+      routeConditions
+        .matches(ctx, {
+          type: 'xpath',
+          expression: 'string(/message/type)',
+          value: 'lab'
+        })
+        .should.be.true()
+      routeConditions
+        .matches(ctx, {type: 'xpath', expression: '/message/missing'})
+        .should.be.false()
+    })
+
+    it('should match on an HL7 field', () => {
+      const ctx = createContext('MSH|^~\\&|LAB|FAC|||20230101||ORU^R01|1|P|2.5')
+      routeConditions
+        .matches(ctx, {type: 'hl7', expression: 'MSH-9.1', value: 'ORU'})
+        .should.be.true()
+      routeConditions
+        .matches(ctx, {type: 'hl7', expression: 'MSH-9.1', value: 'ADT'})
+        .should.be.false()
+    })
+
+    it('should match a value as a regex when regex is set', () => {
+      const ctx = createContext(null, {
+        soapaction: 'urn:ihe:iti:2007:RegistryStoredQuery'
+      })
+      routeConditions
+        .matches(ctx, {
+          type: 'header',
+          expression: 'SOAPAction',
+          value: 'RegistryStoredQuery$',
+          regex: true
+        })
+        .should.be.true()
+    })
+
+    it('should not match when the body cannot be parsed', () => {
+      const ctx = createContext('{not json')
+      routeConditions
+        .matches(ctx, {type: 'jsonpath', expression: 'resourceType'})
+        .should.be.false()
+    })
+
+    it('should not match body conditions without a body', () => {
+      routeConditions
+        .matches(createContext(null), {type: 'hl7', expression: 'MSH-9'})
+        .should.be.false()
+    })
+
+    it('should not match when the regex is invalid', () => {
+      const ctx = createContext(null, {'x-tenant': 'north'})
+      routeConditions
+        .matches(ctx, {
+          type: 'header',
+          expression: 'x-tenant',
+          value: '(north',
+          regex: true
+        })
+        .should.be.false()
+    })
+  })
+
+  describe('.validateCondition', () => {
+    it('should accept a valid condition', () => {
+      should.not.exist(
+        routeConditions.validateCondition({
+          type: 'hl7',
+          expression: 'MSH-9.1',
+          value: '^ORU',
+          regex: true
+        })
+      )
+    })
+
+    it('should return the reason a condition is invalid', () => {
+      routeConditions
+        .validateCondition({type: 'cookie', expression: 'session'})
+        .should.match(/Unknown route condition type/)
+      routeConditions
+        .validateCondition({type: 'header'})
+        .should.match(/must have an expression/)
+      routeConditions
+        .validateCondition({type: 'hl7', expression: 'MSH.9'})
+        .should.match(/Invalid HL7 field expression/)
+      routeConditions
+        .validateCondition({
+          type: 'header',
+          expression: 'x-tenant',
+          value: '(north',
+          regex: true
+        })
+        .should.match(/invalid regex/)
+    })
+  })
+})
@@ -4,16 +4,20 @@
 /* eslint no-unused-expressions:0 */
 
 import fs from 'fs'
+import http from 'http'
 import sinon from 'sinon'
 import should from 'should'
+import {Readable} from 'stream'
 import {promisify} from 'util'
 import logger from 'winston'
 
+import * as concurrencyLimiter from '../../src/concurrencyLimiter'
 import * as constants from '../constants'
 import * as router from '../../src/middleware/router'
 import * as testUtils from '../utils'
 import {CertificateModel, KeystoreModel} from '../../src/model'
 import * as kafkaProducer from '../../src/kafkaProducer'
+import * as mllp from '../../src/mllp'
 
 const DEFAULT_CHANNEL = Object.freeze({
   name: 'Mock endpoint',
@@ -125,6 +129,19 @@ describe('HTTP Router', () => {
         ctx.response.header.should.be.ok
       })
 
+      it('should record when the primary route was sent the request and responded', async () => {
+        const ctx = createContext(DEFAULT_CHANNEL)
+        server = await testUtils.createMockHttpServer(async () => {
+          await new Promise(resolve => setTimeout(resolve, 20))
+          return 'ok'
+        })
+        await promisify(router.route)(ctx)
+
+        const {requestTimestamp, responseTimestamp} = ctx.primaryRouteTiming
+        requestTimestamp.should.be.instanceof(Date)
+        ;(responseTimestamp - requestTimestamp).should.be.aboveOrEqual(20)
+      })
+
       it('should route binary data', async () => {
         server = await testUtils.createStaticServer()
         const channel = {
@@ -654,6 +671,773 @@ describe('HTTP Router', () => {
       })
     })
 
+    describe('retry policy', () => {
+      let server
+      let requestCount
+
+      afterEach(async () => {
+        if (server != null) {
+          await server.close()
+          server = null
+        }
+      })
+
+      async function createFlakyServer(failures, failureStatus = 503) {
+        requestCount = 0
+        server = http.createServer((req, res) => {
+          requestCount++
+          if (requestCount <= failures) {
+            res.writeHead(failureStatus)
+            res.end('Unavailable')
+          } else {
+            res.writeHead(200)
+            res.end('OK')
+          }
+        })
+        server.close = promisify(server.close.bind(server))
+        await promisify(server.listen.bind(server))(constants.HTTP_PORT)
+      }
+
+      function createRetryChannel(retryPolicy, primary = true) {
+        return {
+          name: 'Retry endpoint',
+          urlPattern: '.+',
+          routes: [
+            {
+              name: 'retry route',
+              host: 'localhost',
+              port: constants.HTTP_PORT,
+              primary,
+              retryPolicy: Object.assign({backoffMillis: 10}, retryPolicy)
+            }
+          ]
+        }
+      }
+
+      it('should retry the primary route when the response status is retryable', async () => {
+        await createFlakyServer(2)
+        const ctx = createContext(
+          createRetryChannel({maxAttempts: 3, retryOnStatusCodes: '503'})
+        )
+        await promisify(router.route)(ctx)
+
+        requestCount.should.be.exactly(3)
+        ctx.response.status.should.be.exactly(200)
+        ctx.response.body.toString().should.be.eql('OK')
+        ctx.orchestrations.length.should.be.exactly(3)
+        ctx.orchestrations.map(orch => orch.attempt).should.be.eql([1, 2, 3])
+        ctx.orchestrations[0].response.status.should.be.exactly(503)
+      })
+
+      it('should not retry when the response status is not retryable', async () => {
+        await createFlakyServer(1, 400)
+        const ctx = createContext(
+          createRetryChannel({maxAttempts: 3, retryOnStatusCodes: '5*'})
+        )
+        await promisify(router.route)(ctx)
+
+        requestCount.should.be.exactly(1)
+        ctx.response.status.should.be.exactly(400)
+        ctx.orchestrations.length.should.be.exactly(1)
+      })
+
+      it('should stop retrying once the max attempts are reached', async () => {
+        const ctx = createContext(createRetryChannel({maxAttempts: 3}))
+        await promisify(router.route)(ctx)
+
+        ctx.response.status.should.be.exactly(500)
+        ctx.autoRetry.should.be.true()
+        ctx.orchestrations.length.should.be.exactly(3)
+        ctx.orchestrations.forEach(orch => orch.error.should.be.ok())
+      })
+
+      it('should not retry errors that are not listed as retryable', async () => {
+        const ctx = createContext(
+          createRetryChannel({maxAttempts: 3, retryOnErrors: 'ETIMEDOUT'})
+        )
+        await promisify(router.route)(ctx)
+
+        ctx.response.status.should.be.exactly(500)
+        ctx.orchestrations.length.should.be.exactly(1)
+      })
+
+      it('should record the attempts on non-primary routes', async () => {
+        await createFlakyServer(1)
+        const channel = createRetryChannel(
+          {maxAttempts: 2, retryOnStatusCodes: '503'},
+          false
+        )
+        channel.routes.push({
+          name: 'primary',
+          host: 'localhost',
+          port: constants.HTTP_PORT,
+          primary: true
+        })
+        const ctx = createContext(channel)
+        await promisify(router.route)(ctx)
+        await testUtils.pollCondition(() => ctx.routes != null)
+
+        const retryRoute = ctx.routes.find(r => r.name === 'retry route')
+        retryRoute.response.status.should.be.exactly(200)
+        retryRoute.attempts.length.should.be.exactly(2)
+        retryRoute.attempts[0].status.should.be.exactly(503)
+        retryRoute.attempts[1].status.should.be.exactly(200)
+      })
+    })
+
+    describe('upstream pool', () => {
+      let server
+
+      afterEach(async () => {
+        if (server != null) {
+          await server.close()
+          server = null
+        }
+      })
+
+      it('should fail over to the next upstream on connection errors', async () => {
+        server = await testUtils.createMockHttpServer('Standby')
+        const channel = {
+          name: 'Pooled endpoint',
+          urlPattern: '.+',
+          routes: [
+            {
+              name: 'pooled route',
+              primary: true,
+              balancingStrategy: 'failover',
+              upstreams: [
+                {host: 'localhost', port: constants.PORT_START + 110},
+                {host: 'localhost', port: constants.HTTP_PORT}
+              ]
+            }
+          ]
+        }
+        const ctx = createContext(channel)
+        await promisify(router.route)(ctx)
+
+        ctx.response.status.should.be.exactly(201)
+        ctx.response.body.toString().should.be.eql('Standby')
+        ctx.orchestrations[0].request.port.should.be.exactly(
+          constants.HTTP_PORT
+        )
+      })
+
+      it('should fail when none of the upstreams are reachable', async () => {
+        const channel = {
+          name: 'Pooled endpoint',
+          urlPattern: '.+',
+          routes: [
+            {
+              name: 'pooled route',
+              primary: true,
+              upstreams: [
+                {host: 'localhost', port: constants.PORT_START + 110},
+                {host: 'localhost', port: constants.PORT_START + 111}
+              ]
+            }
+          ]
+        }
+        const ctx = createContext(channel)
+        await promisify(router.route)(ctx)
+
+        ctx.response.status.should.be.exactly(500)
+      })
+    })
+
+    describe('route conditions', () => {
+      let servers = []
+
+      afterEach(async () => {
+        await Promise.all(servers.map(s => s.close()))
+        servers = []
+      })
+
+      const LAB_PORT = constants.PORT_START + 120
+      const DEFAULT_PORT = constants.PORT_START + 121
+      const AUDIT_PORT = constants.PORT_START + 122
+
+      const channel = {
+        name: 'Conditional channel',
+        urlPattern: '.+',
+        routes: [
+          {
+            name: 'lab',
+            host: 'localhost',
+            port: LAB_PORT,
+            primary: true,
+            condition: {
+              type: 'header',
+              expression: 'x-message-type',
+              value: 'lab'
+            }
+          },
+          {
+            name: 'default',
+            host: 'localhost',
+            port: DEFAULT_PORT,
+            primary: true
+          },
+          {
+            name: 'audit',
+            host: 'localhost',
+            port: AUDIT_PORT,
+            condition: {type: 'query', expression: 'audit', value: 'true'}
+          }
+        ]
+      }
+
+      function createConditionalContext(header, querystring = '') {
+        const ctx = createContext(channel)
+        ctx.request.header = header
+        ctx.request.querystring = querystring
+        return ctx
+      }
+
+      beforeEach(async () => {
+        servers = await Promise.all([
+          testUtils.createMockHttpServer('Lab', LAB_PORT, 200),
+          testUtils.createMockHttpServer('Default', DEFAULT_PORT, 200),
+          testUtils.createMockHttpServer('Audit', AUDIT_PORT, 200)
+        ])
+      })
+
+      it('should use the primary route whose condition matches', async () => {
+        const ctx = createConditionalContext({'x-message-type': 'lab'})
+        await promisify(router.route)(ctx)
+
+        ctx.response.body.toString().should.be.eql('Lab')
+        ctx.skippedRoutes.should.eql([
+          {name: 'default', primary: true},
+          {name: 'audit', primary: false}
+        ])
+      })
+
+      it('should fall back to the unconditional primary route', async () => {
+        const ctx = createConditionalContext({'x-message-type': 'adt'})
+        await promisify(router.route)(ctx)
+
+        ctx.response.body.toString().should.be.eql('Default')
+        ctx.skippedRoutes.map(route => route.name).should.eql(['lab', 'audit'])
+      })
+
+      it('should run non-primary routes whose condition matches', async () => {
+        const ctx = createConditionalContext({}, 'audit=true')
+        await promisify(router.route)(ctx)
+        await testUtils.pollCondition(() => ctx.routes != null)
+
+        ctx.routes.length.should.be.exactly(1)
+        ctx.routes[0].name.should.be.eql('audit')
+        ctx.skippedRoutes.should.eql([{name: 'lab', primary: true}])
+      })
+
+      it('should respond with 404 when no primary route condition matches', async () => {
+        const conditionalChannel = testUtils.clone(channel)
+        conditionalChannel.routes[1].condition = {
+          type: 'header',
+          expression: 'x-message-type',
+          value: 'adt'
+        }
+        const ctx = createContext(conditionalChannel)
+        ctx.request.header = {'x-message-type': 'orm'}
+        await promisify(router.route)(ctx)
+
+        ctx.response.status.should.be.exactly(404)
+        ctx.skippedRoutes.length.should.be.exactly(3)
+        ctx.rejectedTransactionStatus.should.be.exactly('Completed')
+      })
+
+      it('should not run non-primary routes when no primary route condition matches', async () => {
+        const conditionalChannel = testUtils.clone(channel)
+        conditionalChannel.routes[1].condition = {
+          type: 'header',
+          expression: 'x-message-type',
+          value: 'adt'
+        }
+        const ctx = createContext(conditionalChannel)
+        ctx.request.header = {'x-message-type': 'orm'}
+        ctx.request.querystring = 'audit=true'
+        const next = sinon.spy()
+
+        router.route(ctx, next)
+        await testUtils.pollCondition(() => next.called)
+        await new Promise(resolve => setTimeout(resolve, 100))
+
+        next.calledOnce.should.be.true()
+        ctx.response.status.should.be.exactly(404)
+        should.not.exist(ctx.routes)
+      })
+    })
+
+    describe('transforms', () => {
+      let servers = []
+
+      afterEach(async () => {
+        await Promise.all(servers.map(s => s.close()))
+        servers = []
+      })
+
+      const ECHO_PORT = constants.PORT_START + 130
+      const XML_PORT = constants.PORT_START + 131
+
+      const echoRequest = async req =>
+        JSON.stringify({
+          url: req.url,
+          headers: req.headers,
+          body: (await testUtils.readBody(req)).toString()
+        })
+
+      beforeEach(async () => {
+        servers = await Promise.all([
+          testUtils.createMockHttpServer(echoRequest, ECHO_PORT, 200, {
+            'content-type': 'application/json'
+          }),
+          testUtils.createMockHttpServer(
+            '<patient><id>123</id></patient>',
+            XML_PORT,
+            200,
+            {'content-type': 'application/xml'}
+          )
+        ])
+      })
+
+      it('should apply the channel and route request transforms before sending', async () => {
+        const channel = {
+          name: 'Transform channel',
+          urlPattern: '.+',
+          transforms: [{type: 'addHeader', name: 'X-Tenant', value: 'north'}],
+          routes: [
+            {
+              name: 'echo',
+              host: 'localhost',
+              port: ECHO_PORT,
+              primary: true,
+              transforms: [
+                {type: 'renameHeader', name: 'X-Tenant', newName: 'X-Org'},
+                {type: 'removeHeader', name: 'X-Secret'},
+                {type: 'setQueryParam', name: '_format', value: 'json'},
+                {type: 'removeQueryParam', name: 'debug'},
+                {
+                  type: 'template',
+                  template: '{"id":"{{body.patient.id}}","tag":"{{query.tag}}"}'
+                }
+              ]
+            }
+          ]
+        }
+        const ctx = createContext(
+          channel,
+          '/patients',
+          'POST',
+          JSON.stringify({patient: {id: 'abc'}})
+        )
+        ctx.request.header = {
+          'x-secret': 'hidden',
+          'content-length': `${ctx.body.length}`
+        }
+        ctx.request.querystring = 'debug=true&tag=x'
+        await promisify(router.route)(ctx)
+
+        const received = JSON.parse(ctx.response.body)
+        received.url.should.eql('/patients?tag=x&_format=json')
+        received.headers['x-org'].should.eql('north')
+        should.not.exist(received.headers['x-tenant'])
+        should.not.exist(received.headers['x-secret'])
+        received.body.should.eql('{"id":"abc","tag":"x"}')
+        ctx.orchestrations[0].request.body.should.eql('{"id":"abc","tag":"x"}')
+        ctx.request.header['x-secret'].should.eql('hidden')
+      })
+
+      it('should apply response transforms and keep the original body', async () => {
+        const channel = {
+          name: 'Transform channel',
+          urlPattern: '.+',
+          routes: [
+            {
+              name: 'xml',
+              host: 'localhost',
+              port: XML_PORT,
+              primary: true,
+              transforms: [{stage: 'response', type: 'xmlToJson'}]
+            }
+          ]
+        }
+        const ctx = createContext(channel)
+        await promisify(router.route)(ctx)
+
+        JSON.parse(ctx.response.body).should.eql({patient: {id: '123'}})
+        ctx.response.type.should.eql('application/json')
+        ctx.originalResponseBody.should.eql('<patient><id>123</id></patient>')
+        ctx.orchestrations[0].response.body
+          .toString()
+          .should.eql('<patient><id>123</id></patient>')
+      })
+
+      it('should record the transformed request and original response of non-primary routes', async () => {
+        const channel = {
+          name: 'Transform channel',
+          urlPattern: '.+',
+          transforms: [
+            {
+              stage: 'response',
+              type: 'addHeader',
+              name: 'X-Transformed',
+              value: 'yes'
+            }
+          ],
+          routes: [
+            {
+              name: 'primary',
+              host: 'localhost',
+              port: XML_PORT,
+              primary: true
+            },
+            {
+              name: 'echo',
+              host: 'localhost',
+              port: ECHO_PORT,
+              transforms: [
+                {type: 'template', template: '{{rawBody}}!'},
+                {stage: 'response', type: 'template', template: '{{body.url}}'}
+              ]
+            }
+          ]
+        }
+        const ctx = createContext(channel, '/test', 'POST', 'hello')
+        ctx.request.header = {}
+        await promisify(router.route)(ctx)
+        await testUtils.pollCondition(() => ctx.routes != null)
+
+        ctx.routes[0].request.body.should.eql('hello!')
+        ctx.routes[0].response.body.should.eql('/test')
+        JSON.parse(ctx.routes[0].response.originalBody).body.should.eql(
+          'hello!'
+        )
+        should.not.exist(ctx.routes[0].response.headers['x-transformed'])
+        ctx.response.set.calledWith('x-transformed', 'yes').should.be.true()
+      })
+
+      it('should fail the route when the body cannot be converted', async () => {
+        const channel = {
+          name: 'Transform channel',
+          urlPattern: '.+',
+          routes: [
+            {
+              name: 'echo',
+              host: 'localhost',
+              port: ECHO_PORT,
+              primary: true,
+              transforms: [{type: 'jsonToXml'}]
+            }
+          ]
+        }
+        const ctx = createContext(channel, '/test', 'POST', 'not json')
+        ctx.request.header = {}
+        await promisify(router.route)(ctx)
+
+        ctx.response.status.should.be.exactly(500)
+        ctx.error.message.should.match(/JSON/)
+      })
+    })
+
+    describe('streaming', () => {
+      let servers = []
+
+      afterEach(async () => {
+        await Promise.all(servers.map(s => s.close()))
+        servers = []
+      })
+
+      const PRIMARY_PORT = constants.PORT_START + 140
+      const SECONDARY_PORT = constants.PORT_START + 141
+
+      const channel = {
+        name: 'Streaming channel',
+        urlPattern: '.+',
+        streaming: {enabled: true, maxStoredBodyBytes: 5},
+        routes: [
+          {
+            name: 'primary',
+            host: 'localhost',
+            port: PRIMARY_PORT,
+            primary: true
+          },
+          {
+            name: 'secondary',
+            host: 'localhost',
+            port: SECONDARY_PORT
+          }
+        ]
+      }
+
+      function createStreamingContext(body) {
+        const ctx = createContext(channel, '/export', 'POST')
+        ctx.request.header = {}
+        ctx.isStreaming = true
+        ctx.req = Readable.from([Buffer.from(body)])
+        return ctx
+      }
+
+      const readStream = async stream => {
+        const chunks = []
+        for await (const chunk of stream) {
+          chunks.push(chunk)
+        }
+        return Buffer.concat(chunks).toString()
+      }
+
+      it('should pipe the body to the primary route and back', async () => {
+        const secondarySpy = sinon.spy(() => 'secondary')
+        servers = await Promise.all([
+          testUtils.createMockHttpServer(
+            async req => `echo:${await testUtils.readBody(req)}`,
+            PRIMARY_PORT
+          ),
+          testUtils.createMockHttpServer(secondarySpy, SECONDARY_PORT)
+        ])
+
+        const ctx = createStreamingContext('large payload')
+        await promisify(router.route)(ctx)
+
+        ctx.response.status.should.be.exactly(201)
+        const body = await readStream(ctx.response.body)
+        body.should.eql('echo:large payload')
+        ctx.requestBodyCapture.getBody().should.eql('large\n[truncated ...]')
+        ctx.responseBodyCapture.getBody().should.eql('echo:\n[truncated ...]')
+        ctx.responseBodyCapture.getTotalBytes().should.be.exactly(18)
+        secondarySpy.called.should.be.false()
+        should.not.exist(ctx.orchestrations[0].response.body)
+      })
+
+      it('should not retry streamed requests', async () => {
+        const spy = sinon.spy(() => 'unavailable')
+        servers = [await testUtils.createMockHttpServer(spy, PRIMARY_PORT, 503)]
+
+        const retryChannel = testUtils.clone(channel)
+        retryChannel.routes[0].retryPolicy = {
+          maxAttempts: 3,
+          backoffMillis: 0,
+          retryOnStatusCodes: '503'
+        }
+        const ctx = createStreamingContext('payload')
+        ctx.authorisedChannel = retryChannel
+        await promisify(router.route)(ctx)
+
+        ctx.response.status.should.be.exactly(503)
+        spy.callCount.should.be.exactly(1)
+      })
+    })
+
+    describe('mllp route', () => {
+      let server
+
+      afterEach(async () => {
+        await server.close()
+      })
+
+      const MLLP_PORT = constants.PORT_START + 150
+
+      const channel = {
+        name: 'MLLP channel',
+        urlPattern: '.+',
+        routes: [
+          {
+            name: 'hl7',
+            type: 'mllp',
+            host: 'localhost',
+            port: MLLP_PORT,
+            primary: true
+          }
+        ]
+      }
+
+      it('should send the body framed and return the unframed response', async () => {
+        const decoder = mllp.createFrameDecoder()
+        const received = []
+        server = await testUtils.createMockTCPServer(async data => {
+          const messages = decoder.push(data)
+          received.push(...messages.map(String))
+          if (messages.length > 0) {
+            return mllp.frame('MSH|ACK\rMSA|AA|1')
+          }
+        }, MLLP_PORT)
+
+        const ctx = createContext(channel, '/', 'POST', 'MSH|ORU\rPID|1')
+        await promisify(router.route)(ctx)
+
+        received.should.eql(['MSH|ORU\rPID|1'])
+        ctx.response.status.should.be.exactly(200)
+        ctx.response.body.should.eql('MSH|ACK\rMSA|AA|1')
+      })
+
+      it('should fail when the connection closes without a response', async () => {
+        server = await testUtils.createMockTCPServer(async () => {
+          throw new Error('Unreachable')
+        }, MLLP_PORT)
+        server.on('connection', socket => socket.destroy())
+
+        const ctx = createContext(channel, '/', 'POST', 'MSH|ORU')
+        await promisify(router.route)(ctx)
+
+        ctx.response.status.should.be.exactly(500)
+        should.exist(ctx.error)
+      })
+    })
+
+    describe('concurrency limit', () => {
+      let server
+
+      afterEach(async () => {
+        await server.close()
+      })
+
+      const LIMITED_PORT = constants.PORT_START + 160
+
+      const getActiveRequests = () =>
+        concurrencyLimiter
+          .getQueueStats()
+          .find(stats => stats.channel === 'Limited channel').active
+
+      const createChannel = concurrency => ({
+        _id: 'concurrencyLimitedChannel',
+        name: 'Limited channel',
+        urlPattern: '.+',
+        concurrency,
+        routes: [
+          {
+            name: 'legacy',
+            host: 'localhost',
+            port: LIMITED_PORT,
+            primary: true
+          }
+        ]
+      })
+
+      it('should queue requests over the limit instead of sending them', async () => {
+        let inFlight = 0
+        let maxInFlight = 0
+        server = await testUtils.createMockHttpServer(async () => {
+          inFlight++
+          maxInFlight = Math.max(maxInFlight, inFlight)
+          await new Promise(resolve => setTimeout(resolve, 50))
+          inFlight--
+          return 'ok'
+        }, LIMITED_PORT)
+
+        const channel = createChannel({maxConcurrentPerWorker: 1})
+        const contexts = [createContext(channel), createContext(channel)]
+        await Promise.all(
+          contexts.map(ctx => router.koaMiddleware(ctx, async () => {}))
+        )
+
+        maxInFlight.should.be.exactly(1)
+        contexts.forEach(ctx => ctx.response.status.should.be.exactly(201))
+      })
+
+      it('should respond with a 503 once the queue is full', async () => {
+        server = await testUtils.createMockHttpServer(async () => {
+          await new Promise(resolve => setTimeout(resolve, 50))
+          return 'ok'
+        }, LIMITED_PORT)
+
+        const channel = createChannel({
+          maxConcurrentPerWorker: 1,
+          maxQueueSize: 0
+        })
+        const first = createContext(channel)
+        const rejected = createContext(channel)
+        await Promise.all([
+          router.koaMiddleware(first, async () => {}),
+          router.koaMiddleware(rejected, async () => {})
+        ])
+
+        first.response.status.should.be.exactly(201)
+        rejected.response.status.should.be.exactly(503)
+        rejected.rejectedTransactionStatus.should.eql('Failed')
+      })
+
+      it('should hold the slot until the secondary routes have completed', async () => {
+        let secondaryCompleted = false
+        server = await testUtils.createMockHttpServer('ok', LIMITED_PORT)
+        const secondaryServer = await testUtils.createMockHttpServer(
+          async () => {
+            await new Promise(resolve => setTimeout(resolve, 100))
+            secondaryCompleted = true
+            return 'ok'
+          },
+          LIMITED_PORT + 2
+        )
+
+        const channel = createChannel({maxConcurrentPerWorker: 1})
+        channel.routes.push({
+          name: 'audit',
+          host: 'localhost',
+          port: LIMITED_PORT + 2
+        })
+        const ctx = createContext(channel)
+
+        try {
+          await router.koaMiddleware(ctx, async () => {})
+          ctx.response.status.should.be.exactly(201)
+          secondaryCompleted.should.be.false()
+          getActiveRequests().should.be.exactly(1)
+
+          await testUtils.pollCondition(() => getActiveRequests() === 0)
+          secondaryCompleted.should.be.true()
+        } finally {
+          await secondaryServer.close()
+        }
+      })
+    })
+
+    describe('trace context', () => {
+      let server
+
+      afterEach(async () => {
+        await server.close()
+      })
+
+      const TRACED_PORT = constants.PORT_START + 161
+
+      it("should send each route a traceparent header with the route's span", async () => {
+        let traceparent
+        server = await testUtils.createMockHttpServer(req => {
+          traceparent = req.headers.traceparent
+          return 'ok'
+        }, TRACED_PORT)
+
+        const ctx = createContext({
+          _id: 'tracedChannel',
+          name: 'Traced channel',
+          urlPattern: '.+',
+          routes: [
+            {
+              name: 'registry',
+              host: 'localhost',
+              port: TRACED_PORT,
+              primary: true
+            }
+          ]
+        })
+        ctx.request.header = {accept: 'text/plain'}
+        ctx.trace = {
+          traceId: '4bf92f3577b34da6a3ce929d0e0e4736',
+          spanId: '00f067aa0ba902b7',
+          flags: '01',
+          spans: []
+        }
+        await router.koaMiddleware(ctx, async () => {})
+
+        ctx.trace.spans.length.should.be.exactly(1)
+        const [span] = ctx.trace.spans
+        span.name.should.equal('registry')
+        span.parentSpanId.should.equal('00f067aa0ba902b7')
+        traceparent.should.equal(
+          `00-4bf92f3577b34da6a3ce929d0e0e4736-${span.spanId}-01`
+        )
+        should.not.exist(ctx.request.header.traceparent)
+      })
+    })
+
     describe('methods', () => {
       let mockServer
       const sandbox = sinon.createSandbox()
@@ -1045,4 +1829,86 @@ describe('HTTP Router', () => {
       return loggerSpy.restore()
     })
   })
+
+  describe('.calculateRetryDelay', () => {
+    const retryPolicy = {
+      backoffMillis: 100,
+      backoffMultiplier: 2,
+      maxBackoffMillis: 1000,
+      jitter: false
+    }
+
+    it('should increase the delay exponentially', () => {
+      router.calculateRetryDelay(retryPolicy, 1).should.be.exactly(100)
+      router.calculateRetryDelay(retryPolicy, 2).should.be.exactly(200)
+      router.calculateRetryDelay(retryPolicy, 3).should.be.exactly(400)
+    })
+
+    it('should cap the delay at maxBackoffMillis', () => {
+      router.calculateRetryDelay(retryPolicy, 10).should.be.exactly(1000)
+    })
+
+    it('should randomise half of the delay when jitter is enabled', () => {
+      const jitterPolicy = Object.assign({}, retryPolicy, {jitter: true})
+      for (let i = 0; i < 20; i++) {
+        router.calculateRetryDelay(jitterPolicy, 2).should.be.within(100, 200)
+      }
+    })
+  })
+
+  describe('.isRetryableStatus', () => {
+    it('should match exact and wildcard status codes', () => {
+      const retryPolicy = {retryOnStatusCodes: '429, 5*'}
+      router.isRetryableStatus(retryPolicy, 429).should.be.true()
+      router.isRetryableStatus(retryPolicy, 503).should.be.true()
+      router.isRetryableStatus(retryPolicy, 404).should.be.false()
+    })
+
+    it('should not retry any status when no status codes are configured', () => {
+      router.isRetryableStatus({}, 503).should.be.false()
+    })
+  })
+
+  describe('.isRetryableError', () => {
+    it('should retry all errors when no error codes are configured', () => {
+      router.isRetryableError({}, new Error('boom')).should.be.true()
+    })
+
+    it('should only retry the configured error codes', () => {
+      const retryPolicy = {retryOnErrors: 'ECONNRESET,ETIMEDOUT'}
+      const err = new Error('socket hang up')
+      err.code = 'ECONNRESET'
+      router.isRetryableError(retryPolicy, err).should.be.true()
+      err.code = 'ECONNREFUSED'
+      router.isRetryableError(retryPolicy, err).should.be.false()
+    })
+  })
+
+  describe('.numberOfUnconditionalPrimaryRoutes', () => {
+    it('should not count primary routes that have a condition', () => {
+      router
+        .numberOfUnconditionalPrimaryRoutes([
+          {primary: true, condition: {type: 'header', expression: 'x-type'}},
+          {primary: true},
+          {primary: false}
+        ])
+        .should.be.exactly(1)
+    })
+  })
+
+  describe('.getRetryPolicy', () => {
+    it('should disable retries by default', () => {
+      router.getRetryPolicy({}).maxAttempts.should.be.exactly(1)
+    })
+
+    it('should fill in defaults for missing values', () => {
+      const retryPolicy = router.getRetryPolicy({
+        retryPolicy: {maxAttempts: 3, backoffMillis: 50}
+      })
+      retryPolicy.maxAttempts.should.be.exactly(3)
+      retryPolicy.backoffMillis.should.be.exactly(50)
+      retryPolicy.backoffMultiplier.should.be.exactly(2)
+      retryPolicy.jitter.should.be.true()
+    })
+  })
 })
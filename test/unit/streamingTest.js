@@ -0,0 +1,88 @@
+'use strict'
+
+/* eslint-env mocha */
+
+import sinon from 'sinon'
+import {Readable} from 'stream'
+
+import * as streaming from '../../src/streaming'
+import {config} from '../../src/config'
+
+describe('Streaming', () => {
+  describe('.isStreamingChannel', () => {
+    it('should only be true when streaming is enabled', () => {
+      streaming.isStreamingChannel({}).should.be.false()
+      streaming.isStreamingChannel({streaming: {}}).should.be.false()
+      streaming
+        .isStreamingChannel({streaming: {enabled: true}})
+        .should.be.true()
+    })
+  })
+
+  describe('.getStoredBodyBytes', () => {
+    afterEach(() => sinon.restore())
+
+    it('should default to the configured limit', () => {
+      streaming
+        .getStoredBodyBytes({streaming: {enabled: true}})
+        .should.be.exactly(config.get('router').streamingMaxStoredBodyBytes)
+    })
+
+    it('should use the channel limit when set', () => {
+      streaming
+        .getStoredBodyBytes({streaming: {maxStoredBodyBytes: 10}})
+        .should.be.exactly(10)
+    })
+
+    it('should not store bodies for transactions outside the sample', () => {
+      sinon.stub(Math, 'random').returns(0.5)
+      streaming
+        .getStoredBodyBytes({
+          streaming: {maxStoredBodyBytes: 10, sampleRate: 0.25}
+        })
+        .should.be.exactly(0)
+      streaming
+        .getStoredBodyBytes({
+          streaming: {maxStoredBodyBytes: 10, sampleRate: 0.75}
+        })
+        .should.be.exactly(10)
+    })
+  })
+
+  describe('.createBodyCapture', () => {
+    async function pipeThrough(capture, chunks) {
+      const output = []
+      for await (const chunk of Readable.from(chunks).pipe(capture)) {
+        output.push(chunk)
+      }
+      return Buffer.concat(output).toString()
+    }
+
+    it('should pass the body through and keep a capped copy', async () => {
+      const capture = streaming.createBodyCapture(6)
+      const output = await pipeThrough(capture, [
+        Buffer.from('abcd'),
+        Buffer.from('efgh')
+      ])
+
+      output.should.eql('abcdefgh')
+      capture.getBody().should.eql('abcdef\n[truncated ...]')
+      capture.getTotalBytes().should.be.exactly(8)
+    })
+
+    it('should keep the whole body when it fits', async () => {
+      const capture = streaming.createBodyCapture(100)
+      await pipeThrough(capture, [Buffer.from('small')])
+
+      capture.getBody().should.eql('small')
+    })
+
+    it('should keep nothing when no bytes are to be stored', async () => {
+      const capture = streaming.createBodyCapture(0)
+      const output = await pipeThrough(capture, [Buffer.from('body')])
+
+      output.should.eql('body')
+      capture.getBody().should.eql('')
+    })
+  })
+})
@@ -7,6 +7,7 @@ import {ObjectId} from 'mongodb'
 import {promisify} from 'util'
 
 import * as constants from '../constants'
+import * as mllp from '../../src/mllp'
 import * as tasks from '../../src/tasks'
 import * as testUtils from '../utils'
 import {ChannelModel, TaskModel, TransactionModel} from '../../src/model'
@@ -292,6 +293,40 @@ describe('Rerun Task Tests', () => {
       response.body.should.eql(transaction.request.body.toLowerCase())
     })
 
+    it('will frame the request and wait for the response on mllp channels', async () => {
+      const spy = sinon.spy(() => mllp.frame('MSA|AA'))
+      server = await testUtils.createMockTCPServer(spy)
+
+      const channel = Object.assign({}, DEFAULT_CHANNEL, {mllp: true})
+      const transaction = Object.assign({}, DEFAULT_TRANSACTION)
+      const response = await promisify(tasks.rerunTcpRequestSend)(
+        channel,
+        transaction
+      )
+
+      spy.callCount.should.eql(1)
+      spy.firstCall.args[0].should.eql(mllp.frame(transaction.request.body))
+      response.status.should.eql(200)
+      response.body.should.eql('MSA|AA')
+    })
+
+    it('will fail the rerun when the channel does not accept the message', async () => {
+      server = await testUtils.createMockTCPServer(
+        () =>
+          'MSH|^~\\&|HIM|MOH|LAB|FACILITY|20230101||ACK^R01^ACK|1|P|2.5\rMSA|AE|MSG00001'
+      )
+
+      const channel = Object.assign({}, DEFAULT_CHANNEL, {autoAck: true})
+      const transaction = Object.assign({}, DEFAULT_TRANSACTION)
+      const response = await promisify(tasks.rerunTcpRequestSend)(
+        channel,
+        transaction
+      )
+
+      response.status.should.eql(400)
+      response.transaction.status.should.eql('Failed')
+    })
+
     it('will correctly record an error', async () => {
       const channel = Object.assign({}, DEFAULT_CHANNEL, {
         tcpPort: constants.PORT_START - 1
@@ -0,0 +1,222 @@
+'use strict'
+
+/* eslint-env mocha */
+
+import axios from 'axios'
+import should from 'should'
+import sinon from 'sinon'
+import {ObjectId} from 'mongodb'
+
+import * as tracing from '../../src/tracing'
+import {config} from '../../src/config'
+
+describe('Tracing', () => {
+  const traceId = '4bf92f3577b34da6a3ce929d0e0e4736'
+  const callerSpanId = '00f067aa0ba902b7'
+
+  describe('.parseTraceparent', () => {
+    it('should parse a valid traceparent header', () => {
+      tracing
+        .parseTraceparent(`00-${traceId}-${callerSpanId}-01`)
+        .should.eql({traceId, parentSpanId: callerSpanId, flags: '01'})
+    })
+
+    it('should accept extra fields from later versions', () => {
+      tracing
+        .parseTraceparent(`01-${traceId}-${callerSpanId}-00-extra`)
+        .traceId.should.equal(traceId)
+    })
+
+    it('should return null for invalid headers', () => {
+      should.not.exist(tracing.parseTraceparent(undefined))
+      should.not.exist(tracing.parseTraceparent('not a traceparent'))
+      should.not.exist(
+        tracing.parseTraceparent(`00-${traceId}-${callerSpanId}-01-extra`)
+      )
+      should.not.exist(
+        tracing.parseTraceparent(`ff-${traceId}-${callerSpanId}-01`)
+      )
+      should.not.exist(
+        tracing.parseTraceparent(`00-${'0'.repeat(32)}-${callerSpanId}-01`)
+      )
+      should.not.exist(
+        tracing.parseTraceparent(`00-${traceId}-${'0'.repeat(16)}-01`)
+      )
+      should.not.exist(
+        tracing.parseTraceparent(
+          `00-${traceId.toUpperCase()}-${callerSpanId}-01`
+        )
+      )
+    })
+  })
+
+  describe('.startTrace', () => {
+    it("should continue the caller's trace", () => {
+      const ctx = {
+        request: {
+          header: {
+            traceparent: `00-${traceId}-${callerSpanId}-00`,
+            tracestate: 'vendor=value'
+          }
+        }
+      }
+
+      tracing.startTrace(ctx)
+
+      ctx.trace.traceId.should.equal(traceId)
+      ctx.trace.parentSpanId.should.equal(callerSpanId)
+      ctx.trace.spanId.should.match(/^[0-9a-f]{16}$/)
+      ctx.trace.flags.should.equal('00')
+      ctx.trace.traceState.should.equal('vendor=value')
+    })
+
+    it('should start a new sampled trace without a valid traceparent', () => {
+      const ctx = {request: {header: {traceparent: 'invalid'}}}
+
+      tracing.startTrace(ctx)
+
+      ctx.trace.traceId.should.match(/^[0-9a-f]{32}$/)
+      should.not.exist(ctx.trace.parentSpanId)
+      ctx.trace.flags.should.equal('01')
+    })
+  })
+
+  describe('.getTraceHeaders', () => {
+    it('should return the traceparent of a span and the tracestate', () => {
+      tracing
+        .getTraceHeaders(
+          {traceId, flags: '01', traceState: 'vendor=value'},
+          'b7ad6b7169203331'
+        )
+        .should.eql({
+          traceparent: `00-${traceId}-b7ad6b7169203331-01`,
+          tracestate: 'vendor=value'
+        })
+    })
+  })
+
+  describe('.exportTransactionSpans', () => {
+    const originalConfig = config.tracing
+
+    const createContext = () => {
+      const ctx = {
+        method: 'POST',
+        path: '/patients',
+        requestTimestamp: new Date('2023-01-01T10:00:00.000Z'),
+        authorisedChannel: {name: 'Patients'},
+        primaryRoute: {name: 'mediator'},
+        response: {
+          status: 201,
+          timestamp: new Date('2023-01-01T10:00:01.000Z')
+        },
+        mediatorResponse: {
+          orchestrations: [
+            {
+              name: 'registry',
+              request: {timestamp: '2023-01-01T10:00:00.200Z'},
+              response: {status: 503, timestamp: '2023-01-01T10:00:00.500Z'}
+            }
+          ]
+        },
+        trace: {
+          traceId,
+          spanId: 'a3ce929d0e0e4736',
+          parentSpanId: callerSpanId,
+          flags: '01',
+          spans: []
+        }
+      }
+      tracing.recordRouteSpan(
+        ctx,
+        {name: 'mediator'},
+        {hostname: 'localhost', port: 8080, spanId: 'b7ad6b7169203331'},
+        new Date('2023-01-01T10:00:00.100Z').getTime(),
+        {status: 201}
+      )
+      return ctx
+    }
+
+    const transaction = {
+      _id: new ObjectId(),
+      status: 'Completed'
+    }
+
+    beforeEach(() => {
+      config.tracing = Object.assign({}, originalConfig, {
+        collectorUrl: 'http://localhost:4318/v1/traces',
+        collectorHeaders: {'api-key': 'secret'}
+      })
+    })
+
+    afterEach(() => {
+      sinon.restore()
+      config.tracing = originalConfig
+    })
+
+    it('should export the transaction, route and orchestration spans', async () => {
+      const post = sinon.stub(axios, 'post').resolves({status: 200})
+
+      tracing.exportTransactionSpans(createContext(), transaction)
+      await tracing.flushSpans()
+
+      post.calledOnce.should.be.true()
+      const [url, body, options] = post.firstCall.args
+      url.should.equal('http://localhost:4318/v1/traces')
+      options.headers['api-key'].should.equal('secret')
+
+      const [resourceSpans] = body.resourceSpans
+      resourceSpans.resource.attributes.should.containEql({
+        key: 'service.name',
+        value: {stringValue: 'openhim-core'}
+      })
+      const [channelSpan, routeSpan, orchestrationSpan] =
+        resourceSpans.scopeSpans[0].spans
+
+      channelSpan.traceId.should.equal(traceId)
+      channelSpan.spanId.should.equal('a3ce929d0e0e4736')
+      channelSpan.parentSpanId.should.equal(callerSpanId)
+      channelSpan.name.should.equal('Patients')
+      channelSpan.startTimeUnixNano.should.equal('1672567200000000000')
+      channelSpan.endTimeUnixNano.should.equal('1672567201000000000')
+      channelSpan.attributes.should.containEql({
+        key: 'http.response.status_code',
+        value: {intValue: 201}
+      })
+
+      routeSpan.spanId.should.equal('b7ad6b7169203331')
+      routeSpan.parentSpanId.should.equal('a3ce929d0e0e4736')
+      routeSpan.status.should.eql({code: 0})
+
+      orchestrationSpan.name.should.equal('registry')
+      orchestrationSpan.parentSpanId.should.equal('b7ad6b7169203331')
+      orchestrationSpan.startTimeUnixNano.should.equal('1672567200200000000')
+      orchestrationSpan.status.code.should.equal(2)
+    })
+
+    it('should not export unsampled traces', () => {
+      const ctx = createContext()
+      ctx.trace.flags = '00'
+
+      tracing.exportTransactionSpans(ctx, transaction)
+
+      tracing.getPendingSpans().length.should.equal(0)
+    })
+
+    it('should not export spans without a collector', () => {
+      config.tracing.collectorUrl = ''
+
+      tracing.exportTransactionSpans(createContext(), transaction)
+
+      tracing.getPendingSpans().length.should.equal(0)
+    })
+
+    it('should drop the spans when the collector fails', async () => {
+      sinon.stub(axios, 'post').rejects(new Error('ECONNREFUSED'))
+
+      tracing.exportTransactionSpans(createContext(), transaction)
+      await tracing.flushSpans()
+
+      tracing.getPendingSpans().length.should.equal(0)
+    })
+  })
+})
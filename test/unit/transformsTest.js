@@ -0,0 +1,174 @@
+'use strict'
+
+/* eslint-env mocha */
+
+import * as transforms from '../../src/transforms'
+
+describe('Transforms', () => {
+  const ctx = {
+    request: {method: 'POST', path: '/patients', header: {}}
+  }
+
+  describe('.getTransforms', () => {
+    const channel = {
+      transforms: [
+        {type: 'addHeader', name: 'a'},
+        {stage: 'response', type: 'addHeader', name: 'b'}
+      ]
+    }
+    const route = {
+      primary: true,
+      transforms: [
+        {stage: 'request', type: 'addHeader', name: 'c'},
+        {stage: 'response', type: 'addHeader', name: 'd'}
+      ]
+    }
+    const names = list => list.map(transform => transform.name)
+
+    it('should run channel request transforms before the route ones', () => {
+      names(transforms.getTransforms(channel, route, 'request')).should.eql([
+        'a',
+        'c'
+      ])
+    })
+
+    it('should run route response transforms before the channel ones', () => {
+      names(transforms.getTransforms(channel, route, 'response')).should.eql([
+        'd',
+        'b'
+      ])
+    })
+
+    it('should only apply channel response transforms to the primary route', () => {
+      const nonPrimary = Object.assign({}, route, {primary: false})
+      names(
+        transforms.getTransforms(channel, nonPrimary, 'response')
+      ).should.eql(['d'])
+    })
+
+    it('should return no transforms when none are configured', () => {
+      transforms.getTransforms({}, {}, 'request').should.eql([])
+    })
+  })
+
+  describe('.validateTransform', () => {
+    it('should accept a valid transform', () => {
+      ;(
+        transforms.validateTransform({
+          type: 'renameHeader',
+          name: 'X-Old',
+          newName: 'X-New'
+        }) == null
+      ).should.be.true()
+    })
+
+    it('should reject a transform without the fields its type needs', () => {
+      transforms
+        .validateTransform({type: 'addHeader', name: 'X-Tenant'})
+        .should.equal('Transforms of type addHeader must have a value')
+      transforms
+        .validateTransform({type: 'removeQueryParam'})
+        .should.equal('Transforms of type removeQueryParam must have a name')
+    })
+
+    it('should reject an unknown type or stage', () => {
+      transforms
+        .validateTransform({type: 'gzip'})
+        .should.equal('Unknown transform type gzip')
+      transforms
+        .validateTransform({type: 'xmlToJson', stage: 'both'})
+        .should.match(/^Transform stage must be request or response/)
+    })
+
+    it('should reject an invalid expression or template', () => {
+      transforms
+        .validateTransform({type: 'rewriteQuery', expression: '(unclosed'})
+        .should.match(/^Transform has an invalid expression/)
+      transforms
+        .validateTransform({type: 'template', template: '{{#if body}}'})
+        .should.match(/^Transform has an invalid template/)
+    })
+  })
+
+  describe('.transformMessage', () => {
+    it('should not modify the original headers', async () => {
+      const headers = {'x-tenant': 'north'}
+      const message = await transforms.transformMessage(
+        ctx,
+        [{type: 'renameHeader', name: 'X-Tenant', newName: 'X-Org'}],
+        {headers}
+      )
+
+      message.headers.should.eql({'x-org': 'north'})
+      headers.should.eql({'x-tenant': 'north'})
+    })
+
+    it('should rewrite the query string', async () => {
+      const message = await transforms.transformMessage(
+        ctx,
+        [{type: 'rewriteQuery', expression: 'patient=', value: 'subject='}],
+        {headers: {}, querystring: 'patient=1&count=2'}
+      )
+
+      message.querystring.should.eql('subject=1&count=2')
+    })
+
+    it('should render templates with the parsed body, query and request', async () => {
+      const message = await transforms.transformMessage(
+        ctx,
+        [
+          {
+            type: 'template',
+            template:
+              '{{request.method}} {{request.path}} {{query.id}} {{json body.names}}'
+          }
+        ],
+        {
+          headers: {},
+          querystring: 'id=7',
+          body: Buffer.from('{"names":["a<b"]}')
+        }
+      )
+
+      message.body.should.eql('POST /patients 7 ["a<b"]')
+    })
+
+    it('should convert between XML and JSON', async () => {
+      const json = await transforms.transformMessage(
+        ctx,
+        [{type: 'xmlToJson'}],
+        {headers: {}, body: '<patient><id>1</id></patient>'}
+      )
+      JSON.parse(json.body).should.eql({patient: {id: '1'}})
+      json.headers['content-type'].should.eql('application/json')
+
+      const xml = await transforms.transformMessage(
+        ctx,
+        [{type: 'jsonToXml'}],
+        json
+      )
+      xml.body.should.match(/<patient>\s*<id>1<\/id>\s*<\/patient>/)
+      xml.headers['content-type'].should.eql('application/xml')
+    })
+
+    it('should leave the body untouched without body transforms', async () => {
+      const body = Buffer.from('raw')
+      const message = await transforms.transformMessage(
+        ctx,
+        [{type: 'addHeader', name: 'X-Test', value: '1'}],
+        {headers: {}, body}
+      )
+
+      message.body.should.be.exactly(body)
+    })
+
+    it('should reject when the body cannot be converted', async () => {
+      await transforms
+        .transformMessage(ctx, [{type: 'xmlToJson'}], {
+          headers: {},
+          body: 'not xml'
+        })
+        .should.be.rejected()
+    })
+  })
+})
@@ -8,6 +8,7 @@ import should from 'should'
 import * as testUtils from '../utils'
 import * as upgradeDB from '../../src/upgradeDB'
 import {
+  AlertModel,
   ClientModel,
   DbVersionModel,
   KeystoreModel,
@@ -546,4 +547,46 @@ describe('Upgrade DB Tests', () => {
       passports.length.should.eql(2)
     })
   })
+
+  describe(`updateFunction4 - Expire sent alerts after alerts.historyDays`, () => {
+    const upgradeFunc = originalUpgradeFuncs[4].func
+
+    beforeEach(async () => {
+      await AlertModel.collection.createIndex(
+        {timestamp: 1},
+        {expireAfterSeconds: 24 * 60 * 60}
+      )
+      await AlertModel.collection.insertOne({
+        user: 'one@openhim.org',
+        method: 'email',
+        timestamp: new Date(),
+        channelID: 'channel',
+        condition: 'status',
+        status: '500',
+        alertStatus: 'Completed'
+      })
+    })
+
+    afterEach(async () => {
+      await AlertModel.deleteMany({})
+    })
+
+    it('should drop the day-long expiry of the alert timestamps', async () => {
+      await upgradeFunc()
+
+      const indexes = await AlertModel.collection.indexes()
+      should.not.exist(
+        indexes.find(
+          index => index.key.timestamp === 1 && index.expireAfterSeconds != null
+        )
+      )
+    })
+
+    it('should expire the existing alerts a day from now', async () => {
+      await upgradeFunc()
+
+      const alert = await AlertModel.findOne()
+      alert.expiresAt.should.be.above(new Date())
+    })
+  })
 })
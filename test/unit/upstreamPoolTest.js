@@ -0,0 +1,94 @@
+'use strict'
+
+/* eslint-env mocha */
+
+import * as upstreamPool from '../../src/upstreamPool'
+
+describe('Upstream pool', () => {
+  const upstreams = [
+    {host: 'registry-1', port: 8080, weight: 3},
+    {host: 'registry-2', port: 8080, weight: 1},
+    {host: 'registry-3', port: 8080, weight: 1}
+  ]
+
+  const firstHost = route => upstreamPool.orderTargets(route)[0].host
+
+  beforeEach(() => {
+    upstreamPool.reset()
+  })
+
+  describe('.hasUpstreams', () => {
+    it('should be false for routes without upstreams', () => {
+      upstreamPool.hasUpstreams({host: 'localhost'}).should.be.false()
+      upstreamPool.hasUpstreams({upstreams: []}).should.be.false()
+    })
+
+    it('should be true for routes with upstreams', () => {
+      upstreamPool.hasUpstreams({upstreams}).should.be.true()
+    })
+  })
+
+  describe('.orderTargets', () => {
+    it('should rotate through the upstreams by default', () => {
+      const route = {upstreams}
+      const picks = [1, 2, 3, 4].map(() => firstHost(route))
+      picks.should.eql(['registry-1', 'registry-2', 'registry-3', 'registry-1'])
+    })
+
+    it('should list the remaining upstreams after the selected one', () => {
+      const route = {upstreams, balancingStrategy: 'round-robin'}
+      upstreamPool.orderTargets(route)
+      upstreamPool
+        .orderTargets(route)
+        .map(target => target.host)
+        .should.eql(['registry-2', 'registry-3', 'registry-1'])
+    })
+
+    it('should spread picks according to the weights', () => {
+      const route = {upstreams, balancingStrategy: 'weighted'}
+      const picks = [1, 2, 3, 4, 5].map(() => firstHost(route))
+      picks.filter(host => host === 'registry-1').length.should.be.exactly(3)
+      picks.filter(host => host === 'registry-2').length.should.be.exactly(1)
+      picks.filter(host => host === 'registry-3').length.should.be.exactly(1)
+      // smooth weighting doesn't send consecutive picks to the heavy upstream
+      picks[0].should.equal('registry-1')
+      picks[1].should.not.equal('registry-1')
+    })
+
+    it('should pick the upstream with the least active connections', () => {
+      const route = {upstreams, balancingStrategy: 'least-connections'}
+      upstreamPool.acquireConnection(upstreams[0])
+      upstreamPool.acquireConnection(upstreams[1])
+      firstHost(route).should.equal('registry-3')
+
+      upstreamPool.acquireConnection(upstreams[2])
+      upstreamPool.acquireConnection(upstreams[2])
+      upstreamPool.releaseConnection(upstreams[0])
+      firstHost(route).should.equal('registry-1')
+    })
+
+    it('should always prefer the first upstream for failover', () => {
+      const route = {upstreams, balancingStrategy: 'failover'}
+      firstHost(route).should.equal('registry-1')
+      firstHost(route).should.equal('registry-1')
+    })
+  })
+
+  describe('.releaseConnection', () => {
+    it('should not drop the active connections below zero', () => {
+      upstreamPool.releaseConnection(upstreams[0])
+      upstreamPool.getActiveConnections(upstreams[0]).should.be.exactly(0)
+    })
+  })
+
+  describe('.isConnectionError', () => {
+    it('should only treat errors before the request was sent as connection errors', () => {
+      const refused = new Error('connect ECONNREFUSED')
+      refused.code = 'ECONNREFUSED'
+      const timeout = new Error('Request took longer than 10ms')
+      timeout.code = 'ETIMEDOUT'
+      upstreamPool.isConnectionError(refused).should.be.true()
+      upstreamPool.isConnectionError(timeout).should.be.false()
+    })
+  })
+})
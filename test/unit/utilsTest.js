@@ -31,6 +31,24 @@ describe('Utils', () => {
     })
   })
 
+  describe('.compileRegex()', () => {
+    it('should reuse the compiled regex of a pattern', () => {
+      utils.compileRegex('^/fhir').should.equal(utils.compileRegex('^/fhir'))
+    })
+
+    it('should only keep the most recently used regexes', () => {
+      const first = utils.compileRegex('^first$')
+      const recent = utils.compileRegex('^recent$')
+      for (let i = 0; i < utils.MAX_COMPILED_REGEXES - 1; i++) {
+        utils.compileRegex(`^pattern-${i}$`)
+        utils.compileRegex('^recent$')
+      }
+
+      utils.compileRegex('^recent$').should.equal(recent)
+      utils.compileRegex('^first$').should.not.equal(first)
+    })
+  })
+
   describe('.hashPassword()', () => {
     after(() => {
       config.api.salt = 10
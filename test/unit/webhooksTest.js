@@ -0,0 +1,352 @@
+'use strict'
+
+/* eslint-env mocha */
+
+import axios from 'axios'
+import crypto from 'crypto'
+import should from 'should'
+import sinon from 'sinon'
+import {ObjectId} from 'mongodb'
+
+import * as webhooks from '../../src/webhooks'
+import {
+  WebhookDeliveryModel,
+  WebhookModel,
+  deliveryStatus,
+  webhookEvents
+} from '../../src/model/webhooks'
+import {config} from '../../src/config'
+
+describe('Webhooks', () => {
+  const channelID = new ObjectId()
+
+  describe('.signPayload', () => {
+    it('should sign the body with a HMAC SHA-256 of the secret', () => {
+      const body = '{"event":"task-completed"}'
+      const expected = crypto
+        .createHmac('sha256', 'secret')
+        .update(body)
+        .digest('hex')
+
+      webhooks.signPayload('secret', body).should.equal(`sha256=${expected}`)
+    })
+  })
+
+  describe('.getRetryDelay', () => {
+    it('should double the delay after every attempt', () => {
+      const delay = config.webhooks.retryDelaySeconds * 1000
+      webhooks.getRetryDelay(1).should.equal(delay)
+      webhooks.getRetryDelay(3).should.equal(delay * 4)
+    })
+  })
+
+  describe('.getTransactionPayload', () => {
+    it('should not include the bodies and headers of the transaction', () => {
+      const payload = webhooks.getTransactionPayload({
+        _id: new ObjectId(),
+        channelID,
+        status: 'Failed',
+        request: {
+          method: 'POST',
+          path: '/patients',
+          headers: {authorization: 'Basic secret'},
+          body: 'request'
+        },
+        response: {status: 500, body: 'response'}
+      })
+
+      payload.request.should.eql({
+        method: 'POST',
+        path: '/patients',
+        timestamp: undefined
+      })
+      payload.response.should.eql({status: 500, timestamp: undefined})
+    })
+  })
+
+  describe('.attemptDelivery', () => {
+    const webhook = {
+      name: 'Monitoring',
+      url: 'http://localhost:9000/hooks',
+      secret: 'secret',
+      headers: {'x-api-key': 'key'}
+    }
+
+    const createDelivery = attempts => ({
+      _id: new ObjectId(),
+      event: webhookEvents.TRANSACTION_FAILED,
+      payload: {status: 'Failed'},
+      created: new Date(),
+      attempts: new Array(attempts).fill({timestamp: new Date()})
+    })
+
+    let updateOne
+
+    beforeEach(() => {
+      updateOne = sinon.stub(WebhookDeliveryModel, 'updateOne').resolves()
+    })
+
+    afterEach(() => sinon.restore())
+
+    it('should POST the signed event and mark it delivered', async () => {
+      const post = sinon.stub(axios, 'post').resolves({status: 204})
+      const delivery = createDelivery(0)
+
+      await webhooks.attemptDelivery(webhook, delivery)
+
+      const [url, body, options] = post.firstCall.args
+      url.should.equal(webhook.url)
+      JSON.parse(body).should.eql({
+        id: delivery._id.toString(),
+        event: 'transaction-failed',
+        created: delivery.created.toISOString(),
+        data: {status: 'Failed'}
+      })
+      options.headers['X-OpenHIM-Event'].should.equal('transaction-failed')
+      options.headers['X-OpenHIM-Signature'].should.equal(
+        webhooks.signPayload('secret', body)
+      )
+      options.headers['x-api-key'].should.equal('key')
+
+      const update = updateOne.firstCall.args[1]
+      update.$set.status.should.equal(deliveryStatus.DELIVERED)
+      update.$push.attempts.responseStatus.should.equal(204)
+    })
+
+    it('should schedule a retry when the delivery fails', async () => {
+      const err = new Error('Request failed with status code 503')
+      err.response = {status: 503}
+      sinon.stub(axios, 'post').rejects(err)
+
+      await webhooks.attemptDelivery(webhook, createDelivery(1))
+
+      const update = updateOne.firstCall.args[1]
+      should.not.exist(update.$set.status)
+      update.$set.nextAttempt.should.be.above(new Date())
+      update.$push.attempts.responseStatus.should.equal(503)
+      update.$push.attempts.error.should.equal(err.message)
+    })
+
+    it('should fail the delivery after the last attempt', async () => {
+      sinon.stub(axios, 'post').rejects(new Error('ECONNREFUSED'))
+
+      await webhooks.attemptDelivery(
+        webhook,
+        createDelivery(config.webhooks.maxAttempts - 1)
+      )
+
+      const update = updateOne.firstCall.args[1]
+      update.$set.status.should.equal(deliveryStatus.FAILED)
+      update.$unset.should.have.property('nextAttempt')
+    })
+  })
+
+  describe('.isSubscribed', () => {
+    const webhook = {
+      events: [webhookEvents.TRANSACTION_FAILED],
+      channels: [channelID],
+      statuses: []
+    }
+
+    it('should match the event, channel and status of the webhook', () => {
+      webhooks
+        .isSubscribed(webhook, webhookEvents.TRANSACTION_FAILED, {
+          channelID: new ObjectId(channelID.toString()),
+          status: 'Failed'
+        })
+        .should.be.true()
+      webhooks
+        .isSubscribed(webhook, webhookEvents.TRANSACTION_COMPLETED, {
+          channelID
+        })
+        .should.be.false()
+      webhooks
+        .isSubscribed(webhook, webhookEvents.TRANSACTION_FAILED, {
+          channelID: new ObjectId()
+        })
+        .should.be.false()
+    })
+  })
+
+  describe('.notify', () => {
+    const cachingEnabled = config.caching.enabled
+
+    beforeEach(() => {
+      config.caching.enabled = true
+      delete webhooks.cachedWebhooks.lastCheck
+    })
+
+    afterEach(() => {
+      config.caching.enabled = cachingEnabled
+      sinon.restore()
+    })
+
+    it('should only query the webhooks once per caching interval', async () => {
+      const find = sinon.stub(WebhookModel, 'find').returns({
+        lean: () => Promise.resolve([])
+      })
+
+      await webhooks.notify(webhookEvents.TASK_COMPLETED, {})
+      await webhooks.notify(webhookEvents.TASK_COMPLETED, {})
+
+      find.calledOnce.should.be.true()
+      find.firstCall.args[0].should.eql({enabled: true})
+    })
+  })
+
+  describe('.notifyTransaction', () => {
+    const transaction = {
+      _id: new ObjectId(),
+      channelID,
+      status: 'Failed',
+      request: {method: 'GET', path: '/patients', timestamp: new Date()},
+      response: {status: 500, timestamp: new Date()}
+    }
+
+    let post
+
+    beforeEach(async () => {
+      post = sinon.stub(axios, 'post').resolves({status: 200})
+      await WebhookModel.insertMany([
+        {
+          name: 'All failures',
+          url: 'http://localhost:9000/failed',
+          secret: 'secret',
+          events: [
+            webhookEvents.TRANSACTION_FAILED,
+            webhookEvents.AUTO_RETRY_EXHAUSTED
+          ]
+        },
+        {
+          name: 'Other channel',
+          url: 'http://localhost:9000/other',
+          secret: 'secret',
+          events: [webhookEvents.TRANSACTION_FAILED],
+          channels: [new ObjectId()]
+        },
+        {
+          name: 'Successful only',
+          url: 'http://localhost:9000/successful',
+          secret: 'secret',
+          events: [
+            webhookEvents.TRANSACTION_COMPLETED,
+            webhookEvents.TRANSACTION_FAILED
+          ],
+          statuses: ['Successful']
+        },
+        {
+          name: 'Disabled',
+          url: 'http://localhost:9000/disabled',
+          secret: 'secret',
+          events: [webhookEvents.TRANSACTION_FAILED],
+          enabled: false
+        }
+      ])
+    })
+
+    afterEach(async () => {
+      sinon.restore()
+      await Promise.all([
+        WebhookModel.deleteMany({}),
+        WebhookDeliveryModel.deleteMany({})
+      ])
+    })
+
+    it("should send the events to the webhooks of the transaction's channel and status", async () => {
+      await webhooks.notifyTransaction(transaction, false)
+
+      post.calledOnce.should.be.true()
+      post.firstCall.args[0].should.equal('http://localhost:9000/failed')
+
+      const deliveries = await WebhookDeliveryModel.find()
+      deliveries.length.should.equal(1)
+      deliveries[0].event.should.equal(webhookEvents.TRANSACTION_FAILED)
+      deliveries[0].status.should.equal(deliveryStatus.DELIVERED)
+      deliveries[0].attempts.length.should.equal(1)
+    })
+
+    it('should send an event when auto retry is exhausted', async () => {
+      await webhooks.notifyTransaction(transaction, true)
+
+      const events = (await WebhookDeliveryModel.find()).map(d => d.event)
+      events
+        .sort()
+        .should.eql([
+          webhookEvents.AUTO_RETRY_EXHAUSTED,
+          webhookEvents.TRANSACTION_FAILED
+        ])
+    })
+
+    it('should not send events for transactions that are still processing', async () => {
+      await webhooks.notifyTransaction(
+        Object.assign({}, transaction, {status: 'Processing'}),
+        false
+      )
+
+      post.called.should.be.false()
+    })
+  })
+
+  describe('.retryDeliveries', () => {
+    let webhook
+
+    beforeEach(async () => {
+      webhook = await new WebhookModel({
+        name: 'Monitoring',
+        url: 'http://localhost:9000/hooks',
+        secret: 'secret',
+        events: [webhookEvents.TASK_COMPLETED]
+      }).save()
+    })
+
+    afterEach(async () => {
+      sinon.restore()
+      await Promise.all([
+        WebhookModel.deleteMany({}),
+        WebhookDeliveryModel.deleteMany({})
+      ])
+    })
+
+    it('should retry the pending deliveries that are due', async () => {
+      const post = sinon.stub(axios, 'post').resolves({status: 200})
+      const due = await new WebhookDeliveryModel({
+        webhookID: webhook._id,
+        event: webhookEvents.TASK_COMPLETED,
+        payload: {status: 'Completed'},
+        attempts: [{timestamp: new Date(), error: 'ECONNREFUSED'}],
+        nextAttempt: new Date(Date.now() - 1000)
+      }).save()
+      await new WebhookDeliveryModel({
+        webhookID: webhook._id,
+        event: webhookEvents.TASK_COMPLETED,
+        payload: {status: 'Completed'},
+        nextAttempt: new Date(Date.now() + 60000)
+      }).save()
+
+      await webhooks.retryDeliveries()
+
+      post.calledOnce.should.be.true()
+      const delivery = await WebhookDeliveryModel.findById(due._id)
+      delivery.status.should.equal(deliveryStatus.DELIVERED)
+      delivery.attempts.length.should.equal(2)
+      should.not.exist(delivery.nextAttempt)
+    })
+
+    it('should fail the deliveries of disabled webhooks', async () => {
+      const post = sinon.stub(axios, 'post').resolves({status: 200})
+      await WebhookModel.updateOne({_id: webhook._id}, {enabled: false})
+      const {_id} = await new WebhookDeliveryModel({
+        webhookID: webhook._id,
+        event: webhookEvents.TASK_COMPLETED,
+        payload: {status: 'Completed'},
+        nextAttempt: new Date(Date.now() - 1000)
+      }).save()
+
+      await webhooks.retryDeliveries()
+
+      post.called.should.be.false()
+      const delivery = await WebhookDeliveryModel.findById(_id)
+      delivery.status.should.equal(deliveryStatus.FAILED)
+    })
+  })
+})